@@ -3,8 +3,28 @@
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
-const { diffLines } = require('diff');
-const { Analyzer } = require('../src/index');
+const { createTwoFilesPatch } = require('diff');
+const {
+  Analyzer,
+  CacheRulesEngine,
+  DockerfileFixer,
+  loadConfig,
+  readBaseline,
+  writeBaseline,
+  ReporterRegistry,
+  DockerfileParser,
+  findDockerfiles,
+  BuildContext,
+  BaseImageCatalog,
+  simulateChange,
+  forecastCache,
+  inspectImage
+} = require('../src/index');
+const { formatSimulation, formatForecast } = require('../src/reporters/simulation');
+const { formatInspection } = require('../src/reporters/image');
+
+const COMMANDS = ['analyze', 'fix', 'simulate', 'forecast', 'graph', 'inspect'];
+const CONCURRENCY = 8;
 
 /**
  * Print usage information
@@ -16,93 +36,271 @@ Docker Layer Optimizer v1.0.0
 Analyzes Dockerfiles to identify inefficiencies in layer structure, caching, and image size.
 
 USAGE:
-  docker-layer-opt analyze <dockerfile> [options]
+  docker-layer-opt analyze <path>... [options]
+  docker-layer-opt fix <path>... [--write] [--unsafe]
+  docker-layer-opt simulate <Dockerfile> (--changed <file>... | --base <rev> [--head <rev>]) [--context <dir>]
+  docker-layer-opt forecast <Dockerfile> [--commits <n>] [--weight size|time] [--context <dir>]
+  docker-layer-opt graph <Dockerfile> [--format dot|mermaid|json] [--target <stage>]
+  docker-layer-opt inspect <image.tar> [--format text|json] [--platform <os/arch>]
+
+  Each path is a Dockerfile, a directory or a glob. Directories are searched recursively
+  for Dockerfile, *.Dockerfile and Dockerfile.*, skipping files ignored by .gitignore.
 
 OPTIONS:
-  --estimate, -e       Estimate layer sizes (heuristic)
-  --format, -f <fmt>   Output format: json | text (default: text)
+  --estimate, -e       Estimate layer sizes (heuristic; COPY/ADD are measured with --context)
+  --format, -f <fmt>   Output format: text | json | sarif | junit | checkstyle | gitlab | html (default: text)
+  --context <dir>      Build context: apply .dockerignore and report unneeded files that COPY/ADD would send
+  --target <stage>     Analyze and size only the stages this build target needs (analyze, graph)
+  --build-arg <k=v>    Set a build argument to resolve ARG/ENV variables with (repeatable)
+  --catalog <file>     Base image catalog to use before the built-in one (analyze, fix)
+  --history <file>     Real layer sizes (single Dockerfile) from \`docker history --no-trunc --format "{{.ID}}|{{.Size}}|{{.CreatedBy}}"\`
+  --image <file>       Real layer sizes (single Dockerfile) from a \`docker save\` or OCI layout tarball of the image
+  --platform <p>       Image of a multi-platform OCI layout to read, e.g. linux/arm64 (inspect, --image)
+  --severity <level>   Minimum severity to report: high | medium | low (default: low)
+  --write, -w          Write fixes to the Dockerfile instead of printing a diff (fix only)
+  --unsafe             Also apply fixes that may change the build result (fix only)
+  --rule-pack <pack>   Load extra rules from a local file or npm module (repeatable)
+  --reporter <module>  Load extra output formats from a local file or npm module (repeatable)
+  --config <file>      Use this config file instead of searching for one
+  --no-config          Ignore .dockerlayeroptrc / docker-layer-opt.config.js files
+  --changed <file>     A changed context file (simulate, repeatable)
+  --base <rev>         Simulate the changes since this git revision (simulate)
+  --head <rev>         Compare --base with this revision instead of the working tree (simulate)
+  --commits <n>        Replay the last n commits (forecast, default: 50)
+  --weight <w>         Rebuild cost by estimated size or build time: size | time (forecast, default: size)
+  --baseline <file>    Only report findings not recorded in the baseline (created if missing)
+  --update-baseline    Rewrite the baseline with the current findings
   --help, -h           Show this help message
 
 EXAMPLES:
   docker-layer-opt analyze Dockerfile
   docker-layer-opt analyze Dockerfile --estimate
+  docker-layer-opt analyze . --format junit
+  docker-layer-opt analyze 'services/**/Dockerfile' docker/
   docker-layer-opt analyze Dockerfile --format json
+  docker-layer-opt analyze Dockerfile --format junit > dockerfile-report.xml
+  docker-layer-opt analyze Dockerfile --format html --history history.txt > report.html
+  docker-layer-opt analyze Dockerfile --context .
+  docker-layer-opt analyze Dockerfile --target prod --estimate
+  docker-layer-opt analyze Dockerfile --build-arg NODE_VERSION=20 --estimate
+  docker-layer-opt analyze Dockerfile --catalog internal-images.json --estimate
+  docker-layer-opt fix Dockerfile
+  docker-layer-opt fix Dockerfile --write
+  docker-layer-opt analyze Dockerfile --rule-pack ./rules/platform.js
+  docker-layer-opt analyze Dockerfile --baseline .dlo-baseline.json
+  docker-layer-opt simulate Dockerfile --changed src/index.js --changed package-lock.json
+  docker-layer-opt simulate Dockerfile --base origin/main
+  docker-layer-opt forecast Dockerfile --commits 200 --weight time
+  docker-layer-opt graph Dockerfile | dot -Tsvg > stages.svg
+  docker-layer-opt inspect app.tar
+  docker-layer-opt analyze Dockerfile --format html --image app.tar > report.html
 
 EXIT CODES:
   0 - Success
-  1 - Error
-  2 - Issues found (when used in CI)
+  1 - Error (in any of the Dockerfiles)
+  2 - High-severity issues found in any of the Dockerfiles
 `);
 }
 
 /**
- * Format severity with color
+ * Print a unified diff with colored additions and removals
  */
-function formatSeverity(severity) {
-  const colors = {
-    high: chalk.red.bold,
-    medium: chalk.yellow.bold,
-    low: chalk.blue.bold
-  };
-  return colors[severity] ? colors[severity](severity.toUpperCase()) : severity.toUpperCase();
+function printDiff(patch) {
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else {
+      console.log(line);
+    }
+  }
 }
 
 /**
- * Print analysis results in text format
+ * Apply autofixes and print a diff, or write the result with --write
  */
-function printTextResults(results, dockerfilePath) {
-  console.log(chalk.bold.cyan(`\n🐳 Docker Layer Optimization Report`));
-  console.log(chalk.gray(`File: ${dockerfilePath}\n`));
-
-  // Summary
-  console.log(chalk.bold('📊 Summary:'));
-  console.log(`  Instructions: ${results.summary.totalInstructions}`);
-  console.log(`  Stages: ${results.summary.stages}`);
-  console.log(`  Multi-stage: ${results.summary.isMultiStage ? chalk.green('Yes') : chalk.red('No')}`);
-  console.log(`  Issues: ${chalk.red.bold(results.summary.issues.high)} high, ` +
-              `${chalk.yellow.bold(results.summary.issues.medium)} medium, ` +
-              `${chalk.blue.bold(results.summary.issues.low)} low`);
-
-  // Layer estimate
-  if (results.layerEstimate) {
-    console.log(chalk.bold(`\n📏 Estimated Size: ${results.layerEstimate.formattedTotal}`));
-  }
-
-  // Cache issues
-  if (results.cacheIssues.length > 0) {
-    console.log(chalk.bold(`\n⚠️  Issues Found (${results.cacheIssues.length}):`));
-
-    for (const issue of results.cacheIssues) {
-      const icon = issue.severity === 'high' ? '🔴' : issue.severity === 'medium' ? '🟡' : '🔵';
-      console.log(`\n${icon} [${formatSeverity(issue.severity)}] ${issue.title}`);
-
-      if (issue.description) {
-        console.log(chalk.gray(`   ${issue.description}`));
-      }
+async function runFix(resolvedPath, dockerfilePath, { write, unsafe, rulesEngine, buildArgs, catalog }) {
+  const content = await fs.readFile(resolvedPath, 'utf-8');
+  const { output, changed, applied } = new DockerfileFixer(content, { unsafe, rulesEngine, buildArgs, catalog }).fix();
 
-      if (issue.recommendation) {
-        console.log(chalk.green(`   💡 ${issue.recommendation}`));
-      }
+  if (!changed) {
+    console.log(chalk.green('No automatic fixes available.'));
+    return;
+  }
 
-      if (issue.issues && issue.issues.length > 0) {
-        console.log(chalk.gray('   Lines affected:'));
-        for (const i of issue.issues) {
-          console.log(chalk.gray(`     - Line ${i.lineNum}: ${i.instruction.substring(0, 80)}...`));
-        }
-      }
+  if (write) {
+    await fs.writeFile(resolvedPath, output, 'utf-8');
+    console.log(chalk.bold(`Fixed ${dockerfilePath}:`));
+    for (const fix of applied) {
+      console.log(`  ${chalk.green('✔')} ${fix.description} ${chalk.gray(`(${fix.rule}, ${fix.safety})`)}`);
     }
+    return;
+  }
+
+  printDiff(createTwoFilesPatch(`a/${dockerfilePath}`, `b/${dockerfilePath}`, content, output));
+}
+
+/**
+ * Simulate which build steps a change reruns and print the result
+ */
+async function runSimulate(dockerfilePath, { contextDir, changed, base, head, format, buildArgs }) {
+  const context = path.resolve(contextDir || '.');
+
+  // --changed paths are relative to the working directory, like every other path argument
+  const changedFiles = changed
+    .map(file => path.relative(context, path.resolve(file)).split(path.sep).join('/'))
+    .filter(file => file && file !== '..' && !file.startsWith('../') && !path.isAbsolute(file));
+
+  const result = await simulateChange(dockerfilePath, { context, changedFiles, base, head, buildArgs });
+  console.log(format === 'json' ? JSON.stringify(result, null, 2) : formatSimulation(result, dockerfilePath));
+}
+
+/**
+ * Forecast cache hits over recent commits and print the result
+ */
+async function runForecast(dockerfilePath, { contextDir, commits, weight, format, buildArgs }) {
+  const context = path.resolve(contextDir || '.');
+
+  // Only an explicit --context is walked to measure COPY/ADD sizes
+  const buildContext = contextDir && weight === 'size'
+    ? await BuildContext.load(context, { dockerfilePath: path.resolve(dockerfilePath) })
+    : null;
+
+  const forecast = await forecastCache(dockerfilePath, { context, commits, weight, buildContext, buildArgs });
+  console.log(format === 'json' ? JSON.stringify(forecast, null, 2) : formatForecast(forecast, dockerfilePath));
+}
+
+/**
+ * Print the stage graph of a Dockerfile
+ */
+async function runGraph(dockerfilePath, { format, target, buildArgs }) {
+  const content = await fs.readFile(path.resolve(dockerfilePath), 'utf-8');
+  const graph = new DockerfileParser(content, { buildArgs }).getStageGraph();
+
+  if (format === 'json') {
+    console.log(JSON.stringify(graph.toJSON(target), null, 2));
   } else {
-    console.log(chalk.green.bold('\n✅ No issues found! Great Dockerfile practices.'));
+    console.log(format === 'mermaid' ? graph.toMermaid(target) : graph.toDot(target));
+  }
+}
+
+/**
+ * Inspect an image tarball and print its layers
+ */
+async function runInspect(imagePath, { format, platform }) {
+  const inspection = await inspectImage(path.resolve(imagePath), { platform });
+  console.log(format === 'json' ? JSON.stringify(inspection, null, 2) : formatInspection(inspection));
+}
+
+/**
+ * Load rule packs from the command line and the project config into a rules engine
+ */
+async function setupRules(rulesEngine, resolvedPath, { rulePacks, configPath, useConfig }) {
+  rulePacks.forEach(pack => rulesEngine.loadRulePack(pack));
+
+  const config = useConfig ? await loadConfig(resolvedPath, configPath) : null;
+  if (config) {
+    rulesEngine.configure(config);
   }
 
-  console.log('');
+  return rulesEngine;
+}
+
+/**
+ * Open a baseline file for a run. entriesFor() returns the entries of one Dockerfile, or null
+ * when the baseline does not exist yet or an update is requested: the run then records its
+ * findings with record(); save() writes the recorded entries once every Dockerfile has been analyzed
+ */
+async function openBaseline(baselinePath, update) {
+  const baseline = await readBaseline(baselinePath);
+  const files = baseline ? { ...baseline.files } : {};
+  const keyOf = resolvedPath => path.relative(path.dirname(baselinePath), resolvedPath).split(path.sep).join('/');
+  let recorded = null;
+
+  return {
+    entriesFor(resolvedPath) {
+      return baseline && !update ? files[keyOf(resolvedPath)] || [] : null;
+    },
+
+    record(resolvedPath, entries) {
+      files[keyOf(resolvedPath)] = entries;
+      recorded = (recorded || 0) + entries.length;
+    },
+
+    async save() {
+      if (recorded !== null) {
+        await writeBaseline(baselinePath, files);
+        console.error(chalk.gray(`Baseline written to ${baselinePath} (${recorded} findings)`));
+      }
+    }
+  };
 }
 
 /**
- * Print analysis results in JSON format
+ * Analyze one Dockerfile with its own config and baseline entries
  */
-function printJsonResults(results) {
-  console.log(JSON.stringify(results, null, 2));
+async function analyzeFile(dockerfilePath, { ruleOptions, baseline, contexts, buildArgs, catalog, analyzeOptions }) {
+  const resolvedPath = path.resolve(dockerfilePath);
+  const analyzer = new Analyzer(resolvedPath, { buildArgs, catalog });
+  await setupRules(analyzer.getCacheRules(), resolvedPath, ruleOptions);
+  await analyzer.load();
+
+  // Without baseline entries to compare against, the run records its own findings
+  const entries = baseline ? baseline.entriesFor(resolvedPath) : null;
+  const results = analyzer.analyze({
+    ...analyzeOptions,
+    context: contexts ? await contexts.load(resolvedPath) : null,
+    baseline: entries,
+    recordBaseline: Boolean(baseline) && !entries
+  });
+  if (results.baseline && results.baseline.entries) {
+    baseline.record(resolvedPath, results.baseline.entries);
+  }
+
+  return { path: dockerfilePath, source: analyzer.dockerfile, results };
+}
+
+/**
+ * Load build contexts on demand, once per context directory and ignore file
+ * (Dockerfiles with their own <Dockerfile>.dockerignore see a different set of files)
+ */
+function openContexts(dir) {
+  const loaded = new Map();
+
+  return {
+    async load(dockerfilePath) {
+      const dockerignorePath = await BuildContext.findDockerignore(dir, dockerfilePath);
+      const key = dockerignorePath || '';
+
+      if (!loaded.has(key)) {
+        loaded.set(key, BuildContext.load(dir, { dockerignorePath }));
+      }
+      return loaded.get(key);
+    }
+  };
+}
+
+/**
+ * Map items through an async function with at most limit calls in flight, keeping their order
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
 }
 
 /**
@@ -111,10 +309,32 @@ function printJsonResults(results) {
 async function main() {
   const args = process.argv.slice(2);
 
-  // Parse arguments
-  let dockerfilePath = null;
+  // Parse arguments (a bare path without a command means analyze)
+  const command = COMMANDS.includes(args[0]) ? args.shift() : 'analyze';
+  const inputs = [];
   let format = 'text';
   let estimateSizes = false;
+  let historyPath = null;
+  let imagePath = null;
+  let platform = null;
+  let contextDir = null;
+  let target = null;
+  const buildArgs = {};
+  let catalogPath = null;
+  let minSeverity = 'low';
+  let write = false;
+  let unsafe = false;
+  const rulePacks = [];
+  const reporterModules = [];
+  let configPath = null;
+  let useConfig = true;
+  let baselinePath = null;
+  let updateBaseline = false;
+  const changed = [];
+  let base = null;
+  let head = null;
+  let commits = 50;
+  let weight = 'size';
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -126,51 +346,239 @@ async function main() {
       format = args[++i];
     } else if (arg === '--estimate' || arg === '-e') {
       estimateSizes = true;
+    } else if (arg === '--context') {
+      contextDir = args[++i];
+    } else if (arg === '--target') {
+      target = args[++i];
+    } else if (arg === '--build-arg') {
+      // Like docker build: KEY=value, or KEY alone to take the value from the environment
+      const [key, ...value] = String(args[++i]).split('=');
+      if (value.length > 0) {
+        buildArgs[key] = value.join('=');
+      } else if (process.env[key] !== undefined) {
+        buildArgs[key] = process.env[key];
+      }
+    } else if (arg === '--catalog') {
+      catalogPath = args[++i];
+    } else if (arg === '--history') {
+      historyPath = args[++i];
+    } else if (arg === '--image') {
+      imagePath = args[++i];
+    } else if (arg === '--platform') {
+      platform = args[++i];
+    } else if (arg === '--severity') {
+      minSeverity = args[++i];
+    } else if (arg === '--write' || arg === '-w') {
+      write = true;
+    } else if (arg === '--unsafe') {
+      unsafe = true;
+    } else if (arg === '--rule-pack') {
+      rulePacks.push(args[++i]);
+    } else if (arg === '--reporter') {
+      reporterModules.push(args[++i]);
+    } else if (arg === '--config') {
+      configPath = args[++i];
+    } else if (arg === '--no-config') {
+      useConfig = false;
+    } else if (arg === '--baseline') {
+      baselinePath = args[++i];
+    } else if (arg === '--update-baseline') {
+      updateBaseline = true;
+    } else if (arg === '--changed') {
+      changed.push(args[++i]);
+    } else if (arg === '--base') {
+      base = args[++i];
+    } else if (arg === '--head') {
+      head = args[++i];
+    } else if (arg === '--commits') {
+      commits = Number(args[++i]);
+    } else if (arg === '--weight') {
+      weight = args[++i];
     } else if (!arg.startsWith('-')) {
-      dockerfilePath = arg;
+      inputs.push(arg);
     }
   }
 
   // Validate arguments
-  if (!dockerfilePath) {
-    console.error(chalk.red('Error: Dockerfile path required'));
+  if (inputs.length === 0) {
+    console.error(chalk.red(command === 'inspect' ? 'Error: Image tarball path required' : 'Error: Dockerfile path required'));
     printUsage();
     process.exit(1);
   }
 
-  if (format !== 'json' && format !== 'text') {
-    console.error(chalk.red('Error: Invalid format. Use "json" or "text"'));
+  const reporters = new ReporterRegistry();
+  try {
+    reporterModules.forEach(specifier => reporters.loadReporters(specifier));
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  // simulate, forecast, graph and inspect have their own formats, checked below
+  if (!['simulate', 'forecast', 'graph', 'inspect'].includes(command) && !reporters.get(format)) {
+    console.error(chalk.red(`Error: Invalid format. Use ${reporters.getNames().map(name => `"${name}"`).join(', ')}`));
+    process.exit(1);
+  }
+
+  if (!['high', 'medium', 'low'].includes(minSeverity)) {
+    console.error(chalk.red('Error: Invalid severity. Use "high", "medium" or "low"'));
+    process.exit(1);
+  }
+
+  if (command === 'graph' && !['text', 'dot', 'mermaid', 'json'].includes(format)) {
+    console.error(chalk.red('Error: graph supports the "dot", "mermaid" and "json" formats'));
+    process.exit(1);
+  }
+
+  if (['simulate', 'forecast', 'inspect'].includes(command) && !['text', 'json'].includes(format)) {
+    console.error(chalk.red(`Error: ${command} supports the "text" and "json" formats`));
+    process.exit(1);
+  }
+
+  if (command === 'forecast') {
+    if (!Number.isInteger(commits) || commits < 1) {
+      console.error(chalk.red('Error: --commits must be a positive integer'));
+      process.exit(1);
+    }
+    if (!['size', 'time'].includes(weight)) {
+      console.error(chalk.red('Error: Invalid weight. Use "size" or "time"'));
+      process.exit(1);
+    }
+  }
+
+  if (command === 'simulate') {
+    if ((changed.length > 0) === Boolean(base)) {
+      console.error(chalk.red('Error: simulate needs either --changed <file> or --base <rev>'));
+      process.exit(1);
+    }
+    if (head && !base) {
+      console.error(chalk.red('Error: --head requires --base <rev>'));
+      process.exit(1);
+    }
+  }
+
+  if (target && !['analyze', 'graph'].includes(command)) {
+    console.error(chalk.red('Error: --target applies to analyze and graph'));
+    process.exit(1);
+  }
+
+  if (catalogPath && !['analyze', 'fix'].includes(command)) {
+    console.error(chalk.red('Error: --catalog applies to analyze and fix'));
+    process.exit(1);
+  }
+
+  if (historyPath && imagePath) {
+    console.error(chalk.red('Error: Use either --history or --image'));
+    process.exit(1);
+  }
+
+  if (platform && command !== 'inspect' && !imagePath) {
+    console.error(chalk.red('Error: --platform applies to inspect and --image'));
+    process.exit(1);
+  }
+
+  if (updateBaseline && !baselinePath) {
+    console.error(chalk.red('Error: --update-baseline requires --baseline <file>'));
     process.exit(1);
   }
 
   try {
-    // Resolve path
-    const resolvedPath = path.resolve(dockerfilePath);
-
-    // Check if file exists
-    try {
-      await fs.access(resolvedPath);
-    } catch {
-      console.error(chalk.red(`Error: File not found: ${resolvedPath}`));
+    if (command === 'inspect') {
+      if (inputs.length > 1) {
+        console.error(chalk.red('Error: inspect needs a single image tarball'));
+        process.exit(1);
+      }
+      await runInspect(inputs[0], { format, platform });
+      process.exit(0);
+    }
+
+    const dockerfiles = await findDockerfiles(inputs);
+
+    if (dockerfiles.length === 0) {
+      console.error(chalk.red(`Error: No Dockerfiles found in ${inputs.join(', ')}`));
+      process.exit(1);
+    }
+
+    if ((historyPath || imagePath) && dockerfiles.length > 1) {
+      console.error(chalk.red(`Error: ${historyPath ? '--history' : '--image'} describes one image and needs a single Dockerfile`));
       process.exit(1);
     }
 
-    // Create analyzer and load Dockerfile
-    const analyzer = new Analyzer(resolvedPath);
-    await analyzer.load();
+    if (command === 'simulate') {
+      if (dockerfiles.length > 1) {
+        console.error(chalk.red('Error: simulate needs a single Dockerfile'));
+        process.exit(1);
+      }
+      await runSimulate(dockerfiles[0], { contextDir, changed, base, head, format, buildArgs });
+      process.exit(0);
+    }
 
-    // Run analysis
-    const results = analyzer.analyze({ estimateSizes });
+    if (command === 'graph') {
+      if (dockerfiles.length > 1) {
+        console.error(chalk.red('Error: graph needs a single Dockerfile'));
+        process.exit(1);
+      }
+      await runGraph(dockerfiles[0], { format, target, buildArgs });
+      process.exit(0);
+    }
+
+    if (command === 'forecast') {
+      if (dockerfiles.length > 1) {
+        console.error(chalk.red('Error: forecast needs a single Dockerfile'));
+        process.exit(1);
+      }
+      await runForecast(dockerfiles[0], { contextDir, commits, weight, format, buildArgs });
+      process.exit(0);
+    }
+
+    const ruleOptions = { rulePacks, configPath, useConfig };
+    const catalog = catalogPath ? await BaseImageCatalog.load(path.resolve(catalogPath)) : BaseImageCatalog.getDefault();
+
+    if (command === 'fix') {
+      for (const dockerfilePath of dockerfiles) {
+        const resolvedPath = path.resolve(dockerfilePath);
+        const rulesEngine = await setupRules(new CacheRulesEngine(), resolvedPath, ruleOptions);
+        await runFix(resolvedPath, dockerfilePath, { write, unsafe, rulesEngine, buildArgs, catalog });
+      }
+      process.exit(0);
+    }
+
+    const baseline = baselinePath ? await openBaseline(path.resolve(baselinePath), updateBaseline) : null;
+    const history = historyPath ? await fs.readFile(path.resolve(historyPath), 'utf-8') : null;
+    const image = imagePath ? await inspectImage(path.resolve(imagePath), { platform }) : null;
+    const contexts = contextDir ? openContexts(path.resolve(contextDir)) : null;
+
+    // The HTML report always charts estimated layer sizes
+    const analyzeOptions = { estimateSizes: estimateSizes || format === 'html', minSeverity, history, image, target };
+
+    // Analyze every Dockerfile; a failure in one does not stop the others
+    const outcomes = await mapConcurrent(dockerfiles, CONCURRENCY, async dockerfilePath => {
+      try {
+        return { report: await analyzeFile(dockerfilePath, { ruleOptions, baseline, contexts, buildArgs, catalog, analyzeOptions }) };
+      } catch (error) {
+        return { error: `${dockerfilePath}: ${error.message}` };
+      }
+    });
+
+    if (baseline) {
+      await baseline.save();
+    }
+
+    const reports = outcomes.filter(outcome => outcome.report).map(outcome => outcome.report);
+    const errors = outcomes.filter(outcome => outcome.error).map(outcome => outcome.error);
 
     // Output results
-    if (format === 'json') {
-      printJsonResults(results);
-    } else {
-      printTextResults(results, resolvedPath);
+    if (reports.length > 0) {
+      console.log(reporters.format(format, reports));
+    }
+    for (const error of errors) {
+      console.error(chalk.red(`Error: ${error}`));
     }
 
-    // Exit code based on high-severity issues
-    if (results.summary.issues.high > 0) {
+    // Exit code: errors first, then high-severity issues in any Dockerfile
+    if (errors.length > 0) {
+      process.exit(1);
+    } else if (reports.some(report => report.results.summary.issues.high > 0)) {
       process.exit(2);
     } else {
       process.exit(0);
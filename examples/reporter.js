@@ -0,0 +1,24 @@
+/**
+ * Example reporter
+ * Load it with: docker-layer-opt analyze Dockerfile --reporter ./examples/reporter.js --format compact
+ * Prints one "path:line:column: severity rule message" line per finding
+ */
+
+module.exports = {
+  name: 'compact',
+  description: 'One line per finding',
+  format(reports) {
+    const lines = [];
+
+    for (const { path, results } of reports) {
+      for (const finding of results.cacheIssues) {
+        for (const issue of finding.issues) {
+          const column = issue.range ? issue.range.start.column : 1;
+          lines.push(`${path}:${issue.lineNum}:${column}: ${finding.severity} ${finding.rule} ${issue.reason || finding.title}`);
+        }
+      }
+    }
+
+    return lines.join('\n');
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Example rule pack
+ * Load it with: docker-layer-opt analyze Dockerfile --rule-pack ./examples/rule-pack.js
+ * or list it under "rulePacks" in .dockerlayeroptrc and set the options there:
+ *   "rules": { "approved-registry": { "options": { "registries": ["registry.acme.dev/"] } } }
+ */
+
+module.exports = {
+  rules: [
+    {
+      id: 'approved-registry',
+      severity: 'high',
+      category: 'security',
+      title: 'Use approved base images',
+      description: 'Base images must come from an approved registry.',
+      recommendation: 'Pull base images from an approved registry',
+      defaultOptions: { registries: ['registry.example.com/'] },
+      check(parser, { options }) {
+        const stageNames = parser.getStages().filter(s => s.as).map(s => s.as.toLowerCase());
+
+        return parser.getInstructionsByType('FROM')
+          .filter(from => {
+            const image = from.operands.image || '';
+            return image !== 'scratch' && !stageNames.includes(image.toLowerCase()) &&
+              !options.registries.some(registry => image.startsWith(registry));
+          })
+          .map(from => ({
+            lineNum: from.lineNum,
+            instruction: from.raw,
+            reason: `${from.operands.reference} is not from an approved registry`
+          }));
+      }
+    },
+    {
+      id: 'required-labels',
+      severity: 'medium',
+      category: 'metadata',
+      title: 'Set mandatory labels',
+      description: 'Images must carry the labels required by the platform team.',
+      recommendation: 'Add the missing labels with LABEL',
+      defaultOptions: { labels: ['org.opencontainers.image.source', 'org.opencontainers.image.revision'] },
+      check(parser, { options }) {
+        const stages = parser.getStages();
+        const finalStage = stages[stages.length - 1];
+        if (!finalStage) {
+          return [];
+        }
+
+        const labels = finalStage.instructions
+          .filter(i => i.directive === 'LABEL')
+          .flatMap(i => i.operands.pairs.map(p => p.key));
+        const missing = options.labels.filter(l => !labels.includes(l));
+        if (missing.length === 0) {
+          return [];
+        }
+
+        const from = finalStage.instructions[0];
+        return [{
+          lineNum: from.lineNum,
+          instruction: from.raw,
+          reason: `Missing labels: ${missing.join(', ')}`
+        }];
+      }
+    }
+  ]
+};
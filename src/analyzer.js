@@ -1,18 +1,33 @@
 /**
  * Main Analyzer
- * Combines parser, layer analyzer, and cache rules
+ * The single analysis pipeline behind the CLI and the library API:
+ * combines parser, cache rules, layer analyzer and size estimator
  */
 
-const DockerfileParser = require('./dockerfile-parser');
-const LayerAnalyzer = require('./layer-analyzer');
-const CacheRulesEngine = require('./cache-rules');
+const { DockerfileParser } = require('./dockerfile-parser');
+const { LayerAnalyzer } = require('./layer-analyzer');
+const { CacheRulesEngine } = require('./cache-rules');
+const { SizeEstimator } = require('./size-estimator');
+const { BaseImageCatalog } = require('./base-image-catalog');
+const { parseSuppressions, applySuppressions } = require('./suppressions');
+const { createBaselineEntries, applyBaseline } = require('./baseline');
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
 
 class Analyzer {
-  constructor(dockerfilePath) {
+  /**
+   * @param {string} dockerfilePath
+   * @param {Object} options - buildArgs (--build-arg values by name, used to resolve variables),
+   * catalog (the BaseImageCatalog for base image sizes, variants and package managers)
+   */
+  constructor(dockerfilePath, { buildArgs = {}, catalog = BaseImageCatalog.getDefault() } = {}) {
     this.dockerfilePath = dockerfilePath;
+    this.buildArgs = buildArgs;
+    this.catalog = catalog;
     this.dockerfile = null;
     this.parser = null;
     this.layerAnalyzer = new LayerAnalyzer();
+    this.sizeEstimator = new SizeEstimator(this.layerAnalyzer, { catalog });
     this.cacheRules = new CacheRulesEngine();
   }
 
@@ -25,7 +40,7 @@ class Analyzer {
     try {
       const content = await fs.readFile(this.dockerfilePath, 'utf-8');
       this.dockerfile = content;
-      this.parser = new DockerfileParser(content);
+      this.parser = new DockerfileParser(content, { buildArgs: this.buildArgs });
       return true;
     } catch (error) {
       throw new Error(`Failed to load Dockerfile: ${error.message}`);
@@ -37,52 +52,155 @@ class Analyzer {
    */
   parse(content) {
     this.dockerfile = content;
-    this.parser = new DockerfileParser(content);
+    this.parser = new DockerfileParser(content, { buildArgs: this.buildArgs });
     return this;
   }
 
   /**
    * Analyze the Dockerfile
+   * Options: estimateSizes (include size estimates), minSeverity (drop less severe issues),
+   * baseline (baseline entries for this Dockerfile; only findings not in it are reported),
+   * recordBaseline (record the findings of this run as its baseline, in results.baseline.entries),
+   * history (`docker history` output of the built image, for real layer sizes),
+   * image (the built image inspected from its tarball with inspectImage, for real layer sizes),
+   * context (a loaded BuildContext; rules then see which files COPY/ADD would send),
+   * target (a stage name: only the stages it needs are analyzed and sized, as with docker build --target)
    */
   analyze(options = {}) {
     if (!this.parser) {
       throw new Error('Dockerfile not loaded. Call load() or parse() first.');
     }
 
+    const parser = options.target ? this.parser.forTarget(options.target) : this.parser;
+
     const results = {
       summary: {
         totalInstructions: 0,
         stages: 0,
         isMultiStage: false,
-        issues: { high: 0, medium: 0, low: 0 }
+        issues: { high: 0, medium: 0, low: 0 },
+        suppressed: 0
       },
       structure: null,
+      stages: null,
+      rules: null,
       cacheIssues: null,
-      layerEstimate: null
+      suppressedIssues: null,
+      unusedSuppressions: null,
+      baseline: null,
+      layerEstimate: null,
+      sizeEstimate: null,
+      layerAnalysis: null,
+      context: null,
+      target: null
     };
 
     // Analyze structure
-    results.structure = this.parser.analyzeLayers();
+    results.structure = parser.analyzeLayers();
     results.summary.totalInstructions = results.structure.totalInstructions;
     results.summary.stages = results.structure.stages;
-    results.summary.isMultiStage = this.parser.isMultiStage();
+    results.summary.isMultiStage = parser.isMultiStage();
+    results.stages = this.describeStages(parser);
+
+    if (options.target) {
+      const analyzed = new Set(parser.getStages());
+      results.target = {
+        name: options.target,
+        stages: parser.getStages().map(stage => stage.name),
+        skipped: this.parser.getStages().filter(stage => !analyzed.has(stage)).map(stage => stage.name)
+      };
+    }
+
+    // Rules that were checked, so reports can list the ones that passed
+    results.rules = this.cacheRules.getEnabledRules().map(rule => ({
+      id: rule.id,
+      severity: rule.severity,
+      category: rule.category,
+      title: rule.title,
+      description: rule.description,
+      recommendation: rule.recommendation,
+      docsUrl: rule.docsUrl,
+      fixable: rule.fixable
+    }));
+
+    // Run cache rules, then set aside findings silenced by # dlo-disable comments
+    const { active, suppressed, unused } = applySuppressions(
+      this.cacheRules.analyze(parser, { context: options.context || null, catalog: this.catalog }),
+      parseSuppressions(parser)
+    );
+    results.cacheIssues = active;
+    results.suppressedIssues = suppressed;
+    results.unusedSuppressions = unused;
+    results.summary.suppressed = suppressed.reduce((sum, r) => sum + r.issues.length, 0);
+
+    // Set aside findings already recorded in the baseline; a recorded baseline holds them all
+    if (options.baseline || options.recordBaseline) {
+      const entries = options.recordBaseline ? createBaselineEntries(results.cacheIssues) : options.baseline;
+      const { fresh, known, fixed } = applyBaseline(results.cacheIssues, entries);
+      results.cacheIssues = fresh;
+      results.baseline = options.recordBaseline ? { known, fixed, entries } : { known, fixed };
+    }
 
-    // Run cache rules
-    results.cacheIssues = this.cacheRules.analyze(this.parser);
+    if (options.minSeverity) {
+      const threshold = SEVERITY_ORDER[options.minSeverity];
+      if (threshold === undefined) {
+        throw new Error(`Invalid severity: ${options.minSeverity}. Use high, medium or low`);
+      }
+      results.cacheIssues = results.cacheIssues.filter(i => SEVERITY_ORDER[i.severity] <= threshold);
+    }
 
     // Count issues by severity
     for (const issue of results.cacheIssues) {
       results.summary.issues[issue.severity]++;
     }
 
-    // Estimate layer sizes
+    // Estimate layer sizes (COPY/ADD are measured when the build context is known)
     if (options.estimateSizes) {
-      results.layerEstimate = this.layerAnalyzer.estimateFromDockerfile(this.parser);
+      const context = options.context || null;
+      results.layerEstimate = this.layerAnalyzer.estimateFromDockerfile(parser, { context });
+      results.sizeEstimate = this.sizeEstimator.estimate(parser, { context });
+    }
+
+    if (options.context) {
+      results.context = options.context.describe();
+    }
+
+    // Real layer sizes of the built image
+    if (options.history) {
+      results.layerAnalysis = this.analyzeFromHistory(options.history);
+    } else if (options.image) {
+      results.layerAnalysis = this.analyzeFromImage(options.image);
     }
 
     return results;
   }
 
+  /**
+   * Describe each build stage: its base, source lines, instructions and the stages it depends on
+   */
+  describeStages(parser = this.parser) {
+    const dependencies = parser.getStageDependencies();
+
+    return parser.getStages().map((stage, index) => {
+      const last = stage.instructions[stage.instructions.length - 1];
+
+      return {
+        index,
+        name: stage.name,
+        base: stage.from,
+        lineNum: stage.instructions[0].lineNum,
+        endLineNum: last.endLineNum,
+        instructions: stage.instructions.map(i => ({
+          lineNum: i.lineNum,
+          endLineNum: i.endLineNum,
+          directive: i.directive,
+          instruction: i.raw
+        })),
+        dependsOn: dependencies[index]
+      };
+    });
+  }
+
   /**
    * Analyze from Docker history output
    */
@@ -91,6 +209,14 @@ class Analyzer {
     return this.layerAnalyzer.analyze();
   }
 
+  /**
+   * Analyze from an image tarball inspected with inspectImage
+   */
+  analyzeFromImage(inspection) {
+    this.layerAnalyzer.loadImage(inspection);
+    return this.layerAnalyzer.analyze();
+  }
+
   /**
    * Generate optimization suggestions
    */
@@ -103,10 +229,7 @@ class Analyzer {
     const suggestions = [];
 
     // Sort issues by severity
-    const sortedIssues = [...results.cacheIssues].sort((a, b) => {
-      const severityOrder = { high: 0, medium: 1, low: 2 };
-      return severityOrder[a.severity] - severityOrder[b.severity];
-    });
+    const sortedIssues = [...results.cacheIssues].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
 
     for (const issue of sortedIssues) {
       suggestions.push({
@@ -128,6 +251,20 @@ class Analyzer {
     return this.parser;
   }
 
+  /**
+   * Get size estimator instance
+   */
+  getSizeEstimator() {
+    return this.sizeEstimator;
+  }
+
+  /**
+   * Get the rules engine, e.g. to register rules or load rule packs
+   */
+  getCacheRules() {
+    return this.cacheRules;
+  }
+
   /**
    * Get layer analyzer instance
    */
@@ -136,4 +273,4 @@ class Analyzer {
   }
 }
 
-module.exports = Analyzer;
+module.exports = { Analyzer };
@@ -0,0 +1,222 @@
+/**
+ * Base Image Catalog
+ * Offline data on base images: compressed and uncompressed size per tag and architecture, OS
+ * family, package manager and whether the image has a shell. The built-in catalog ships as
+ * data/base-images.json; a user catalog (e.g. of an internal registry) takes precedence over it
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp } = require('./glob');
+const { PACKAGE_MANAGERS } = require('./shell-analyzer');
+
+const CATALOG_VERSION = 1;
+const DEFAULT_CATALOG = path.join(__dirname, '..', 'data', 'base-images.json');
+const DEFAULT_ARCH = 'amd64';
+const MB = 1024 * 1024;
+
+let defaultCatalog = null;
+
+class BaseImageCatalog {
+  /**
+   * @param {Object} data - a parsed catalog file: { version, updated, images: { name: [entry] } }
+   * @param {Object} options - fallback (a catalog to consult for images this one does not list)
+   */
+  constructor(data, { fallback = null } = {}) {
+    validate(data);
+
+    this.version = data.version;
+    this.updated = data.updated || null;
+    this.fallback = fallback;
+    this.images = new Map(Object.entries(data.images).map(([name, entries]) => [
+      normalizeName(name),
+      entries.map(entry => ({
+        ...entry,
+        patterns: entry.tags.map(tag => globToRegExp(tag)),
+        replacePatterns: (entry.replaces || []).map(reference => globToRegExp(reference))
+      }))
+    ]));
+  }
+
+  /**
+   * Get the built-in catalog
+   */
+  static getDefault() {
+    if (!defaultCatalog) {
+      defaultCatalog = new BaseImageCatalog(require(DEFAULT_CATALOG));
+    }
+    return defaultCatalog;
+  }
+
+  /**
+   * Load a user catalog file; images it does not list are looked up in the fallback
+   * (the built-in catalog unless told otherwise)
+   */
+  static async load(filePath, { fallback = BaseImageCatalog.getDefault() } = {}) {
+    try {
+      return new BaseImageCatalog(JSON.parse(await fs.readFile(filePath, 'utf-8')), { fallback });
+    } catch (error) {
+      throw new Error(`Invalid base image catalog ${filePath}: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  /**
+   * Look up an image reference (e.g. node:20-alpine, nginx@sha256:...) for a platform such as
+   * linux/arm64; a digest matches the entry listing it, or else the tag of the reference when it
+   * has one. Returns { reference, image, tag, variant, os, packageManager, shell, caveats,
+   * arch, compressedSize, uncompressedSize } with sizes in bytes, or null for unknown images
+   */
+  lookup(reference, { platform = null } = {}) {
+    const { image, tag, tagged, digest } = parseReference(reference);
+    const entries = this.images.get(image);
+
+    if (!entries) {
+      return this.fallback ? this.fallback.lookup(reference, { platform }) : null;
+    }
+
+    // A reference pinned by digest alone is not guessed at from the latest tag
+    const entry = (digest && entries.find(e => (e.digests || []).includes(digest))) ||
+      ((!digest || tagged) && entries.find(e => e.patterns.some(pattern => pattern.test(tag))));
+
+    if (!entry) {
+      return this.fallback ? this.fallback.lookup(reference, { platform }) : null;
+    }
+    return describe(entry, { reference, image, tag, arch: getArch(platform) });
+  }
+
+  /**
+   * Get every variant the catalog lists for an image (by name, or by a reference of it),
+   * described like lookup() results with the first tag pattern as tag
+   */
+  getVariants(reference, { platform = null } = {}) {
+    const { image } = parseReference(reference);
+    const entries = this.images.get(image);
+
+    if (!entries) {
+      return this.fallback ? this.fallback.getVariants(reference, { platform }) : [];
+    }
+
+    return entries.map(entry => describe(entry, { reference: image, image, tag: entry.tags[0], arch: getArch(platform) }));
+  }
+
+  /**
+   * Get the images of other names whose entries say they replace a reference (e.g. a distroless
+   * runtime for node:20), described like lookup() results; this catalog's come first
+   */
+  getReplacements(reference, { platform = null } = {}) {
+    const { image, tag } = parseReference(reference);
+    const replacements = [];
+
+    for (const [name, entries] of this.images) {
+      const entry = entries.find(e => e.replacePatterns.some(pattern => pattern.test(`${image}:${tag}`)));
+      if (entry && name !== image) {
+        replacements.push(describe(entry, { reference: name, image: name, tag: 'latest', arch: getArch(platform) }));
+      }
+    }
+
+    const fallback = this.fallback ? this.fallback.getReplacements(reference, { platform }) : [];
+    return [...replacements, ...fallback.filter(f => !replacements.some(r => r.image === f.image))];
+  }
+}
+
+/**
+ * Check the shape of a catalog file
+ */
+function validate(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Expected a JSON object');
+  }
+  if (data.version !== CATALOG_VERSION) {
+    throw new Error(`Unsupported catalog version ${data.version} (expected ${CATALOG_VERSION})`);
+  }
+  if (!data.images || typeof data.images !== 'object') {
+    throw new Error('Missing "images"');
+  }
+
+  for (const [name, entries] of Object.entries(data.images)) {
+    if (!Array.isArray(entries) || entries.some(entry => !Array.isArray(entry.tags) || !entry.sizes)) {
+      throw new Error(`Image ${name} needs a list of entries with "tags" and "sizes"`);
+    }
+    if (entries.some(entry => entry.replaces !== undefined && !Array.isArray(entry.replaces))) {
+      throw new Error(`Image ${name}: "replaces" must be a list of references`);
+    }
+    if (entries.some(entry => entry.digests !== undefined && !Array.isArray(entry.digests))) {
+      throw new Error(`Image ${name}: "digests" must be a list of sha256:... digests`);
+    }
+  }
+}
+
+/**
+ * Describe a catalog entry for one architecture; without sizes for it, the first listed is used
+ */
+function describe(entry, { reference, image, tag, arch }) {
+  const sizeArch = entry.sizes[arch] ? arch : Object.keys(entry.sizes)[0];
+  const sizes = entry.sizes[sizeArch] || {};
+
+  return {
+    reference,
+    image,
+    tag,
+    variant: entry.variant || 'default',
+    os: entry.os || null,
+    packageManager: entry.packageManager || null,
+    shell: entry.shell !== false,
+    caveats: entry.caveats || [],
+    arch: sizeArch || arch,
+    compressedSize: Math.round((sizes.compressed || 0) * MB),
+    uncompressedSize: Math.round((sizes.uncompressed || 0) * MB)
+  };
+}
+
+/**
+ * Split a reference into a normalized image name, a tag (latest by default; tagged says whether
+ * the reference names one) and a digest
+ */
+function parseReference(reference) {
+  let name = reference.toLowerCase();
+  let digest = null;
+  let tag = 'latest';
+  let tagged = false;
+
+  const at = name.indexOf('@');
+  if (at !== -1) {
+    digest = name.slice(at + 1);
+    name = name.slice(0, at);
+  }
+
+  const colon = name.lastIndexOf(':');
+  if (colon > name.lastIndexOf('/')) {
+    tag = name.slice(colon + 1);
+    tagged = true;
+    name = name.slice(0, colon);
+  }
+
+  return { image: normalizeName(name), tag, tagged, digest };
+}
+
+/**
+ * Drop the implicit Docker Hub registry and library/ namespace from an image name
+ */
+function normalizeName(name) {
+  return name.toLowerCase()
+    .replace(/^(?:docker\.io|index\.docker\.io|registry-1\.docker\.io)\//, '')
+    .replace(/^library\//, '');
+}
+
+/**
+ * Get the architecture of a platform such as linux/arm64/v8 (amd64 when not known)
+ */
+function getArch(platform) {
+  const arch = platform && !platform.includes('$') ? platform.split('/')[1] : null;
+  return arch || DEFAULT_ARCH;
+}
+
+/**
+ * Get the package manager family (apt, yum, apk) a package manager executable belongs to
+ */
+function getPackageManagerFamily(packageManager) {
+  const family = Object.entries(PACKAGE_MANAGERS).find(([, definition]) => definition.executables.includes(packageManager));
+  return family ? family[0] : packageManager;
+}
+
+module.exports = { BaseImageCatalog, getPackageManagerFamily };
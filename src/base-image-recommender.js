@@ -0,0 +1,198 @@
+/**
+ * Base Image Recommender
+ * Proposes concrete smaller replacements for the base image of each FROM (node:20 → node:20-slim,
+ * node:20-alpine, gcr.io/distroless/nodejs20-debian12) from the base image catalog, with the
+ * estimated savings and what could break, judged from the instructions that run on the image
+ */
+
+const { BaseImageCatalog, getPackageManagerFamily } = require('./base-image-catalog');
+const { formatBytes } = require('./layer-analyzer');
+const { SYSTEM_PACKAGE_MANAGERS } = require('./shell-analyzer');
+
+const DEPENDENCY_MANAGERS = ['npm', 'yarn', 'pnpm', 'pip', 'gem'];
+
+// Tag parts that name a variant or distribution release rather than a version
+const RELEASE_NAMES = ['latest', 'jdk', 'bookworm', 'bullseye', 'buster', 'trixie', 'focal', 'jammy', 'noble'];
+
+class BaseImageRecommender {
+  /**
+   * @param {BaseImageCatalog} catalog
+   */
+  constructor(catalog = BaseImageCatalog.getDefault()) {
+    this.catalog = catalog;
+  }
+
+  /**
+   * Recommend replacements for the base image of every FROM that names an image
+   * Returns [{ stage, lineNum, reference, shipped, current, alternatives }], where current is the
+   * catalog entry of the base image and alternatives are [{ reference, variant, os, shell,
+   * packageManager, savings, compressedSavings, formattedSavings, caveats }], largest savings first.
+   * Stages that are not shipped (builders) only get alternatives with a shell
+   */
+  recommend(parser) {
+    const graph = parser.getStageGraph();
+    const stages = parser.getStages();
+    const shipped = new Set(graph.getImageStages());
+    const recommendations = [];
+
+    stages.forEach((stage, index) => {
+      const from = stage.instructions[0];
+      const { reference, platform } = from.resolved.operands;
+      if (graph.getStageChain(index).length > 1 || !reference || from.resolved.unresolved.length > 0) {
+        return;
+      }
+
+      const current = this.catalog.lookup(reference, { platform });
+      if (!current) {
+        return;
+      }
+
+      // Everything that runs on the image: this stage and the stages built on it
+      const instructions = stages
+        .filter((s, i) => graph.getStageChain(i).includes(index))
+        .flatMap(s => s.instructions.slice(1));
+
+      recommendations.push({
+        stage: stage.name,
+        lineNum: from.lineNum,
+        reference,
+        shipped: shipped.has(index),
+        current,
+        alternatives: this.findAlternatives(current, { platform })
+          .filter(alternative => alternative.shell || shipped.has(index))
+          .map(alternative => describeAlternative(current, alternative, describeUsage(instructions)))
+          .sort((a, b) => b.savings - a.savings)
+      });
+    });
+
+    return recommendations;
+  }
+
+  /**
+   * Get the smaller variants of an image and the smaller images that replace it, as catalog
+   * entries with a concrete reference
+   */
+  findAlternatives(current, { platform = null } = {}) {
+    const alternatives = [];
+
+    for (const variant of this.catalog.getVariants(current.image, { platform })) {
+      if (variant.variant === current.variant || variant.uncompressedSize >= current.uncompressedSize) {
+        continue;
+      }
+
+      // Only offer a tag that really resolves to the variant (a pattern can be shadowed)
+      const reference = `${current.image}:${getVariantTag(current, variant)}`;
+      const resolved = this.catalog.lookup(reference, { platform });
+      if (resolved && resolved.variant === variant.variant) {
+        alternatives.push(resolved);
+      }
+    }
+
+    for (const replacement of this.catalog.getReplacements(current.reference, { platform })) {
+      if (replacement.uncompressedSize < current.uncompressedSize) {
+        alternatives.push({ ...replacement, reference: replacement.image });
+      }
+    }
+
+    return alternatives;
+  }
+}
+
+/**
+ * Build the tag of another variant of the same version: 20-bookworm-slim → 20-alpine
+ */
+function getVariantTag(current, variant) {
+  const currentWords = current.variant === 'default' ? [] : current.variant.split('-');
+  const version = current.tag.split('-')
+    .filter(part => !RELEASE_NAMES.includes(part) && !currentWords.some(word => part.startsWith(word)))
+    .join('-');
+  const tag = [version, ...getTagWords(variant.tag)].filter(Boolean).join('-');
+
+  return tag || 'latest';
+}
+
+/**
+ * Get the words of a tag pattern such as *jre*alpine* (jre, alpine)
+ */
+function getTagWords(pattern) {
+  return pattern.split(/[*?-]+/).filter(Boolean);
+}
+
+/**
+ * Collect what the instructions running on a base image need from it
+ */
+function describeUsage(instructions) {
+  const runs = instructions.filter(i => i.directive === 'RUN');
+  const hasShellInstruction = instructions.some(i => i.directive === 'SHELL');
+
+  return {
+    shellCommands: hasShellInstruction ? [] : instructions.filter(i => i.command && i.command.form === 'shell' && i.directive !== 'SHELL'),
+    systemInstalls: runs.flatMap(run => run.command.shell.findCommands(c => SYSTEM_PACKAGE_MANAGERS.includes(c.manager))
+      .map(command => ({ command, lineNum: run.lineNum }))),
+    dependencyInstalls: runs.filter(run => run.command.shell.getPackageInstalls(DEPENDENCY_MANAGERS).length > 0)
+  };
+}
+
+/**
+ * Describe an alternative with its savings and the caveats of switching to it
+ */
+function describeAlternative(current, alternative, usage) {
+  const savings = current.uncompressedSize - alternative.uncompressedSize;
+  const caveats = [];
+
+  if (!alternative.shell && usage.shellCommands.length > 0) {
+    caveats.push(`No shell for ${describeInstructions(usage.shellCommands)}: use the exec form, or move RUN steps to a builder stage`);
+  }
+
+  const [install] = usage.systemInstalls;
+  if (install && alternative.shell) {
+    if (!alternative.packageManager) {
+      caveats.push(`No package manager for ${install.command.name} at line ${install.lineNum}`);
+    } else if (getPackageManagerFamily(alternative.packageManager) !== install.command.manager) {
+      caveats.push(`Uses ${alternative.packageManager} instead of ${install.command.name} (line ${install.lineNum}); package names may differ`);
+    }
+  }
+
+  if (alternative.os === 'alpine' && current.os !== 'alpine') {
+    caveats.push('musl instead of glibc: prebuilt glibc binaries do not run, and DNS resolution and locales behave differently');
+    if (usage.dependencyInstalls.length > 0) {
+      caveats.push(`Native modules installed at ${describeLines(usage.dependencyInstalls)} are built against musl and need python3, make and g++ to compile`);
+    }
+  } else if (alternative.shell && current.variant === 'default' && usage.dependencyInstalls.length > 0) {
+    caveats.push(`No compilers: native modules installed at ${describeLines(usage.dependencyInstalls)} need build tools installed first`);
+  }
+
+  return {
+    reference: alternative.reference,
+    variant: alternative.variant,
+    os: alternative.os,
+    shell: alternative.shell,
+    packageManager: alternative.packageManager,
+    savings,
+    compressedSavings: current.compressedSize - alternative.compressedSize,
+    formattedSavings: formatBytes(savings),
+    caveats: [...caveats, ...alternative.caveats]
+  };
+}
+
+/**
+ * Name instructions by directive and line: RUN at lines 3, 5 and CMD at line 9
+ */
+function describeInstructions(instructions) {
+  const byDirective = new Map();
+  for (const instruction of instructions) {
+    byDirective.set(instruction.directive, [...(byDirective.get(instruction.directive) || []), instruction]);
+  }
+
+  return [...byDirective].map(([directive, list]) => `${directive} at ${describeLines(list)}`).join(' and ');
+}
+
+/**
+ * Describe the lines of instructions: line 3, lines 3, 5
+ */
+function describeLines(instructions) {
+  const lines = instructions.map(i => i.lineNum);
+  return `${lines.length === 1 ? 'line' : 'lines'} ${lines.join(', ')}`;
+}
+
+module.exports = { BaseImageRecommender };
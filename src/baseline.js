@@ -0,0 +1,137 @@
+/**
+ * Baseline
+ * Records known findings so only new ones are reported. Findings are
+ * fingerprinted by rule and normalized instruction text, not line number,
+ * so unrelated edits that shift lines do not resurface them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Normalize instruction text: drop line continuations and collapse whitespace
+ */
+function normalizeInstruction(text) {
+  return text
+    .replace(/[\\`][ \t]*\r?\n/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Fingerprint a finding from its rule and instruction text
+ */
+function fingerprint(rule, instruction) {
+  return crypto.createHash('sha256')
+    .update(`${rule}\n${normalizeInstruction(instruction)}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Build baseline entries for the findings of one Dockerfile
+ * Identical findings (same rule and text) are counted rather than repeated
+ */
+function createBaselineEntries(results) {
+  const entries = new Map();
+
+  for (const result of results) {
+    for (const issue of result.issues) {
+      const key = fingerprint(result.rule, issue.instruction);
+      const entry = entries.get(key) ||
+        { fingerprint: key, rule: result.rule, instruction: normalizeInstruction(issue.instruction), count: 0 };
+      entry.count++;
+      entries.set(key, entry);
+    }
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * Split findings into new and known ones, and list baseline entries that no longer occur
+ * Returns { fresh, known } in the rule result shape and fixed: [{ rule, instruction, count }]
+ */
+function applyBaseline(results, entries) {
+  const remaining = new Map(entries.map(e => [e.fingerprint, e.count]));
+  const fresh = [];
+  const known = [];
+
+  for (const result of results) {
+    const newIssues = [];
+    const knownIssues = [];
+
+    for (const issue of result.issues) {
+      const key = fingerprint(result.rule, issue.instruction);
+      if (remaining.get(key) > 0) {
+        remaining.set(key, remaining.get(key) - 1);
+        knownIssues.push(issue);
+      } else {
+        newIssues.push(issue);
+      }
+    }
+
+    if (newIssues.length > 0) {
+      fresh.push({ ...result, issues: newIssues });
+    }
+    if (knownIssues.length > 0) {
+      known.push({ ...result, issues: knownIssues });
+    }
+  }
+
+  const fixed = entries
+    .filter(e => remaining.get(e.fingerprint) > 0)
+    .map(e => ({ rule: e.rule, instruction: e.instruction, count: remaining.get(e.fingerprint) }));
+
+  return { fresh, known, fixed };
+}
+
+/**
+ * Read a baseline file; returns null when it does not exist
+ * The file maps Dockerfile paths (relative to the baseline) to their entries
+ */
+async function readBaseline(filepath) {
+  let content;
+
+  try {
+    content = await fs.readFile(filepath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid baseline file ${filepath}: ${error.message}`);
+  }
+
+  if (baseline.version !== BASELINE_VERSION || typeof baseline.files !== 'object' || baseline.files === null) {
+    throw new Error(`Invalid baseline file ${filepath}: unsupported format`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Write a baseline file from per-Dockerfile entries: { [path]: entries }
+ */
+async function writeBaseline(filepath, files) {
+  const baseline = { version: BASELINE_VERSION, files };
+  await fs.writeFile(filepath, JSON.stringify(baseline, null, 2) + '\n', 'utf-8');
+  return baseline;
+}
+
+module.exports = {
+  normalizeInstruction,
+  fingerprint,
+  createBaselineEntries,
+  applyBaseline,
+  readBaseline,
+  writeBaseline
+};
@@ -0,0 +1,260 @@
+/**
+ * Build Context
+ * The files a build can copy: the context directory minus what .dockerignore excludes
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { formatBytes } = require('./layer-analyzer');
+const { globToRegExp } = require('./glob');
+const {
+  cleanPattern,
+  parseDockerignore,
+  isExcluded,
+  matchesOrParentMatches,
+  dockerignoreCandidates
+} = require('./dockerignore');
+
+/**
+ * Directories that are rarely needed inside an image, by name
+ */
+const UNNEEDED_DIRECTORIES = {
+  '.git': 'version control',
+  '.hg': 'version control',
+  '.svn': 'version control',
+  node_modules: 'installed dependencies',
+  bower_components: 'installed dependencies',
+  '.venv': 'installed dependencies',
+  venv: 'installed dependencies',
+  __pycache__: 'caches',
+  '.pytest_cache': 'caches',
+  '.mypy_cache': 'caches',
+  '.tox': 'caches',
+  coverage: 'test output',
+  '.nyc_output': 'test output',
+  fixtures: 'test fixtures',
+  __fixtures__: 'test fixtures',
+  testdata: 'test fixtures',
+  __snapshots__: 'test fixtures',
+  '.idea': 'editor settings',
+  '.vscode': 'editor settings'
+};
+
+/**
+ * Files that are rarely needed inside an image, by name
+ */
+const UNNEEDED_FILES = [
+  { test: name => /^\.env(?:\..+)?$/.test(name) && !/\.(?:example|sample|template|dist)$/.test(name), category: 'local env files' },
+  { test: name => name.endsWith('.log'), category: 'logs' },
+  { test: name => name === '.DS_Store' || name === 'Thumbs.db', category: 'OS metadata' }
+];
+
+class BuildContext {
+  /**
+   * @param {string} dir - absolute context directory
+   * @param {Array} files - files sent to the builder: [{ path (relative, forward slashes), size }]
+   * @param {string|null} dockerignorePath - the ignore file that was applied
+   */
+  constructor(dir, files, dockerignorePath = null) {
+    this.dir = dir;
+    this.files = files;
+    this.dockerignorePath = dockerignorePath;
+  }
+
+  /**
+   * Find the ignore file that applies to a build: <Dockerfile>.dockerignore, then .dockerignore
+   */
+  static async findDockerignore(dir, dockerfilePath = null) {
+    for (const candidate of dockerignoreCandidates(dir, dockerfilePath)) {
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Try the next candidate
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a build context from disk
+   * Options: dockerfilePath (to find <Dockerfile>.dockerignore), dockerignorePath (skip the lookup)
+   */
+  static async load(dir, options = {}) {
+    const root = path.resolve(dir);
+
+    let stats;
+    try {
+      stats = await fs.stat(root);
+    } catch {
+      throw new Error(`Build context not found: ${root}`);
+    }
+    if (!stats.isDirectory()) {
+      throw new Error(`Build context is not a directory: ${root}`);
+    }
+
+    const dockerignorePath = options.dockerignorePath !== undefined
+      ? options.dockerignorePath
+      : await BuildContext.findDockerignore(root, options.dockerfilePath);
+    const rules = dockerignorePath ? parseDockerignore(await fs.readFile(dockerignorePath, 'utf-8')) : [];
+    const files = [];
+
+    await walk(root, '', rules, files);
+    files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+    return new BuildContext(root, files, dockerignorePath);
+  }
+
+  /**
+   * Get the files sent to the builder
+   */
+  getFiles() {
+    return this.files;
+  }
+
+  /**
+   * Get the total size of the files sent to the builder
+   */
+  getTotalSize(files = this.files) {
+    return files.reduce((sum, file) => sum + file.size, 0);
+  }
+
+  /**
+   * Get the files a COPY/ADD source selects: the matching paths and everything below matching directories
+   */
+  filesFor(source) {
+    const pattern = cleanPattern(source);
+    if (pattern === '') {
+      return this.files;
+    }
+
+    const regex = globToRegExp(pattern);
+    return this.files.filter(file => matchesOrParentMatches(regex, file.path));
+  }
+
+  /**
+   * Get the files of several COPY/ADD sources, each file once
+   * Remote sources (URLs, git repositories) and heredocs are not in the context and are skipped
+   */
+  filesForSources(sources) {
+    const files = new Set();
+
+    for (const source of sources.filter(isLocalSource)) {
+      this.filesFor(source).forEach(file => files.add(file));
+    }
+
+    return [...files];
+  }
+
+  /**
+   * Measure the files of COPY/ADD sources: { files (count), size }, or null without local sources
+   */
+  measure(sources) {
+    if (!sources.some(isLocalSource)) {
+      return null;
+    }
+
+    const files = this.filesForSources(sources);
+    return { files: files.length, size: this.getTotalSize(files) };
+  }
+
+  /**
+   * Group files that are rarely needed in an image (VCS data, installed dependencies, test
+   * fixtures, local env files, ...) by directory or file, largest first:
+   * [{ path, category, files, size, formattedSize }]
+   */
+  findUnneeded(files = this.files) {
+    const groups = new Map();
+
+    for (const file of files) {
+      const match = classifyUnneeded(file.path);
+      if (!match) {
+        continue;
+      }
+
+      const group = groups.get(match.path) || { path: match.path, category: match.category, files: 0, size: 0 };
+      group.files++;
+      group.size += file.size;
+      groups.set(match.path, group);
+    }
+
+    return [...groups.values()]
+      .map(group => ({ ...group, formattedSize: formatBytes(group.size) }))
+      .sort((a, b) => b.size - a.size || (a.path < b.path ? -1 : 1));
+  }
+
+  /**
+   * Summarize the context for analysis results
+   */
+  describe() {
+    const size = this.getTotalSize();
+    const unneeded = this.findUnneeded();
+    const unneededSize = unneeded.reduce((sum, group) => sum + group.size, 0);
+
+    return {
+      dir: this.dir,
+      dockerignore: this.dockerignorePath,
+      files: this.files.length,
+      size,
+      formattedSize: formatBytes(size),
+      unneeded,
+      unneededSize,
+      formattedUnneededSize: formatBytes(unneededSize)
+    };
+  }
+}
+
+/**
+ * Check whether a COPY/ADD source is read from the build context
+ */
+function isLocalSource(source) {
+  return !/^[a-z][a-z0-9+.-]*:\/\//i.test(source) && !/^git@/.test(source) && !source.startsWith('<<');
+}
+
+/**
+ * Classify a context-relative path as rarely needed: { path of the group, category } or null
+ */
+function classifyUnneeded(relativePath) {
+  const segments = relativePath.split('/');
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (Object.prototype.hasOwnProperty.call(UNNEEDED_DIRECTORIES, segments[i])) {
+      return { path: `${segments.slice(0, i + 1).join('/')}/`, category: UNNEEDED_DIRECTORIES[segments[i]] };
+    }
+  }
+
+  const name = segments[segments.length - 1];
+  const file = UNNEEDED_FILES.find(f => f.test(name));
+  return file ? { path: relativePath, category: file.category } : null;
+}
+
+/**
+ * Collect the files below a directory that are not excluded
+ * Excluded directories are skipped unless a "!" pattern could re-include something inside them
+ */
+async function walk(root, relativeDir, rules, files) {
+  const canReinclude = rules.some(rule => rule.negated);
+  const entries = (await fs.readdir(path.join(root, relativeDir), { withFileTypes: true }))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  const sent = [];
+
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    const excluded = isExcluded(rules, relativePath);
+
+    if (entry.isDirectory()) {
+      if (!excluded || canReinclude) {
+        await walk(root, relativePath, rules, files);
+      }
+    } else if (!excluded) {
+      sent.push(relativePath);
+    }
+  }
+
+  const sizes = await Promise.all(sent.map(async relativePath =>
+    (await fs.lstat(path.join(root, relativePath))).size));
+  sent.forEach((relativePath, i) => files.push({ path: relativePath, size: sizes[i] }));
+}
+
+module.exports = { BuildContext };
@@ -0,0 +1,256 @@
+/**
+ * Cache Forecast
+ * Replays the changes of recent commits against a Dockerfile to measure how often each
+ * instruction reruns, what that costs, and which reordering would hit the cache more often
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DockerfileParser } = require('./dockerfile-parser');
+const { DockerfileFixer } = require('./fixer');
+const { CacheRulesEngine } = require('./cache-rules');
+const { CacheSimulator } = require('./cache-simulator');
+const { LayerAnalyzer, formatBytes } = require('./layer-analyzer');
+const { isExcluded, loadDockerignore } = require('./dockerignore');
+const { getRecentCommits, listTrackedFiles, readFileAtRevision } = require('./git');
+const { isManifestSource } = require('./rules/helpers');
+const fixes = require('./rules/fixes');
+
+/**
+ * Rough build time in seconds of a RUN by what it does (see LayerAnalyzer.categorizeRun)
+ */
+const RUN_SECONDS = {
+  package: 60,
+  dependency: 45,
+  download: 20,
+  build: 90,
+  command: 5
+};
+
+const COPY_SECONDS = 1;
+
+const WEIGHTS = ['size', 'time'];
+
+class CacheForecast {
+  /**
+   * @param {Array} commits - [{ commit, subject, files, dockerfile? }] with files relative to the build
+   *   context; dockerfile ({ before, after } contents) is set for commits that changed the Dockerfile
+   * @param {Object} options - weight ('size' in bytes or 'time' in seconds), dockerignore (parsed
+   *   rules), context (a loaded BuildContext to measure COPY/ADD sizes), manifests (dependency
+   *   manifests in the context root, used to suggest splitting broad copies), buildArgs (--build-arg
+   *   values by name)
+   */
+  constructor(commits, { weight = 'size', dockerignore = [], context = null, manifests = [], buildArgs = {} } = {}) {
+    if (!WEIGHTS.includes(weight)) {
+      throw new Error(`Invalid weight: ${weight}. Use size or time`);
+    }
+
+    this.commits = commits;
+    this.weight = weight;
+    this.dockerignore = dockerignore;
+    this.context = context;
+    this.manifests = manifests;
+    this.buildArgs = buildArgs;
+    this.layerAnalyzer = new LayerAnalyzer();
+
+    // A commit that edits the Dockerfile reruns each stage from its first edited instruction
+    this.edits = commits.map(commit => {
+      if (!commit.dockerfile) {
+        return [];
+      }
+      const parse = content => new DockerfileParser(content || '', { buildArgs });
+      return new CacheSimulator(parse(commit.dockerfile.after), { previous: parse(commit.dockerfile.before) }).findEdits();
+    });
+  }
+
+  /**
+   * Forecast the cache behavior of a Dockerfile and of the reorderings suggested for it
+   */
+  forecast(parser) {
+    const current = this.replay(parser);
+    const suggestions = this.findCandidates(parser)
+      .map(candidate => {
+        const replayed = this.replay(new DockerfileParser(candidate.output, { buildArgs: this.buildArgs }));
+        const savings = current.expectedCost - replayed.expectedCost;
+
+        return {
+          rule: candidate.rule,
+          lineNum: candidate.lineNum,
+          description: candidate.description,
+          safety: candidate.safety,
+          cacheHitRate: replayed.cacheHitRate,
+          expectedCost: replayed.expectedCost,
+          formattedExpectedCost: this.formatCost(replayed.expectedCost),
+          savings,
+          formattedSavings: this.formatCost(savings),
+          savingsPercent: current.expectedCost > 0 ? Math.round((savings / current.expectedCost) * 100) : 0,
+          dockerfile: candidate.output
+        };
+      })
+      .filter(suggestion => suggestion.savings > 0)
+      .sort((a, b) => b.savings - a.savings);
+
+    return {
+      commits: this.commits.length,
+      weight: this.weight,
+      cacheHitRate: current.cacheHitRate,
+      expectedCost: current.expectedCost,
+      formattedExpectedCost: this.formatCost(current.expectedCost),
+      instructions: current.instructions,
+      suggestions
+    };
+  }
+
+  /**
+   * Replay every commit against a Dockerfile
+   * A layer hits the cache in a commit when the commit does not rerun it
+   */
+  replay(parser) {
+    const simulator = new CacheSimulator(parser, { dockerignore: this.dockerignore });
+    const weights = this.getWeights(parser);
+    const reruns = new Map();
+    const busts = new Map();
+    let totalCost = 0;
+
+    this.commits.forEach((commit, index) => {
+      for (const stage of simulator.simulate(commit.files, { edited: this.edits[index] }).stages) {
+        if (stage.invalidatedBy) {
+          busts.set(stage.invalidatedBy.lineNum, (busts.get(stage.invalidatedBy.lineNum) || 0) + 1);
+        }
+        for (const step of stage.rebuilt) {
+          reruns.set(step.lineNum, (reruns.get(step.lineNum) || 0) + 1);
+          totalCost += weights.get(step.lineNum) || 0;
+        }
+      }
+    });
+
+    const commits = this.commits.length;
+    const instructions = parser.getStages().flatMap((stage, index) => stage.instructions.map(instruction => {
+      const weight = weights.get(instruction.lineNum) || 0;
+      const rerun = reruns.get(instruction.lineNum) || 0;
+      const share = commits > 0 ? rerun / commits : 0;
+
+      return {
+        stage: index,
+        lineNum: instruction.lineNum,
+        directive: instruction.directive,
+        instruction: instruction.raw,
+        layer: ['RUN', 'COPY', 'ADD'].includes(instruction.directive),
+        invalidated: rerun,
+        firstBust: busts.get(instruction.lineNum) || 0,
+        share,
+        weight,
+        expectedCost: share * weight,
+        formattedExpectedCost: this.formatCost(share * weight)
+      };
+    }));
+
+    const layers = instructions.filter(instruction => instruction.layer);
+    const layerReruns = layers.reduce((sum, instruction) => sum + instruction.invalidated, 0);
+
+    return {
+      cacheHitRate: commits > 0 && layers.length > 0 ? 1 - layerReruns / (commits * layers.length) : null,
+      expectedCost: commits > 0 ? totalCost / commits : 0,
+      instructions
+    };
+  }
+
+  /**
+   * Get the cost of rerunning each layer instruction, by line: estimated bytes or seconds
+   */
+  getWeights(parser) {
+    const weights = new Map();
+
+    if (this.weight === 'size') {
+      for (const estimate of this.layerAnalyzer.estimateFromDockerfile(parser, { context: this.context }).estimates) {
+        weights.set(estimate.lineNum, estimate.estimatedSize);
+      }
+      return weights;
+    }
+
+    for (const instruction of parser.getInstructions()) {
+      if (instruction.directive === 'RUN') {
+        weights.set(instruction.lineNum, RUN_SECONDS[this.layerAnalyzer.categorizeRun(instruction)]);
+      } else if (instruction.directive === 'COPY' || instruction.directive === 'ADD') {
+        weights.set(instruction.lineNum, COPY_SECONDS);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Collect reorderings to evaluate: the fixes of cache rules, and splitting broad copies
+   * that come before a dependency install into a manifest copy and a source copy
+   * Returns [{ rule, lineNum, description, safety, output }]
+   */
+  findCandidates(parser) {
+    const candidates = [];
+    const add = (rule, lineNum, fix) => {
+      if (fix && fix.edits.length > 0) {
+        candidates.push({
+          rule,
+          lineNum,
+          description: fix.description,
+          safety: fix.safety,
+          output: DockerfileFixer.applyEdits(parser.content, fix.edits)
+        });
+      }
+    };
+
+    for (const result of new CacheRulesEngine().analyze(parser)) {
+      for (const issue of result.issues) {
+        if (result.category === 'cache' && issue.fix) {
+          add(result.rule, issue.lineNum, issue.fix);
+        }
+        if (result.rule === 'copy-deps-only' && this.manifests.length > 0) {
+          const broad = parser.getInstructions().find(i => i.lineNum === issue.lineNum);
+          add(result.rule, issue.lineNum, fixes.splitManifestCopy(parser, broad, this.manifests));
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Format a cost in the forecast's weight unit
+   */
+  formatCost(cost) {
+    return this.weight === 'size' ? formatBytes(Math.max(cost, 0)) : `${cost.toFixed(1)}s`;
+  }
+}
+
+/**
+ * Forecast the cache hits of a Dockerfile over the last commits of its git repository
+ * Options: context (directory, default "."), commits (how many, default 50), weight ('size' or
+ * 'time'), buildContext (a loaded BuildContext, to measure COPY/ADD sizes), buildArgs (--build-arg
+ * values by name)
+ */
+async function forecastCache(dockerfilePath, { context = '.', commits = 50, weight = 'size', buildContext = null, buildArgs = {} } = {}) {
+  const resolvedPath = path.resolve(dockerfilePath);
+  const contextDir = path.resolve(context);
+  const parser = new DockerfileParser(await fs.readFile(resolvedPath, 'utf-8'), { buildArgs });
+
+  const dockerignore = await loadDockerignore(contextDir, resolvedPath);
+
+  // Manifests a split COPY could name: tracked, in the context root and not ignored
+  const manifests = (await listTrackedFiles(contextDir))
+    .filter(file => !file.includes('/') && isManifestSource(file) && !isExcluded(dockerignore, file));
+  const history = await getRecentCommits(contextDir, commits);
+
+  // The Dockerfile may be outside the context, so its changes are listed relative to its own directory
+  const dockerfileName = path.basename(resolvedPath);
+  const dockerfileCommits = new Set((await getRecentCommits(path.dirname(resolvedPath), commits))
+    .filter(entry => entry.files.includes(dockerfileName))
+    .map(entry => entry.commit));
+  for (const entry of history.filter(e => dockerfileCommits.has(e.commit))) {
+    entry.dockerfile = {
+      before: await readFileAtRevision(resolvedPath, `${entry.commit}^`),
+      after: await readFileAtRevision(resolvedPath, entry.commit)
+    };
+  }
+
+  return new CacheForecast(history, { weight, dockerignore, context: buildContext, manifests, buildArgs }).forecast(parser);
+}
+
+module.exports = { CacheForecast, forecastCache };
@@ -0,0 +1,249 @@
+/**
+ * Cache Simulator
+ * Predicts which build steps rerun for a change: the first instruction of each stage whose
+ * cache key changes, and everything after it. A step's cache is invalidated when its own
+ * text changes, when a COPY/ADD (or RUN bind mount) reads a changed context file, or when
+ * the stage it builds on or copies from reruns.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DockerfileParser } = require('./dockerfile-parser');
+const { BuildContext } = require('./build-context');
+const { isExcluded, loadDockerignore } = require('./dockerignore');
+const { getChangedFiles, readFileAtRevision } = require('./git');
+
+const LAYER_DIRECTIVES = new Set(['RUN', 'COPY', 'ADD']);
+
+class CacheSimulator {
+  /**
+   * @param {DockerfileParser} parser - the Dockerfile being built
+   * @param {Object} options - dockerignore (parsed rules), previous (parser of the Dockerfile before
+   *   the change, to detect edited instructions; null when only context files changed)
+   */
+  constructor(parser, { dockerignore = [], previous = null } = {}) {
+    this.parser = parser;
+    this.dockerignore = dockerignore;
+    this.previous = previous;
+  }
+
+  /**
+   * Simulate a build after the given context files changed (paths relative to the context)
+   * edited lists instructions a change edited in another version of this Dockerfile (see
+   * findEdits); each invalidates the instruction with the same text, or else the one at its position
+   */
+  simulate(changedFiles = [], { edited = [] } = {}) {
+    const considered = [];
+    const ignored = [];
+    for (const file of changedFiles) {
+      (isExcluded(this.dockerignore, file) ? ignored : considered).push(file);
+    }
+
+    // Matching changed paths against COPY sources works like matching context files
+    const changes = new BuildContext('', considered.map(file => ({ path: file, size: 0 })));
+    const dependencies = this.parser.getStageDependencies();
+    const editedLines = this.matchEdits(edited);
+    const stages = [];
+
+    this.parser.getStages().forEach((stage, index) => {
+      let bustIndex = -1;
+      let cause = null;
+
+      for (let i = 0; i < stage.instructions.length && !cause; i++) {
+        cause = this.findCause(stage.instructions[i], index, i, { changes, dependencies, stages, editedLines });
+        bustIndex = cause ? i : -1;
+      }
+
+      const rebuilt = cause ? stage.instructions.slice(bustIndex) : [];
+      stages.push({
+        index,
+        name: stage.name,
+        base: stage.from,
+        invalidatedBy: cause ? { ...describe(stage.instructions[bustIndex]), ...cause } : null,
+        rebuilt: rebuilt.map(describe),
+        cached: stage.instructions.length - rebuilt.length
+      });
+    });
+
+    const rebuilt = stages.flatMap(stage => stage.rebuilt);
+
+    return {
+      changedFiles: considered,
+      ignoredFiles: ignored,
+      stages,
+      summary: {
+        stages: stages.length,
+        stagesRebuilt: stages.filter(stage => stage.invalidatedBy).length,
+        instructions: stages.reduce((sum, stage) => sum + stage.rebuilt.length + stage.cached, 0),
+        rebuilt: rebuilt.length,
+        layersRebuilt: rebuilt.filter(step => step.layer).length
+      }
+    };
+  }
+
+  /**
+   * Find why an instruction's cache is invalidated: { cause, reason, files?, stage? } or null
+   */
+  findCause(instruction, stageIndex, position, { changes, dependencies, stages, editedLines }) {
+    const edit = this.previous ? this.findEdit(stageIndex, position) : null;
+    if (edit) {
+      return { cause: 'edited', reason: edit === 'added' ? 'New instruction' : 'Instruction changed' };
+    }
+    if (editedLines.has(instruction.lineNum)) {
+      return { cause: 'edited', reason: 'Instruction changed' };
+    }
+
+    // An earlier stage this instruction builds on, copies from or mounts reruns
+    const dependency = dependencies[stageIndex]
+      .find(dep => dep.lineNum === instruction.lineNum && stages[dep.stage].invalidatedBy);
+    if (dependency) {
+      const name = stages[dependency.stage].name;
+      return {
+        cause: 'stage',
+        stage: dependency.stage,
+        reason: dependency.via === 'FROM' ? `Builds on stage ${name}, which reruns` : `Reads from stage ${name}, which reruns`
+      };
+    }
+
+    const files = this.changedFilesRead(instruction, changes);
+    if (files.length > 0) {
+      return {
+        cause: 'files',
+        files: files.map(file => file.path),
+        reason: `${files.length} changed file(s): ${files.slice(0, 3).map(file => file.path).join(', ')}` +
+          (files.length > 3 ? `, and ${files.length - 3} more` : '')
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the changed context files an instruction reads: COPY/ADD sources and RUN bind mounts
+   */
+  changedFilesRead(instruction, changes) {
+    if ((instruction.directive === 'COPY' || instruction.directive === 'ADD') && !instruction.resolved.operands.from) {
+      return changes.filesForSources(instruction.resolved.operands.sources);
+    }
+
+    if (instruction.directive === 'RUN') {
+      // Mounts are bind mounts of the context unless they say otherwise
+      const sources = [].concat(instruction.flags.mount || [])
+        .filter(mount => typeof mount === 'string')
+        .map(parseMount)
+        .filter(mount => (mount.type || 'bind') === 'bind' && !mount.from)
+        .map(mount => mount.source || mount.src || '.');
+      return changes.filesForSources(sources);
+    }
+
+    return [];
+  }
+
+  /**
+   * Compare the instruction at a position with the previous Dockerfile: 'added', 'changed' or null
+   */
+  findEdit(stageIndex, position) {
+    const before = this.previous.getStages()[stageIndex];
+    const previous = before && before.instructions[position];
+    const current = this.parser.getStages()[stageIndex].instructions[position];
+
+    if (!previous) {
+      return 'added';
+    }
+    return normalize(previous) !== normalize(current) ? 'changed' : null;
+  }
+
+  /**
+   * List the first edited instruction of each stage compared with the previous Dockerfile,
+   * as [{ instruction, stage, position }]
+   */
+  findEdits() {
+    const edits = [];
+
+    this.parser.getStages().forEach((stage, index) => {
+      const position = stage.instructions.findIndex((instruction, i) => this.findEdit(index, i));
+      if (position !== -1) {
+        edits.push({ instruction: stage.instructions[position], stage: index, position });
+      }
+    });
+    return edits;
+  }
+
+  /**
+   * Get the lines of the instructions that edits (see findEdits) made to another version of this
+   * Dockerfile invalidate: the instruction of the same stage with the same text, or else the one
+   * at the same position
+   */
+  matchEdits(edits) {
+    const lines = new Set();
+
+    for (const edit of edits) {
+      const stage = this.parser.getStages()[edit.stage];
+      const match = stage && (stage.instructions.find(instruction => normalize(instruction) === normalize(edit.instruction)) ||
+        stage.instructions[edit.position]);
+      if (match) {
+        lines.add(match.lineNum);
+      }
+    }
+    return lines;
+  }
+}
+
+/**
+ * Simulate a change to a Dockerfile's build
+ * Options: context (directory, default "."), changedFiles (paths relative to the context), or
+ * base and head (git revisions; without head the working tree): the changed files are then
+ * read from git, and the Dockerfile at base tells which instructions were edited;
+ * buildArgs (--build-arg values by name)
+ */
+async function simulateChange(dockerfilePath, { context = '.', changedFiles = [], base = null, head = null, buildArgs = {} } = {}) {
+  const resolvedPath = path.resolve(dockerfilePath);
+  const contextDir = path.resolve(context);
+  const read = file => (head ? readFileAtRevision(file, head) : fs.readFile(file, 'utf-8').catch(() => null));
+
+  const content = await read(resolvedPath);
+  if (content === null) {
+    throw new Error(head ? `${dockerfilePath} does not exist at ${head}` : `File not found: ${dockerfilePath}`);
+  }
+
+  const dockerignore = await loadDockerignore(contextDir, resolvedPath, read);
+
+  let previous = null;
+  if (base) {
+    changedFiles = await getChangedFiles(contextDir, base, head);
+    previous = new DockerfileParser((await readFileAtRevision(resolvedPath, base)) || '', { buildArgs });
+  }
+
+  return new CacheSimulator(new DockerfileParser(content, { buildArgs }), { dockerignore, previous }).simulate(changedFiles);
+}
+
+/**
+ * Parse a --mount value (type=bind,source=x,target=/y) into its fields
+ */
+function parseMount(mount) {
+  return Object.fromEntries(mount.split(',').map(field => {
+    const eq = field.indexOf('=');
+    return eq === -1 ? [field, true] : [field.slice(0, eq), field.slice(eq + 1)];
+  }));
+}
+
+/**
+ * Describe a build step for simulation results
+ */
+function describe(instruction) {
+  return {
+    lineNum: instruction.lineNum,
+    directive: instruction.directive,
+    instruction: instruction.raw,
+    layer: LAYER_DIRECTIVES.has(instruction.directive)
+  };
+}
+
+/**
+ * Normalize an instruction for comparison: whitespace and line continuations do not matter
+ */
+function normalize(instruction) {
+  return `${instruction.directive} ${instruction.arguments}`.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { CacheSimulator, simulateChange };
@@ -0,0 +1,146 @@
+/**
+ * Configuration
+ * Discovers and resolves .dockerlayeroptrc / docker-layer-opt.config.js files
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { matchGlob } = require('./glob');
+
+const CONFIG_FILES = ['.dockerlayeroptrc', '.dockerlayeroptrc.json', 'docker-layer-opt.config.js'];
+const SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Find the nearest config file, searching upward from a directory
+ */
+async function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Not in this directory
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read a config file: JSON for rc files, a CommonJS module for .js files
+ */
+async function readConfigFile(filepath) {
+  try {
+    if (filepath.endsWith('.js')) {
+      return require(filepath);
+    }
+    return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${filepath}: ${error.message.split('\n')[0]}`);
+  }
+}
+
+/**
+ * Normalize a rule setting: "off", "on", a severity, or { enabled, severity, options }
+ */
+function normalizeRuleSetting(id, setting) {
+  if (setting === 'off' || setting === false) {
+    return { enabled: false };
+  }
+  if (setting === 'on' || setting === true) {
+    return { enabled: true };
+  }
+  if (SEVERITIES.includes(setting)) {
+    return { enabled: true, severity: setting };
+  }
+  if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+    if (setting.severity !== undefined && !SEVERITIES.includes(setting.severity)) {
+      throw new Error(`Invalid severity for rule ${id}: ${setting.severity}. Use high, medium or low`);
+    }
+    const normalized = {};
+    if (setting.enabled !== undefined) {
+      normalized.enabled = Boolean(setting.enabled);
+    }
+    if (setting.severity !== undefined) {
+      normalized.severity = setting.severity;
+    }
+    if (setting.options !== undefined) {
+      normalized.options = setting.options;
+    }
+    return normalized;
+  }
+
+  throw new Error(`Invalid setting for rule ${id}: ${JSON.stringify(setting)}`);
+}
+
+/**
+ * Merge rule settings; options are merged key by key
+ */
+function mergeRules(base, rules = {}) {
+  const merged = { ...base };
+
+  for (const [id, setting] of Object.entries(rules)) {
+    const next = normalizeRuleSetting(id, setting);
+    const previous = merged[id] || {};
+    merged[id] = { ...previous, ...next };
+    if (previous.options || next.options) {
+      merged[id].options = { ...previous.options, ...next.options };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Resolve a raw config for one Dockerfile, applying overrides whose files match it
+ * Override globs are relative to the directory of the config file
+ */
+function resolveConfig(config, configDir, dockerfilePath) {
+  const relative = path.relative(configDir, path.resolve(dockerfilePath)).split(path.sep).join('/');
+  let rules = mergeRules({}, config.rules);
+  const rulePacks = [...(config.rulePacks || [])];
+
+  for (const override of config.overrides || []) {
+    const files = [].concat(override.files || []);
+    if (files.some(pattern => matchGlob(pattern, relative))) {
+      rules = mergeRules(rules, override.rules);
+      rulePacks.push(...(override.rulePacks || []));
+    }
+  }
+
+  return { dir: configDir, rules, rulePacks };
+}
+
+/**
+ * Load the config that applies to a Dockerfile
+ * Uses configPath when given, otherwise the nearest config file above the Dockerfile
+ * Returns null when there is no config file
+ */
+async function loadConfig(dockerfilePath, configPath = null) {
+  const filepath = configPath
+    ? path.resolve(configPath)
+    : await findConfigFile(path.dirname(path.resolve(dockerfilePath)));
+
+  if (!filepath) {
+    return null;
+  }
+
+  const config = await readConfigFile(filepath);
+  return { filepath, ...resolveConfig(config, path.dirname(filepath), dockerfilePath) };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadConfig,
+  resolveConfig
+};
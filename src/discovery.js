@@ -0,0 +1,199 @@
+/**
+ * Dockerfile Discovery
+ * Expands file, directory and glob arguments into Dockerfile paths.
+ * Directories are searched recursively for Dockerfile, *.Dockerfile and Dockerfile.*
+ * while honoring .gitignore files; .git and node_modules are never searched.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { isGlob, matchGlob } = require('./glob');
+const { parseGitignore, matchGitignore } = require('./gitignore');
+
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Check whether a file name looks like a Dockerfile (Dockerfile.dockerignore is an ignore file)
+ */
+function isDockerfileName(name) {
+  return /^(?:dockerfile|.+\.dockerfile|dockerfile\..+)$/i.test(name) && !/\.dockerignore$/i.test(name);
+}
+
+/**
+ * Read the rules of a directory's .gitignore, or null when it has none
+ */
+async function readGitignore(dir) {
+  try {
+    return parseGitignore(await fs.readFile(path.join(dir, '.gitignore'), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the root of the git work tree containing a directory, or null
+ */
+async function findGitRoot(startDir) {
+  let dir = startDir;
+
+  for (;;) {
+    try {
+      await fs.access(path.join(dir, '.git'));
+      return dir;
+    } catch {
+      // Not the root
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load the .gitignore files above a directory, from the git root down: [{ dir, rules }]
+ */
+async function loadParentGitignores(dir) {
+  const root = await findGitRoot(dir);
+  if (!root) {
+    return [];
+  }
+
+  const chain = [];
+  const relative = path.relative(root, dir);
+  const segments = relative ? relative.split(path.sep) : [];
+
+  // The directory's own .gitignore is read when it is walked
+  for (let i = 0; i < segments.length; i++) {
+    const ancestor = path.join(root, ...segments.slice(0, i));
+    const rules = await readGitignore(ancestor);
+    if (rules) {
+      chain.push({ dir: ancestor, rules });
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Check a path against every applicable .gitignore; deeper files override shallower ones
+ */
+function isIgnored(chain, absolutePath, isDirectory) {
+  let ignored = false;
+
+  for (const { dir, rules } of chain) {
+    const relative = path.relative(dir, absolutePath).split(path.sep).join('/');
+    const result = matchGitignore(rules, relative, isDirectory);
+    if (result !== null) {
+      ignored = result;
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Walk a directory tree in name order, calling visit for every file that is not ignored
+ */
+async function walk(dir, chain, visit) {
+  const rules = await readGitignore(dir);
+  const scope = rules ? [...chain, { dir, rules }] : chain;
+  const entries = (await fs.readdir(dir, { withFileTypes: true }))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name) && !isIgnored(scope, fullPath, true)) {
+        await walk(fullPath, scope, visit);
+      }
+    } else if (entry.isFile() && !isIgnored(scope, fullPath, false)) {
+      visit(fullPath);
+    }
+  }
+}
+
+/**
+ * Check whether a path is an existing directory
+ */
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Split a glob into the directory to search and the pattern below it
+ */
+function splitGlob(glob) {
+  const segments = glob.replace(/\\/g, '/').split('/');
+  const firstGlob = segments.findIndex(isGlob);
+
+  return {
+    base: segments.slice(0, firstGlob).join('/') || (glob.startsWith('/') ? '/' : '.'),
+    pattern: `/${segments.slice(firstGlob).join('/')}`
+  };
+}
+
+/**
+ * Expand paths, directories and globs into Dockerfile paths, in argument order without duplicates
+ * Paths are relative to cwd when inside it. Named files are always included; globs are
+ * matched relative to their first directory without glob syntax and skip .dockerignore files.
+ */
+async function findDockerfiles(inputs, cwd = process.cwd()) {
+  const found = [];
+  const seen = new Set();
+  const add = absolutePath => {
+    if (!seen.has(absolutePath)) {
+      seen.add(absolutePath);
+      const relative = path.relative(cwd, absolutePath);
+      found.push(relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : absolutePath);
+    }
+  };
+
+  for (const input of inputs) {
+    if (isGlob(input)) {
+      const { base, pattern } = splitGlob(input);
+      const baseDir = path.resolve(cwd, base);
+      if (!(await isDirectory(baseDir))) {
+        continue;
+      }
+      await walk(baseDir, await loadParentGitignores(baseDir), file => {
+        if (matchGlob(pattern, path.relative(baseDir, file).split(path.sep).join('/')) && !/\.dockerignore$/i.test(file)) {
+          add(file);
+        }
+      });
+      continue;
+    }
+
+    const absolutePath = path.resolve(cwd, input);
+    let stats;
+    try {
+      stats = await fs.stat(absolutePath);
+    } catch {
+      throw new Error(`File not found: ${absolutePath}`);
+    }
+
+    if (stats.isDirectory()) {
+      await walk(absolutePath, await loadParentGitignores(absolutePath), file => {
+        if (isDockerfileName(path.basename(file))) {
+          add(file);
+        }
+      });
+    } else {
+      add(absolutePath);
+    }
+  }
+
+  return found;
+}
+
+module.exports = { findDockerfiles, isDockerfileName };
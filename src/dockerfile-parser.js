@@ -3,12 +3,35 @@
  * Parses Dockerfiles and extracts structure including multi-stage builds
  */
 
+const { DockerfileTokenizer } = require('./dockerfile-tokenizer');
+const { ShellAnalyzer } = require('./shell-analyzer');
+const { StageGraph } = require('./stage-graph');
+const { VariableScope, expandVariables } = require('./variable-resolver');
+
+const FLAG_PATTERN = /^--([A-Za-z][A-Za-z0-9-]*)(?:=(\S*))?(?:\s+|$)/;
+const COMMAND_DIRECTIVES = new Set(['RUN', 'CMD', 'ENTRYPOINT', 'SHELL']);
+
+// Directives whose arguments the builder expands ARG/ENV variables in
+const EXPANDED_DIRECTIVES = new Set(['ADD', 'ARG', 'COPY', 'ENV', 'EXPOSE', 'FROM', 'LABEL', 'STOPSIGNAL', 'USER', 'VOLUME', 'WORKDIR']);
+
 class DockerfileParser {
-  constructor(content) {
+  /**
+   * @param {string} content - the Dockerfile
+   * @param {Object} options - buildArgs (--build-arg values by name, used to resolve variables)
+   */
+  constructor(content, { buildArgs = {} } = {}) {
     this.content = content;
+    this.buildArgs = buildArgs;
     this.lines = content.split('\n');
     this.stages = [];
     this.instructions = [];
+    this.comments = [];
+    this.directives = {};
+    this.escapeChar = '\\';
+    this.tokenizer = null;
+    this.stageGraph = null;
+    this.stageIndexes = null;
+    this.fullParser = null;
     this.parse();
   }
 
@@ -16,24 +39,26 @@ class DockerfileParser {
    * Parse the Dockerfile content
    */
   parse() {
-    let currentStage = { name: 'base', instructions: [], from: null };
-    let stageIndex = 0;
+    const tokenizer = new DockerfileTokenizer(this.content);
+    const tokens = tokenizer.tokenize();
 
-    for (let i = 0; i < this.lines.length; i++) {
-      const line = this.lines[i].trim();
-      const lineNum = i + 1;
+    this.tokenizer = tokenizer;
+    this.comments = tokenizer.comments;
+    this.directives = tokenizer.directives;
+    this.escapeChar = tokenizer.escapeChar;
 
-      // Skip empty lines and comments
-      if (!line || line.startsWith('#')) {
-        continue;
-      }
+    let currentStage = { name: 'base', instructions: [], from: null };
+    let stageIndex = 0;
+    const scope = new VariableScope(this.buildArgs);
 
-      // Parse instruction
-      const instruction = this.parseInstruction(line, lineNum);
+    for (const token of tokens) {
+      // Parse instruction, then expand the variables in scope at it
+      const instruction = this.parseInstruction(token);
+      instruction.resolved = this.resolveInstruction(instruction, scope);
       this.instructions.push(instruction);
 
       // Track FROM instructions for stage detection
-      if (instruction.directive.toUpperCase() === 'FROM') {
+      if (instruction.directive === 'FROM') {
         // If we already have a FROM, this is a new stage
         if (currentStage.from) {
           this.stages.push(currentStage);
@@ -47,8 +72,10 @@ class DockerfileParser {
           as: stageInfo.as,
           instructions: [instruction]
         };
+        scope.enterStage(stageInfo.base ? this.resolveStageReference(stageInfo.base, this.stages.length, false) : null);
       } else {
         currentStage.instructions.push(instruction);
+        this.declareVariables(instruction, scope);
       }
     }
 
@@ -59,67 +86,323 @@ class DockerfileParser {
   }
 
   /**
-   * Parse a single instruction line
+   * Parse a single logical instruction produced by the tokenizer
+   * Ranges use 1-based lines and columns with exclusive end positions
    */
-  parseInstruction(line, lineNum) {
-    // Handle JSON array syntax (e.g., CMD ["executable", "param"])
-    if (line.startsWith('[') && line.endsWith(']')) {
-      return {
-        directive: line.slice(0, line.indexOf('[')).trim().toUpperCase(),
-        arguments: line.slice(line.indexOf('[')).trim(),
-        raw: line,
-        lineNum
-      };
+  parseInstruction(token) {
+    const keywordEnd = token.text.search(/\s|$/);
+    const argsStart = keywordEnd + (token.text.slice(keywordEnd).length - token.text.slice(keywordEnd).trimStart().length);
+    const args = token.text.slice(argsStart);
+    const { flags, body } = this.parseFlags(args);
+
+    const instruction = {
+      directive: token.text.slice(0, keywordEnd).toUpperCase(),
+      arguments: args,
+      flags,
+      body,
+      execForm: this.parseExecForm(body),
+      heredocs: token.heredocs,
+      operands: {},
+      command: null,
+      raw: token.raw,
+      lineNum: token.lineNum,
+      endLineNum: token.endLineNum,
+      range: token.range,
+      keywordRange: this.tokenizer.rangeOf(token, 0, keywordEnd)
+    };
+
+    instruction.operands = this.parseOperands(instruction);
+    instruction.command = this.parseCommand(instruction, token, argsStart + args.length - body.length);
+    if (instruction.command) {
+      instruction.command.shell = ShellAnalyzer.forInstruction(instruction);
     }
 
-    // Handle multi-line continuations (not fully implemented)
-    if (line.endsWith('\\')) {
-      return {
-        directive: line.slice(0, line.indexOf(' ')).trim().toUpperCase(),
-        arguments: line.slice(line.indexOf(' ') + 1, -1).trim(),
-        raw: line,
-        lineNum,
-        continuation: true
-      };
+    return instruction;
+  }
+
+  /**
+   * Resolve an instruction against the variables in scope: { body, flags, operands, variables,
+   * unresolved }, where body, flags and operands have the variables expanded (for directives the
+   * builder expands them in), variables are those with a value at the instruction, and unresolved
+   * names the referenced variables that have none (they are left as written)
+   */
+  resolveInstruction(instruction, scope) {
+    const variables = instruction.directive === 'FROM' ? scope.getGlobalVariables() : scope.getVariables();
+
+    if (!EXPANDED_DIRECTIVES.has(instruction.directive) || !instruction.arguments.includes('$')) {
+      return { body: instruction.body, flags: instruction.flags, operands: instruction.operands, variables, unresolved: [] };
     }
 
-    // Simple directive format
-    const firstSpace = line.indexOf(' ');
-    if (firstSpace === -1) {
-      return {
-        directive: line.toUpperCase(),
-        arguments: '',
-        raw: line,
-        lineNum
+    const plain = expandVariables(instruction.arguments, variables, { escapeChar: this.escapeChar });
+    const { flags, body } = this.parseFlags(plain.text);
+
+    // Operands are split from a version with escaped values, so a value with spaces stays one word;
+    // exec form words are expanded one by one
+    const escaped = this.parseFlags(expandVariables(instruction.arguments, variables, {
+      escapeChar: this.escapeChar,
+      escapeValues: true
+    }).text);
+    const operands = this.parseOperands({
+      directive: instruction.directive,
+      flags,
+      body: escaped.body,
+      execForm: instruction.execForm &&
+        instruction.execForm.map(word => expandVariables(word, variables, { escapeChar: this.escapeChar }).text)
+    });
+
+    return { body, flags, operands, variables, unresolved: plain.unresolved };
+  }
+
+  /**
+   * Record the variables an ARG or ENV declares; ARG pairs get the value they resolve to
+   */
+  declareVariables(instruction, scope) {
+    const { resolved } = instruction;
+
+    if (instruction.directive === 'ARG') {
+      resolved.operands = {
+        pairs: resolved.operands.pairs.map(pair => ({ key: pair.key, value: scope.declareArg(pair.key, pair.value) }))
       };
+    } else if (instruction.directive === 'ENV') {
+      resolved.operands.pairs.forEach(pair => scope.setEnv(pair.key, pair.value));
+    }
+  }
+
+  /**
+   * Parse leading instruction flags (e.g., --from=builder, --mount=type=cache, --link)
+   * Repeated flags are collected into an array; bare flags are set to true
+   */
+  parseFlags(args) {
+    const flags = {};
+    let body = args;
+    let match;
+
+    while ((match = body.match(FLAG_PATTERN))) {
+      const name = match[1].toLowerCase();
+      const value = match[2] === undefined ? true : match[2];
+
+      if (name in flags) {
+        flags[name] = [].concat(flags[name], value);
+      } else {
+        flags[name] = value;
+      }
+
+      body = body.slice(match[0].length);
+    }
+
+    return { flags, body: body.trim() };
+  }
+
+  /**
+   * Parse JSON array (exec form) arguments, e.g. CMD ["node", "index.js"]
+   * Returns null for shell form
+   */
+  parseExecForm(body) {
+    if (!body.startsWith('[')) {
+      return null;
     }
 
+    try {
+      const parsed = JSON.parse(body);
+      if (Array.isArray(parsed) && parsed.every(p => typeof p === 'string')) {
+        return parsed;
+      }
+    } catch {
+      // Not valid JSON: Docker falls back to shell form
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the operands of an instruction into a directive-specific shape
+   */
+  parseOperands(instruction) {
+    switch (instruction.directive) {
+      case 'FROM':
+        return this.parseFromOperands(instruction);
+      case 'COPY':
+      case 'ADD':
+        return this.parseCopyOperands(instruction);
+      case 'ENV':
+        return { pairs: this.parseKeyValuePairs(instruction.body, true) };
+      case 'LABEL':
+        return { pairs: this.parseKeyValuePairs(instruction.body, false) };
+      case 'ARG':
+        return {
+          pairs: this.splitWords(instruction.body).map(word => {
+            const eq = word.indexOf('=');
+            return eq === -1
+              ? { key: word, value: null }
+              : { key: word.slice(0, eq), value: word.slice(eq + 1) };
+          })
+        };
+      case 'WORKDIR':
+        return { path: instruction.body };
+      case 'USER': {
+        const [user, group = null] = instruction.body.split(':');
+        return { user, group };
+      }
+      case 'EXPOSE':
+        return { ports: this.splitWords(instruction.body) };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Parse FROM operands: [--platform=<p>] <image>[:<tag>][@<digest>] [AS <name>]
+   */
+  parseFromOperands(instruction) {
+    const words = this.splitWords(instruction.body);
+    const reference = words[0] || null;
+    const alias = words.length >= 3 && words[1].toUpperCase() === 'AS' ? words[2] : null;
+
     return {
-      directive: line.slice(0, firstSpace).trim().toUpperCase(),
-      arguments: line.slice(firstSpace + 1).trim(),
-      raw: line,
-      lineNum
+      reference,
+      ...this.parseImageReference(reference || ''),
+      platform: typeof instruction.flags.platform === 'string' ? instruction.flags.platform : null,
+      alias
     };
   }
 
   /**
-   * Parse FROM instruction to extract base image and optional alias
+   * Split an image reference into image, tag and digest
    */
-  parseFromInstruction(instruction) {
-    const parts = instruction.arguments.split(/\s+/);
-    const base = parts[0];
+  parseImageReference(reference) {
+    let image = reference;
+    let tag = null;
+    let digest = null;
 
-    let name = null;
-    let as = null;
+    const at = image.indexOf('@');
+    if (at !== -1) {
+      digest = image.slice(at + 1);
+      image = image.slice(0, at);
+    }
 
-    // Check for AS clause
-    const asIndex = parts.map(p => p.toUpperCase()).indexOf('AS');
-    if (asIndex !== -1 && asIndex + 1 < parts.length) {
-      as = parts[asIndex + 1];
-      name = as;
+    // A colon before the last slash belongs to a registry port, not a tag
+    const colon = image.lastIndexOf(':');
+    if (colon > image.lastIndexOf('/')) {
+      tag = image.slice(colon + 1);
+      image = image.slice(0, colon);
     }
 
-    return { base, as, name };
+    return { image, tag, digest };
+  }
+
+  /**
+   * Parse COPY/ADD operands into sources and a destination
+   */
+  parseCopyOperands(instruction) {
+    const words = instruction.execForm || this.splitWords(instruction.body);
+
+    return {
+      sources: words.slice(0, -1),
+      destination: words.length > 1 ? words[words.length - 1] : null,
+      from: typeof instruction.flags.from === 'string' ? instruction.flags.from : null
+    };
+  }
+
+  /**
+   * Parse KEY=value pairs (ENV/LABEL), including the legacy "ENV KEY value" form
+   */
+  parseKeyValuePairs(body, allowLegacy) {
+    const words = this.splitWords(body);
+
+    if (allowLegacy && words.length > 0 && !words[0].includes('=')) {
+      const key = words[0];
+      return [{ key, value: body.slice(body.indexOf(key) + key.length).trim() }];
+    }
+
+    return words.map(word => {
+      const eq = word.indexOf('=');
+      return eq === -1
+        ? { key: word, value: '' }
+        : { key: word.slice(0, eq), value: word.slice(eq + 1) };
+    });
+  }
+
+  /**
+   * Parse the command node of RUN/CMD/ENTRYPOINT/SHELL and HEALTHCHECK CMD
+   */
+  parseCommand(instruction, token, bodyStart) {
+    let value = instruction.body;
+    let start = bodyStart;
+
+    if (instruction.directive === 'HEALTHCHECK') {
+      const match = value.match(/^CMD\s+/i);
+      if (!match) {
+        return null;
+      }
+      value = value.slice(match[0].length);
+      start += match[0].length;
+    } else if (!COMMAND_DIRECTIVES.has(instruction.directive)) {
+      return null;
+    }
+
+    const execForm = this.parseExecForm(value);
+
+    return {
+      form: execForm ? 'exec' : 'shell',
+      value: execForm ? execForm.join(' ') : value,
+      args: execForm,
+      heredocs: instruction.heredocs,
+      range: this.tokenizer.rangeOf(token, start, start + value.length)
+    };
+  }
+
+  /**
+   * Split text into words, honoring quotes and the escape character
+   */
+  splitWords(text) {
+    const words = [];
+    let current = '';
+    let inWord = false;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quote) {
+        if (ch === quote) {
+          quote = null;
+        } else if (ch === this.escapeChar && quote === '"' && i + 1 < text.length) {
+          current += text[++i];
+        } else {
+          current += ch;
+        }
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        inWord = true;
+      } else if (ch === this.escapeChar && i + 1 < text.length) {
+        current += text[++i];
+        inWord = true;
+      } else if (/\s/.test(ch)) {
+        if (inWord) {
+          words.push(current);
+          current = '';
+          inWord = false;
+        }
+      } else {
+        current += ch;
+        inWord = true;
+      }
+    }
+
+    if (inWord) {
+      words.push(current);
+    }
+
+    return words;
+  }
+
+  /**
+   * Parse FROM instruction to extract base image and optional alias
+   */
+  parseFromInstruction(instruction) {
+    const { reference, alias } = instruction.resolved.operands;
+
+    return { base: reference, as: alias, name: alias };
   }
 
   /**
@@ -129,6 +412,166 @@ class DockerfileParser {
     return this.stages;
   }
 
+  /**
+   * Get the stage references of each stage: its FROM base, COPY/ADD --from and RUN --mount from=
+   * Returns one list per stage of { reference, stage (earlier stage index, or null when the
+   * reference is an external image or undefined), lineNum, via }
+   */
+  getStageReferences() {
+    return this.stages.map((stage, index) => {
+      const references = [];
+      const add = (reference, instruction, via, allowIndex) => {
+        if (reference) {
+          references.push({
+            reference,
+            stage: this.resolveStageReference(reference, index, allowIndex),
+            lineNum: instruction.lineNum,
+            via
+          });
+        }
+      };
+
+      for (const instruction of stage.instructions) {
+        if (instruction.directive === 'FROM') {
+          add(instruction.resolved.operands.reference, instruction, 'FROM', false);
+        } else if (instruction.directive === 'COPY' || instruction.directive === 'ADD') {
+          add(instruction.resolved.operands.from, instruction, `${instruction.directive} --from`, true);
+        } else if (instruction.directive === 'RUN') {
+          for (const mount of [].concat(instruction.flags.mount || [])) {
+            const from = typeof mount === 'string' && mount.match(/(?:^|,)from=([^,]+)/);
+            add(from && from[1], instruction, 'RUN --mount', true);
+          }
+        }
+      }
+
+      return references;
+    });
+  }
+
+  /**
+   * Get the earlier stages each stage builds on: its FROM base, COPY/ADD --from and RUN --mount from=
+   * Returns one list per stage of { stage (index), lineNum, via }; external images are left out
+   */
+  getStageDependencies() {
+    return this.getStageReferences().map(references => references
+      .filter(reference => reference.stage !== null)
+      .map(({ stage, lineNum, via }) => ({ stage, lineNum, via })));
+  }
+
+  /**
+   * Get the graph of stages and the references between them
+   */
+  getStageGraph() {
+    if (!this.stageGraph) {
+      this.stageGraph = new StageGraph(this);
+    }
+    return this.stageGraph;
+  }
+
+  /**
+   * Get a view of the Dockerfile restricted to the stages a build target needs (see --target)
+   * The target becomes the last stage; instructions keep their lines and ranges in the full
+   * Dockerfile, so findings and fixes still point at the right place. Comments are kept with the
+   * instruction they precede or sit in (the last one for trailing comments). Throws for an unknown target
+   */
+  forTarget(target) {
+    const reachable = this.getStageGraph().getReachable(target);
+    const skipped = new Set(this.stages
+      .filter((stage, index) => !reachable.includes(index))
+      .flatMap(stage => stage.instructions));
+    const ownerOf = comment => this.instructions.find(instruction => instruction.endLineNum >= comment.lineNum) ||
+      this.instructions[this.instructions.length - 1];
+
+    return Object.assign(Object.create(DockerfileParser.prototype), this, {
+      stages: reachable.map(index => this.stages[index]),
+      instructions: this.instructions.filter(instruction => !skipped.has(instruction)),
+      comments: this.comments.filter(comment => !skipped.has(ownerOf(comment))),
+      stageIndexes: reachable.map(index => this.getStageIndex(index)),
+      stageGraph: null,
+      fullParser: this.getFullParser()
+    });
+  }
+
+  /**
+   * Get the parser of the full Dockerfile (this one, unless it is a view for a build target)
+   */
+  getFullParser() {
+    return this.fullParser || this;
+  }
+
+  /**
+   * Get the index a stage has in the full Dockerfile (it differs in a view for a build target)
+   */
+  getStageIndex(index) {
+    return this.stageIndexes ? this.stageIndexes[index] : index;
+  }
+
+  /**
+   * Resolve a stage name (or index, where Docker allows one) to an earlier stage index, or null
+   */
+  resolveStageReference(reference, beforeIndex, allowIndex = true) {
+    if (allowIndex && /^\d+$/.test(reference)) {
+      const index = this.stageIndexes ? this.stageIndexes.indexOf(Number(reference)) : Number(reference);
+      return index !== -1 && index < beforeIndex ? index : null;
+    }
+
+    const name = reference.toLowerCase();
+    for (let i = beforeIndex - 1; i >= 0; i--) {
+      if (this.stages[i].as && this.stages[i].as.toLowerCase() === name) {
+        return i;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all comments (including those inside continuations)
+   */
+  getComments() {
+    return this.comments;
+  }
+
+  /**
+   * Get parser directives (e.g., escape, syntax)
+   */
+  getDirectives() {
+    return this.directives;
+  }
+
+  /**
+   * Get the range covering whole source lines, including the final line break
+   */
+  getLineRange(startLine, endLine) {
+    const offsets = this.tokenizer.lineOffsets;
+    const end = endLine < offsets.length ? offsets[endLine] : this.content.length;
+
+    return {
+      start: this.tokenizer.positionAt(offsets[startLine - 1]),
+      end: this.tokenizer.positionAt(end)
+    };
+  }
+
+  /**
+   * Get the comment lines directly above an instruction (no blank line in between)
+   */
+  getLeadingComments(instruction) {
+    const comments = [];
+    let line = instruction.lineNum - 1;
+
+    for (let i = this.comments.length - 1; i >= 0; i--) {
+      const comment = this.comments[i];
+      if (comment.lineNum === line && !comment.inContinuation) {
+        comments.unshift(comment);
+        line--;
+      } else if (comment.lineNum < line) {
+        break;
+      }
+    }
+
+    return comments;
+  }
+
   /**
    * Get all instructions
    */
@@ -194,4 +637,4 @@ class DockerfileParser {
   }
 }
 
-module.exports = DockerfileParser;
+module.exports = { DockerfileParser };
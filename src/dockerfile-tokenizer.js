@@ -0,0 +1,299 @@
+/**
+ * Dockerfile Tokenizer
+ * Splits Dockerfile source into logical instructions the way BuildKit does:
+ * parser directives, escape-aware line continuations, comments inside
+ * continuations and heredoc bodies
+ */
+
+const DIRECTIVE_PATTERN = /^#\s*([a-zA-Z][a-zA-Z0-9_-]*)\s*=\s*(.*?)\s*$/;
+const HEREDOC_PATTERN = /^<<(?!<)(-?)(["']?)([A-Za-z_][A-Za-z0-9_.-]*)\2/;
+const HEREDOC_DIRECTIVES = new Set(['RUN', 'COPY', 'ADD']);
+
+class DockerfileTokenizer {
+  constructor(content) {
+    this.content = content;
+    this.lines = content.split(/\r?\n/);
+    this.lineOffsets = this.computeLineOffsets();
+    this.directives = {};
+    this.escapeChar = '\\';
+    this.comments = [];
+    this.tokens = [];
+  }
+
+  /**
+   * Tokenize the content into logical instructions
+   */
+  tokenize() {
+    this.directives = {};
+    this.escapeChar = '\\';
+    this.comments = [];
+    this.tokens = [];
+
+    let i = this.parseDirectives();
+
+    while (i < this.lines.length) {
+      const trimmed = this.lines[i].trim();
+
+      if (!trimmed) {
+        i++;
+        continue;
+      }
+
+      if (trimmed.startsWith('#')) {
+        this.addComment(i);
+        i++;
+        continue;
+      }
+
+      i = this.readInstruction(i);
+    }
+
+    return this.tokens;
+  }
+
+  /**
+   * Read parser directives from the top of the file
+   * Directives stop at the first blank line, comment or instruction
+   */
+  parseDirectives() {
+    let i = 0;
+
+    while (i < this.lines.length) {
+      const match = this.lines[i].trim().match(DIRECTIVE_PATTERN);
+      if (!match) {
+        break;
+      }
+
+      const name = match[1].toLowerCase();
+      if (name in this.directives) {
+        // A repeated directive is treated as a comment and ends the block
+        break;
+      }
+
+      this.directives[name] = { value: match[2], lineNum: i + 1 };
+      if (name === 'escape' && (match[2] === '\\' || match[2] === '`')) {
+        this.escapeChar = match[2];
+      }
+      i++;
+    }
+
+    return i;
+  }
+
+  /**
+   * Read one logical instruction starting at the given line index
+   * Returns the index of the first line after the instruction
+   */
+  readInstruction(startIndex) {
+    let i = startIndex;
+    let text = '';
+    const offsets = [];
+
+    while (i < this.lines.length) {
+      const lead = i === startIndex ? this.lines[i].length - this.lines[i].trimStart().length : 0;
+      const { content, continues } = this.trimContinuation(this.lines[i].slice(lead));
+      text += content;
+      for (let k = 0; k < content.length; k++) {
+        offsets.push(this.lineOffsets[i] + lead + k);
+      }
+      i++;
+
+      if (!continues) {
+        break;
+      }
+
+      // Comments and empty lines inside a continuation are dropped
+      while (i < this.lines.length) {
+        const next = this.lines[i].trim();
+        if (next.startsWith('#')) {
+          this.addComment(i, true);
+        } else if (next) {
+          break;
+        }
+        i++;
+      }
+    }
+
+    const trailing = text.length - text.trimEnd().length;
+    const token = {
+      text: text.trimEnd(),
+      offsets: offsets.slice(0, offsets.length - trailing),
+      lineNum: startIndex + 1,
+      endLineNum: i,
+      heredocs: []
+    };
+
+    const directive = token.text.split(/\s/, 1)[0].toUpperCase();
+    if (HEREDOC_DIRECTIVES.has(directive)) {
+      i = this.readHeredocs(token, i);
+    }
+
+    token.endLineNum = Math.max(token.lineNum, i);
+    token.raw = this.lines.slice(startIndex, token.endLineNum).join('\n');
+    const lastLine = token.endLineNum - 1;
+    token.range = {
+      start: this.positionAt(token.offsets[0]),
+      end: this.positionAt(this.lineOffsets[lastLine] + this.lines[lastLine].trimEnd().length)
+    };
+    this.tokens.push(token);
+
+    return i;
+  }
+
+  /**
+   * Strip a trailing escape character (and whitespace after it)
+   */
+  trimContinuation(line) {
+    const stripped = line.replace(/[ \t]+$/, '');
+
+    if (stripped.endsWith(this.escapeChar)) {
+      return { content: stripped.slice(0, -1), continues: true };
+    }
+
+    return { content: stripped, continues: false };
+  }
+
+  /**
+   * Consume heredoc bodies referenced by the instruction text
+   * Like BuildKit, only an unquoted shell word starting with << opens a heredoc
+   */
+  readHeredocs(token, startIndex) {
+    let i = startIndex;
+
+    for (const match of splitWords(token.text).map(word => word.match(HEREDOC_PATTERN)).filter(Boolean)) {
+      const heredoc = {
+        name: match[3],
+        chomp: match[1] === '-',
+        quoted: match[2] !== '',
+        content: '',
+        lineNum: i + 1,
+        endLineNum: i + 1
+      };
+      const body = [];
+
+      while (i < this.lines.length) {
+        let line = this.lines[i];
+        i++;
+
+        if (heredoc.chomp) {
+          line = line.replace(/^\t+/, '');
+        }
+
+        if (line === heredoc.name) {
+          heredoc.endLineNum = i;
+          break;
+        }
+
+        body.push(line);
+        heredoc.endLineNum = i;
+      }
+
+      heredoc.content = body.length > 0 ? body.join('\n') + '\n' : '';
+      token.heredocs.push(heredoc);
+    }
+
+    return i;
+  }
+
+  /**
+   * Compute the source offset at which each line starts
+   */
+  computeLineOffsets() {
+    const offsets = [0];
+    for (let i = 0; i < this.content.length; i++) {
+      if (this.content[i] === '\n') {
+        offsets.push(i + 1);
+      }
+    }
+    return offsets;
+  }
+
+  /**
+   * Convert a source offset to a 1-based line/column position
+   */
+  positionAt(offset) {
+    let low = 0;
+    let high = this.lineOffsets.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.lineOffsets[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - this.lineOffsets[low] + 1, offset };
+  }
+
+  /**
+   * Get the source range of a slice of a token's logical text
+   * End positions are exclusive
+   */
+  rangeOf(token, start, end) {
+    if (token.offsets.length === 0) {
+      return token.range;
+    }
+
+    const first = token.offsets[Math.min(start, token.offsets.length - 1)];
+    const last = token.offsets[Math.min(Math.max(end - 1, start), token.offsets.length - 1)];
+    return {
+      start: this.positionAt(first),
+      end: this.positionAt(end > start ? last + 1 : first)
+    };
+  }
+
+  /**
+   * Record a comment line
+   */
+  addComment(index, inContinuation = false) {
+    const lead = this.lines[index].length - this.lines[index].trimStart().length;
+    this.comments.push({
+      lineNum: index + 1,
+      text: this.lines[index].trim().slice(1).trim(),
+      inContinuation,
+      range: {
+        start: this.positionAt(this.lineOffsets[index] + lead),
+        end: this.positionAt(this.lineOffsets[index] + this.lines[index].trimEnd().length)
+      }
+    });
+  }
+}
+
+/**
+ * Split instruction text into shell words, keeping their quotes and escapes
+ */
+function splitWords(text) {
+  const words = [];
+  let word = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (!quote && /\s/.test(char)) {
+      if (word) {
+        words.push(word);
+      }
+      word = '';
+      continue;
+    }
+
+    word += char;
+    if (char === '\\' && quote !== "'" && i + 1 < text.length) {
+      word += text[++i];
+    } else if (quote === char) {
+      quote = null;
+    } else if (!quote && (char === '"' || char === "'")) {
+      quote = char;
+    }
+  }
+
+  if (word) {
+    words.push(word);
+  }
+  return words;
+}
+
+module.exports = { DockerfileTokenizer };
@@ -0,0 +1,132 @@
+/**
+ * Dockerignore
+ * Evaluates .dockerignore patterns the way Docker does: every pattern is relative to the
+ * context root (a leading "/" changes nothing), "**" spans directories, "!" re-includes,
+ * the last matching pattern wins and excluding a directory excludes everything below it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+/**
+ * Clean a pattern like Go's filepath.Clean: no "./", "..", duplicate or edge slashes
+ */
+function cleanPattern(pattern) {
+  const segments = [];
+
+  for (const segment of pattern.split('/')) {
+    if (segment === '' || segment === '.') {
+      continue;
+    }
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Parse .dockerignore content into rules { pattern, regex, negated }
+ */
+function parseDockerignore(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+
+    const negated = line.startsWith('!');
+    if (negated) {
+      line = line.slice(1).trim();
+    }
+
+    const pattern = cleanPattern(line);
+    if (pattern === '') {
+      continue;
+    }
+
+    rules.push({ pattern: line, regex: globToRegExp(pattern), negated });
+  }
+
+  return rules;
+}
+
+/**
+ * Check whether a context-relative path is excluded
+ * A pattern matches a path or any of its parent directories; the last matching pattern wins
+ */
+function isExcluded(rules, relativePath) {
+  let excluded = false;
+
+  for (const rule of rules) {
+    if (matchesOrParentMatches(rule.regex, relativePath)) {
+      excluded = !rule.negated;
+    }
+  }
+
+  return excluded;
+}
+
+/**
+ * Check whether a pattern matches a context-relative path or one of its parent directories
+ */
+function matchesOrParentMatches(regex, relativePath) {
+  const segments = relativePath.split('/');
+
+  for (let i = 1; i <= segments.length; i++) {
+    if (regex.test(segments.slice(0, i).join('/'))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Candidate ignore files for a build, in order of precedence:
+ * <Dockerfile>.dockerignore next to the Dockerfile, then .dockerignore in the context root
+ */
+function dockerignoreCandidates(contextDir, dockerfilePath = null) {
+  const candidates = [];
+
+  if (dockerfilePath) {
+    candidates.push(`${path.resolve(dockerfilePath)}.dockerignore`);
+  }
+  candidates.push(path.join(path.resolve(contextDir), '.dockerignore'));
+
+  return candidates;
+}
+
+/**
+ * Load the rules of the ignore file that applies to a build, or [] without one
+ * read(file) returns a file's content or null; by default files are read from disk
+ */
+async function loadDockerignore(contextDir, dockerfilePath = null, read = readIfExists) {
+  for (const candidate of dockerignoreCandidates(contextDir, dockerfilePath)) {
+    const content = await read(candidate);
+    if (content !== null) {
+      return parseDockerignore(content);
+    }
+  }
+
+  return [];
+}
+
+function readIfExists(file) {
+  return fs.readFile(file, 'utf-8').catch(() => null);
+}
+
+module.exports = {
+  cleanPattern,
+  parseDockerignore,
+  isExcluded,
+  matchesOrParentMatches,
+  dockerignoreCandidates,
+  loadDockerignore
+};
@@ -0,0 +1,96 @@
+/**
+ * Dockerfile Fixer
+ * Applies the fixes attached to rule findings while keeping formatting and comments
+ */
+
+const { DockerfileParser } = require('./dockerfile-parser');
+const { CacheRulesEngine } = require('./cache-rules');
+const { BaseImageCatalog } = require('./base-image-catalog');
+const { parseSuppressions, applySuppressions } = require('./suppressions');
+
+const MAX_PASSES = 10;
+
+class DockerfileFixer {
+  /**
+   * @param {string} content - Dockerfile source
+   * @param {object} options - { unsafe: also apply unsafe fixes, rulesEngine, buildArgs, catalog }
+   */
+  constructor(content, options = {}) {
+    this.content = content;
+    this.unsafe = Boolean(options.unsafe);
+    this.rulesEngine = options.rulesEngine || new CacheRulesEngine();
+    this.buildArgs = options.buildArgs || {};
+    this.catalog = options.catalog || BaseImageCatalog.getDefault();
+  }
+
+  /**
+   * Apply fixes until the Dockerfile is stable
+   * Fixes whose edits conflict are deferred to the next pass, which re-analyzes the result
+   */
+  fix() {
+    let output = this.content;
+    const applied = [];
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const edits = [];
+
+      for (const fix of this.collectFixes(new DockerfileParser(output, { buildArgs: this.buildArgs }))) {
+        if (fix.edits.some(edit => edits.some(other => conflicts(edit.range, other.range)))) {
+          continue;
+        }
+
+        edits.push(...fix.edits);
+        applied.push({ rule: fix.rule, description: fix.description, safety: fix.safety, lineNum: fix.lineNum });
+      }
+
+      if (edits.length === 0) {
+        break;
+      }
+
+      output = DockerfileFixer.applyEdits(output, edits);
+    }
+
+    return { output, changed: output !== this.content, applied };
+  }
+
+  /**
+   * Collect the applicable fixes attached to rule findings that are not suppressed
+   */
+  collectFixes(parser) {
+    const fixes = [];
+    const { active } = applySuppressions(this.rulesEngine.analyze(parser, { catalog: this.catalog }), parseSuppressions(parser));
+
+    for (const result of active) {
+      for (const issue of result.issues) {
+        if (issue.fix && issue.fix.edits.length > 0 && (issue.fix.safety === 'safe' || this.unsafe)) {
+          fixes.push({ rule: result.rule, lineNum: issue.lineNum, ...issue.fix });
+        }
+      }
+    }
+
+    return fixes;
+  }
+
+  /**
+   * Apply non-overlapping edits to text, last edit first so offsets stay valid
+   */
+  static applyEdits(text, edits) {
+    const sorted = [...edits].sort((a, b) => b.range.start.offset - a.range.start.offset);
+    let output = text;
+
+    for (const edit of sorted) {
+      output = output.slice(0, edit.range.start.offset) + edit.text + output.slice(edit.range.end.offset);
+    }
+
+    return output;
+  }
+}
+
+/**
+ * Check whether two edit ranges overlap or touch, so their order would be ambiguous
+ */
+function conflicts(a, b) {
+  return a.start.offset <= b.end.offset && b.start.offset <= a.end.offset;
+}
+
+module.exports = { DockerfileFixer };
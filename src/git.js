@@ -0,0 +1,78 @@
+/**
+ * Git
+ * Reads changes and file contents of a local repository through the git command line
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+
+/**
+ * Run a git command in a directory and resolve with its output
+ */
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const message = (stderr || error.message).trim().split('\n')[0];
+        reject(new Error(`git ${args[0]} failed: ${message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * List the files changed between two revisions, relative to a directory inside the repository
+ * Without a head revision the working tree is compared, including untracked files.
+ * Renames count as a deletion and an addition; files outside the directory are left out.
+ */
+async function getChangedFiles(dir, base, head = null) {
+  const diff = await git(dir, ['diff', '--name-only', '--no-renames', '--relative', '-z', base, ...(head ? [head] : []), '--']);
+  const files = diff.split('\0').filter(Boolean);
+
+  if (!head) {
+    const untracked = await git(dir, ['ls-files', '--others', '--exclude-standard', '-z', '--', '.']);
+    files.push(...untracked.split('\0').filter(Boolean));
+  }
+
+  return [...new Set(files)].sort();
+}
+
+/**
+ * List the most recent commits with the files each changed, relative to a directory
+ * Merges are skipped; a commit that changed nothing in the directory has no files.
+ * Returns [{ commit, subject, files }], newest first
+ */
+async function getRecentCommits(dir, count) {
+  const log = await git(dir, ['log', '-n', String(count), '--no-merges', '--no-renames', '--relative', '--name-only',
+    '--format=%x1e%H%x1f%s', '--']);
+
+  return log.split('\x1e').slice(1).map(entry => {
+    const [header, ...files] = entry.split('\n');
+    const [commit, subject] = header.split('\x1f');
+    return { commit, subject, files: files.filter(Boolean) };
+  });
+}
+
+/**
+ * List the files git tracks below a directory, relative to it
+ */
+async function listTrackedFiles(dir) {
+  return (await git(dir, ['ls-files', '-z', '--', '.'])).split('\0').filter(Boolean);
+}
+
+/**
+ * Read a file as it was at a revision, or null when it did not exist
+ */
+async function readFileAtRevision(filePath, revision) {
+  const resolved = path.resolve(filePath);
+
+  try {
+    return await git(path.dirname(resolved), ['show', `${revision}:./${path.basename(resolved)}`]);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { getChangedFiles, getRecentCommits, listTrackedFiles, readFileAtRevision };
@@ -0,0 +1,65 @@
+/**
+ * Gitignore
+ * Evaluates .gitignore patterns: "!" re-includes, a trailing "/" matches only directories,
+ * a pattern with a slash is relative to its .gitignore and one without matches at any depth
+ */
+
+const { globToRegExp } = require('./glob');
+
+/**
+ * Parse .gitignore content into rules { pattern, regex, negated, directoryOnly }
+ */
+function parseGitignore(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+
+    const negated = line.startsWith('!');
+    if (negated) {
+      line = line.slice(1);
+    } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+      line = line.slice(1);
+    }
+
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) {
+      line = line.slice(0, -1);
+    }
+    if (line === '') {
+      continue;
+    }
+
+    const anchored = line.includes('/');
+    const glob = anchored ? line.replace(/^\//, '') : `**/${line}`;
+
+    rules.push({ pattern: rawLine.trim(), regex: globToRegExp(glob), negated, directoryOnly });
+  }
+
+  return rules;
+}
+
+/**
+ * Decide whether a path is ignored by one .gitignore's rules
+ * Returns true or false when a rule matches (the last match wins), or null when none does
+ */
+function matchGitignore(rules, relativePath, isDirectory) {
+  let ignored = null;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negated;
+    }
+  }
+
+  return ignored;
+}
+
+module.exports = { parseGitignore, matchGitignore };
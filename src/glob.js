@@ -0,0 +1,75 @@
+/**
+ * Glob Matching
+ * Minimal glob support for config overrides and file discovery:
+ * "*" and "?" stay within a path segment, "**" spans segments and [...] is a character class
+ */
+
+/**
+ * Convert a glob pattern to a regular expression over forward-slash paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" matches everything below
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const negated = pattern[i + 1] === '!' || pattern[i + 1] === '^';
+        const body = pattern.slice(negated ? i + 2 : i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${negated ? '^' : ''}${body}]`;
+        i = end;
+      }
+    } else if (ch === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a relative path matches a glob
+ * Patterns without a slash match the file name at any depth
+ */
+function matchGlob(pattern, filePath) {
+  const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  const glob = pattern.replace(/^\.\//, '');
+
+  if (!glob.includes('/')) {
+    return globToRegExp(glob).test(normalized.split('/').pop());
+  }
+
+  return globToRegExp(glob.replace(/^\//, '')).test(normalized);
+}
+
+/**
+ * Check whether a string contains glob syntax
+ */
+function isGlob(text) {
+  return /[*?[]/.test(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = { globToRegExp, matchGlob, isGlob };
@@ -0,0 +1,215 @@
+/**
+ * Image Efficiency
+ * Finds the space layers waste, like dive: files a later layer deletes (whiteouts) or
+ * overwrites, files duplicated across layers and package manager caches left behind
+ */
+
+// Package manager caches that are only needed while installing
+const PACKAGE_CACHES = [
+  'var/lib/apt/lists',
+  'var/cache/apt/archives',
+  'var/cache/apk',
+  'var/cache/yum',
+  'var/cache/dnf',
+  'root/.npm',
+  'root/.cache/pip',
+  'root/.cache/yarn',
+  'usr/local/share/.cache/yarn'
+];
+
+const WHITEOUT = '.wh.';
+const OPAQUE_WHITEOUT = '.wh..wh..opq';
+const TOP_FILES = 10;
+
+// The wasted bytes of a layer are summed by reason
+const REASON_TOTALS = {
+  deleted: 'deleted',
+  overwritten: 'overwritten',
+  duplicate: 'duplicates',
+  'package-cache': 'packageCaches'
+};
+
+/**
+ * Find the wasted space of image layers
+ * @param {Array} layers - in build order, each with entries [{ path, type, size, hash }]
+ * @returns {{ layers: Array, files: Array }} the wasted bytes of each layer by reason
+ * ({ total, deleted, overwritten, duplicates, packageCaches }) and the largest wasted files
+ * ({ path, layer, size, reason }; package caches are summed per directory)
+ */
+function analyzeWaste(layers) {
+  const root = createNode();
+  const wasted = layers.map(() => ({ total: 0, deleted: 0, overwritten: 0, duplicates: 0, packageCaches: 0 }));
+  const files = [];
+
+  const waste = (file, reason, size = file.size) => {
+    if (size > 0) {
+      wasted[file.layer][REASON_TOTALS[reason]] += size;
+      wasted[file.layer].total += size;
+      files.push({ path: `/${file.path}`, layer: file.layer, size, reason });
+    }
+  };
+
+  layers.forEach((layer, index) => {
+    // Whiteouts only hide what lower layers added, so they go first
+    for (const entry of layer.entries) {
+      const name = basename(entry.path);
+      if (name === OPAQUE_WHITEOUT) {
+        const dir = findNode(root, dirname(entry.path));
+        if (dir) {
+          for (const child of dir.children.values()) {
+            collectFiles(child).forEach(file => waste(file, 'deleted'));
+          }
+          dir.children.clear();
+        }
+      } else if (name.startsWith(WHITEOUT)) {
+        const removed = removeNode(root, joinPath(dirname(entry.path), name.slice(WHITEOUT.length)));
+        if (removed) {
+          collectFiles(removed).forEach(file => waste(file, 'deleted'));
+        }
+      }
+    }
+
+    for (const entry of layer.entries) {
+      if (basename(entry.path).startsWith(WHITEOUT)) {
+        continue;
+      }
+
+      const node = ensureNode(root, entry.path);
+      if (entry.type === 'directory') {
+        // A directory replacing a file hides it; one replacing a directory merges with it
+        if (node.file) {
+          waste(node.file, 'overwritten');
+          node.file = null;
+        }
+      } else {
+        if (node.file && node.file.layer !== index) {
+          waste(node.file, 'overwritten');
+        }
+        collectFiles(node, false).forEach(file => waste(file, 'overwritten'));
+        node.children.clear();
+        node.file = { path: entry.path, layer: index, size: entry.size, hash: entry.hash || null };
+      }
+    }
+  });
+
+  // What remains is the final filesystem: left-over caches, then copies of earlier files
+  const caches = new Map();
+  const copies = new Map();
+  for (const file of collectFiles(root)) {
+    const cache = PACKAGE_CACHES.find(dir => file.path.startsWith(`${dir}/`));
+    if (cache) {
+      const key = `${file.layer}:${cache}`;
+      caches.set(key, { path: cache, layer: file.layer, size: (caches.has(key) ? caches.get(key).size : 0) + file.size });
+    } else if (file.hash && file.size > 0) {
+      const key = `${file.size}:${file.hash}`;
+      if (!copies.has(key)) {
+        copies.set(key, []);
+      }
+      copies.get(key).push(file);
+    }
+  }
+
+  for (const cache of caches.values()) {
+    waste(cache, 'package-cache');
+  }
+  for (const group of copies.values()) {
+    const first = Math.min(...group.map(file => file.layer));
+    group.filter(file => file.layer !== first).forEach(file => waste(file, 'duplicate'));
+  }
+
+  return {
+    layers: wasted,
+    files: files.sort((a, b) => b.size - a.size).slice(0, TOP_FILES)
+  };
+}
+
+/**
+ * Get the share of the file bytes of an image that are not wasted, from 0 to 1
+ */
+function getEfficiency(contentSize, wastedSize) {
+  return contentSize > 0 ? Math.round((1 - wastedSize / contentSize) * 10000) / 10000 : 1;
+}
+
+/**
+ * Create a node of the filesystem tree
+ */
+function createNode() {
+  return { children: new Map(), file: null };
+}
+
+/**
+ * Find the node of a path; null when it does not exist
+ */
+function findNode(root, filePath) {
+  let node = root;
+  for (const part of filePath ? filePath.split('/') : []) {
+    node = node.children.get(part);
+    if (!node) {
+      return null;
+    }
+  }
+  return node;
+}
+
+/**
+ * Find the node of a path, creating it and its parents
+ */
+function ensureNode(root, filePath) {
+  let node = root;
+  for (const part of filePath.split('/')) {
+    if (!node.children.has(part)) {
+      node.children.set(part, createNode());
+    }
+    node = node.children.get(part);
+  }
+  return node;
+}
+
+/**
+ * Detach the node of a path from the tree and return it
+ */
+function removeNode(root, filePath) {
+  const parent = findNode(root, dirname(filePath));
+  const node = parent ? parent.children.get(basename(filePath)) : null;
+  if (node) {
+    parent.children.delete(basename(filePath));
+  }
+  return node || null;
+}
+
+/**
+ * List the files of a node and everything below it
+ */
+function collectFiles(node, includeSelf = true, files = []) {
+  if (includeSelf && node.file) {
+    files.push(node.file);
+  }
+  for (const child of node.children.values()) {
+    collectFiles(child, true, files);
+  }
+  return files;
+}
+
+/**
+ * Get the parent directory of an entry path ('' at the top)
+ */
+function dirname(filePath) {
+  const slash = filePath.lastIndexOf('/');
+  return slash === -1 ? '' : filePath.slice(0, slash);
+}
+
+/**
+ * Get the last part of an entry path
+ */
+function basename(filePath) {
+  return filePath.slice(filePath.lastIndexOf('/') + 1);
+}
+
+/**
+ * Join a directory and a name into an entry path
+ */
+function joinPath(dir, name) {
+  return dir ? `${dir}/${name}` : name;
+}
+
+module.exports = { analyzeWaste, getEfficiency, PACKAGE_CACHES };
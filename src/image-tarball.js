@@ -0,0 +1,353 @@
+/**
+ * Image Tarball
+ * Inspects an image exported with `docker save` or as an OCI image layout tarball, without a
+ * Docker daemon: reads the manifest and config, and every layer for its real compressed and
+ * uncompressed size, its file count, the space it wastes and the instruction that created it
+ * (from the config history)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable, Writable } = require('stream');
+const { TarParser, listTarFile, readTarEntry } = require('./tar');
+const { analyzeWaste, getEfficiency } = require('./image-efficiency');
+
+const INDEX_MEDIA_TYPES = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json'
+];
+
+class ImageTarball {
+  /**
+   * @param {string} filePath
+   * @param {Array} entries - the archive entries (see listTarFile)
+   */
+  constructor(filePath, entries) {
+    this.filePath = filePath;
+    this.entries = new Map(entries.map(entry => [entry.path, entry]));
+  }
+
+  /**
+   * Open an image tarball and list its entries
+   */
+  static async open(filePath) {
+    try {
+      return new ImageTarball(filePath, await listTarFile(filePath));
+    } catch (error) {
+      throw new Error(`Cannot read image archive ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an archive entry by path; throws when it is missing
+   */
+  getEntry(entryPath) {
+    const entry = this.entries.get(entryPath.replace(/^\.\//, ''));
+    if (!entry) {
+      throw new Error(`${entryPath} is missing from the image archive`);
+    }
+    return entry;
+  }
+
+  /**
+   * Read and parse a JSON entry
+   */
+  async readJson(entryPath) {
+    const data = await readTarEntry(this.filePath, this.getEntry(entryPath));
+    try {
+      return JSON.parse(data.toString('utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${entryPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the manifest of the image: { format, tags, config, layers: [{ path, digest }] }
+   * A docker save archive lists its images in manifest.json, an OCI layout in index.json (through
+   * an index per platform for multi-platform images). With several images the first is read,
+   * or the first for a platform such as linux/arm64
+   */
+  async readManifest({ platform = null } = {}) {
+    if (this.entries.has('manifest.json')) {
+      const [image] = await this.readJson('manifest.json');
+      if (!image) {
+        throw new Error('manifest.json lists no images');
+      }
+
+      return {
+        format: 'docker-archive',
+        tags: image.RepoTags || [],
+        config: await this.readJson(image.Config),
+        layers: image.Layers.map(layerPath => ({ path: layerPath, digest: digestOfPath(layerPath) }))
+      };
+    }
+
+    if (this.entries.has('index.json')) {
+      const index = await this.readJson('index.json');
+      const { manifest, tags } = await this.findManifest(index, platform);
+
+      return {
+        format: 'oci-layout',
+        tags,
+        config: await this.readJson(blobPath(manifest.config.digest)),
+        layers: manifest.layers.map(layer => ({ path: blobPath(layer.digest), digest: layer.digest }))
+      };
+    }
+
+    throw new Error('Not an image archive: neither manifest.json (docker save) nor index.json (OCI layout) found');
+  }
+
+  /**
+   * Find the image manifest in an OCI index, descending into nested indexes
+   * Attestation manifests and other platforms are skipped
+   */
+  async findManifest(index, platform, tags = []) {
+    for (const descriptor of index.manifests || []) {
+      const annotations = descriptor.annotations || {};
+      const name = annotations['io.containerd.image.name'] || annotations['org.opencontainers.image.ref.name'];
+      const descriptorTags = name && name.includes(':') ? [name] : tags;
+
+      if (annotations['vnd.docker.reference.type'] === 'attestation-manifest' ||
+          (platform && descriptor.platform && formatPlatform(descriptor.platform) !== platform)) {
+        continue;
+      }
+
+      const content = await this.readJson(blobPath(descriptor.digest));
+      if (INDEX_MEDIA_TYPES.includes(descriptor.mediaType) || content.manifests) {
+        const found = await this.findManifest(content, platform, descriptorTags).catch(() => null);
+        if (found) {
+          return found;
+        }
+      } else {
+        return { manifest: content, tags: descriptorTags };
+      }
+    }
+
+    throw new Error(platform ? `No image for platform ${platform} in index.json` : 'index.json lists no images');
+  }
+
+  /**
+   * Inspect the image: its manifest, config, history and the real size, file count and wasted
+   * space of each layer (see analyzeWaste). Layers stored uncompressed are gzip-compressed to
+   * measure what a push would store
+   */
+  async inspect({ platform = null } = {}) {
+    const { format, tags, config, layers } = await this.readManifest({ platform });
+    const diffIds = (config.rootfs && config.rootfs.diff_ids) || [];
+    const history = (config.history || []).map(entry => ({
+      created: entry.created || null,
+      createdBy: entry.created_by || '',
+      instruction: describeHistoryCommand(entry.created_by || ''),
+      comment: entry.comment || null,
+      emptyLayer: Boolean(entry.empty_layer)
+    }));
+    const layerHistory = history.filter(entry => !entry.emptyLayer);
+    const inspected = [];
+    const entries = [];
+
+    for (const [index, layer] of layers.entries()) {
+      const { entries: layerEntries, ...stats } = await this.readLayer(layer);
+      const step = layerHistory[index] || null;
+
+      entries.push({ entries: layerEntries });
+      inspected.push({
+        index,
+        digest: layer.digest,
+        diffId: diffIds[index] || null,
+        ...stats,
+        createdBy: step ? step.createdBy : null,
+        instruction: step ? step.instruction : null,
+        created: step ? step.created : null
+      });
+    }
+
+    const waste = analyzeWaste(entries);
+    inspected.forEach((layer, index) => { layer.wasted = waste.layers[index]; });
+    const contentSize = inspected.reduce((sum, layer) => sum + layer.contentSize, 0);
+    const wastedSize = inspected.reduce((sum, layer) => sum + layer.wasted.total, 0);
+
+    const settings = config.config || {};
+    return {
+      file: this.filePath,
+      format,
+      tags,
+      os: config.os || null,
+      architecture: config.architecture || null,
+      variant: config.variant || null,
+      created: config.created || null,
+      config: {
+        user: settings.User || null,
+        workingDir: settings.WorkingDir || null,
+        entrypoint: settings.Entrypoint || null,
+        cmd: settings.Cmd || null,
+        env: settings.Env || [],
+        exposedPorts: Object.keys(settings.ExposedPorts || {})
+      },
+      layers: inspected,
+      history,
+      totalCompressedSize: inspected.reduce((sum, layer) => sum + layer.compressedSize, 0),
+      totalUncompressedSize: inspected.reduce((sum, layer) => sum + layer.uncompressedSize, 0),
+      totalFiles: inspected.reduce((sum, layer) => sum + layer.files, 0),
+      wastedSize,
+      efficiency: getEfficiency(contentSize, wastedSize),
+      wastedFiles: waste.files
+    };
+  }
+
+  /**
+   * Read one layer: { compression, compressedSize, uncompressedSize, contentSize, files,
+   * directories, whiteouts, entries }
+   * Files count regular files and links; whiteouts are the .wh. markers that delete files of
+   * lower layers. contentSize sums the sizes of the files, and entries lists every entry with
+   * the hash of its content ({ path, type, size, hash })
+   */
+  async readLayer(layer) {
+    const entry = this.getEntry(layer.path);
+    const compression = await this.detectCompression(entry);
+    const stats = { contentSize: 0, files: 0, directories: 0, whiteouts: 0, entries: [] };
+    const parser = new TarParser(file => {
+      if (!file.path) {
+        return null;
+      }
+
+      const name = file.path.split('/').pop();
+      const item = { path: file.path, type: file.type, size: file.type === 'file' ? file.size : 0, hash: null };
+      stats.entries.push(item);
+      if (name.startsWith('.wh.')) {
+        stats.whiteouts++;
+      } else if (file.type === 'directory') {
+        stats.directories++;
+      } else {
+        stats.files++;
+        stats.contentSize += item.size;
+      }
+
+      if (item.size === 0) {
+        return null;
+      }
+      const hash = crypto.createHash('sha1');
+      return {
+        data: chunk => hash.update(chunk),
+        end: () => { item.hash = hash.digest('hex'); }
+      };
+    });
+
+    let uncompressedSize = 0;
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        uncompressedSize += chunk.length;
+        parser.write(chunk);
+        callback();
+      }
+    });
+
+    const streams = [this.readEntry(entry)];
+    if (compression === 'gzip') {
+      streams.push(zlib.createGunzip());
+    } else if (compression === 'zstd') {
+      if (!zlib.createZstdDecompress) {
+        throw new Error(`Layer ${layer.digest || layer.path} is zstd-compressed, which needs a newer Node.js`);
+      }
+      streams.push(zlib.createZstdDecompress());
+    }
+    await pipeline(...streams, sink);
+
+    const compressedSize = compression === 'none' ? await this.measureGzip(entry) : entry.size;
+    return { compression, compressedSize, uncompressedSize, ...stats };
+  }
+
+  /**
+   * Tell how a layer blob is compressed from its first bytes: gzip, zstd or none
+   */
+  async detectCompression(entry) {
+    const head = await readTarEntry(this.filePath, { offset: entry.offset, size: Math.min(4, entry.size) });
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+      return 'gzip';
+    }
+    if (head.readUInt32LE(0) === 0xfd2fb528) {
+      return 'zstd';
+    }
+    return 'none';
+  }
+
+  /**
+   * Measure the gzip-compressed size of an entry
+   */
+  async measureGzip(entry) {
+    let size = 0;
+    await pipeline(this.readEntry(entry), zlib.createGzip(), new Writable({
+      write(chunk, encoding, callback) {
+        size += chunk.length;
+        callback();
+      }
+    }));
+    return size;
+  }
+
+  /**
+   * Stream the content of an entry
+   */
+  readEntry(entry) {
+    if (entry.size === 0) {
+      return Readable.from([]);
+    }
+    return fs.createReadStream(this.filePath, { start: entry.offset, end: entry.offset + entry.size - 1 });
+  }
+}
+
+/**
+ * Inspect an image tarball (see ImageTarball.inspect)
+ * Options: platform (e.g. linux/arm64, to pick one image of a multi-platform OCI layout)
+ */
+async function inspectImage(filePath, { platform = null } = {}) {
+  const tarball = await ImageTarball.open(filePath);
+  return tarball.inspect({ platform });
+}
+
+/**
+ * Turn the created_by of a history entry into the Dockerfile instruction that made it:
+ * "/bin/sh -c #(nop)  CMD [\"node\"]" → CMD ["node"], "/bin/sh -c apt-get ..." → RUN apt-get ...,
+ * "RUN /bin/sh -c make # buildkit" → RUN make
+ */
+function describeHistoryCommand(createdBy) {
+  const command = createdBy.replace(/\s+# buildkit$/, '').trim();
+
+  const nop = command.match(/^\/bin\/sh -c #\(nop\)\s*(.*)$/s);
+  if (nop) {
+    return nop[1].trim();
+  }
+
+  const shell = command.match(/^(?:(RUN)\s+)?(?:\|\d+ (?:\S+=\S* )*)?\/bin\/sh -c (.*)$/s);
+  if (shell) {
+    return `RUN ${shell[2].trim()}`;
+  }
+
+  return command;
+}
+
+/**
+ * Get the blob path of a digest in an OCI layout: sha256:abc → blobs/sha256/abc
+ */
+function blobPath(digest) {
+  const [algorithm, hex] = digest.split(':');
+  return `blobs/${algorithm}/${hex}`;
+}
+
+/**
+ * Get the digest of a blob path (blobs/sha256/abc → sha256:abc); null for other layouts
+ */
+function digestOfPath(entryPath) {
+  const match = entryPath.match(/^(?:\.\/)?blobs\/([^/]+)\/([0-9a-f]+)$/);
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Format an OCI platform as os/architecture[/variant]
+ */
+function formatPlatform(platform) {
+  return [platform.os, platform.architecture, platform.variant].filter(Boolean).join('/');
+}
+
+module.exports = { ImageTarball, inspectImage, describeHistoryCommand };
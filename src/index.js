@@ -2,11 +2,55 @@
  * Main entry point
  */
 
-const Analyzer = require('./analyzer');
+const { Analyzer } = require('./analyzer');
+const { DockerfileParser } = require('./dockerfile-parser');
+const { StageGraph } = require('./stage-graph');
+const { VariableScope, expandVariables } = require('./variable-resolver');
+const { DockerfileTokenizer } = require('./dockerfile-tokenizer');
+const { LayerAnalyzer } = require('./layer-analyzer');
+const { CacheRulesEngine } = require('./cache-rules');
+const { builtInRules } = require('./rules');
+const { ShellAnalyzer } = require('./shell-analyzer');
+const { SizeEstimator } = require('./size-estimator');
+const { DockerfileFixer } = require('./fixer');
+const { loadConfig } = require('./config');
+const { createBaselineEntries, readBaseline, writeBaseline } = require('./baseline');
+const { ReporterRegistry, builtInReporters } = require('./reporters');
+const { findDockerfiles } = require('./discovery');
+const { BuildContext } = require('./build-context');
+const { BaseImageCatalog } = require('./base-image-catalog');
+const { BaseImageRecommender } = require('./base-image-recommender');
+const { CacheSimulator, simulateChange } = require('./cache-simulator');
+const { CacheForecast, forecastCache } = require('./cache-forecast');
+const { ImageTarball, inspectImage } = require('./image-tarball');
 
 module.exports = {
   Analyzer,
-  DockerfileParser: require('./dockerfile-parser'),
-  LayerAnalyzer: require('./layer-analyzer'),
-  CacheRulesEngine: require('./cache-rules')
+  DockerfileParser,
+  StageGraph,
+  VariableScope,
+  expandVariables,
+  DockerfileTokenizer,
+  LayerAnalyzer,
+  CacheRulesEngine,
+  builtInRules,
+  ShellAnalyzer,
+  SizeEstimator,
+  DockerfileFixer,
+  loadConfig,
+  createBaselineEntries,
+  readBaseline,
+  writeBaseline,
+  ReporterRegistry,
+  builtInReporters,
+  findDockerfiles,
+  BuildContext,
+  BaseImageCatalog,
+  BaseImageRecommender,
+  CacheSimulator,
+  simulateChange,
+  CacheForecast,
+  forecastCache,
+  ImageTarball,
+  inspectImage
 };
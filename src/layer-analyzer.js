@@ -1,11 +1,17 @@
 /**
  * Layer Size Analyzer
- * Analyzes layer sizes from Docker history output
+ * Analyzes layer sizes from Docker history output or an inspected image tarball
  */
 
+const { SYSTEM_PACKAGE_MANAGERS } = require('./shell-analyzer');
+const { getEfficiency } = require('./image-efficiency');
+
+const COPY_ESTIMATE = 5 * 1024 * 1024;
+
 class LayerAnalyzer {
   constructor() {
     this.layers = [];
+    this.wastedFiles = [];
   }
 
   /**
@@ -15,6 +21,7 @@ class LayerAnalyzer {
   parseHistoryOutput(output) {
     const lines = output.trim().split('\n');
     this.layers = [];
+    this.wastedFiles = [];
 
     for (const line of lines) {
       const parts = line.split('|');
@@ -30,6 +37,25 @@ class LayerAnalyzer {
     return this.layers;
   }
 
+  /**
+   * Load the layers of an inspected image tarball (see inspectImage), newest first like
+   * docker history, with their compressed size, file count and wasted space
+   */
+  loadImage(inspection) {
+    this.layers = inspection.layers.map(layer => ({
+      id: (layer.digest || layer.diffId || '').replace(/^sha256:/, ''),
+      size: layer.uncompressedSize,
+      compressedSize: layer.compressedSize,
+      files: layer.files,
+      contentSize: layer.contentSize,
+      wasted: layer.wasted,
+      createdBy: layer.instruction || ''
+    })).reverse();
+    this.wastedFiles = inspection.wastedFiles || [];
+
+    return this.layers;
+  }
+
   /**
    * Parse size string (e.g., "1.2GB", "500MB", "100KB") to bytes
    */
@@ -52,7 +78,7 @@ class LayerAnalyzer {
       'B': 1,
       'KB': 1024,
       'MB': 1024 * 1024,
-      'GB': 1024 * * 3,
+      'GB': 1024 ** 3,
       'TB': 1024 ** 4
     };
 
@@ -63,12 +89,7 @@ class LayerAnalyzer {
    * Format bytes to human readable size
    */
   formatBytes(bytes) {
-    if (bytes === 0) return '0B';
-
-    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-
-    return `${(bytes / Math.pow(1024, i)).toFixed(2)}${units[i]}`;
+    return formatBytes(bytes);
   }
 
   /**
@@ -93,41 +114,100 @@ class LayerAnalyzer {
   analyze() {
     const totalSize = this.getTotalSize();
     const largest = this.getLargestLayers(5);
+    const describe = layer => ({
+      id: layer.id.substring(0, 12),
+      size: layer.size,
+      formattedSize: this.formatBytes(layer.size),
+      percent: totalSize > 0 ? ((layer.size / totalSize) * 100).toFixed(2) : '0.00',
+      createdBy: layer.createdBy,
+      ...(layer.compressedSize !== undefined && {
+        compressedSize: layer.compressedSize,
+        formattedCompressedSize: this.formatBytes(layer.compressedSize),
+        files: layer.files
+      }),
+      ...(layer.wasted && {
+        wasted: layer.wasted,
+        formattedWastedSize: this.formatBytes(layer.wasted.total)
+      })
+    });
 
     return {
       totalLayers: this.layers.length,
       totalSize,
       formattedTotalSize: this.formatBytes(totalSize),
-      largestLayers: largest.map(layer => ({
-        id: layer.id.substring(0, 12),
-        size: layer.size,
-        formattedSize: this.formatBytes(layer.size),
-        percent: ((layer.size / totalSize) * 100).toFixed(2),
-        createdBy: layer.createdBy
-      })),
-      averageLayerSize: totalSize / this.layers.length
+      largestLayers: largest.map(describe),
+      // docker history lists the newest layer first; layers are in build order
+      layers: [...this.layers].reverse().map(describe),
+      averageLayerSize: this.layers.length > 0 ? totalSize / this.layers.length : 0,
+      efficiency: this.getEfficiency()
+    };
+  }
+
+  /**
+   * Summarize the space the layers waste: files deleted or overwritten by later layers,
+   * duplicated across layers or left in package manager caches
+   * Needs the file contents of an image tarball (see loadImage); null for docker history
+   */
+  getEfficiency() {
+    if (this.layers.length === 0 || !this.layers.every(layer => layer.wasted)) {
+      return null;
+    }
+
+    const layers = [...this.layers].reverse();
+    const contentSize = layers.reduce((sum, layer) => sum + layer.contentSize, 0);
+    const sum = key => layers.reduce((total, layer) => total + layer.wasted[key], 0);
+    const score = getEfficiency(contentSize, sum('total'));
+
+    return {
+      score,
+      formattedScore: `${(score * 100).toFixed(2)}%`,
+      contentSize,
+      wastedSize: sum('total'),
+      formattedWastedSize: this.formatBytes(sum('total')),
+      wasted: {
+        deleted: sum('deleted'),
+        overwritten: sum('overwritten'),
+        duplicates: sum('duplicates'),
+        packageCaches: sum('packageCaches')
+      },
+      // Layers in build order that waste space
+      layers: layers
+        .map((layer, index) => ({
+          index,
+          id: layer.id.substring(0, 12),
+          createdBy: layer.createdBy,
+          ...layer.wasted,
+          formattedWastedSize: this.formatBytes(layer.wasted.total)
+        }))
+        .filter(layer => layer.total > 0),
+      files: this.wastedFiles.map(file => ({
+        ...file,
+        formattedSize: this.formatBytes(file.size),
+        createdBy: layers[file.layer] ? layers[file.layer].createdBy : null
+      }))
     };
   }
 
   /**
    * Estimate size from Dockerfile (heuristic)
-   * This is a rough estimate based on instruction types
+   * This is a rough estimate based on instruction types; with a build context (a loaded
+   * BuildContext) the files COPY/ADD send from it are measured instead
    */
-  estimateFromDockerfile(parser) {
+  estimateFromDockerfile(parser, { context = null } = {}) {
     const analysis = parser.analyzeLayers();
     const estimates = [];
 
     // RUN commands: typically small (10-50KB) unless installing packages
     const runs = parser.getRunInstructions();
     for (const run of runs) {
-      const args = run.arguments.toUpperCase();
+      const category = this.categorizeRun(run);
       let estimated = 10 * 1024; // Default 10KB
 
-      if (args.includes('APT-GET INSTALL') || args.includes('YUM INSTALL') || args.includes('APK ADD')) {
+      if (category === 'package') {
         estimated = 50 * 1024 * 1024; // Package install: ~50MB average
-      } else if (args.includes('NPM INSTALL') || args.includes('PIP INSTALL')) {
+      } else if (category === 'dependency') {
         estimated = 20 * 1024 * 1024; // Package manager: ~20MB average
-      } else if (args.includes('GIT CLONE') || args.includes('WGET') || args.includes('CURL')) {
+      } else if (category === 'download') {
         estimated = 100 * 1024 * 1024; // Downloads: ~100MB average
       }
 
@@ -136,20 +216,23 @@ class LayerAnalyzer {
         lineNum: run.lineNum,
         estimatedSize: estimated,
         formattedSize: this.formatBytes(estimated),
-        reason: this.estimateReason(run.arguments)
+        reason: this.estimateReason(run)
       });
     }
 
-    // COPY/ADD commands: depends on file size (unknown, estimate)
+    // COPY/ADD commands: the files they send, or a default 5MB without file access
     const copies = [...parser.getCopyInstructions(), ...parser.getAddInstructions()];
     for (const copy of copies) {
-      const estimated = 5 * 1024 * 1024; // Default 5MB estimate
+      const measured = context ? this.measureCopy(copy, context) : null;
+      const estimated = measured ? measured.size : COPY_ESTIMATE;
+
       estimates.push({
         type: copy.directive,
         lineNum: copy.lineNum,
         estimatedSize: estimated,
         formattedSize: this.formatBytes(estimated),
-        reason: 'Cannot determine without file access'
+        reason: measured ? measured.reason : 'Cannot determine without file access',
+        ...(measured && { measured: true, files: measured.files })
       });
     }
 
@@ -161,23 +244,68 @@ class LayerAnalyzer {
   }
 
   /**
-   * Get reason for size estimation
+   * Measure the files a COPY/ADD sends from the build context: { files, size, reason }
+   * Returns null for copies from other stages or images and for remote-only sources
+   */
+  measureCopy(copy, context) {
+    const { from, sources } = copy.resolved.operands;
+    const measured = from ? null : context.measure(sources);
+    if (!measured) {
+      return null;
+    }
+
+    return {
+      ...measured,
+      reason: measured.files > 0 ? `${measured.files} file(s) from the build context` : 'No matching files in the build context'
+    };
+  }
+
+  /**
+   * Categorize a RUN instruction by the commands it executes
    */
-  estimateReason(arguments) {
-    const args = arguments.toUpperCase();
-
-    if (args.includes('APT-GET INSTALL') || args.includes('YUM INSTALL') || args.includes('APK ADD')) {
-      return 'Package installation';
-    } else if (args.includes('NPM INSTALL') || args.includes('PIP INSTALL')) {
-      return 'Dependency installation';
-    } else if (args.includes('GIT CLONE') || args.includes('WGET') || args.includes('CURL')) {
-      return 'Download operation';
-    } else if (args.includes('MAKE') || args.includes('CMAKE') || args.includes('BUILD')) {
-      return 'Build operation';
-    } else {
-      return 'Command execution';
+  categorizeRun(run) {
+    const shell = run.command.shell;
+
+    if (shell.getPackageInstalls(SYSTEM_PACKAGE_MANAGERS).length > 0) {
+      return 'package';
+    } else if (shell.getPackageInstalls().length > 0) {
+      return 'dependency';
+    } else if (shell.hasCommand({ name: ['wget', 'curl'] }) || shell.hasCommand({ name: 'git', subcommand: 'clone' })) {
+      return 'download';
+    } else if (shell.hasCommand({ name: ['make', 'cmake', 'gcc', 'go', 'cargo', 'mvn', 'gradle'] }) ||
+               shell.hasCommand(c => c.operands.includes('build'))) {
+      return 'build';
     }
+
+    return 'command';
+  }
+
+  /**
+   * Get reason for size estimation
+   */
+  estimateReason(run) {
+    const reasons = {
+      package: 'Package installation',
+      dependency: 'Dependency installation',
+      download: 'Download operation',
+      build: 'Build operation',
+      command: 'Command execution'
+    };
+
+    return reasons[this.categorizeRun(run)];
   }
 }
 
-module.exports = LayerAnalyzer;
+/**
+ * Format bytes to human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes === 0) return '0B';
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.max(0, Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1));
+
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)}${units[i]}`;
+}
+
+module.exports = { LayerAnalyzer, formatBytes };
@@ -0,0 +1,48 @@
+/**
+ * Checkstyle XML Reporter
+ * One <file> per Dockerfile with an <error> per finding
+ */
+
+const { displayPath, escapeXml, eachIssue } = require('./helpers');
+
+const SEVERITIES = { high: 'error', medium: 'warning', low: 'info' };
+
+/**
+ * Build a Checkstyle XML document from per-Dockerfile analysis results
+ */
+function toCheckstyle(reports) {
+  const files = reports.map(report => {
+    const errors = eachIssue(report.results).map(({ finding, issue }) => {
+      const attributes = [
+        `line="${issue.lineNum}"`,
+        issue.range ? `column="${issue.range.start.column}"` : null,
+        `severity="${SEVERITIES[finding.severity] || 'warning'}"`,
+        `message="${escapeXml(issue.reason || issue.suggestion || finding.title)}"`,
+        `source="docker-layer-optimizer.${escapeXml(finding.rule)}"`
+      ].filter(Boolean);
+
+      return `    <error ${attributes.join(' ')}/>`;
+    });
+
+    return [
+      `  <file name="${escapeXml(displayPath(report.path))}">`,
+      ...errors,
+      '  </file>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">',
+    ...files,
+    '</checkstyle>'
+  ].join('\n');
+}
+
+const checkstyleReporter = {
+  name: 'checkstyle',
+  description: 'Checkstyle XML',
+  format: toCheckstyle
+};
+
+module.exports = { checkstyleReporter, toCheckstyle };
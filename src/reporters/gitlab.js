@@ -0,0 +1,59 @@
+/**
+ * GitLab Code Quality Reporter
+ * A JSON array of Code Climate issues as consumed by GitLab's codequality report artifact
+ */
+
+const crypto = require('crypto');
+const { fingerprint } = require('../baseline');
+const { displayPath, eachIssue } = require('./helpers');
+
+const SEVERITIES = { high: 'major', medium: 'minor', low: 'info' };
+const CATEGORIES = { size: 'Performance', cache: 'Performance', 'best-practice': 'Style' };
+
+/**
+ * Build Code Quality issues from per-Dockerfile analysis results
+ * Fingerprints ignore line numbers so issues keep their identity across unrelated edits
+ */
+function toCodeQuality(reports) {
+  const issues = [];
+
+  for (const report of reports) {
+    const filePath = displayPath(report.path);
+    const seen = new Map();
+
+    for (const { finding, issue } of eachIssue(report.results)) {
+      // Identical findings in one file are told apart by their occurrence
+      const key = fingerprint(finding.rule, issue.instruction);
+      const occurrence = seen.get(key) || 0;
+      seen.set(key, occurrence + 1);
+
+      issues.push({
+        type: 'issue',
+        check_name: finding.rule,
+        description: issue.reason || issue.suggestion || finding.title,
+        categories: [CATEGORIES[finding.category] || 'Style'],
+        severity: SEVERITIES[finding.severity] || 'minor',
+        fingerprint: crypto.createHash('md5').update(`${filePath}\n${key}\n${occurrence}`).digest('hex'),
+        location: {
+          path: filePath,
+          lines: {
+            begin: issue.lineNum,
+            end: issue.range ? issue.range.end.line : issue.lineNum
+          }
+        }
+      });
+    }
+  }
+
+  return issues;
+}
+
+const gitlabReporter = {
+  name: 'gitlab',
+  description: 'GitLab Code Quality JSON',
+  format(reports) {
+    return JSON.stringify(toCodeQuality(reports), null, 2);
+  }
+};
+
+module.exports = { gitlabReporter, toCodeQuality };
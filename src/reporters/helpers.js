@@ -0,0 +1,66 @@
+/**
+ * Reporter Helpers
+ * Paths, escaping and finding iteration shared by the built-in reporters
+ */
+
+const path = require('path');
+
+/**
+ * Forward-slash path relative to the working directory, or null for files outside it
+ */
+function relativePath(filePath) {
+  const relative = path.relative(process.cwd(), path.resolve(filePath));
+
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Forward-slash path for display: relative to the working directory when possible
+ */
+function displayPath(filePath) {
+  return relativePath(filePath) || path.resolve(filePath).split(path.sep).join('/');
+}
+
+/**
+ * Escape text for XML attributes and content
+ * Control characters other than tab, LF and CR are not allowed in XML 1.0 and are dropped
+ */
+function escapeXml(text) {
+  return Array.from(String(text))
+    .filter(char => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r')
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Flatten the reported findings of one analysis into { finding, issue } pairs
+ */
+function eachIssue(results) {
+  return results.cacheIssues.flatMap(finding => finding.issues.map(issue => ({ finding, issue })));
+}
+
+/**
+ * Totals over the analyses of several Dockerfiles
+ */
+function summarize(reports) {
+  const summary = { files: reports.length, issues: { high: 0, medium: 0, low: 0 }, suppressed: 0 };
+
+  for (const { results } of reports) {
+    for (const severity of Object.keys(summary.issues)) {
+      summary.issues[severity] += results.summary.issues[severity];
+    }
+    summary.suppressed += results.summary.suppressed;
+  }
+
+  return summary;
+}
+
+module.exports = { relativePath, displayPath, escapeXml, eachIssue, summarize };
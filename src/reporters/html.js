@@ -0,0 +1,366 @@
+/**
+ * HTML Reporter
+ * A single self-contained page per run: the annotated Dockerfile, a layer table per stage,
+ * layer size charts and the stage dependency graph. No scripts or external assets.
+ */
+
+const { version } = require('../../package.json');
+const { displayPath, escapeXml: escapeHtml, eachIssue, summarize } = require('./helpers');
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const LAYER_DIRECTIVES = new Set(['RUN', 'COPY', 'ADD']);
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header { background: #0d3b66; color: #fff; padding: 16px 32px; }
+header h1 { margin: 0; font-size: 22px; }
+header p { margin: 4px 0 0; opacity: 0.8; font-size: 13px; }
+main { padding: 16px 32px; }
+section.report { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px 24px; margin-bottom: 24px; }
+h2 { font-size: 18px; margin: 0 0 12px; word-break: break-all; }
+h3 { font-size: 15px; margin: 20px 0 8px; }
+h4 { font-size: 13px; margin: 12px 0 6px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+th { background: #f6f8fa; }
+code, pre { font-family: SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace; font-size: 12px; }
+pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+.summary { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 8px; }
+.summary div { border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 12px; min-width: 90px; }
+.summary strong { display: block; font-size: 20px; }
+.source td { border: none; padding: 0 8px; }
+.source td.ln { color: #6e7781; text-align: right; width: 1%; user-select: none; }
+.source tr.sev-high td.code { background: #ffebe9; }
+.source tr.sev-medium td.code { background: #fff8c5; }
+.source tr.sev-low td.code { background: #ddf4ff; }
+.finding { border-left: 4px solid; border-radius: 4px; margin: 4px 0 8px; padding: 6px 10px; background: #f6f8fa; font-size: 13px; }
+.finding.sev-high { border-color: #cf222e; }
+.finding.sev-medium { border-color: #bf8700; }
+.finding.sev-low { border-color: #0969da; }
+.badge { display: inline-block; border-radius: 10px; padding: 0 8px; font-size: 11px; font-weight: 600; color: #fff; }
+.badge.sev-high { background: #cf222e; }
+.badge.sev-medium { background: #bf8700; }
+.badge.sev-low { background: #0969da; }
+.badge.fix { background: #1a7f37; }
+.muted { color: #6e7781; }
+.chart td.label { width: 35%; }
+.chart td.size { width: 10%; white-space: nowrap; text-align: right; }
+.bar { height: 14px; background: #0969da; border-radius: 2px; min-width: 1px; }
+.bar.real { background: #8250df; }
+svg text { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }
+`;
+
+/**
+ * Truncate text to one line of at most max characters
+ */
+function truncate(text, max = 80) {
+  const line = String(text).split('\n')[0];
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+/**
+ * Last source line of a finding: the end of its range, or its line number
+ */
+function lastLine(issue) {
+  return issue.range ? issue.range.end.line : issue.lineNum;
+}
+
+/**
+ * Summary cards for one Dockerfile
+ */
+function formatSummary(results) {
+  const { summary } = results;
+  const cards = [
+    ['Instructions', summary.totalInstructions],
+    ['Stages', summary.stages],
+    ['High', summary.issues.high],
+    ['Medium', summary.issues.medium],
+    ['Low', summary.issues.low]
+  ];
+
+  if (summary.suppressed > 0) {
+    cards.push(['Suppressed', summary.suppressed]);
+  }
+  if (results.target) {
+    cards.push(['Target', results.target.name]);
+  }
+  if (results.sizeEstimate) {
+    cards.push(['Estimated size', results.sizeEstimate.formattedSize]);
+  }
+  if (results.layerAnalysis) {
+    cards.push(['Image size', results.layerAnalysis.formattedTotalSize]);
+    if (results.layerAnalysis.efficiency) {
+      cards.push(['Image efficiency', results.layerAnalysis.efficiency.formattedScore]);
+      cards.push(['Wasted in layers', results.layerAnalysis.efficiency.formattedWastedSize]);
+    }
+  }
+  if (results.context) {
+    cards.push(['Build context', results.context.formattedSize]);
+    cards.push(['Unneeded in context', results.context.formattedUnneededSize]);
+  }
+
+  return `<div class="summary">${cards.map(([label, value]) =>
+    `<div><strong>${escapeHtml(value)}</strong><span class="muted">${label}</span></div>`).join('')}</div>`;
+}
+
+/**
+ * One finding as an inline annotation
+ */
+function formatFinding(finding, issue) {
+  const fix = issue.fix ? ` <span class="badge fix">fix: ${escapeHtml(issue.fix.safety)}</span>` : '';
+  const recommendation = finding.recommendation
+    ? `<div class="muted">💡 ${escapeHtml(finding.recommendation)}</div>`
+    : '';
+
+  return `<div class="finding sev-${finding.severity}">` +
+    `<span class="badge sev-${finding.severity}">${finding.severity.toUpperCase()}</span> ` +
+    `<strong>${escapeHtml(finding.title)}</strong> <code>${escapeHtml(finding.rule)}</code>${fix}` +
+    `<div>${escapeHtml(issue.reason || issue.suggestion || finding.description)}</div>${recommendation}</div>`;
+}
+
+/**
+ * The Dockerfile source with highlighted lines and findings below the instruction they point at
+ */
+function formatSource(source, results) {
+  const severities = new Map();
+  const annotations = new Map();
+
+  for (const { finding, issue } of eachIssue(results)) {
+    for (let line = issue.lineNum; line <= lastLine(issue); line++) {
+      const current = severities.get(line);
+      if (!current || SEVERITY_ORDER[finding.severity] < SEVERITY_ORDER[current]) {
+        severities.set(line, finding.severity);
+      }
+    }
+
+    const end = lastLine(issue);
+    annotations.set(end, [...(annotations.get(end) || []), formatFinding(finding, issue)]);
+  }
+
+  const rows = source.replace(/\r?\n$/, '').split(/\r?\n/).map((text, i) => {
+    const line = i + 1;
+    const severity = severities.get(line);
+    const row = `<tr${severity ? ` class="sev-${severity}"` : ''}><td class="ln">${line}</td>` +
+      `<td class="code"><pre>${escapeHtml(text) || ' '}</pre></td></tr>`;
+    const notes = annotations.get(line);
+
+    return notes ? `${row}\n<tr><td></td><td>${notes.join('')}</td></tr>` : row;
+  });
+
+  return `<table class="source">\n${rows.join('\n')}\n</table>`;
+}
+
+/**
+ * One table per stage listing its instructions, whether they add a layer, estimated size and findings
+ */
+function formatStages(results) {
+  const estimates = new Map((results.layerEstimate ? results.layerEstimate.estimates : []).map(e => [e.lineNum, e]));
+  const findings = new Map();
+
+  for (const { issue } of eachIssue(results)) {
+    findings.set(issue.lineNum, (findings.get(issue.lineNum) || 0) + 1);
+  }
+
+  return (results.stages || []).map(stage => {
+    const rows = stage.instructions.map(instruction => {
+      const estimate = estimates.get(instruction.lineNum);
+      const count = findings.get(instruction.lineNum) || 0;
+
+      return `<tr><td>${instruction.lineNum}</td><td><code>${escapeHtml(truncate(instruction.instruction, 100))}</code></td>` +
+        `<td>${LAYER_DIRECTIVES.has(instruction.directive) ? 'yes' : '<span class="muted">no</span>'}</td>` +
+        `<td>${estimate ? escapeHtml(estimate.formattedSize) : '<span class="muted">–</span>'}</td>` +
+        `<td>${count > 0 ? count : '<span class="muted">0</span>'}</td></tr>`;
+    });
+
+    return `<h4>Stage ${stage.index}: ${escapeHtml(stage.name)} <span class="muted">FROM ${escapeHtml(stage.base || '–')}</span></h4>\n` +
+      '<table><tr><th>Line</th><th>Instruction</th><th>Layer</th><th>Estimated size</th><th>Findings</th></tr>\n' +
+      `${rows.join('\n')}\n</table>`;
+  }).join('\n');
+}
+
+/**
+ * A horizontal bar chart of { label, size, formattedSize } rows
+ */
+function formatBarChart(rows, barClass) {
+  const max = Math.max(...rows.map(row => row.size), 1);
+
+  return '<table class="chart">\n' + rows.map(row =>
+    `<tr><td class="label"><code>${escapeHtml(truncate(row.label, 60))}</code></td>` +
+    `<td><div class="${barClass}" style="width: ${((row.size / max) * 100).toFixed(1)}%"></div></td>` +
+    `<td class="size">${escapeHtml(row.formattedSize)}</td></tr>`).join('\n') + '\n</table>';
+}
+
+/**
+ * Charts of estimated layer sizes and of the real sizes from docker history
+ */
+function formatSizes(results) {
+  const charts = [];
+
+  if (results.layerEstimate && results.layerEstimate.estimates.length > 0) {
+    const rows = [...results.layerEstimate.estimates]
+      .sort((a, b) => a.lineNum - b.lineNum)
+      .map(e => ({ label: `Line ${e.lineNum} · ${e.type} · ${e.reason}`, size: e.estimatedSize, formattedSize: e.formattedSize }));
+    charts.push(`<h4>Estimated (total ${escapeHtml(results.layerEstimate.formattedTotal)})</h4>\n${formatBarChart(rows, 'bar')}`);
+  }
+
+  if (results.layerAnalysis && results.layerAnalysis.layers.length > 0) {
+    const rows = results.layerAnalysis.layers.map(layer => ({
+      label: layer.createdBy.replace(/^\/bin\/sh -c (#\(nop\)\s*)?/, ''),
+      size: layer.size,
+      formattedSize: layer.formattedSize
+    }));
+    charts.push(`<h4>Image layers (total ${escapeHtml(results.layerAnalysis.formattedTotalSize)})</h4>\n${formatBarChart(rows, 'bar real')}`);
+  }
+
+  if (charts.length === 0) {
+    return '<p class="muted">No layer sizes. Run with --estimate for estimates, or --history or --image for the sizes of a built image.</p>';
+  }
+
+  return charts.join('\n');
+}
+
+/**
+ * The stage dependency graph as inline SVG, stages placed in columns by dependency depth
+ */
+function formatStageGraph(results, id) {
+  const stages = results.stages || [];
+  if (stages.length === 0) {
+    return '<p class="muted">No stages.</p>';
+  }
+
+  const width = 170;
+  const height = 46;
+  const columnGap = 90;
+  const rowGap = 24;
+  const depth = [];
+  const rows = [];
+  const positions = [];
+
+  for (const stage of stages) {
+    depth[stage.index] = Math.max(-1, ...stage.dependsOn.map(d => depth[d.stage])) + 1;
+    const row = rows[depth[stage.index]] || 0;
+    rows[depth[stage.index]] = row + 1;
+    positions[stage.index] = { x: 10 + depth[stage.index] * (width + columnGap), y: 10 + row * (height + rowGap) };
+  }
+
+  // One edge per pair of stages, labelled with every way the dependency is made
+  const edges = new Map();
+  for (const stage of stages) {
+    for (const dependency of stage.dependsOn) {
+      const key = `${dependency.stage}-${stage.index}`;
+      const edge = edges.get(key) || { from: dependency.stage, to: stage.index, via: new Set() };
+      edge.via.add(dependency.via);
+      edges.set(key, edge);
+    }
+  }
+
+  const lines = [...edges.values()].map(edge => {
+    const from = positions[edge.from];
+    const to = positions[edge.to];
+    const x1 = from.x + width;
+    const y1 = from.y + height / 2;
+    const x2 = to.x;
+    const y2 = to.y + height / 2;
+
+    return `<line x1="${x1}" y1="${y1}" x2="${x2 - 2}" y2="${y2}" stroke="#57606a" marker-end="url(#${id})"/>` +
+      `<text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2 - 4}" font-size="10" text-anchor="middle" fill="#57606a">` +
+      `${escapeHtml([...edge.via].join(', '))}</text>`;
+  });
+
+  const finalStage = stages[stages.length - 1].index;
+  const nodes = stages.map(stage => {
+    const { x, y } = positions[stage.index];
+    const fill = stage.index === finalStage ? '#dafbe1' : '#ddf4ff';
+
+    return `<g><title>${escapeHtml(`Stage ${stage.index}, lines ${stage.lineNum}-${stage.endLineNum}`)}</title>` +
+      `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="6" fill="${fill}" stroke="#57606a"/>` +
+      `<text x="${x + width / 2}" y="${y + 19}" font-size="13" font-weight="600" text-anchor="middle">${escapeHtml(truncate(stage.name, 22))}</text>` +
+      `<text x="${x + width / 2}" y="${y + 35}" font-size="11" text-anchor="middle" fill="#57606a">${escapeHtml(truncate(stage.base || '', 26))}</text></g>`;
+  });
+
+  const svgWidth = 20 + (Math.max(...depth) + 1) * (width + columnGap) - columnGap;
+  const svgHeight = 20 + Math.max(...rows) * (height + rowGap) - rowGap;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" role="img" aria-label="Stage dependency graph">` +
+    `<defs><marker id="${id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">` +
+    '<path d="M0,0 L10,5 L0,10 z" fill="#57606a"/></marker></defs>\n' +
+    `${lines.join('\n')}\n${nodes.join('\n')}\n</svg>` +
+    '<p class="muted">Edges point from a stage to the stages built on it. The final stage is shown in green.</p>';
+}
+
+/**
+ * The report section for one Dockerfile
+ */
+function formatReport(report, index) {
+  const { results } = report;
+  const parts = [
+    `<section class="report" id="report-${index}">\n<h2>${escapeHtml(displayPath(report.path))}</h2>`,
+    formatSummary(results)
+  ];
+
+  if (report.source !== undefined) {
+    parts.push('<h3>Dockerfile</h3>', formatSource(report.source, results));
+  } else if (results.cacheIssues.length > 0) {
+    parts.push('<h3>Findings</h3>', eachIssue(results).map(({ finding, issue }) =>
+      `<div class="muted">Line ${issue.lineNum}</div>${formatFinding(finding, issue)}`).join('\n'));
+  }
+
+  parts.push(
+    '<h3>Layers by stage</h3>', formatStages(results),
+    '<h3>Layer sizes</h3>', formatSizes(results),
+    '<h3>Stage dependencies</h3>', formatStageGraph(results, `arrow-${index}`),
+    '</section>'
+  );
+
+  return parts.join('\n');
+}
+
+/**
+ * Overview of several Dockerfiles: one row per file linking to its section, and the totals
+ */
+function formatOverview(reports) {
+  const summary = summarize(reports);
+  const rows = reports.map((report, index) => {
+    const { high, medium, low } = report.results.summary.issues;
+    return `<tr><td><a href="#report-${index}">${escapeHtml(displayPath(report.path))}</a></td>` +
+      `<td>${high}</td><td>${medium}</td><td>${low}</td><td>${report.results.summary.suppressed}</td></tr>`;
+  });
+
+  return '<section class="report">\n<h2>Overview</h2>\n' +
+    '<table><tr><th>Dockerfile</th><th>High</th><th>Medium</th><th>Low</th><th>Suppressed</th></tr>\n' +
+    `${rows.join('\n')}\n<tr><th>${summary.files} Dockerfiles</th><th>${summary.issues.high}</th>` +
+    `<th>${summary.issues.medium}</th><th>${summary.issues.low}</th><th>${summary.suppressed}</th></tr>\n</table>\n</section>`;
+}
+
+/**
+ * Build the HTML document from per-Dockerfile analysis results
+ */
+function toHtml(reports) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<title>Docker Layer Optimization Report</title>',
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<header><h1>🐳 Docker Layer Optimization Report</h1>',
+    `<p>docker-layer-optimizer ${escapeHtml(version)} · ${reports.length} Dockerfile(s)</p></header>`,
+    '<main>',
+    ...(reports.length > 1 ? [formatOverview(reports)] : []),
+    ...reports.map(formatReport),
+    '</main>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+const htmlReporter = {
+  name: 'html',
+  description: 'Self-contained HTML page with the annotated Dockerfile and layer charts',
+  format: toHtml
+};
+
+module.exports = { htmlReporter, toHtml };
@@ -0,0 +1,81 @@
+/**
+ * Image Reporter
+ * Human-readable output of an image inspected from its tarball
+ */
+
+const chalk = require('chalk');
+const { formatBytes } = require('../layer-analyzer');
+
+const WASTE_REASONS = [
+  ['deleted', 'deleted later'],
+  ['overwritten', 'overwritten later'],
+  ['duplicates', 'duplicates'],
+  ['packageCaches', 'package caches']
+];
+
+/**
+ * Format an inspected image (see inspectImage)
+ */
+function formatInspection(inspection) {
+  const lines = [];
+  const platform = [inspection.os, inspection.architecture, inspection.variant].filter(Boolean).join('/');
+
+  lines.push(chalk.bold.cyan('\n🔍 Image Inspection'));
+  lines.push(chalk.gray(`File: ${inspection.file} (${inspection.format})\n`));
+
+  lines.push(chalk.bold('📊 Summary:'));
+  if (inspection.tags.length > 0) {
+    lines.push(`  Tags: ${inspection.tags.join(', ')}`);
+  }
+  if (platform) {
+    lines.push(`  Platform: ${platform}`);
+  }
+  lines.push(`  Layers: ${inspection.layers.length}`);
+  lines.push(`  Size: ${formatBytes(inspection.totalUncompressedSize)} (${formatBytes(inspection.totalCompressedSize)} compressed)`);
+  lines.push(`  Files: ${inspection.totalFiles}`);
+  lines.push(`  Efficiency: ${(inspection.efficiency * 100).toFixed(2)}%` +
+    (inspection.wastedSize > 0 ? chalk.yellow(` (${formatBytes(inspection.wastedSize)} wasted)`) : ''));
+
+  const { user, workingDir, entrypoint, cmd } = inspection.config;
+  if (user || workingDir || entrypoint || cmd) {
+    lines.push(chalk.bold('\n⚙️  Config:'));
+    if (user) {
+      lines.push(`  User: ${user}`);
+    }
+    if (workingDir) {
+      lines.push(`  Workdir: ${workingDir}`);
+    }
+    if (entrypoint) {
+      lines.push(`  Entrypoint: ${JSON.stringify(entrypoint)}`);
+    }
+    if (cmd) {
+      lines.push(`  Cmd: ${JSON.stringify(cmd)}`);
+    }
+  }
+
+  lines.push(chalk.bold('\n📦 Layers:'));
+  for (const layer of inspection.layers) {
+    const sizes = `${formatBytes(layer.uncompressedSize)} (${formatBytes(layer.compressedSize)} compressed)`;
+    const whiteouts = layer.whiteouts > 0 ? `, ${layer.whiteouts} deleted` : '';
+    lines.push(`  ${chalk.yellow(`#${layer.index + 1}`)} ${sizes}, ${layer.files} file(s)${whiteouts}`);
+    lines.push(chalk.gray(`     ${(layer.instruction || 'unknown instruction').substring(0, 100)}`));
+    if (layer.wasted && layer.wasted.total > 0) {
+      const reasons = WASTE_REASONS
+        .filter(([key]) => layer.wasted[key] > 0)
+        .map(([key, label]) => `${formatBytes(layer.wasted[key])} ${label}`);
+      lines.push(chalk.yellow(`     Wastes ${formatBytes(layer.wasted.total)}: ${reasons.join(', ')}`));
+    }
+  }
+
+  if (inspection.wastedFiles.length > 0) {
+    lines.push(chalk.bold('\n🗑️  Largest Wasted Files:'));
+    for (const file of inspection.wastedFiles) {
+      lines.push(`  ${formatBytes(file.size).padStart(9)} ${file.path} ${chalk.gray(`(layer #${file.layer + 1}, ${file.reason})`)}`);
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+module.exports = { formatInspection };
@@ -0,0 +1,111 @@
+/**
+ * Reporter Registry
+ * Maps --format names to reporters. A reporter is { name, description, format(reports) }
+ * where reports is [{ path, source, results }] with the Dockerfile source and the results
+ * from Analyzer.analyze(), and format returns the report as a string.
+ */
+
+const path = require('path');
+const { textReporter } = require('./text');
+const { jsonReporter } = require('./json');
+const { sarifReporter } = require('./sarif');
+const { junitReporter } = require('./junit');
+const { checkstyleReporter } = require('./checkstyle');
+const { gitlabReporter } = require('./gitlab');
+const { htmlReporter } = require('./html');
+
+const builtInReporters = [
+  textReporter,
+  jsonReporter,
+  sarifReporter,
+  junitReporter,
+  checkstyleReporter,
+  gitlabReporter,
+  htmlReporter
+];
+
+class ReporterRegistry {
+  constructor() {
+    this.reporters = new Map();
+    this.loadedModules = new Set();
+
+    for (const reporter of builtInReporters) {
+      this.register(reporter);
+    }
+  }
+
+  /**
+   * Register a reporter
+   */
+  register(reporter) {
+    if (!reporter || typeof reporter.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(reporter.name)) {
+      throw new Error('Invalid reporter: name must be lowercase letters, digits and dashes');
+    }
+    if (typeof reporter.format !== 'function') {
+      throw new Error(`Invalid reporter ${reporter.name}: format must be a function`);
+    }
+    if (this.reporters.has(reporter.name)) {
+      throw new Error(`Reporter already registered: ${reporter.name}`);
+    }
+
+    this.reporters.set(reporter.name, { description: '', ...reporter });
+    return this;
+  }
+
+  /**
+   * Load reporters from a local file or an npm module exporting a reporter or an array of them
+   * Paths starting with "." or "/" resolve against cwd; anything else is resolved as a module from cwd
+   */
+  loadReporters(specifier, cwd = process.cwd()) {
+    let resolved;
+    let exported;
+
+    try {
+      resolved = require.resolve(
+        specifier.startsWith('.') || path.isAbsolute(specifier) ? path.resolve(cwd, specifier) : specifier,
+        { paths: [cwd] }
+      );
+      exported = require(resolved);
+    } catch (error) {
+      throw new Error(`Failed to load reporter ${specifier}: ${error.message.split('\n')[0]}`);
+    }
+
+    if (this.loadedModules.has(resolved)) {
+      return this;
+    }
+    this.loadedModules.add(resolved);
+
+    for (const reporter of [].concat(exported)) {
+      this.register(reporter);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get a reporter by format name
+   */
+  get(name) {
+    return this.reporters.get(name) || null;
+  }
+
+  /**
+   * Get the names of all registered formats
+   */
+  getNames() {
+    return [...this.reporters.keys()];
+  }
+
+  /**
+   * Format reports with the named reporter
+   */
+  format(name, reports) {
+    const reporter = this.get(name);
+    if (!reporter) {
+      throw new Error(`Unknown format: ${name}. Use ${this.getNames().join(', ')}`);
+    }
+    return reporter.format(reports);
+  }
+}
+
+module.exports = { ReporterRegistry, builtInReporters };
@@ -0,0 +1,20 @@
+/**
+ * JSON Reporter
+ * The analysis results as JSON: the results object for one Dockerfile,
+ * or { summary, files: [{ path, results }] } for several
+ */
+
+const { summarize } = require('./helpers');
+
+const jsonReporter = {
+  name: 'json',
+  description: 'Analysis results as JSON',
+  format(reports) {
+    const output = reports.length === 1
+      ? reports[0].results
+      : { summary: summarize(reports), files: reports.map(({ path, results }) => ({ path, results })) };
+    return JSON.stringify(output, null, 2);
+  }
+};
+
+module.exports = { jsonReporter };
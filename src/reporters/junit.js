@@ -0,0 +1,87 @@
+/**
+ * JUnit XML Reporter
+ * One test suite per Dockerfile and one test case per rule; rules with findings fail
+ */
+
+const { displayPath, escapeXml } = require('./helpers');
+
+/**
+ * List the checked rules with their findings, keeping findings of rules not in results.rules
+ */
+function ruleCases(results) {
+  const cases = (results.rules || []).map(rule => ({ id: rule.id, title: rule.title, finding: null }));
+
+  for (const finding of results.cacheIssues) {
+    const testCase = cases.find(c => c.id === finding.rule);
+    if (testCase) {
+      testCase.finding = finding;
+    } else {
+      cases.push({ id: finding.rule, title: finding.title, finding });
+    }
+  }
+
+  return cases;
+}
+
+/**
+ * Format one rule as a test case
+ */
+function formatTestCase(testCase, classname) {
+  const name = escapeXml(`${testCase.id}: ${testCase.title}`);
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${name}"`;
+
+  if (!testCase.finding) {
+    return `${open}/>`;
+  }
+
+  const { finding } = testCase;
+  const message = `${finding.issues.length} ${finding.severity} severity issue(s): ${finding.title}`;
+  const details = finding.issues
+    .map(issue => `Line ${issue.lineNum}: ${issue.reason || issue.suggestion || finding.title}\n  ${issue.instruction}`)
+    .concat(finding.recommendation ? [`Recommendation: ${finding.recommendation}`] : [])
+    .join('\n');
+
+  return [
+    `${open}>`,
+    `      <failure type="${escapeXml(finding.rule)}" message="${escapeXml(message)}">${escapeXml(details)}</failure>`,
+    '    </testcase>'
+  ].join('\n');
+}
+
+/**
+ * Build a JUnit XML document from per-Dockerfile analysis results
+ */
+function toJUnit(reports) {
+  const suites = [];
+  let tests = 0;
+  let failures = 0;
+
+  for (const report of reports) {
+    const name = displayPath(report.path);
+    const cases = ruleCases(report.results);
+    const failed = cases.filter(c => c.finding).length;
+
+    tests += cases.length;
+    failures += failed;
+    suites.push([
+      `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failed}" errors="0" skipped="0">`,
+      ...cases.map(c => formatTestCase(c, name)),
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="docker-layer-optimizer" tests="${tests}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n');
+}
+
+const junitReporter = {
+  name: 'junit',
+  description: 'JUnit XML with one test case per rule',
+  format: toJUnit
+};
+
+module.exports = { junitReporter, toJUnit };
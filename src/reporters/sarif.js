@@ -0,0 +1,174 @@
+/**
+ * SARIF Reporter
+ * Writes analysis results as SARIF 2.1.0 for code scanning tools
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { version } = require('../../package.json');
+const { fingerprint } = require('../baseline');
+const { relativePath } = require('./helpers');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const LEVELS = { high: 'error', medium: 'warning', low: 'note' };
+
+/**
+ * Build a SARIF log from per-Dockerfile analysis results
+ * Each report is { path, results } where results come from Analyzer.analyze()
+ */
+function toSarif(reports) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const sarifResults = [];
+
+  for (const report of reports) {
+    const uri = toUri(report.path);
+    const groups = [
+      { findings: report.results.cacheIssues, baselineState: report.results.baseline ? 'new' : null },
+      { findings: report.results.suppressedIssues || [], baselineState: null },
+      { findings: report.results.baseline ? report.results.baseline.known : [], baselineState: 'unchanged' }
+    ];
+
+    for (const { findings, baselineState } of groups) {
+      for (const finding of findings) {
+        if (!ruleIndex.has(finding.rule)) {
+          ruleIndex.set(finding.rule, rules.length);
+          rules.push(toReportingDescriptor(finding));
+        }
+
+        for (const issue of finding.issues) {
+          const result = {
+            ruleId: finding.rule,
+            ruleIndex: ruleIndex.get(finding.rule),
+            level: LEVELS[finding.severity] || 'warning',
+            message: { text: issue.reason || issue.suggestion || finding.title },
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri },
+                region: toRegion(issue.range, issue.lineNum)
+              }
+            }],
+            partialFingerprints: { 'dloFingerprint/v1': fingerprint(finding.rule, issue.instruction) }
+          };
+
+          if (issue.fix && issue.fix.edits.length > 0) {
+            result.fixes = [toFix(issue.fix, uri)];
+          }
+          if (issue.suppression) {
+            result.suppressions = [{
+              kind: 'inSource',
+              justification: issue.suppression.reason || undefined
+            }];
+          }
+          if (baselineState) {
+            result.baselineState = baselineState;
+          }
+
+          sarifResults.push(result);
+        }
+      }
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'docker-layer-optimizer',
+          version,
+          informationUri: 'https://github.com/ava-avant-iconic/docker-layer-optimizer',
+          rules
+        }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * Map a rule result to a SARIF reportingDescriptor
+ */
+function toReportingDescriptor(finding) {
+  const descriptor = {
+    id: finding.rule,
+    name: finding.rule.replace(/(^|-)([a-z0-9])/g, (match, dash, ch) => ch.toUpperCase()),
+    shortDescription: { text: finding.title },
+    fullDescription: { text: finding.description || finding.title },
+    help: {
+      text: finding.recommendation || finding.description || finding.title,
+      markdown: [finding.description, finding.recommendation && `**Recommendation:** ${finding.recommendation}`]
+        .filter(Boolean)
+        .join('\n\n') || finding.title
+    },
+    defaultConfiguration: { level: LEVELS[finding.severity] || 'warning' },
+    properties: { tags: [finding.category || 'custom'], fixable: Boolean(finding.fixable) }
+  };
+
+  if (finding.docsUrl) {
+    descriptor.helpUri = finding.docsUrl;
+  }
+
+  return descriptor;
+}
+
+/**
+ * Map a fix to a SARIF fix with one replacement per edit
+ */
+function toFix(fix, uri) {
+  return {
+    description: { text: `${fix.description} (${fix.safety})` },
+    artifactChanges: [{
+      artifactLocation: { uri },
+      replacements: fix.edits.map(edit => ({
+        deletedRegion: toRegion(edit.range),
+        insertedContent: { text: edit.text }
+      }))
+    }]
+  };
+}
+
+/**
+ * Convert a source range (1-based, exclusive end) to a SARIF region, which uses the same conventions
+ */
+function toRegion(range, lineNum = 1) {
+  if (!range) {
+    return { startLine: lineNum };
+  }
+
+  return {
+    startLine: range.start.line,
+    startColumn: range.start.column,
+    endLine: range.end.line,
+    endColumn: range.end.column
+  };
+}
+
+/**
+ * Use a path relative to the working directory, or a file URI for files outside it
+ */
+function toUri(filePath) {
+  const relative = relativePath(filePath);
+
+  if (relative === null) {
+    return pathToFileURL(path.resolve(filePath)).href;
+  }
+
+  return relative.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Format reports as a SARIF document
+ */
+function formatSarif(reports) {
+  return JSON.stringify(toSarif(reports), null, 2);
+}
+
+const sarifReporter = {
+  name: 'sarif',
+  description: 'SARIF 2.1.0 for code scanning tools',
+  format: formatSarif
+};
+
+module.exports = { sarifReporter, toSarif, formatSarif };
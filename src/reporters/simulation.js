@@ -0,0 +1,90 @@
+/**
+ * Simulation Reporter
+ * Human-readable output of cache invalidation simulations and cache-hit forecasts
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Format a simulation result for one Dockerfile
+ */
+function formatSimulation(result, dockerfilePath) {
+  const { summary } = result;
+  const lines = [];
+
+  lines.push(chalk.bold.cyan('\n🔁 Cache Invalidation Simulation'));
+  lines.push(chalk.gray(`File: ${path.resolve(dockerfilePath)}\n`));
+
+  lines.push(chalk.bold('📊 Summary:'));
+  lines.push(`  Changed files: ${result.changedFiles.length}` +
+    (result.ignoredFiles.length > 0 ? chalk.gray(` (${result.ignoredFiles.length} more excluded by .dockerignore)`) : ''));
+  lines.push(`  Stages rebuilt: ${summary.stagesRebuilt} of ${summary.stages}`);
+  lines.push(`  Instructions rerun: ${summary.rebuilt} of ${summary.instructions} (${summary.layersRebuilt} layers)`);
+
+  for (const stage of result.stages) {
+    lines.push(chalk.bold(`\n📦 Stage ${stage.index}: ${stage.name}`));
+
+    if (!stage.invalidatedBy) {
+      lines.push(chalk.green(`  ✔ Fully cached (${stage.cached} instructions)`));
+      continue;
+    }
+
+    const bust = stage.invalidatedBy;
+    lines.push(chalk.red(`  ✖ Cache busted at line ${bust.lineNum}: ${bust.instruction.substring(0, 80)}`));
+    lines.push(chalk.gray(`    ${bust.reason}`));
+    if (stage.cached > 0) {
+      lines.push(chalk.green(`  ✔ ${stage.cached} instruction(s) before it stay cached`));
+    }
+    lines.push(chalk.yellow(`  Reruns:`));
+    for (const step of stage.rebuilt) {
+      const marker = step.layer ? chalk.yellow('■') : chalk.gray('□');
+      lines.push(`    ${marker} Line ${step.lineNum}: ${step.instruction.substring(0, 80)}`);
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Format a cache-hit forecast for one Dockerfile
+ */
+function formatForecast(forecast, dockerfilePath) {
+  const lines = [];
+  const percent = share => `${(share * 100).toFixed(1)}%`;
+
+  lines.push(chalk.bold.cyan('\n🔮 Cache Hit Forecast'));
+  lines.push(chalk.gray(`File: ${path.resolve(dockerfilePath)}\n`));
+
+  lines.push(chalk.bold('📊 Summary:'));
+  lines.push(`  Commits replayed: ${forecast.commits}`);
+  lines.push(`  Layer cache hit rate: ${forecast.cacheHitRate === null ? 'n/a' : percent(forecast.cacheHitRate)}`);
+  lines.push(`  Expected rebuild cost per commit: ${forecast.formattedExpectedCost} (${forecast.weight})`);
+
+  lines.push(chalk.bold('\n📋 Instructions (share of commits that rerun them):'));
+  for (const instruction of forecast.instructions) {
+    const share = percent(instruction.share).padStart(6);
+    const color = instruction.share >= 0.5 ? chalk.red : instruction.share > 0 ? chalk.yellow : chalk.green;
+    const busts = instruction.firstBust > 0 ? chalk.gray(` busts the cache in ${instruction.firstBust} commit(s)`) : '';
+    const cost = instruction.layer ? chalk.gray(` ~${instruction.formattedExpectedCost}/commit`) : '';
+    lines.push(`  ${color(share)}  Line ${instruction.lineNum}: ${instruction.instruction.substring(0, 60)}${cost}${busts}`);
+  }
+
+  if (forecast.suggestions.length > 0) {
+    lines.push(chalk.bold('\n🎯 Reorderings:'));
+    for (const suggestion of forecast.suggestions) {
+      const hitRate = suggestion.cacheHitRate === null ? '' : `, hit rate ${percent(suggestion.cacheHitRate)}`;
+      lines.push(`  ${chalk.yellow('•')} Line ${suggestion.lineNum}: ${suggestion.description} ` +
+        chalk.gray(`[${suggestion.rule}, ${suggestion.safety}]`));
+      lines.push(chalk.green(`    saves ${suggestion.formattedSavings} per commit (${suggestion.savingsPercent}%)${hitRate}`));
+    }
+  } else {
+    lines.push(chalk.green('\n✅ No reordering would rebuild less on these commits.'));
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+module.exports = { formatSimulation, formatForecast };
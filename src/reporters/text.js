@@ -0,0 +1,193 @@
+/**
+ * Text Reporter
+ * Human-readable, colored report for terminals
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const { displayPath, summarize } = require('./helpers');
+
+/**
+ * Format severity with color
+ */
+function formatSeverity(severity) {
+  const colors = {
+    high: chalk.red.bold,
+    medium: chalk.yellow.bold,
+    low: chalk.blue.bold
+  };
+  return colors[severity] ? colors[severity](severity.toUpperCase()) : severity.toUpperCase();
+}
+
+/**
+ * Format the report for one Dockerfile
+ */
+function formatTextReport(results, dockerfilePath) {
+  const lines = [];
+
+  lines.push(chalk.bold.cyan(`\n🐳 Docker Layer Optimization Report`));
+  lines.push(chalk.gray(`File: ${path.resolve(dockerfilePath)}\n`));
+
+  // Summary
+  lines.push(chalk.bold('📊 Summary:'));
+  lines.push(`  Instructions: ${results.summary.totalInstructions}`);
+  lines.push(`  Stages: ${results.summary.stages}`);
+  lines.push(`  Multi-stage: ${results.summary.isMultiStage ? chalk.green('Yes') : chalk.red('No')}`);
+  if (results.target) {
+    const skipped = results.target.skipped;
+    lines.push(`  Target: ${results.target.name}` +
+      (skipped.length > 0 ? chalk.gray(` (skips ${skipped.length} stage(s): ${skipped.join(', ')})`) : ''));
+  }
+  lines.push(`  Issues: ${chalk.red.bold(results.summary.issues.high)} high, ` +
+             `${chalk.yellow.bold(results.summary.issues.medium)} medium, ` +
+             `${chalk.blue.bold(results.summary.issues.low)} low`);
+  if (results.summary.suppressed > 0) {
+    lines.push(`  Suppressed: ${results.summary.suppressed}`);
+  }
+
+  // Size estimate
+  if (results.sizeEstimate) {
+    lines.push(chalk.bold(`\n📏 Estimated Size: ${results.sizeEstimate.formattedSize}`));
+    if (results.sizeEstimate.stages.length > 1) {
+      lines.push(chalk.gray(`    Image of stages ${results.sizeEstimate.stages.join(' → ')}`));
+    }
+    const { baseImage, baseImageInfo } = results.sizeEstimate;
+    if (baseImage) {
+      lines.push(chalk.gray(baseImageInfo
+        ? `    Base image ${baseImage} (${baseImageInfo.variant} variant, ${baseImageInfo.arch})`
+        : `    Base image ${baseImage} is not in the base image catalog; its size is a guess`));
+    }
+    for (const item of results.sizeEstimate.breakdown) {
+      const measured = item.measured ? `, ${item.measured} measured` : '';
+      lines.push(`    ${item.category}: ${item.formattedSize} (${item.layers} layers${measured})`);
+    }
+
+    if (results.sizeEstimate.recommendations.length > 0) {
+      lines.push(chalk.bold('\n🎯 Size Recommendations:'));
+      for (const rec of results.sizeEstimate.recommendations) {
+        lines.push(`  ${chalk.yellow('•')} ${rec}`);
+      }
+    }
+
+    const alternatives = (results.sizeEstimate.baseImageAlternatives || []).filter(r => r.alternatives.length > 0);
+    if (alternatives.length > 0) {
+      lines.push(chalk.bold('\n🔁 Base Image Alternatives:'));
+      for (const recommendation of alternatives) {
+        const shipped = recommendation.shipped ? '' : ', not shipped';
+        lines.push(`  ${recommendation.reference} ${chalk.gray(`(line ${recommendation.lineNum}, stage ${recommendation.stage}${shipped})`)}`);
+        for (const alternative of recommendation.alternatives) {
+          lines.push(`    ${chalk.green('→')} ${alternative.reference}: saves ${alternative.formattedSavings}`);
+          for (const caveat of alternative.caveats) {
+            lines.push(chalk.yellow(`        ! ${caveat}`));
+          }
+        }
+      }
+    }
+  }
+
+  // Build context
+  if (results.context) {
+    const context = results.context;
+    lines.push(chalk.bold(`\n📂 Build Context: ${context.files} files, ${context.formattedSize}`));
+    lines.push(chalk.gray(`  Ignore file: ${context.dockerignore ? displayPath(context.dockerignore) : 'none'}`));
+
+    if (context.unneeded.length > 0) {
+      lines.push(chalk.yellow(`  Probably unneeded: ${context.formattedUnneededSize}`));
+      for (const group of context.unneeded) {
+        lines.push(`    ${group.path} (${group.category}): ${group.files} file(s), ${group.formattedSize}`);
+      }
+    }
+  }
+
+  // Cache issues
+  if (results.cacheIssues.length > 0) {
+    lines.push(chalk.bold(`\n⚠️  Issues Found (${results.cacheIssues.length}):`));
+
+    for (const issue of results.cacheIssues) {
+      const icon = issue.severity === 'high' ? '🔴' : issue.severity === 'medium' ? '🟡' : '🔵';
+      lines.push(`\n${icon} [${formatSeverity(issue.severity)}] ${issue.title}`);
+
+      if (issue.description) {
+        lines.push(chalk.gray(`   ${issue.description}`));
+      }
+
+      if (issue.recommendation) {
+        lines.push(chalk.green(`   💡 ${issue.recommendation}`));
+      }
+
+      if (issue.issues && issue.issues.length > 0) {
+        lines.push(chalk.gray('   Lines affected:'));
+        for (const i of issue.issues) {
+          const fixable = i.fix ? chalk.green(` [fix: ${i.fix.safety}]`) : '';
+          lines.push(chalk.gray(`     - Line ${i.lineNum}: ${i.instruction.substring(0, 80)}...`) + fixable);
+        }
+      }
+    }
+  } else {
+    lines.push(chalk.green.bold('\n✅ No issues found! Great Dockerfile practices.'));
+  }
+
+  // Baseline comparison
+  if (results.baseline) {
+    const known = results.baseline.known.reduce((sum, r) => sum + r.issues.length, 0);
+    lines.push(chalk.gray(`\n📌 Baseline: ${known} known finding(s) not shown`));
+
+    if (results.baseline.fixed.length > 0) {
+      lines.push(chalk.green(`   Fixed since the baseline (${results.baseline.fixed.length}) - run with --update-baseline to remove them:`));
+      for (const fixed of results.baseline.fixed) {
+        lines.push(chalk.green(`     - ${fixed.rule}: ${fixed.instruction.substring(0, 80)}`));
+      }
+    }
+  }
+
+  // Suppressions that silenced nothing
+  if (results.unusedSuppressions.length > 0) {
+    lines.push(chalk.bold(`\n🔕 Unused Suppressions (${results.unusedSuppressions.length}):`));
+    for (const unused of results.unusedSuppressions) {
+      lines.push(chalk.yellow(`  - Line ${unused.lineNum}: ${unused.directive} ${unused.rule || '(all rules)'}`));
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Format the overall summary of several Dockerfiles with one line per file
+ */
+function formatTextSummary(reports) {
+  const summary = summarize(reports);
+  const lines = [chalk.bold(`📦 Overall: ${summary.files} Dockerfiles`)];
+
+  for (const { path: dockerfilePath, results } of reports) {
+    const { high, medium, low } = results.summary.issues;
+    const counts = high + medium + low > 0
+      ? `${chalk.red.bold(high)} high, ${chalk.yellow.bold(medium)} medium, ${chalk.blue.bold(low)} low`
+      : chalk.green('no issues');
+    lines.push(`  ${displayPath(dockerfilePath)}: ${counts}`);
+  }
+
+  lines.push(`  Total issues: ${chalk.red.bold(summary.issues.high)} high, ` +
+             `${chalk.yellow.bold(summary.issues.medium)} medium, ` +
+             `${chalk.blue.bold(summary.issues.low)} low`);
+  if (summary.suppressed > 0) {
+    lines.push(`  Suppressed: ${summary.suppressed}`);
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+const textReporter = {
+  name: 'text',
+  description: 'Colored report for terminals',
+  format(reports) {
+    const sections = reports.map(report => formatTextReport(report.results, report.path));
+    if (reports.length > 1) {
+      sections.push(formatTextSummary(reports));
+    }
+    return sections.join('\n');
+  }
+};
+
+module.exports = { textReporter, formatTextReport };
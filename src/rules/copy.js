@@ -0,0 +1,176 @@
+/**
+ * Copy Rules
+ * COPY/ADD ordering, sources and destinations
+ */
+
+const { BROAD_SOURCES, isManifestSource, installsDependencies } = require('./helpers');
+const fixes = require('./fixes');
+
+/**
+ * Rule: COPY should be ordered by change frequency
+ */
+const copyOrder = {
+  id: 'copy-order',
+  severity: 'high',
+  category: 'cache',
+  fixable: true,
+  title: 'Order COPY by change frequency',
+  description: 'Copy files that change less frequently (like package.json) before files that change often (source code).',
+  recommendation: 'Move package.json COPY before source file COPY to leverage Docker layer caching',
+
+  check(parser) {
+    const copies = parser.getCopyInstructions();
+
+    if (copies.length < 2) {
+      return [];
+    }
+
+    // Check if package.json is copied before source files
+    const localCopies = copies.filter(c => !c.resolved.operands.from);
+    const pkgIndex = localCopies.findIndex(c => c.resolved.operands.sources.some(isManifestSource));
+    const srcIndex = localCopies.findIndex(c => c.resolved.operands.sources.some(src => BROAD_SOURCES.has(src)));
+
+    if (pkgIndex === -1 || srcIndex === -1 || pkgIndex <= srcIndex) {
+      return [];
+    }
+
+    return [{
+      lineNum: localCopies[srcIndex].lineNum,
+      instruction: localCopies[srcIndex].raw,
+      reason: 'Source files copied before package.json (breaks cache)',
+      fix: fixes.moveManifestCopy(parser, localCopies[srcIndex])
+    }];
+  }
+};
+
+/**
+ * Rule: Prefer COPY over ADD
+ */
+const addVsCopy = {
+  id: 'add-vs-copy',
+  severity: 'low',
+  category: 'best-practice',
+  fixable: true,
+  title: 'Prefer COPY over ADD',
+  description: 'ADD has automatic features that can be surprising. COPY is more explicit and predictable.',
+  recommendation: 'Use COPY for local files. Only use ADD when you need URL downloading or automatic extraction.',
+
+  check(parser) {
+    return parser.getAddInstructions().map(add => ({
+      lineNum: add.lineNum,
+      instruction: add.raw,
+      suggestion: 'Consider using COPY instead unless you need ADD features (URL extraction, automatic tar extraction)',
+      fix: fixes.replaceAddWithCopy(parser, add)
+    }));
+  }
+};
+
+/**
+ * Rule: Avoid wildcard copies
+ */
+const wildcardCopies = {
+  id: 'wildcard-copies',
+  severity: 'low',
+  category: 'cache',
+  fixable: false,
+  title: 'Avoid wildcard COPY patterns',
+  description: 'Wildcards in COPY can include unintended files and break cache invalidation.',
+  recommendation: 'Specify exact file paths instead of using wildcards when possible.',
+
+  check(parser) {
+    return parser.getCopyInstructions()
+      .filter(c => c.arguments.includes('*'))
+      .map(c => ({
+        lineNum: c.lineNum,
+        instruction: c.raw,
+        reason: 'Wildcard pattern may include unintended files'
+      }));
+  }
+};
+
+/**
+ * Rule: Copy only dependency manifests before installing dependencies
+ */
+const copyDepsOnly = {
+  id: 'copy-deps-only',
+  severity: 'high',
+  category: 'cache',
+  fixable: false,
+  title: 'Copy only dependency files before installing',
+  description: 'Dependencies are reinstalled whenever any file copied before the install step changes.',
+  recommendation: 'Copy only the dependency manifests (e.g., COPY package.json package-lock.json ./), install, then copy the rest of the source',
+
+  check(parser) {
+    const issues = [];
+
+    for (const stage of parser.getStages()) {
+      let lastCopy = null;
+
+      for (const instruction of stage.instructions) {
+        if ((instruction.directive === 'COPY' || instruction.directive === 'ADD') && !instruction.resolved.operands.from) {
+          lastCopy = instruction;
+        } else if (instruction.directive === 'RUN' && installsDependencies(instruction)) {
+          // The install layer is invalidated by every change to what the previous COPY brought in
+          if (lastCopy && !lastCopy.resolved.operands.sources.every(isManifestSource)) {
+            issues.push({
+              lineNum: lastCopy.lineNum,
+              instruction: lastCopy.raw,
+              reason: `Dependencies installed at line ${instruction.lineNum} after copying more than the manifests`
+            });
+          }
+          lastCopy = null;
+        }
+      }
+    }
+
+    return issues;
+  }
+};
+
+/**
+ * Rule: Set WORKDIR before COPY/RUN in each stage
+ */
+const workdirPosition = {
+  id: 'workdir-position',
+  severity: 'low',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Set WORKDIR early',
+  description: 'COPY with a relative destination before the first WORKDIR writes to the root directory, which is easy to get wrong.',
+  recommendation: 'Move WORKDIR to the beginning of the stage',
+
+  check(parser) {
+    const issues = [];
+
+    for (const stage of parser.getStages()) {
+      const index = stage.instructions.findIndex(i => i.directive === 'WORKDIR');
+      if (index === -1) {
+        continue;
+      }
+
+      // Relative COPY destinations before WORKDIR land in the root directory
+      const workdir = stage.instructions[index];
+      const usedBefore = stage.instructions.slice(0, index).some(i =>
+        (i.directive === 'COPY' || i.directive === 'ADD') &&
+        i.resolved.operands.destination && !i.resolved.operands.destination.startsWith('/')
+      );
+      if (usedBefore) {
+        issues.push({
+          lineNum: workdir.lineNum,
+          instruction: workdir.raw,
+          reason: 'WORKDIR defined after COPY into a relative path'
+        });
+      }
+    }
+
+    return issues;
+  }
+};
+
+module.exports = {
+  copyOrder,
+  addVsCopy,
+  wildcardCopies,
+  copyDepsOnly,
+  workdirPosition
+};
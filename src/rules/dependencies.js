@@ -0,0 +1,89 @@
+/**
+ * Dependency Rules
+ * Application dependency installs (npm, yarn, pnpm)
+ */
+
+const { hasCacheMount } = require('./helpers');
+const fixes = require('./fixes');
+
+/**
+ * Rule: Use npm cache mounts or specific cache strategies
+ */
+const npmCache = {
+  id: 'npm-cache',
+  severity: 'low',
+  category: 'cache',
+  fixable: true,
+  title: 'Consider npm cache mounts',
+  description: 'Using BuildKit cache mounts with npm install can significantly speed up builds.',
+  recommendation: 'Add --mount=type=cache,target=/root/.npm to npm install commands (requires BuildKit)',
+
+  check(parser) {
+    return parser.getRunInstructions()
+      .filter(r => r.command.shell.hasCommand({ manager: 'npm', action: 'install' }) && !hasCacheMount(r))
+      .map(r => ({
+        lineNum: r.lineNum,
+        instruction: r.raw,
+        reason: 'Could benefit from cache mount',
+        fix: fixes.addCacheMount(parser, r, '/root/.npm')
+      }));
+  }
+};
+
+/**
+ * Rule: Install only production dependencies in the final stage
+ */
+const prodDepsOnly = {
+  id: 'prod-deps-only',
+  severity: 'medium',
+  category: 'size',
+  fixable: false,
+  title: 'Install production dependencies only',
+  description: 'devDependencies in the final stage increase image size without being needed at runtime.',
+  recommendation: 'Use npm ci --omit=dev, yarn install --production or pnpm install --prod in the final stage',
+
+  check(parser) {
+    const stages = parser.getStages();
+    const finalStage = stages[stages.length - 1];
+    const issues = [];
+
+    if (!finalStage) {
+      return issues;
+    }
+
+    const runs = finalStage.instructions.filter(i => i.directive === 'RUN');
+
+    runs.forEach((run, index) => {
+      // Set by ENV or ARG in this stage, or by ENV in the stage it builds on
+      const productionEnv = run.resolved.variables.NODE_ENV === 'production';
+
+      const installs = run.command.shell.getPackageInstalls(['npm', 'yarn', 'pnpm'])
+        .filter(c => c.packages.length === 0);
+
+      const devInstalls = installs.filter(c =>
+        !productionEnv && c.env.NODE_ENV !== 'production' &&
+        !c.flags.some(f => /^--(only=prod(uction)?|production|prod|omit=dev)$/.test(f) || f === '-P')
+      );
+
+      // A later build step needs devDependencies, so they are expected here
+      const buildsLater = runs.slice(index).some(r =>
+        r.command.shell.hasCommand({ manager: ['npm', 'yarn', 'pnpm'], subcommand: ['run', 'build'] })
+      );
+
+      if (devInstalls.length > 0 && !buildsLater) {
+        issues.push({
+          lineNum: run.lineNum,
+          instruction: run.raw,
+          reason: 'Installing all dependencies including devDependencies'
+        });
+      }
+    });
+
+    return issues;
+  }
+};
+
+module.exports = {
+  npmCache,
+  prodDepsOnly
+};
@@ -0,0 +1,303 @@
+/**
+ * Rule Fixes
+ * Builds machine-applicable fixes for rule findings. A fix is
+ * { description, safety: 'safe' | 'unsafe', edits: [{ range, text }] }
+ * where each edit replaces a source range of the parsed Dockerfile.
+ * Unsafe fixes may change what the build produces and need review.
+ */
+
+const { BROAD_SOURCES, isManifestSource, installsDependencies } = require('./helpers');
+
+const REMOTE_SOURCE = /^([a-z][a-z0-9+.-]*:\/\/|git@)/i;
+// Docker extracts a local tar archive, compressed or not, whatever its name; only names are checked here
+const ARCHIVE_SOURCE = /\.(tar|tgz|tbz2?|txz|tzst|gz|bz2|xz|zst)$/i;
+const ADD_ONLY_FLAGS = ['checksum', 'keep-git-dir', 'unpack'];
+
+/**
+ * Merge a RUN apt-get update into the apt-get install RUN right after it
+ */
+function mergeAptUpdate(parser, update) {
+  const install = nextInStage(parser, update);
+
+  if (!install || !isEditableRun(update) || !isEditableRun(install) ||
+      Object.keys(update.flags).length > 0 || Object.keys(install.flags).length > 0 ||
+      !update.command.shell.getCommands().every(c => c.manager === 'apt' && c.action === 'update') ||
+      !install.command.shell.hasCommand({ manager: 'apt', action: 'install' })) {
+    return null;
+  }
+
+  // Comments between the two instructions would end up inside the merged command
+  if (parser.content.slice(update.range.end.offset, install.range.start.offset).trim() !== '') {
+    return null;
+  }
+
+  return {
+    description: 'Merge apt-get update into the following apt-get install',
+    safety: 'safe',
+    edits: [{
+      range: { start: update.command.range.end, end: install.command.range.start },
+      text: ` && ${parser.escapeChar}${lineBreak(parser)}    `
+    }]
+  };
+}
+
+/**
+ * Refresh the package index in the same RUN as apt-get install
+ */
+function prependAptUpdate(parser, run) {
+  const [first] = run.command.shell.getCommands();
+
+  if (!isEditableRun(run) || !first || first.manager !== 'apt' || first.action !== 'install') {
+    return null;
+  }
+
+  return {
+    description: 'Run apt-get update in the same layer as apt-get install',
+    safety: 'safe',
+    edits: [{ range: { start: run.command.range.start, end: run.command.range.start }, text: 'apt-get update && ' }]
+  };
+}
+
+/**
+ * Append a cleanup command to the end of a RUN, keeping multi-line indentation
+ */
+function appendCleanup(parser, run, cleanup) {
+  if (!isEditableRun(run)) {
+    return null;
+  }
+
+  // A trailing shell comment would swallow anything appended to the line
+  const lines = sourceText(parser, run.command.range).split(/\r?\n/);
+  const lastLine = lines[lines.length - 1];
+  if (/(^|\s)#/.test(lastLine)) {
+    return null;
+  }
+
+  // A trailing & or | would put the cleanup in the background or in a pipe
+  if (/[&|]$/.test(lastLine)) {
+    return null;
+  }
+
+  const indent = lastLine.match(/^\s*/)[0];
+  const text = lines.length === 1
+    ? ` && ${cleanup}`
+    : ` && ${parser.escapeChar}${lineBreak(parser)}${indent}${cleanup}`;
+
+  // A trailing ; (not an escaped one, as in find -exec ... \;) is replaced by the &&
+  const separator = lastLine.match(/(^|[^\\])(\s*;)$/);
+  const start = separator
+    ? parser.tokenizer.positionAt(run.command.range.end.offset - separator[2].length)
+    : run.command.range.end;
+
+  return {
+    description: `Append ${cleanup}`,
+    safety: 'safe',
+    edits: [{ range: { start, end: run.command.range.end }, text }]
+  };
+}
+
+/**
+ * Add --no-cache to every apk add in a RUN that lacks it
+ */
+function addApkNoCache(parser, run) {
+  const installs = run.command.shell.findCommands({ manager: 'apk', action: 'install' });
+  const text = sourceText(parser, run.command.range);
+  const matches = [...text.matchAll(/\bapk\s+add\b/g)];
+
+  // Only edit when every apk add in the text maps onto a parsed command
+  if (!isEditableRun(run) || matches.length !== installs.length) {
+    return null;
+  }
+
+  const edits = matches
+    .filter((match, index) => !installs[index].flags.includes('--no-cache'))
+    .map(match => {
+      const position = parser.tokenizer.positionAt(run.command.range.start.offset + match.index + match[0].length);
+      return { range: { start: position, end: position }, text: ' --no-cache' };
+    });
+
+  return {
+    description: 'Add --no-cache to apk add',
+    safety: 'safe',
+    edits
+  };
+}
+
+/**
+ * Replace ADD with COPY when it only copies local files that are not named like tar archives
+ * or compressed files
+ */
+function replaceAddWithCopy(parser, add) {
+  const { sources } = add.operands;
+
+  if (sources.length === 0 || ADD_ONLY_FLAGS.some(flag => flag in add.flags) ||
+      sources.some(s => REMOTE_SOURCE.test(s) || ARCHIVE_SOURCE.test(s) || s.includes('$'))) {
+    return null;
+  }
+
+  const keyword = sourceText(parser, add.keywordRange);
+
+  return {
+    description: 'Replace ADD with COPY',
+    safety: 'safe',
+    edits: [{ range: add.keywordRange, text: keyword === keyword.toLowerCase() ? 'copy' : 'COPY' }]
+  };
+}
+
+/**
+ * Add a BuildKit cache mount to a RUN
+ * Unsafe: requires BuildKit and the target depends on the user running the command
+ */
+function addCacheMount(parser, run, target) {
+  return {
+    description: `Mount a build cache at ${target}`,
+    safety: 'unsafe',
+    edits: [{ range: { start: run.keywordRange.end, end: run.keywordRange.end }, text: ` --mount=type=cache,target=${target}` }]
+  };
+}
+
+/**
+ * Move the manifest COPY that follows a broad COPY (and the install right after it) above the broad COPY
+ * Moving an install is unsafe: it no longer sees the rest of the sources
+ */
+function moveManifestCopy(parser, broad) {
+  const stage = parser.getStages().find(s => s.instructions.includes(broad));
+  const instructions = stage.instructions;
+
+  // Only COPY/ADD may sit in between, so no RUN depends on the original order
+  let index = instructions.indexOf(broad) + 1;
+  while (index < instructions.length && isLocalCopy(instructions[index]) &&
+         !instructions[index].operands.sources.every(isManifestSource)) {
+    index++;
+  }
+
+  const manifest = instructions[index];
+  if (!manifest || !isLocalCopy(manifest) || manifest.operands.sources.length === 0 ||
+      !broad.operands.sources.some(s => BROAD_SOURCES.has(s))) {
+    return null;
+  }
+
+  let last = manifest;
+  for (let i = index + 1; i < instructions.length; i++) {
+    if (instructions[i].directive !== 'RUN' || !installsDependencies(instructions[i]) ||
+        instructions[i].lineNum !== last.endLineNum + 1) {
+      break;
+    }
+    last = instructions[i];
+  }
+
+  return {
+    description: last === manifest
+      ? 'Move the dependency manifest COPY before the source COPY'
+      : 'Move the dependency manifest COPY and install before the source COPY',
+    safety: last === manifest ? 'safe' : 'unsafe',
+    edits: moveLines(parser, firstLine(parser, manifest), last.endLineNum, firstLine(parser, broad))
+  };
+}
+
+/**
+ * Split a broad COPY before a dependency install: copy the manifests and install first, then the rest
+ * The manifests are paths in the context, e.g. ['package.json', 'package-lock.json'].
+ * Unsafe: the install no longer sees the rest of the sources
+ */
+function splitManifestCopy(parser, broad, manifests) {
+  const stage = parser.getStages().find(s => s.instructions.includes(broad));
+  const instructions = stage.instructions;
+
+  // The install has to follow the broad COPY with only other context copies in between
+  let index = instructions.indexOf(broad) + 1;
+  while (index < instructions.length && isLocalCopy(instructions[index])) {
+    index++;
+  }
+
+  const install = instructions[index];
+  const destination = broad.operands.destination;
+  if (!install || install.directive !== 'RUN' || !installsDependencies(install) || !isLocalCopy(broad) ||
+      !broad.operands.sources.some(s => BROAD_SOURCES.has(s)) || !destination || manifests.length === 0) {
+    return null;
+  }
+
+  const flags = broad.arguments.slice(0, broad.arguments.length - broad.body.length);
+  const keyword = sourceText(parser, broad.keywordRange);
+  const target = destination.endsWith('/') ? destination : `${destination}/`;
+  const edits = moveLines(parser, firstLine(parser, install), install.endLineNum, firstLine(parser, broad));
+  edits[0].text = `${keyword} ${flags}${manifests.join(' ')} ${target}${lineBreak(parser)}${edits[0].text}`;
+
+  return {
+    description: `Copy ${manifests.join(', ')} and install dependencies before copying the rest of the sources`,
+    safety: 'unsafe',
+    edits
+  };
+}
+
+/**
+ * Build the edits that move whole source lines before another line
+ */
+function moveLines(parser, startLine, endLine, beforeLine) {
+  const range = parser.getLineRange(startLine, endLine);
+  let text = sourceText(parser, range);
+
+  // The moved block was the last line without a line break: keep the file ending the same way
+  if (!/\n$/.test(text)) {
+    text += lineBreak(parser);
+    range.start = parser.tokenizer.positionAt(range.start.offset - lineBreak(parser).length);
+  }
+
+  const insertAt = parser.getLineRange(beforeLine, beforeLine).start;
+
+  return [
+    { range: { start: insertAt, end: insertAt }, text },
+    { range, text: '' }
+  ];
+}
+
+/**
+ * Check whether a RUN is in shell form without heredocs, so its command can be edited as text
+ */
+function isEditableRun(instruction) {
+  return instruction.directive === 'RUN' && instruction.command.form === 'shell' &&
+    instruction.heredocs.length === 0;
+}
+
+/**
+ * Check whether an instruction copies from the build context
+ */
+function isLocalCopy(instruction) {
+  return (instruction.directive === 'COPY' || instruction.directive === 'ADD') &&
+    !instruction.operands.from && instruction.heredocs.length === 0;
+}
+
+/**
+ * Get the instruction that follows another within the same stage
+ */
+function nextInStage(parser, instruction) {
+  const stage = parser.getStages().find(s => s.instructions.includes(instruction));
+  return stage.instructions[stage.instructions.indexOf(instruction) + 1] || null;
+}
+
+/**
+ * Get the first line of an instruction including the comments attached above it
+ */
+function firstLine(parser, instruction) {
+  const comments = parser.getLeadingComments(instruction);
+  return comments.length > 0 ? comments[0].lineNum : instruction.lineNum;
+}
+
+function sourceText(parser, range) {
+  return parser.content.slice(range.start.offset, range.end.offset);
+}
+
+function lineBreak(parser) {
+  return parser.content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+module.exports = {
+  mergeAptUpdate,
+  prependAptUpdate,
+  appendCleanup,
+  addApkNoCache,
+  replaceAddWithCopy,
+  addCacheMount,
+  moveManifestCopy,
+  splitManifestCopy
+};
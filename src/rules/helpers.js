@@ -0,0 +1,83 @@
+/**
+ * Rule Helpers
+ * Dockerfile heuristics shared by the built-in rules and their fixes
+ */
+
+/**
+ * Cleanup commands that remove each system package manager's cache
+ */
+const CACHE_CLEANUP = {
+  apt: c => (c.name === 'rm' && c.operands.some(o => o.startsWith('/var/lib/apt/lists'))),
+  yum: c => (c.manager === 'yum' && c.action === 'clean') ||
+    (c.name === 'rm' && c.operands.some(o => o.startsWith('/var/cache/yum') || o.startsWith('/var/cache/dnf'))),
+  apk: c => (c.name === 'rm' && c.operands.some(o => o.startsWith('/var/cache/apk')))
+};
+
+/**
+ * Files that describe dependencies and change less often than source code
+ */
+const DEPENDENCY_MANIFESTS = [
+  'package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', '.npmrc', '.yarnrc.yml',
+  'requirements.txt', 'Pipfile', 'Pipfile.lock', 'pyproject.toml', 'poetry.lock', 'setup.py', 'setup.cfg',
+  'Gemfile', 'Gemfile.lock', 'go.mod', 'go.sum', 'Cargo.toml', 'Cargo.lock', 'composer.json', 'composer.lock',
+  'pom.xml', 'build.gradle', 'settings.gradle'
+];
+
+const BROAD_SOURCES = new Set(['.', './', '*', './*']);
+
+/**
+ * Check whether a COPY source only matches dependency manifests
+ * Globs such as package*.json or requirements*.txt count when they match a manifest name
+ */
+function isManifestSource(source) {
+  const name = source.replace(/\/+$/, '').split('/').pop();
+  if (!name.includes('*') && !name.includes('?')) {
+    return DEPENDENCY_MANIFESTS.includes(name) || /^requirements.*\.txt$/.test(name);
+  }
+
+  const pattern = new RegExp('^' + name.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+  return DEPENDENCY_MANIFESTS.some(m => pattern.test(m));
+}
+
+/**
+ * Check whether a RUN instruction installs application dependencies
+ */
+function installsDependencies(run) {
+  return run.command.shell.getPackageInstalls(['npm', 'yarn', 'pnpm', 'pip', 'gem']).length > 0 ||
+    run.command.shell.hasCommand({ name: ['bundle', 'composer', 'poetry', 'pipenv'], subcommand: 'install' }) ||
+    run.command.shell.hasCommand({ name: 'go', subcommand: 'mod' });
+}
+
+/**
+ * Check whether a RUN instruction mounts a cache over the given path prefix
+ */
+function hasCacheMount(run, targetPrefix = '') {
+  // A bare --mount has no value to check
+  const mounts = [].concat(run.flags.mount || []).filter(mount => typeof mount === 'string');
+  return mounts.some(m => m.includes('type=cache') && (!targetPrefix || m.includes(`target=${targetPrefix}`)));
+}
+
+/**
+ * Look up the external image a stage is ultimately built from in the base image catalog
+ * Returns the catalog entry (see BaseImageCatalog.lookup), or null when the image is not known
+ */
+function lookupStageBase(parser, index, catalog) {
+  const [root] = parser.getStageGraph().getStageChain(index);
+  const from = parser.getStages()[root].instructions[0];
+  const { reference, platform } = from.resolved.operands;
+
+  if (!reference || !catalog || from.resolved.unresolved.length > 0) {
+    return null;
+  }
+  return catalog.lookup(reference, { platform });
+}
+
+module.exports = {
+  CACHE_CLEANUP,
+  DEPENDENCY_MANIFESTS,
+  BROAD_SOURCES,
+  isManifestSource,
+  installsDependencies,
+  hasCacheMount,
+  lookupStageBase
+};
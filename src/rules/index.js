@@ -0,0 +1,35 @@
+/**
+ * Built-in Rules
+ * Registered by every CacheRulesEngine in this order
+ */
+
+const { packageInstallCombined, runCleaned, layerOrder, aptUpdateTogether, tooManyPackages, packageManagerMismatch } = require('./packages');
+const { copyOrder, addVsCopy, wildcardCopies, copyDepsOnly, workdirPosition } = require('./copy');
+const { npmCache, prodDepsOnly } = require('./dependencies');
+const { multiStage, dockerignore, unreachableStage, undefinedStage, serializedStages, missingShell } = require('./structure');
+
+const DOCS_BASE_URL = 'https://github.com/ava-avant-iconic/docker-layer-optimizer/blob/main/docs/rules.md';
+
+const builtInRules = [
+  packageInstallCombined,
+  runCleaned,
+  copyOrder,
+  addVsCopy,
+  multiStage,
+  dockerignore,
+  layerOrder,
+  aptUpdateTogether,
+  npmCache,
+  wildcardCopies,
+  copyDepsOnly,
+  prodDepsOnly,
+  tooManyPackages,
+  workdirPosition,
+  unreachableStage,
+  undefinedStage,
+  serializedStages,
+  packageManagerMismatch,
+  missingShell
+].map(rule => ({ ...rule, docsUrl: `${DOCS_BASE_URL}#${rule.id}` }));
+
+module.exports = { builtInRules };
@@ -0,0 +1,252 @@
+/**
+ * Package Rules
+ * System package installs: layer count, cache cleanup and package index freshness
+ */
+
+const { SYSTEM_PACKAGE_MANAGERS } = require('../shell-analyzer');
+const { getPackageManagerFamily } = require('../base-image-catalog');
+const { CACHE_CLEANUP, hasCacheMount, lookupStageBase } = require('./helpers');
+const fixes = require('./fixes');
+
+/**
+ * Rule: Package installation commands should be combined
+ */
+const packageInstallCombined = {
+  id: 'package-install-combined',
+  severity: 'high',
+  category: 'size',
+  fixable: false,
+  title: 'Combine package installations',
+  description: 'Package installation commands should be combined into a single RUN layer to reduce image size and improve caching',
+  recommendation: 'Combine all apt-get/yum/apk add commands into one RUN instruction',
+
+  check(parser) {
+    const installRuns = [];
+
+    // Only separate install layers within the same stage can be combined
+    for (const stage of parser.getStages()) {
+      const stageInstalls = stage.instructions.filter(i =>
+        i.directive === 'RUN' && i.command.shell.getPackageInstalls(SYSTEM_PACKAGE_MANAGERS).length > 0
+      );
+      if (stageInstalls.length > 1) {
+        installRuns.push(...stageInstalls);
+      }
+    }
+
+    return installRuns.map(run => ({
+      lineNum: run.lineNum,
+      instruction: run.raw
+    }));
+  }
+};
+
+/**
+ * Rule: RUN commands should clean up after themselves
+ */
+const runCleaned = {
+  id: 'run-cleaned',
+  severity: 'medium',
+  category: 'size',
+  fixable: true,
+  title: 'Clean up package caches',
+  description: 'Package managers leave cache files that increase image size. Clean them up in the same RUN layer.',
+  recommendation: 'Add cleanup commands after package installations (e.g., rm -rf /var/lib/apt/lists/*, yum clean all, apk add --no-cache)',
+
+  check(parser) {
+    const issues = [];
+
+    for (const run of parser.getRunInstructions()) {
+      const shell = run.command.shell;
+
+      // Check for apt-get without cleanup
+      if (shell.hasCommand({ manager: 'apt', action: 'install' }) &&
+          !shell.hasSequence({ manager: 'apt', action: 'install' }, CACHE_CLEANUP.apt) &&
+          !hasCacheMount(run, '/var/lib/apt')) {
+        issues.push({
+          lineNum: run.lineNum,
+          instruction: run.raw,
+          reason: 'Missing cleanup after apt-get install',
+          fix: fixes.appendCleanup(parser, run, 'rm -rf /var/lib/apt/lists/*')
+        });
+      }
+
+      // Check for yum without cleanup
+      const [yumInstall] = shell.findCommands({ manager: 'yum', action: 'install' });
+      if (yumInstall && !shell.hasSequence({ manager: 'yum', action: 'install' }, CACHE_CLEANUP.yum) &&
+          !hasCacheMount(run, '/var/cache')) {
+        issues.push({
+          lineNum: run.lineNum,
+          instruction: run.raw,
+          reason: 'Missing cleanup after yum install',
+          fix: fixes.appendCleanup(parser, run, `${yumInstall.name} clean all`)
+        });
+      }
+
+      // Check for apk without --no-cache or cleanup
+      const apkInstalls = shell.findCommands({ manager: 'apk', action: 'install' });
+      if (apkInstalls.some(c => !c.flags.includes('--no-cache')) &&
+          !shell.hasSequence({ manager: 'apk', action: 'install' }, CACHE_CLEANUP.apk) &&
+          !hasCacheMount(run, '/var/cache/apk')) {
+        issues.push({
+          lineNum: run.lineNum,
+          instruction: run.raw,
+          reason: 'Missing --no-cache or cleanup after apk add',
+          fix: fixes.addApkNoCache(parser, run)
+        });
+      }
+    }
+
+    return issues;
+  }
+};
+
+/**
+ * Rule: Order instructions to maximize cache hits
+ */
+const layerOrder = {
+  id: 'layer-order',
+  severity: 'medium',
+  category: 'cache',
+  fixable: true,
+  title: 'Combine update and install',
+  description: 'apt-get update and apt-get install should be in the same RUN layer to prevent cached updates from going stale.',
+  recommendation: 'Combine apt-get update && apt-get install in one RUN command with &&',
+
+  check(parser) {
+    // Check if RUN apt-get update is separate from install
+    return parser.getRunInstructions()
+      .filter(run => {
+        const shell = run.command.shell;
+        return shell.hasCommand({ manager: 'apt', action: 'update' }) &&
+          !shell.hasSequence({ manager: 'apt', action: 'update' }, { manager: 'apt', action: 'install' });
+      })
+      .map(run => ({
+        lineNum: run.lineNum,
+        instruction: run.raw,
+        reason: 'apt-get update should be in same layer as install',
+        fix: fixes.mergeAptUpdate(parser, run)
+      }));
+  }
+};
+
+/**
+ * Rule: Keep apt-get update together
+ */
+const aptUpdateTogether = {
+  id: 'apt-update-together',
+  severity: 'medium',
+  category: 'cache',
+  fixable: true,
+  title: 'Mismatched update and install',
+  description: 'apt-get update should be paired with apt-get install in the same RUN layer.',
+  recommendation: 'Combine apt-get update and install commands with &&',
+
+  check(parser) {
+    const runs = parser.getRunInstructions();
+
+    // An install whose package index was refreshed in an earlier (cached) layer
+    const staleInstalls = runs.filter(r => {
+      const shell = r.command.shell;
+      return shell.hasCommand({ manager: 'apt', action: 'install' }) &&
+        !shell.hasSequence({ manager: 'apt', action: 'update' }, { manager: 'apt', action: 'install' }) &&
+        !hasCacheMount(r, '/var/lib/apt');
+    });
+    const hasSeparateUpdate = runs.some(r =>
+      r.command.shell.hasCommand({ manager: 'apt', action: 'update' }) &&
+      !r.command.shell.hasCommand({ manager: 'apt', action: 'install' })
+    );
+
+    if (!hasSeparateUpdate) {
+      return [];
+    }
+
+    return staleInstalls.map(u => ({
+      lineNum: u.lineNum,
+      instruction: u.raw,
+      reason: 'Install without apt-get update in the same layer',
+      fix: fixes.prependAptUpdate(parser, u)
+    }));
+  }
+};
+
+/**
+ * Rule: Avoid installing many system packages in a single layer
+ */
+const tooManyPackages = {
+  id: 'too-many-packages',
+  severity: 'medium',
+  category: 'cache',
+  fixable: false,
+  title: 'Many packages in one layer',
+  description: 'A single large install layer is rebuilt whenever any of its packages change.',
+  recommendation: 'Consider splitting into separate RUN layers for frequently vs rarely changing packages',
+  defaultOptions: { threshold: 5 },
+
+  check(parser, { options }) {
+    const { threshold } = options;
+    const issues = [];
+
+    for (const run of parser.getRunInstructions()) {
+      for (const install of run.command.shell.getPackageInstalls(SYSTEM_PACKAGE_MANAGERS)) {
+        if (install.packages.length > threshold) {
+          issues.push({
+            lineNum: run.lineNum,
+            instruction: run.raw,
+            reason: `Installing ${install.packages.length} packages in one layer`
+          });
+        }
+      }
+    }
+
+    return issues;
+  }
+};
+
+/**
+ * Rule: System package manager of another distribution than the base image
+ */
+const packageManagerMismatch = {
+  id: 'package-manager-mismatch',
+  severity: 'high',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Use the package manager of the base image',
+  description: 'A RUN that calls apt-get on an Alpine base, apk on a Debian base or any package manager on an image without one fails the build. The base image catalog tells which package manager each image has.',
+  recommendation: 'Use the package manager of the base image (apk on Alpine, apt-get on Debian and Ubuntu, dnf or microdnf on Fedora and RHEL), or switch to a base image variant that has the one you need.',
+
+  check(parser, { catalog }) {
+    const issues = [];
+
+    parser.getStages().forEach((stage, index) => {
+      const base = lookupStageBase(parser, index, catalog);
+      // Without a shell nothing runs at all, which missing-shell reports
+      if (!base || !base.shell) {
+        return;
+      }
+
+      const family = base.packageManager && getPackageManagerFamily(base.packageManager);
+      for (const run of stage.instructions.filter(i => i.directive === 'RUN')) {
+        const [command] = run.command.shell.findCommands(c => SYSTEM_PACKAGE_MANAGERS.includes(c.manager) && c.manager !== family);
+        if (command) {
+          issues.push({
+            lineNum: run.lineNum,
+            instruction: run.raw,
+            reason: `${command.name} is not available in ${base.reference} ` +
+              (base.packageManager ? `(${base.os}, uses ${base.packageManager})` : '(it has no package manager)')
+          });
+        }
+      }
+    });
+
+    return issues;
+  }
+};
+
+module.exports = {
+  packageInstallCombined,
+  runCleaned,
+  layerOrder,
+  aptUpdateTogether,
+  tooManyPackages,
+  packageManagerMismatch
+};
@@ -0,0 +1,233 @@
+/**
+ * Structure Rules
+ * Build layout: stages and the build context
+ */
+
+const { SYSTEM_PACKAGE_MANAGERS } = require('../shell-analyzer');
+const { formatBytes } = require('../layer-analyzer');
+const { BROAD_SOURCES, lookupStageBase } = require('./helpers');
+
+const BUILD_TOOLS = new Set(['build-essential', 'gcc', 'g++', 'make', 'cmake', 'clang', 'alpine-sdk', 'musl-dev', 'libc-dev']);
+
+/**
+ * Rule: Use multi-stage builds for smaller images
+ */
+const multiStage = {
+  id: 'multi-stage',
+  severity: 'medium',
+  category: 'size',
+  fixable: false,
+  title: 'Consider multi-stage builds',
+  description: 'Multi-stage builds can significantly reduce final image size by excluding build tools and dependencies.',
+  recommendation: 'Split your Dockerfile into build and runtime stages, copying only necessary artifacts.',
+
+  check(parser) {
+    // A --target that needs a single stage of a multi-stage Dockerfile is still a multi-stage build
+    if (parser.getFullParser().isMultiStage()) {
+      return [];
+    }
+
+    // Only suggest if there are build tools or dev dependencies
+    const hasBuildTools = parser.getRunInstructions().some(run => {
+      const shell = run.command.shell;
+      return shell.getInstalledPackages(SYSTEM_PACKAGE_MANAGERS).some(p => BUILD_TOOLS.has(p)) ||
+        shell.hasCommand({ name: ['make', 'cmake', 'gcc', 'g++'] });
+    });
+
+    if (!hasBuildTools) {
+      return [];
+    }
+
+    const [from] = parser.getInstructionsByType('FROM');
+
+    return [{
+      lineNum: from ? from.lineNum : 1,
+      instruction: 'Single-stage build',
+      reason: 'Build tools are included in final image'
+    }];
+  }
+};
+
+/**
+ * Rule: Use .dockerignore to exclude unnecessary files
+ */
+const dockerignore = {
+  id: 'dockerignore',
+  severity: 'low',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Use .dockerignore file',
+  description: 'A .dockerignore file prevents unnecessary files from being sent to the Docker daemon, improving build speed. ' +
+    'With --context, the files each COPY/ADD would send are checked for ones that are rarely needed in an image.',
+  recommendation: 'Create a .dockerignore file to exclude node_modules, .git, and other unnecessary files.',
+
+  check(parser, { context } = {}) {
+    const copies = parser.getInstructions()
+      .filter(i => (i.directive === 'COPY' || i.directive === 'ADD') && !i.resolved.operands.from);
+
+    // Without the build context we can only point at the instructions that copy all of it
+    if (!context) {
+      return copies
+        .filter(i => i.resolved.operands.sources.some(s => BROAD_SOURCES.has(s)))
+        .map(i => ({
+          lineNum: i.lineNum,
+          instruction: i.raw,
+          reason: 'Copies the whole build context'
+        }));
+    }
+
+    const issues = [];
+    for (const copy of copies) {
+      const unneeded = context.findUnneeded(context.filesForSources(copy.resolved.operands.sources));
+
+      if (unneeded.length > 0) {
+        const size = unneeded.reduce((sum, group) => sum + group.size, 0);
+        const count = unneeded.reduce((sum, group) => sum + group.files, 0);
+        const largest = unneeded.slice(0, 3).map(group => `${group.path} (${group.formattedSize})`);
+
+        issues.push({
+          lineNum: copy.lineNum,
+          instruction: copy.raw,
+          reason: `Sends ${count} unneeded file(s), ${formatBytes(size)}: ${largest.join(', ')}` +
+            (unneeded.length > 3 ? `, and ${unneeded.length - 3} more` : '')
+        });
+      }
+    }
+
+    return issues;
+  }
+};
+
+/**
+ * Rule: Stages the build target does not need
+ */
+const unreachableStage = {
+  id: 'unreachable-stage',
+  severity: 'low',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Remove unused stages',
+  description: 'A stage that the target stage neither builds on nor copies from is skipped by BuildKit and built for nothing by the legacy builder.',
+  recommendation: 'Remove the stage, or build it explicitly with --target if it is meant to be built on its own.',
+  defaultOptions: { target: null },
+
+  check(parser, { options }) {
+    const graph = parser.getStageGraph();
+
+    let target;
+    try {
+      target = graph.resolveTarget(options.target);
+    } catch {
+      return [];
+    }
+
+    return graph.getUnreachable(options.target).map(node => {
+      const from = parser.getStages()[node.index].instructions[0];
+      return {
+        lineNum: from.lineNum,
+        instruction: from.raw,
+        reason: `Stage ${node.label} is not used by ${options.target ? 'the target' : 'the final'} stage ${graph.getNodes()[target].label}`
+      };
+    });
+  }
+};
+
+/**
+ * Rule: References to stages that do not exist
+ */
+const undefinedStage = {
+  id: 'undefined-stage',
+  severity: 'high',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Reference only defined stages',
+  description: 'A FROM, COPY --from or RUN --mount from= that names a later stage, a stage index that does not exist yet or a misspelled stage is resolved as an image, which fails the build or pulls the wrong content.',
+  recommendation: 'Reference a stage defined earlier in the Dockerfile, by its AS name.',
+
+  check(parser) {
+    const instructions = parser.getInstructions();
+
+    return parser.getStageGraph().getUndefinedReferences().map(reference => ({
+      lineNum: reference.lineNum,
+      instruction: instructions.find(i => i.lineNum === reference.lineNum).raw,
+      reason: reference.reason
+    }));
+  }
+};
+
+/**
+ * Rule: Stages held back behind test or lint stages
+ */
+const serializedStages = {
+  id: 'serialized-stages',
+  severity: 'medium',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Keep verification stages off the build path',
+  description: 'BuildKit builds independent stages in parallel. A stage that builds on or copies from a test, lint or check stage waits for it, although it does not need its output.',
+  recommendation: 'Build on the stage the verification stage itself builds on, and run the verification stage as its own --target or in parallel in CI.',
+
+  check(parser) {
+    const instructions = parser.getInstructions();
+
+    return parser.getStageGraph().getSerializingDependencies().map(edge => ({
+      lineNum: edge.lineNum,
+      instruction: instructions.find(i => i.lineNum === edge.lineNum).raw,
+      reason: `Stage ${edge.toLabel} waits for stage ${edge.fromLabel} (${edge.via}), so they cannot run in parallel`
+    }));
+  }
+};
+
+/**
+ * Rule: Shell form commands on base images without a shell
+ */
+const missingShell = {
+  id: 'missing-shell',
+  severity: 'high',
+  category: 'best-practice',
+  fixable: false,
+  title: 'Use exec form without a shell',
+  description: 'Shell form RUN, CMD, ENTRYPOINT and HEALTHCHECK commands run through /bin/sh, which distroless, scratch and similar minimal images do not have: the build or the container fails. The base image catalog tells which images have a shell.',
+  recommendation: 'Use the exec form (["executable", "arg"]), run shell commands in a builder stage and copy the result, or use a debug variant of the image that includes a shell.',
+
+  check(parser, { catalog }) {
+    const graph = parser.getStageGraph();
+    const stages = parser.getStages();
+    const issues = [];
+
+    stages.forEach((stage, index) => {
+      const base = lookupStageBase(parser, index, catalog);
+      if (!base || base.shell) {
+        return;
+      }
+
+      // A SHELL instruction points at a shell the Dockerfile provides itself
+      const shells = graph.getStageChain(index)
+        .flatMap(i => stages[i].instructions)
+        .filter(i => i.directive === 'SHELL')
+        .map(i => i.lineNum);
+
+      for (const instruction of stage.instructions) {
+        if (instruction.command && instruction.command.form === 'shell' && instruction.directive !== 'SHELL' &&
+            !shells.some(line => line < instruction.lineNum)) {
+          issues.push({
+            lineNum: instruction.lineNum,
+            instruction: instruction.raw,
+            reason: `${base.reference} has no shell to run the shell form ${instruction.directive}`
+          });
+        }
+      }
+    });
+
+    return issues;
+  }
+};
+
+module.exports = {
+  multiStage,
+  dockerignore,
+  unreachableStage,
+  undefinedStage,
+  serializedStages,
+  missingShell
+};
@@ -0,0 +1,455 @@
+/**
+ * Shell Analyzer
+ * Splits RUN command bodies into simple commands and recognizes
+ * commands, subcommands, flags and package lists
+ */
+
+const CONTROL_OPERATORS = ['&&', '||', ';;', '|&', ';', '|', '&', '(', ')'];
+const REDIRECT_PATTERN = /^(\d*)(<<<|<<-|<<|>>|>&|<&|&>|>\||<>|>|<)/;
+const ASSIGNMENT_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*=/;
+const SHELL_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', '!', '{', '}']);
+const COMMAND_WRAPPERS = new Set(['sudo', 'env', 'nohup', 'exec', 'command', 'time', 'eatmydata']);
+const SHELLS = new Set(['sh', 'bash', 'ash', 'dash', 'zsh']);
+const SUBCOMMAND_TOOLS = new Set(['git', 'go', 'cargo', 'dotnet', 'composer', 'bundle', 'poetry', 'pipenv', 'conda', 'docker']);
+
+/**
+ * Package managers by executable name
+ * actions map subcommands to install/remove/update/clean; valueFlags consume the next word
+ */
+const PACKAGE_MANAGERS = {
+  apt: {
+    executables: ['apt-get', 'apt', 'aptitude'],
+    actions: { install: 'install', remove: 'remove', purge: 'remove', autoremove: 'remove', update: 'update', clean: 'clean', autoclean: 'clean', upgrade: 'upgrade', 'dist-upgrade': 'upgrade' },
+    valueFlags: ['-o', '-c', '-t', '--option', '--config-file', '--target-release']
+  },
+  yum: {
+    executables: ['yum', 'dnf', 'microdnf', 'tdnf'],
+    actions: { install: 'install', remove: 'remove', erase: 'remove', makecache: 'update', clean: 'clean', update: 'upgrade', upgrade: 'upgrade' },
+    valueFlags: ['--setopt', '--enablerepo', '--disablerepo', '--installroot', '--releasever']
+  },
+  apk: {
+    executables: ['apk'],
+    actions: { add: 'install', del: 'remove', update: 'update', cache: 'clean', upgrade: 'upgrade' },
+    valueFlags: ['-X', '--repository', '-t', '--virtual', '--arch', '-p', '--root']
+  },
+  npm: {
+    executables: ['npm'],
+    actions: { install: 'install', i: 'install', ci: 'install', add: 'install', uninstall: 'remove', rm: 'remove', cache: 'clean', update: 'upgrade' },
+    valueFlags: ['--prefix', '--registry', '-w', '--workspace', '--omit', '--cache']
+  },
+  yarn: {
+    executables: ['yarn'],
+    actions: { install: 'install', add: 'install', remove: 'remove', cache: 'clean', upgrade: 'upgrade' },
+    valueFlags: ['--cwd', '--cache-folder', '--registry', '--modules-folder']
+  },
+  pnpm: {
+    executables: ['pnpm'],
+    actions: { install: 'install', i: 'install', add: 'install', remove: 'remove', store: 'clean', update: 'upgrade' },
+    valueFlags: ['--dir', '-C', '--filter', '--store-dir']
+  },
+  pip: {
+    executables: ['pip', 'pip3'],
+    actions: { install: 'install', uninstall: 'remove', cache: 'clean' },
+    valueFlags: ['-r', '--requirement', '-c', '--constraint', '-i', '--index-url', '--extra-index-url', '-t', '--target', '--prefix', '-e', '--editable', '--cache-dir', '-f', '--find-links']
+  },
+  gem: {
+    executables: ['gem'],
+    actions: { install: 'install', uninstall: 'remove', cleanup: 'clean', update: 'upgrade' },
+    valueFlags: ['-v', '--version', '-i', '--install-dir', '--source']
+  }
+};
+
+const SYSTEM_PACKAGE_MANAGERS = ['apt', 'yum', 'apk'];
+
+const MANAGER_BY_EXECUTABLE = {};
+for (const [manager, definition] of Object.entries(PACKAGE_MANAGERS)) {
+  for (const executable of definition.executables) {
+    MANAGER_BY_EXECUTABLE[executable] = manager;
+  }
+}
+
+class ShellAnalyzer {
+  constructor(script) {
+    this.script = script || '';
+    this.commands = [];
+    this.analyze();
+  }
+
+  /**
+   * Build an analyzer for a parsed RUN/CMD instruction
+   * Exec form is analyzed as a single command; heredocs run by a shell are included
+   */
+  static forInstruction(instruction) {
+    const command = instruction.command;
+    if (!command) {
+      return new ShellAnalyzer('');
+    }
+
+    if (command.form === 'exec') {
+      const args = command.args;
+      if (args.length >= 3 && SHELLS.has(ShellAnalyzer.basename(args[0])) && args[1] === '-c') {
+        return new ShellAnalyzer(args[2]);
+      }
+      return ShellAnalyzer.fromWords(args);
+    }
+
+    let script = command.value;
+    if (command.heredocs.length > 0) {
+      const invocation = script.replace(/(?<!<)<<-?\s*(["']?)[A-Za-z_][A-Za-z0-9_.-]*\1/g, '').trim();
+      const runsShell = !invocation || SHELLS.has(ShellAnalyzer.basename(invocation.split(/\s+/)[0]));
+      if (runsShell) {
+        script = command.heredocs.map(h => h.content).join('\n');
+      }
+    }
+
+    return new ShellAnalyzer(script);
+  }
+
+  /**
+   * Build an analyzer from an already split argument list
+   */
+  static fromWords(words) {
+    const analyzer = new ShellAnalyzer('');
+    const command = analyzer.buildCommand(words, [], null);
+    if (command) {
+      analyzer.commands.push(command);
+    }
+    return analyzer;
+  }
+
+  /**
+   * Strip any directory from an executable path
+   */
+  static basename(executable) {
+    return executable.slice(executable.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * Split the script into simple commands
+   */
+  analyze() {
+    this.commands = [];
+    let words = [];
+    let redirects = [];
+    let operator = null;
+
+    const flush = () => {
+      const command = this.buildCommand(words, redirects, operator);
+      if (command) {
+        command.index = this.commands.length;
+        this.commands.push(command);
+        operator = null;
+      }
+      words = [];
+      redirects = [];
+    };
+
+    for (const token of this.tokenize(this.script)) {
+      if (token.type === 'word') {
+        words.push(token.value);
+      } else if (token.type === 'redirect') {
+        redirects.push({ operator: token.operator, target: token.target });
+      } else {
+        flush();
+        if (token.value !== '(' && token.value !== ')') {
+          operator = token.value;
+        }
+      }
+    }
+
+    flush();
+    return this.commands;
+  }
+
+  /**
+   * Tokenize shell text into words, redirects and control operators
+   */
+  tokenize(script) {
+    const tokens = [];
+    const pendingHeredocs = [];
+    let word = '';
+    let inWord = false;
+    let expectHeredocDelimiter = null;
+    let i = 0;
+
+    const pushWord = () => {
+      if (!inWord) {
+        return;
+      }
+      if (expectHeredocDelimiter) {
+        pendingHeredocs.push({ delimiter: word, chomp: expectHeredocDelimiter === '<<-' });
+        expectHeredocDelimiter = null;
+      } else if (tokens.length > 0 && tokens[tokens.length - 1].type === 'redirect' && tokens[tokens.length - 1].target === null) {
+        tokens[tokens.length - 1].target = word;
+      } else {
+        tokens.push({ type: 'word', value: word });
+      }
+      word = '';
+      inWord = false;
+    };
+
+    while (i < script.length) {
+      const ch = script[i];
+
+      if (ch === '\\') {
+        if (script[i + 1] !== '\n') {
+          word += script[i + 1] || '';
+          inWord = true;
+        }
+        i += 2;
+      } else if (ch === "'") {
+        const end = script.indexOf("'", i + 1);
+        const close = end === -1 ? script.length : end;
+        word += script.slice(i + 1, close);
+        inWord = true;
+        i = close + 1;
+      } else if (ch === '"') {
+        i++;
+        while (i < script.length && script[i] !== '"') {
+          if (script[i] === '\\' && '"\\$`\n'.includes(script[i + 1])) {
+            i++;
+          }
+          word += script[i];
+          i++;
+        }
+        inWord = true;
+        i++;
+      } else if (ch === '$' && script[i + 1] === '(') {
+        const end = this.findClosingParen(script, i + 1);
+        word += script.slice(i, end + 1);
+        inWord = true;
+        i = end + 1;
+      } else if (ch === '`') {
+        const end = script.indexOf('`', i + 1);
+        const close = end === -1 ? script.length : end;
+        word += script.slice(i, close + 1);
+        inWord = true;
+        i = close + 1;
+      } else if (ch === '#' && !inWord) {
+        while (i < script.length && script[i] !== '\n') {
+          i++;
+        }
+      } else if (ch === '\n') {
+        pushWord();
+        tokens.push({ type: 'operator', value: ';' });
+        i = this.skipHeredocBodies(script, i + 1, pendingHeredocs);
+      } else if (/\s/.test(ch)) {
+        pushWord();
+        i++;
+      } else if ((ch === '<' || ch === '>' || (ch === '&' && script[i + 1] === '>')) && (!inWord || /^\d+$/.test(word))) {
+        const match = script.slice(i).match(REDIRECT_PATTERN);
+        const fd = inWord ? word : '';
+        word = '';
+        inWord = false;
+        const operator = fd + match[2];
+        i += match[0].length;
+        if (match[2] === '<<' || match[2] === '<<-') {
+          expectHeredocDelimiter = match[2];
+        } else {
+          tokens.push({ type: 'redirect', operator, target: null });
+        }
+      } else {
+        const operator = CONTROL_OPERATORS.find(op => script.startsWith(op, i));
+        if (operator) {
+          pushWord();
+          tokens.push({ type: 'operator', value: operator });
+          i += operator.length;
+        } else {
+          word += ch;
+          inWord = true;
+          i++;
+        }
+      }
+    }
+
+    pushWord();
+    return tokens;
+  }
+
+  /**
+   * Find the parenthesis closing the one at the given index
+   */
+  findClosingParen(script, start) {
+    let depth = 0;
+    for (let i = start; i < script.length; i++) {
+      if (script[i] === '(') {
+        depth++;
+      } else if (script[i] === ')') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return script.length - 1;
+  }
+
+  /**
+   * Skip the bodies of heredocs opened on the previous line
+   * Returns the index after the last delimiter line
+   */
+  skipHeredocBodies(script, start, pendingHeredocs) {
+    let i = start;
+
+    while (pendingHeredocs.length > 0 && i < script.length) {
+      const { delimiter, chomp } = pendingHeredocs[0];
+      const lineEnd = script.indexOf('\n', i);
+      const end = lineEnd === -1 ? script.length : lineEnd;
+      const line = chomp ? script.slice(i, end).replace(/^\t+/, '') : script.slice(i, end);
+
+      if (line === delimiter) {
+        pendingHeredocs.shift();
+      }
+      i = end + 1;
+    }
+
+    pendingHeredocs.length = 0;
+    return i;
+  }
+
+  /**
+   * Build a command record from its words
+   * Leading variable assignments, shell keywords and wrappers such as sudo are skipped
+   */
+  buildCommand(words, redirects, operator) {
+    let i = 0;
+    const env = {};
+
+    while (i < words.length) {
+      if (SHELL_KEYWORDS.has(words[i])) {
+        i++;
+      } else if (ASSIGNMENT_PATTERN.test(words[i])) {
+        const eq = words[i].indexOf('=');
+        env[words[i].slice(0, eq)] = words[i].slice(eq + 1);
+        i++;
+      } else if (COMMAND_WRAPPERS.has(words[i])) {
+        i++;
+        while (i < words.length && words[i].startsWith('-')) {
+          i++;
+        }
+      } else {
+        break;
+      }
+    }
+
+    if (i >= words.length) {
+      return null;
+    }
+
+    let name = ShellAnalyzer.basename(words[i]);
+    let args = words.slice(i + 1);
+
+    // python -m pip install ... behaves like pip install ...
+    if (/^python[0-9.]*$/.test(name) && args[0] === '-m' && MANAGER_BY_EXECUTABLE[args[1]] === 'pip') {
+      name = args[1];
+      args = args.slice(2);
+    }
+
+    const manager = MANAGER_BY_EXECUTABLE[name] || null;
+    const valueFlags = manager ? PACKAGE_MANAGERS[manager].valueFlags : [];
+    const flags = [];
+    const operands = [];
+
+    for (let j = 0; j < args.length; j++) {
+      const arg = args[j];
+      if (arg.startsWith('-') && arg !== '-') {
+        flags.push(arg);
+        if (valueFlags.includes(arg) && j + 1 < args.length) {
+          flags.push(args[++j]);
+        }
+      } else {
+        operands.push(arg);
+      }
+    }
+
+    const hasSubcommand = manager || SUBCOMMAND_TOOLS.has(name);
+    const subcommand = hasSubcommand && operands.length > 0 ? operands[0] : null;
+    let action = manager && subcommand ? PACKAGE_MANAGERS[manager].actions[subcommand] || null : null;
+    if (manager === 'yarn' && !subcommand) {
+      // A bare `yarn` installs dependencies
+      action = 'install';
+    }
+
+    return {
+      name,
+      subcommand,
+      manager,
+      action,
+      args,
+      flags,
+      operands: subcommand ? operands.slice(1) : operands,
+      packages: action === 'install' ? (subcommand ? operands.slice(1) : []) : [],
+      env,
+      redirects,
+      operator,
+      index: 0,
+      text: words.slice(i).join(' ')
+    };
+  }
+
+  /**
+   * Check whether a command matches a matcher
+   * A matcher is a predicate or an object whose keys (name, subcommand, manager, action)
+   * map to a value or a list of accepted values
+   */
+  matches(command, matcher) {
+    if (typeof matcher === 'function') {
+      return matcher(command);
+    }
+
+    return Object.entries(matcher).every(([key, expected]) => {
+      const actual = command[key];
+      return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+    });
+  }
+
+  /**
+   * Get all simple commands
+   */
+  getCommands() {
+    return this.commands;
+  }
+
+  /**
+   * Find commands matching a matcher
+   */
+  findCommands(matcher) {
+    return this.commands.filter(c => this.matches(c, matcher));
+  }
+
+  /**
+   * Check whether any command matches
+   */
+  hasCommand(matcher) {
+    return this.commands.some(c => this.matches(c, matcher));
+  }
+
+  /**
+   * Check whether a command matching `first` is followed later by one matching `then`
+   */
+  hasSequence(first, then) {
+    const start = this.commands.findIndex(c => this.matches(c, first));
+    if (start === -1) {
+      return false;
+    }
+    return this.commands.slice(start + 1).some(c => this.matches(c, then));
+  }
+
+  /**
+   * Get package installation commands, optionally limited to some managers
+   */
+  getPackageInstalls(managers = null) {
+    return this.commands.filter(c =>
+      c.action === 'install' && (!managers || managers.includes(c.manager))
+    );
+  }
+
+  /**
+   * Get all packages installed, optionally limited to some managers
+   */
+  getInstalledPackages(managers = null) {
+    return this.getPackageInstalls(managers).flatMap(c => c.packages);
+  }
+}
+
+module.exports = { ShellAnalyzer, PACKAGE_MANAGERS, SYSTEM_PACKAGE_MANAGERS };
@@ -0,0 +1,202 @@
+/**
+ * Size Estimator
+ * Estimates final image size from the base image and per-layer estimates
+ */
+
+const { LayerAnalyzer } = require('./layer-analyzer');
+const { SYSTEM_PACKAGE_MANAGERS } = require('./shell-analyzer');
+const { BaseImageCatalog } = require('./base-image-catalog');
+const { BaseImageRecommender } = require('./base-image-recommender');
+
+const MB = 1024 * 1024;
+const UNKNOWN_BASE_IMAGE_SIZE = 100;
+
+class SizeEstimator {
+  /**
+   * @param {LayerAnalyzer} layerAnalyzer
+   * @param {Object} options - catalog (a BaseImageCatalog with base image sizes; the built-in one by default)
+   */
+  constructor(layerAnalyzer = new LayerAnalyzer(), { catalog = BaseImageCatalog.getDefault() } = {}) {
+    this.layerAnalyzer = layerAnalyzer;
+    this.catalog = catalog;
+    this.recommender = new BaseImageRecommender(catalog);
+  }
+
+  /**
+   * Estimate the final image size for a parsed Dockerfile
+   * Only the layers of the last stage and the stages it builds on count: builder stages it
+   * copies from are not shipped. Use parser.forTarget() to estimate the image of another target
+   * The base image size comes from the catalog (uncompressed, for the platform of its FROM);
+   * baseImageInfo is its catalog entry, or null for images the catalog does not know, and
+   * baseImageAlternatives the smaller images proposed for each FROM (see BaseImageRecommender)
+   * Options: context (a loaded BuildContext; COPY/ADD sizes are then measured)
+   */
+  estimate(parser, { context = null } = {}) {
+    const stages = parser.getStageGraph().getImageStages().map(index => parser.getStages()[index]);
+    const lines = new Set(stages.flatMap(stage => stage.instructions.map(instruction => instruction.lineNum)));
+    const estimates = this.layerAnalyzer.estimateFromDockerfile(parser, { context }).estimates
+      .filter(estimate => lines.has(estimate.lineNum));
+    const baseImage = this.getFinalBaseImage(parser);
+    const baseImageInfo = this.lookupFinalBaseImage(parser);
+    const baseImageAlternatives = this.recommender.recommend(parser);
+    const baseImageSize = !baseImage ? 0 : baseImageInfo ? baseImageInfo.uncompressedSize : UNKNOWN_BASE_IMAGE_SIZE * MB;
+
+    const breakdown = [{
+      category: 'Base Image',
+      estimatedSize: baseImageSize,
+      formattedSize: this.layerAnalyzer.formatBytes(baseImageSize),
+      layers: 1
+    }];
+
+    // Size by layer type
+    for (const type of ['RUN', 'COPY', 'ADD']) {
+      const layers = estimates.filter(e => e.type === type);
+      if (layers.length > 0) {
+        const total = layers.reduce((sum, e) => sum + e.estimatedSize, 0);
+        const measured = layers.filter(e => e.measured);
+        breakdown.push({
+          category: `${type} Layers`,
+          estimatedSize: total,
+          formattedSize: this.layerAnalyzer.formatBytes(total),
+          layers: layers.length,
+          ...(measured.length > 0 && { measured: measured.length })
+        });
+      }
+    }
+
+    const totalSize = baseImageSize + estimates.reduce((sum, e) => sum + e.estimatedSize, 0);
+
+    return {
+      baseImage,
+      baseImageInfo,
+      baseImageAlternatives,
+      stages: stages.map(stage => stage.name),
+      totalSize,
+      formattedSize: this.layerAnalyzer.formatBytes(totalSize),
+      breakdown,
+      recommendations: this.generateRecommendations(parser, { context, alternatives: baseImageAlternatives })
+    };
+  }
+
+  /**
+   * Get the external base images referenced by FROM (stage references excluded)
+   */
+  getBaseImages(parser) {
+    const stageNames = new Set();
+    const images = [];
+
+    for (const stage of parser.getStages()) {
+      if (stage.from && !stageNames.has(stage.from.toLowerCase()) && !images.includes(stage.from)) {
+        images.push(stage.from);
+      }
+      if (stage.as) {
+        stageNames.add(stage.as.toLowerCase());
+      }
+    }
+
+    return images;
+  }
+
+  /**
+   * Resolve the external image the final stage is ultimately built from
+   */
+  getFinalBaseImage(parser) {
+    const from = getFinalBaseFrom(parser);
+    return from ? from.resolved.operands.reference : null;
+  }
+
+  /**
+   * Look up the external image the final stage is built from in the catalog, for the platform
+   * its FROM asks for; null when there is none or the catalog does not know it
+   */
+  lookupFinalBaseImage(parser) {
+    const from = getFinalBaseFrom(parser);
+    if (!from || !from.resolved.operands.reference || from.resolved.unresolved.length > 0) {
+      return null;
+    }
+
+    const { reference, platform } = from.resolved.operands;
+    return this.catalog.lookup(reference, { platform });
+  }
+
+  /**
+   * Get the approximate uncompressed size of a base image in MB
+   */
+  getBaseImageSize(image, { platform = null } = {}) {
+    const info = this.catalog.lookup(image, { platform });
+    return info ? Math.round(info.uncompressedSize / MB * 10) / 10 : UNKNOWN_BASE_IMAGE_SIZE;
+  }
+
+  /**
+   * Generate size recommendations for the image of the last stage
+   * With a build context, copying all of it is only flagged when it sends unneeded files
+   * alternatives are the base image recommendations (see BaseImageRecommender.recommend)
+   */
+  generateRecommendations(parser, { context = null, alternatives = this.recommender.recommend(parser) } = {}) {
+    const recommendations = [];
+
+    // Propose replacements for the base image of the shipped image; builder stages do not end up in it
+    const shipped = alternatives.find(recommendation => recommendation.shipped);
+    if (shipped && shipped.alternatives.length > 0) {
+      const proposals = shipped.alternatives.slice(0, 3).map(a => `${a.reference} (saves ${a.formattedSavings})`);
+      const list = proposals.length > 1 ? `${proposals.slice(0, -1).join(', ')} or ${proposals[proposals.length - 1]}` : proposals[0];
+      recommendations.push(`Consider ${list} instead of ${shipped.reference} to reduce base image size`);
+    }
+
+    // Check for large COPY operations
+    for (const copy of parser.getCopyInstructions()) {
+      const { from, sources } = copy.resolved.operands;
+      if (from) {
+        continue;
+      }
+      if (sources.some(s => s.replace(/\/+$/, '').split('/').pop() === 'node_modules')) {
+        recommendations.push(
+          'Avoid copying node_modules - install them in the container to ensure platform compatibility'
+        );
+        break;
+      }
+      const broad = sources.some(s => s === '.' || s === './' || s.includes('*'));
+      if (broad && (!context || context.findUnneeded(context.filesForSources(sources)).length > 0)) {
+        recommendations.push(
+          'Use .dockerignore to exclude unnecessary files (node_modules, .git, etc.) from COPY . .'
+        );
+        break;
+      }
+    }
+
+    const runs = parser.getRunInstructions();
+
+    // Check for multi-stage build opportunities
+    if (!parser.isMultiStage() && runs.some(r => r.command.shell.getPackageInstalls(['npm', 'yarn', 'pnpm']).length > 0)) {
+      recommendations.push(
+        'Consider using multi-stage builds to exclude build tools and dev dependencies from the final image'
+      );
+    }
+
+    // Check for cleanup in RUN commands
+    const installsPackages = runs.some(r => r.command.shell.getPackageInstalls(SYSTEM_PACKAGE_MANAGERS).length > 0);
+    const hasCleanup = runs.some(r => r.command.shell.hasCommand(c =>
+      (c.name === 'rm' && c.flags.some(f => f.startsWith('-') && f.includes('r'))) ||
+      (c.manager && c.action === 'clean') ||
+      (c.manager === 'apk' && (c.action === 'remove' || c.flags.includes('--no-cache')))
+    ));
+
+    if (installsPackages && !hasCleanup) {
+      recommendations.push(
+        'Add cleanup commands after package installation (e.g., `&& rm -rf /var/lib/apt/lists/*`)'
+      );
+    }
+
+    return recommendations;
+  }
+}
+
+/**
+ * Get the FROM of the stage the final image is ultimately built from, or null without stages
+ */
+function getFinalBaseFrom(parser) {
+  const [root] = parser.getStageGraph().getImageStages();
+  return root === undefined ? null : parser.getStages()[root].instructions[0];
+}
+
+module.exports = { SizeEstimator };
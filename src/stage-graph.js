@@ -0,0 +1,308 @@
+/**
+ * Stage Graph
+ * The stages of a Dockerfile and the references between them (FROM <stage>, COPY/ADD --from,
+ * RUN --mount from=), with reachability from a target stage and DOT/Mermaid export
+ */
+
+/**
+ * Stage names that usually mean a verification step rather than a build step
+ */
+const VERIFICATION_STAGE = /(?:^|[-_.])(?:tests?|testing|lint|check|checks|verify|spec|audit|scan|ci)(?:$|[-_.])/i;
+
+class StageGraph {
+  /**
+   * @param {DockerfileParser} parser
+   */
+  constructor(parser) {
+    this.parser = parser;
+    this.references = parser.getStageReferences();
+
+    this.nodes = parser.getStages().map((stage, index) => ({
+      index,
+      name: stage.as || null,
+      label: stage.as || String(parser.getStageIndex(index)),
+      base: stage.from,
+      lineNum: stage.instructions[0].lineNum
+    }));
+
+    this.edges = this.references.flatMap((references, index) => references
+      .filter(reference => reference.stage !== null)
+      .map(reference => ({ from: reference.stage, to: index, via: reference.via, lineNum: reference.lineNum })));
+  }
+
+  /**
+   * Get the stages: [{ index, name, label, base, lineNum }]
+   */
+  getNodes() {
+    return this.nodes;
+  }
+
+  /**
+   * Get the dependencies between stages: [{ from, to, via, lineNum }], from the stage used to the stage using it
+   */
+  getEdges() {
+    return this.edges;
+  }
+
+  /**
+   * Get the index of the stage a plain build produces: the last one
+   */
+  getFinalStage() {
+    return this.nodes.length - 1;
+  }
+
+  /**
+   * Resolve a --target stage name (or the final stage when none is given) to its index
+   */
+  resolveTarget(target = null) {
+    if (target === null || target === undefined) {
+      return this.getFinalStage();
+    }
+
+    const name = String(target).toLowerCase();
+    const node = this.nodes.find(n => n.name && n.name.toLowerCase() === name);
+    if (!node) {
+      throw new Error(`Unknown target stage: ${target}`);
+    }
+
+    return node.index;
+  }
+
+  /**
+   * Get the indexes of the stages a target needs, the target included, in build order
+   */
+  getReachable(target = null) {
+    const reachable = new Set();
+    const pending = this.nodes.length > 0 ? [this.resolveTarget(target)] : [];
+
+    while (pending.length > 0) {
+      const index = pending.pop();
+      if (!reachable.has(index)) {
+        reachable.add(index);
+        pending.push(...this.edges.filter(edge => edge.to === index).map(edge => edge.from));
+      }
+    }
+
+    return [...reachable].sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the stages whose layers make up the image of a target, in build order: the target and
+   * the stages it builds on through FROM. Stages it only copies from are not shipped
+   */
+  getImageStages(target = null) {
+    return this.nodes.length > 0 ? this.getStageChain(this.resolveTarget(target)) : [];
+  }
+
+  /**
+   * Get a stage and the stages it builds on through FROM, root first; the root's base is an image
+   */
+  getStageChain(index) {
+    const stages = [];
+
+    while (index !== null) {
+      stages.unshift(index);
+      const base = this.edges.find(edge => edge.to === index && edge.via === 'FROM');
+      index = base ? base.from : null;
+    }
+
+    return stages;
+  }
+
+  /**
+   * Get the stages a target does not need, which BuildKit skips
+   */
+  getUnreachable(target = null) {
+    const reachable = new Set(this.getReachable(target));
+    return this.nodes.filter(node => !reachable.has(node.index));
+  }
+
+  /**
+   * Get references that cannot resolve to a stage although they are meant to:
+   * indexes of stages that are not defined before, names of later stages, and names that look
+   * like a misspelled stage. Returns [{ stage, reference, lineNum, via, reason }]
+   */
+  getUndefinedReferences() {
+    const undefinedReferences = [];
+
+    this.references.forEach((references, index) => {
+      for (const reference of references) {
+        if (reference.stage !== null || reference.reference.includes('$')) {
+          continue;
+        }
+
+        const reason = this.explainUndefined(reference, index);
+        if (reason) {
+          undefinedReferences.push({ stage: index, ...reference, reason });
+        }
+      }
+    });
+
+    return undefinedReferences;
+  }
+
+  /**
+   * Explain why an unresolved reference is a mistake, or return null for an external image
+   */
+  explainUndefined(reference, index) {
+    const name = reference.reference.toLowerCase();
+
+    if (reference.via !== 'FROM' && /^\d+$/.test(name)) {
+      return `Stage index ${name} is not defined before stage ${this.nodes[index].label}`;
+    }
+
+    const later = this.nodes.find(node => node.index >= index && node.name && node.name.toLowerCase() === name);
+    if (later) {
+      return `Stage ${later.name} is defined at line ${later.lineNum}, after it is referenced; ` +
+        'only earlier stages can be used, so this refers to an image instead';
+    }
+
+    // Image references with a registry, tag or digest are clearly not meant as stages
+    if (/[:/@]/.test(name)) {
+      return null;
+    }
+
+    const similar = this.nodes.find(node => node.index < index && node.name && isTypo(name, node.name.toLowerCase()));
+    return similar ? `No stage named ${reference.reference}; did you mean ${similar.name}?` : null;
+  }
+
+  /**
+   * Get the dependencies that hold a stage back behind a verification stage (tests, lint, ...)
+   * Builders run independent stages in parallel; depending on a test stage serializes the build
+   * behind the tests even though their output is not needed. Returns edges with stage labels.
+   */
+  getSerializingDependencies() {
+    return this.edges
+      .filter(edge => this.isVerification(edge.from) && !this.isVerification(edge.to))
+      .map(edge => ({ ...edge, fromLabel: this.nodes[edge.from].label, toLabel: this.nodes[edge.to].label }));
+  }
+
+  /**
+   * Check whether a stage is named like a verification step
+   */
+  isVerification(index) {
+    const name = this.nodes[index].name;
+    return Boolean(name) && VERIFICATION_STAGE.test(name);
+  }
+
+  /**
+   * Get the depth of each stage: 0 for stages without stage dependencies, else one more than the deepest dependency
+   * Stages of the same depth can be built in parallel
+   */
+  getDepths() {
+    const depths = [];
+
+    for (const node of this.nodes) {
+      const dependencies = this.edges.filter(edge => edge.to === node.index).map(edge => depths[edge.from]);
+      depths[node.index] = Math.max(-1, ...dependencies) + 1;
+    }
+
+    return depths;
+  }
+
+  /**
+   * Describe the graph for JSON output
+   */
+  toJSON(target = null) {
+    const depths = this.getDepths();
+
+    return {
+      target: this.nodes.length > 0 ? this.resolveTarget(target) : null,
+      nodes: this.nodes.map(node => ({ ...node, depth: depths[node.index] })),
+      edges: this.edges,
+      unreachable: this.getUnreachable(target).map(node => node.index),
+      undefinedReferences: this.getUndefinedReferences()
+    };
+  }
+
+  /**
+   * Export the graph in Graphviz DOT; the target is drawn bold and stages it does not need dashed
+   */
+  toDot(target = null) {
+    const targetIndex = this.resolveTarget(target);
+    const reachable = new Set(this.getReachable(target));
+    const lines = ['digraph stages {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+
+    for (const node of this.nodes) {
+      const styles = ['rounded'];
+      if (node.index === targetIndex) styles.push('bold');
+      if (!reachable.has(node.index)) styles.push('dashed');
+      lines.push(`  s${node.index} [label="${escapeDot(nodeLabel(node))}", style="${styles.join(',')}"];`);
+    }
+
+    for (const edge of this.edges) {
+      lines.push(`  s${edge.from} -> s${edge.to} [label="${escapeDot(edge.via)}"];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Export the graph as a Mermaid flowchart; the target and unneeded stages get their own classes
+   */
+  toMermaid(target = null) {
+    const targetIndex = this.resolveTarget(target);
+    const reachable = new Set(this.getReachable(target));
+    const lines = ['flowchart LR'];
+
+    for (const node of this.nodes) {
+      lines.push(`  s${node.index}["${escapeMermaid(nodeLabel(node)).replace(/\n/g, '<br/>')}"]`);
+    }
+
+    for (const edge of this.edges) {
+      lines.push(`  s${edge.from} -->|"${escapeMermaid(edge.via)}"| s${edge.to}`);
+    }
+
+    if (this.nodes.length > 0) {
+      lines.push('  classDef target stroke-width:3px;');
+      lines.push(`  class s${targetIndex} target;`);
+    }
+
+    const unreachable = this.nodes.filter(node => !reachable.has(node.index));
+    if (unreachable.length > 0) {
+      lines.push('  classDef unused stroke-dasharray:5 5,color:#888;');
+      lines.push(`  class ${unreachable.map(node => `s${node.index}`).join(',')} unused;`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Label a stage with its name (or index) and base image
+ */
+function nodeLabel(node) {
+  return node.name ? `${node.index}: ${node.name}\n${node.base}` : `${node.index}\n${node.base}`;
+}
+
+function escapeDot(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeMermaid(text) {
+  return text.replace(/"/g, '#quot;');
+}
+
+/**
+ * Check whether a name is one or two edits away from a stage name
+ */
+function isTypo(name, stageName) {
+  if (name === stageName || Math.abs(name.length - stageName.length) > 2 || Math.min(name.length, stageName.length) < 4) {
+    return false;
+  }
+
+  let previous = Array.from({ length: stageName.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= name.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= stageName.length; j++) {
+      const cost = name[i - 1] === stageName[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[stageName.length] <= 2;
+}
+
+module.exports = { StageGraph };
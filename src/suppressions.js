@@ -0,0 +1,112 @@
+/**
+ * Suppressions
+ * Inline comment directives that silence findings:
+ *   # dlo-disable-next-line <rule>[, <rule>...] [-- reason]
+ *   # dlo-disable <rules> ... # dlo-enable <rules>
+ *   # dlo-disable-file <rules>
+ * Omitting the rules applies the directive to every rule.
+ */
+
+const DIRECTIVE_PATTERN = /^dlo-(disable-next-line|disable-file|disable|enable)(?:\s+(.*?))?\s*$/;
+
+/**
+ * Parse suppression directives from the comments of a parsed Dockerfile
+ * Returns one entry per rule: { directive, rule (null for all rules), lineNum, from, to, reason }
+ * where from/to is the inclusive range of finding lines the entry covers
+ */
+function parseSuppressions(parser) {
+  const entries = [];
+  const open = [];
+  const instructions = parser.getInstructions();
+
+  for (const comment of parser.getComments()) {
+    const match = comment.text.match(DIRECTIVE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, directive, rest = ''] = match;
+    const [ruleList, ...reason] = rest.split(/\s+--\s*|^--\s*/);
+    const rules = ruleList.split(/[\s,]+/).filter(Boolean);
+    const targets = rules.length > 0 ? rules : [null];
+
+    if (directive === 'enable') {
+      // Close the matching open blocks (all of them when no rules are named)
+      for (let i = open.length - 1; i >= 0; i--) {
+        if (rules.length === 0 || rules.includes(open[i].rule)) {
+          open[i].to = comment.lineNum - 1;
+          open.splice(i, 1);
+        }
+      }
+      continue;
+    }
+
+    for (const rule of targets) {
+      const entry = {
+        directive: `dlo-${directive}`,
+        rule,
+        lineNum: comment.lineNum,
+        from: comment.lineNum + 1,
+        to: Infinity,
+        reason: reason.join(' -- ').trim() || null
+      };
+
+      if (directive === 'disable-next-line') {
+        const next = instructions.find(i => i.lineNum > comment.lineNum);
+        entry.from = next ? next.lineNum : -1;
+        entry.to = entry.from;
+      } else if (directive === 'disable-file') {
+        entry.from = 1;
+      } else {
+        open.push(entry);
+      }
+
+      entries.push(entry);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Split rule results into active and suppressed findings and find unused suppressions
+ * Suppressed findings keep the rule result shape; each issue gets a `suppression`
+ */
+function applySuppressions(results, entries) {
+  const used = new Set();
+  const active = [];
+  const suppressed = [];
+
+  for (const result of results) {
+    const kept = [];
+    const silenced = [];
+
+    for (const issue of result.issues) {
+      const entry = entries.find(e =>
+        (e.rule === null || e.rule === result.rule) && issue.lineNum >= e.from && issue.lineNum <= e.to
+      );
+
+      if (entry) {
+        used.add(entry);
+        silenced.push({ ...issue, suppression: { directive: entry.directive, lineNum: entry.lineNum, reason: entry.reason } });
+      } else {
+        kept.push(issue);
+      }
+    }
+
+    if (kept.length > 0) {
+      active.push({ ...result, issues: kept });
+    }
+    if (silenced.length > 0) {
+      suppressed.push({ ...result, issues: silenced });
+    }
+  }
+
+  const unused = entries
+    .filter(e => !used.has(e))
+    .map(e => ({ directive: e.directive, rule: e.rule, lineNum: e.lineNum }));
+
+  return { active, suppressed, unused };
+}
+
+module.exports = { parseSuppressions, applySuppressions };
@@ -0,0 +1,284 @@
+/**
+ * Tar
+ * Reads tar archives (ustar, with pax and GNU long name extensions) without extracting them:
+ * the entries of an archive on disk, by offset, and a streaming parser for archives that are
+ * read once, such as image layers
+ */
+
+const fs = require('fs').promises;
+
+const BLOCK = 512;
+
+const TYPES = {
+  '0': 'file',
+  '\0': 'file',
+  '7': 'file',
+  '1': 'link',
+  '2': 'symlink',
+  '5': 'directory'
+};
+
+// Entries that describe the entry after them instead of a file
+const META_TYPES = new Set(['x', 'g', 'L', 'K']);
+
+class TarParser {
+  /**
+   * @param {Function} onEntry - called with each entry { path, type, size, linkname, mode };
+   * may return { data(chunk), end() } to receive the entry's content
+   */
+  constructor(onEntry) {
+    this.onEntry = onEntry;
+    this.header = Buffer.alloc(0);
+    this.remaining = 0;
+    this.padding = 0;
+    this.handler = null;
+    this.meta = null;
+    this.overrides = {};
+    this.ended = false;
+  }
+
+  /**
+   * Feed the next chunk of the archive
+   */
+  write(chunk) {
+    let offset = 0;
+
+    while (offset < chunk.length && !this.ended) {
+      if (this.remaining > 0) {
+        const data = chunk.subarray(offset, offset + this.remaining);
+        if (this.meta) {
+          this.meta.chunks.push(data);
+        } else if (this.handler) {
+          this.handler.data(data);
+        }
+        this.remaining -= data.length;
+        offset += data.length;
+        if (this.remaining === 0) {
+          this.finishEntry();
+        }
+      } else if (this.padding > 0) {
+        const skipped = Math.min(this.padding, chunk.length - offset);
+        this.padding -= skipped;
+        offset += skipped;
+      } else {
+        const take = chunk.subarray(offset, offset + BLOCK - this.header.length);
+        this.header = Buffer.concat([this.header, take]);
+        offset += take.length;
+        if (this.header.length === BLOCK) {
+          const block = this.header;
+          this.header = Buffer.alloc(0);
+          this.readHeader(block);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start the entry a header block describes; a zero block ends the archive
+   */
+  readHeader(block) {
+    const header = parseHeader(block);
+    if (!header) {
+      this.ended = true;
+      return;
+    }
+
+    if (META_TYPES.has(header.typeflag)) {
+      this.meta = { typeflag: header.typeflag, chunks: [] };
+    } else {
+      const entry = { ...header, ...this.overrides };
+      delete entry.typeflag;
+      this.overrides = {};
+      this.handler = this.onEntry(entry) || null;
+      header.size = entry.size;
+    }
+
+    this.remaining = header.size;
+    this.padding = (BLOCK - (header.size % BLOCK)) % BLOCK;
+
+    if (this.remaining === 0) {
+      this.finishEntry();
+    }
+  }
+
+  /**
+   * Finish the current entry; pax and GNU long name entries apply to the next one
+   */
+  finishEntry() {
+    if (this.meta) {
+      Object.assign(this.overrides, parseMeta(this.meta.typeflag, Buffer.concat(this.meta.chunks)));
+      this.meta = null;
+    } else if (this.handler) {
+      if (this.handler.end) {
+        this.handler.end();
+      }
+      this.handler = null;
+    }
+  }
+}
+
+/**
+ * List the entries of a tar file with the offset of their content: [{ path, type, size,
+ * linkname, mode, offset }]. Contents are skipped, not read
+ */
+async function listTarFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  const entries = [];
+
+  try {
+    const block = Buffer.alloc(BLOCK);
+    let position = 0;
+    let overrides = {};
+
+    for (;;) {
+      const { bytesRead } = await handle.read(block, 0, BLOCK, position);
+      if (position === 0 && bytesRead >= 2 && block[0] === 0x1f && block[1] === 0x8b) {
+        throw new Error('The archive is gzip-compressed: decompress it first (gunzip)');
+      }
+
+      const header = bytesRead === BLOCK ? parseHeader(block) : null;
+      if (!header) {
+        break;
+      }
+
+      const offset = position + BLOCK;
+      if (META_TYPES.has(header.typeflag)) {
+        const data = Buffer.alloc(header.size);
+        await handle.read(data, 0, header.size, offset);
+        Object.assign(overrides, parseMeta(header.typeflag, data));
+      } else {
+        const entry = { ...header, ...overrides, offset };
+        delete entry.typeflag;
+        entries.push(entry);
+        overrides = {};
+        header.size = entry.size;
+      }
+
+      position = offset + Math.ceil(header.size / BLOCK) * BLOCK;
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return entries;
+}
+
+/**
+ * Read the content of an entry listed by listTarFile
+ */
+async function readTarEntry(filePath, entry) {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const data = Buffer.alloc(entry.size);
+    await handle.read(data, 0, entry.size, entry.offset);
+    return data;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parse a header block; null for the zero blocks that end an archive
+ */
+function parseHeader(block) {
+  if (block.every(byte => byte === 0)) {
+    return null;
+  }
+
+  // The checksum is the sum of the header bytes, counting its own field as spaces
+  let checksum = 8 * 0x20;
+  for (let i = 0; i < BLOCK; i++) {
+    checksum += i >= 148 && i < 156 ? 0 : block[i];
+  }
+  if (checksum !== readNumber(block, 148, 8)) {
+    throw new Error('Not a tar archive (invalid header checksum)');
+  }
+
+  const typeflag = String.fromCharCode(block[156]);
+  const name = readString(block, 0, 100);
+  const prefix = block.toString('latin1', 257, 263).startsWith('ustar') ? readString(block, 345, 155) : '';
+
+  return {
+    path: normalizePath(prefix ? `${prefix}/${name}` : name),
+    type: TYPES[typeflag] || 'other',
+    typeflag,
+    size: readNumber(block, 124, 12),
+    mode: readNumber(block, 100, 8),
+    linkname: readString(block, 157, 100)
+  };
+}
+
+/**
+ * Read the path or link name a pax header or GNU long name entry sets
+ */
+function parseMeta(typeflag, data) {
+  if (typeflag === 'L') {
+    return { path: normalizePath(data.toString('utf-8').replace(/\0+$/, '')) };
+  }
+  if (typeflag === 'K') {
+    return { linkname: data.toString('utf-8').replace(/\0+$/, '') };
+  }
+  if (typeflag === 'g') {
+    return {};
+  }
+
+  // Pax records: "<length> <key>=<value>\n"
+  const values = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf-8', offset, space), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = data.toString('utf-8', space + 1, offset + length - 1);
+    const eq = record.indexOf('=');
+    const key = record.slice(0, eq);
+    const value = record.slice(eq + 1);
+
+    if (key === 'path') {
+      values.path = normalizePath(value);
+    } else if (key === 'linkpath') {
+      values.linkname = value;
+    } else if (key === 'size') {
+      values.size = Number(value);
+    }
+    offset += length;
+  }
+
+  return values;
+}
+
+/**
+ * Read a NUL-terminated string field
+ */
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf-8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * Read an octal number field, or a base-256 one (high bit set) for sizes over 8 GB
+ */
+function readNumber(block, offset, length) {
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + block[offset + i];
+    }
+    return value;
+  }
+
+  const text = block.toString('latin1', offset, offset + length).replace(/\0.*$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Make entry paths relative without a leading ./ or trailing slash
+ */
+function normalizePath(entryPath) {
+  return entryPath.replace(/^(?:\.\/|\/)+/, '').replace(/\/+$/, '');
+}
+
+module.exports = { TarParser, listTarFile, readTarEntry };
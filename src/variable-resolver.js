@@ -0,0 +1,176 @@
+/**
+ * Variable Resolver
+ * Expands ARG and ENV variables in instructions the way the builder does: global ARGs before
+ * the first FROM are visible to FROM lines only, each stage starts with no ARGs (a global one
+ * is brought in by redeclaring it), --build-arg values override ARG defaults, ENV overrides
+ * ARG, and a stage built on an earlier stage inherits its ENV
+ */
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+const BRACED_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-+])([\s\S]*))?$/;
+
+class VariableScope {
+  /**
+   * @param {Object} buildArgs - --build-arg values by name
+   */
+  constructor(buildArgs = {}) {
+    this.buildArgs = buildArgs;
+    this.globals = {};
+    this.args = null;
+    this.env = null;
+    this.stageEnvs = [];
+  }
+
+  /**
+   * Get the variables with a value at the current instruction, by name
+   */
+  getVariables() {
+    if (!this.args) {
+      return this.getGlobalVariables();
+    }
+    return { ...withValues(this.args), ...this.env };
+  }
+
+  /**
+   * Get the global ARGs with a value, which are all that FROM lines see
+   */
+  getGlobalVariables() {
+    return withValues(this.globals);
+  }
+
+  /**
+   * Start a stage; one built on an earlier stage (its index) starts with that stage's ENV
+   */
+  enterStage(baseStage = null) {
+    this.args = {};
+    this.env = baseStage === null ? {} : { ...this.stageEnvs[baseStage] };
+    this.stageEnvs.push(this.env);
+  }
+
+  /**
+   * Declare an ARG and return its value: the build arg, else its default, else (in a stage)
+   * the value of the global ARG of the same name; null when it has none
+   */
+  declareArg(key, defaultValue) {
+    let value = defaultValue;
+    if (Object.prototype.hasOwnProperty.call(this.buildArgs, key)) {
+      value = this.buildArgs[key];
+    } else if (value === null && this.args && this.globals[key] !== undefined) {
+      value = this.globals[key];
+    }
+
+    (this.args || this.globals)[key] = value === null ? undefined : value;
+    return value;
+  }
+
+  /**
+   * Set an ENV variable for the rest of the stage
+   */
+  setEnv(key, value) {
+    if (this.env) {
+      this.env[key] = value;
+    }
+  }
+}
+
+/**
+ * Expand $VAR, ${VAR}, ${VAR:-default}, ${VAR:+alternative} (and ${VAR-default}, ${VAR+alternative},
+ * which only test whether the variable is set) in instruction text
+ * Single-quoted text and escaped dollars are left alone, and quotes and escapes are kept so the
+ * result can still be split into words. Variables without a value are left as written and listed
+ * in unresolved. With escapeValues, whitespace, quotes and escape characters in substituted values
+ * are escaped, so that each value stays within its word.
+ * Returns { text, unresolved }
+ */
+function expandVariables(text, variables, { escapeChar = '\\', escapeValues = false } = {}) {
+  const unresolved = [];
+  const options = { escapeChar, escapeValues };
+  const special = new RegExp(`[\\s"'${escapeChar.replace(/[\\\]^-]/g, '\\$&')}]`, 'g');
+  const insert = value => (escapeValues ? value.replace(special, ch => escapeChar + ch) : value);
+  let output = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === escapeChar && quote !== "'" && i + 1 < text.length) {
+      output += ch + text[++i];
+      continue;
+    }
+
+    if (ch === '$' && quote !== "'") {
+      const reference = readReference(text, i);
+      if (reference) {
+        const { name, operator, word, end } = reference;
+        const value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+        const expandWord = () => {
+          const expanded = expandVariables(word, variables, options);
+          unresolved.push(...expanded.unresolved);
+          return expanded.text;
+        };
+
+        if (operator === ':-' || operator === '-') {
+          const useDefault = value === undefined || (operator === ':-' && value === '');
+          output += useDefault ? expandWord() : insert(value);
+        } else if (operator === ':+' || operator === '+') {
+          const useAlternative = value !== undefined && (operator === '+' || value !== '');
+          output += useAlternative ? expandWord() : '';
+        } else if (value !== undefined) {
+          output += insert(value);
+        } else {
+          output += text.slice(i, end);
+          unresolved.push(name);
+        }
+
+        i = end - 1;
+        continue;
+      }
+    }
+
+    if (quote && ch === quote) {
+      quote = null;
+    } else if (!quote && (ch === '"' || ch === "'")) {
+      quote = ch;
+    }
+    output += ch;
+  }
+
+  return { text: output, unresolved: [...new Set(unresolved)] };
+}
+
+/**
+ * Read a variable reference at a dollar sign: { name, operator, word, end } or null
+ * References in an unsupported form are not expanded
+ */
+function readReference(text, start) {
+  if (text[start + 1] !== '{') {
+    const match = text.slice(start + 1).match(NAME_PATTERN);
+    return match ? { name: match[0], operator: null, word: null, end: start + 1 + match[0].length } : null;
+  }
+
+  // Find the closing brace, skipping nested ${...}
+  let depth = 0;
+  for (let i = start + 2; i < text.length; i++) {
+    if (text[i] === '$' && text[i + 1] === '{') {
+      depth++;
+      i++;
+    } else if (text[i] === '}') {
+      if (depth === 0) {
+        const match = text.slice(start + 2, i).match(BRACED_PATTERN);
+        return match ? { name: match[1], operator: match[2] || null, word: match[3] || '', end: i + 1 } : null;
+      }
+      depth--;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Keep the variables that have a value
+ */
+function withValues(variables) {
+  return Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== undefined));
+}
+
+module.exports = { VariableScope, expandVariables };
@@ -0,0 +1,128 @@
+/**
+ * Tests for Analyzer
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Analyzer } = require('../src/analyzer');
+
+describe('Analyzer', () => {
+  const content = `FROM ubuntu:22.04
+RUN apt-get update
+RUN apt-get install -y nodejs npm curl
+WORKDIR /app
+COPY . .
+RUN npm install
+CMD ["node", "index.js"]`;
+
+  it('should produce one result schema with rules from every source', () => {
+    const results = new Analyzer().parse(content).analyze({ estimateSizes: true });
+    const rules = results.cacheIssues.map(i => i.rule);
+
+    assert.ok(rules.includes('layer-order'));
+    assert.ok(rules.includes('copy-deps-only'));
+    assert.ok(rules.includes('prod-deps-only'));
+    assert.strictEqual(results.summary.totalInstructions, 7);
+    assert.ok(results.layerEstimate.estimates.length > 0);
+    assert.ok(results.sizeEstimate.totalSize > results.layerEstimate.totalEstimated);
+  });
+
+  it('should filter issues by minimum severity', () => {
+    const results = new Analyzer().parse(content).analyze({ minSeverity: 'high' });
+
+    assert.ok(results.cacheIssues.length > 0);
+    assert.ok(results.cacheIssues.every(i => i.severity === 'high'));
+    assert.strictEqual(results.summary.issues.medium, 0);
+    assert.throws(() => new Analyzer().parse(content).analyze({ minSeverity: 'urgent' }), /Invalid severity/);
+  });
+
+  it('should report suppressed findings separately', () => {
+    const results = new Analyzer().parse(`# dlo-disable-file copy-deps-only, dockerignore
+${content}`).analyze();
+
+    assert.ok(!results.cacheIssues.some(i => i.rule === 'copy-deps-only'));
+    assert.deepStrictEqual(results.suppressedIssues.map(i => i.rule), ['dockerignore', 'copy-deps-only']);
+    assert.strictEqual(results.summary.suppressed, 2);
+    assert.deepStrictEqual(results.unusedSuppressions, []);
+  });
+
+  it('should report only findings missing from the baseline', () => {
+    const { createBaselineEntries } = require('../src/baseline');
+    const baseline = createBaselineEntries(new Analyzer().parse(content).analyze().cacheIssues);
+
+    const results = new Analyzer().parse(content.replace('COPY . .', 'ADD . .')).analyze({ baseline });
+
+    assert.ok(results.cacheIssues.every(r => r.issues.every(i => i.instruction === 'ADD . .')));
+    assert.ok(results.cacheIssues.some(r => r.rule === 'add-vs-copy'));
+    assert.ok(results.baseline.fixed.some(f => f.instruction === 'COPY . .'));
+    assert.ok(results.baseline.known.length > 0);
+  });
+
+  it('should record the findings of the run as its baseline', () => {
+    const recorded = new Analyzer().parse(content).analyze({ recordBaseline: true, minSeverity: 'high' });
+    const rerun = new Analyzer().parse(content).analyze({ baseline: recorded.baseline.entries });
+
+    assert.deepStrictEqual(recorded.cacheIssues, []);
+    assert.deepStrictEqual(recorded.baseline.fixed, []);
+    assert.ok(recorded.baseline.entries.some(e => e.instruction === 'COPY . .'));
+    assert.deepStrictEqual(rerun.cacheIssues, []);
+    assert.deepStrictEqual(rerun.baseline.fixed, []);
+  });
+
+  it('should describe stages and real layer sizes from docker history', () => {
+    const results = new Analyzer().parse(`FROM node:20 AS build
+RUN npm ci
+FROM nginx:alpine
+COPY --from=build /app /usr/share/nginx/html`).analyze({
+      history: 'sha256:bbb|2MB|COPY dir:abc in /usr/share/nginx/html\nsha256:aaa|40MB|ADD file:abc in /'
+    });
+
+    assert.deepStrictEqual(results.stages.map(s => [s.name, s.base, s.lineNum, s.endLineNum]),
+      [['build', 'node:20', 1, 2], ['stage_1', 'nginx:alpine', 3, 4]]);
+    assert.deepStrictEqual(results.stages[1].dependsOn, [{ stage: 0, lineNum: 4, via: 'COPY --from' }]);
+    assert.deepStrictEqual(results.layerAnalysis.layers.map(l => l.size), [40 * 1024 * 1024, 2 * 1024 * 1024]);
+  });
+
+  it('should analyze and size only the stages a target needs', () => {
+    const analyzer = new Analyzer().parse(`FROM node:20 AS deps
+RUN apt-get update && apt-get install -y build-essential
+FROM deps AS test
+RUN npm test
+FROM deps AS build
+RUN npm run build
+FROM node:20-alpine AS prod
+COPY --from=build /app/dist /app
+FROM prod AS debug
+RUN apk add --no-cache curl`);
+    const results = analyzer.analyze({ target: 'prod', estimateSizes: true });
+
+    assert.deepStrictEqual(results.target, { name: 'prod', stages: ['deps', 'build', 'prod'], skipped: ['test', 'debug'] });
+    assert.strictEqual(results.summary.stages, 3);
+    assert.deepStrictEqual(results.stages[2].dependsOn, [{ stage: 1, lineNum: 8, via: 'COPY --from' }]);
+    assert.ok(!results.cacheIssues.some(i => i.rule === 'unreachable-stage'));
+    assert.deepStrictEqual(results.layerEstimate.estimates.map(e => e.lineNum), [2, 6, 8]);
+    assert.strictEqual(results.sizeEstimate.baseImage, 'node:20-alpine');
+    assert.deepStrictEqual(results.sizeEstimate.stages, ['prod']);
+    assert.throws(() => analyzer.analyze({ target: 'release' }), /Unknown target stage: release/);
+  });
+
+  it('should not report suppressions in stages a target skips as unused', () => {
+    const results = new Analyzer().parse(`FROM node:20 AS deps
+# dlo-disable-next-line run-cleaned
+RUN apt-get update && apt-get install -y make
+# Tests need curl
+FROM deps AS test
+# dlo-disable-next-line run-cleaned, apt-update-together
+RUN apt-get install -y curl
+FROM node:20-alpine AS prod
+COPY --from=deps /app /app
+# dlo-disable-next-line layer-order`).analyze({ target: 'prod' });
+
+    assert.deepStrictEqual(results.suppressedIssues.map(i => [i.rule, i.issues.map(issue => issue.lineNum)]), [['run-cleaned', [3]]]);
+    assert.deepStrictEqual(results.unusedSuppressions, [{ directive: 'dlo-disable-next-line', rule: 'layer-order', lineNum: 10 }]);
+  });
+
+  it('should require a Dockerfile before analysis', () => {
+    assert.throws(() => new Analyzer().analyze(), /Dockerfile not loaded/);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for BaseImageCatalog
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BaseImageCatalog, getPackageManagerFamily } = require('../src/base-image-catalog');
+
+const MB = 1024 * 1024;
+
+describe('BaseImageCatalog', () => {
+  const catalog = BaseImageCatalog.getDefault();
+
+  it('should look up tags by variant and architecture', () => {
+    const alpine = catalog.lookup('node:20-alpine');
+
+    assert.strictEqual(alpine.image, 'node');
+    assert.strictEqual(alpine.tag, '20-alpine');
+    assert.strictEqual(alpine.variant, 'alpine');
+    assert.strictEqual(alpine.os, 'alpine');
+    assert.strictEqual(alpine.packageManager, 'apk');
+    assert.strictEqual(alpine.shell, true);
+    assert.strictEqual(alpine.arch, 'amd64');
+    assert.strictEqual(alpine.uncompressedSize, Math.round(134.7 * MB));
+    assert.ok(alpine.compressedSize < alpine.uncompressedSize);
+
+    assert.strictEqual(catalog.lookup('node:20-alpine', { platform: 'linux/arm64/v8' }).arch, 'arm64');
+    assert.strictEqual(catalog.lookup('node:20-bookworm-slim').variant, 'slim');
+    assert.strictEqual(catalog.lookup('node').variant, 'default');
+    assert.strictEqual(catalog.lookup('scratch').uncompressedSize, 0);
+    assert.strictEqual(catalog.lookup('gcr.io/distroless/static-debian12').shell, false);
+    assert.strictEqual(catalog.lookup('gcr.io/distroless/static-debian12:debug').shell, true);
+  });
+
+  it('should normalize Docker Hub names and not guess at digests it does not list', () => {
+    assert.strictEqual(catalog.lookup('docker.io/library/python:3.12-slim').image, 'python');
+    assert.strictEqual(catalog.lookup('python:3.12-slim@sha256:abc').variant, 'slim');
+    assert.strictEqual(catalog.lookup('python@sha256:abc'), null);
+    assert.strictEqual(catalog.lookup('registry.example.com/app:1'), null);
+  });
+
+  it('should list the variants of an image', () => {
+    const variants = catalog.getVariants('python:3.12');
+
+    assert.deepStrictEqual(variants.map(v => v.variant), ['alpine', 'slim', 'default']);
+    assert.deepStrictEqual(catalog.getVariants('registry.example.com/app'), []);
+  });
+
+  it('should list the images that replace a reference', () => {
+    const [distroless] = catalog.getReplacements('node:20-bookworm-slim');
+
+    assert.strictEqual(distroless.image, 'gcr.io/distroless/nodejs20-debian12');
+    assert.strictEqual(distroless.shell, false);
+    assert.ok(distroless.caveats.length > 0);
+    assert.deepStrictEqual(catalog.getReplacements('node:18'), []);
+  });
+
+  it('should prefer a user catalog and fall back to the built-in one', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-catalog-'));
+    const file = path.join(dir, 'catalog.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      images: {
+        'registry.example.com/node': [
+          { tags: ['*'], variant: 'hardened', os: 'wolfi', packageManager: 'apk', shell: true, digests: ['sha256:abc'],
+            sizes: { amd64: { compressed: 20, uncompressed: 60 } } }
+        ],
+        node: [
+          { tags: ['*-internal'], variant: 'internal', os: 'debian', packageManager: 'apt', sizes: { arm64: { compressed: 50, uncompressed: 150 } } }
+        ]
+      }
+    }));
+
+    try {
+      const user = await BaseImageCatalog.load(file);
+
+      assert.strictEqual(user.lookup('registry.example.com/node:20').variant, 'hardened');
+      assert.strictEqual(user.lookup('registry.example.com/node@sha256:abc').uncompressedSize, 60 * MB);
+      assert.strictEqual(user.lookup('registry.example.com/node@sha256:def'), null);
+      assert.strictEqual(user.lookup('node:20-internal').arch, 'arm64');
+      assert.strictEqual(user.lookup('node:20-alpine').variant, 'alpine');
+      assert.strictEqual(user.lookup('python:3.12').os, 'debian');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject invalid catalogs', async () => {
+    assert.throws(() => new BaseImageCatalog({ version: 2, images: {} }), /Unsupported catalog version 2/);
+    assert.throws(() => new BaseImageCatalog({ version: 1, images: { node: [{ tags: ['*'] }] } }), /needs a list of entries/);
+    assert.throws(() => new BaseImageCatalog({ version: 1, images: { node: [{ tags: ['*'], sizes: {}, digests: 'sha256:abc' }] } }),
+      /"digests" must be a list/);
+    await assert.rejects(BaseImageCatalog.load('/no/such/catalog.json'), /Invalid base image catalog \/no\/such\/catalog.json/);
+  });
+
+  it('should map package managers to their family', () => {
+    assert.strictEqual(getPackageManagerFamily('microdnf'), 'yum');
+    assert.strictEqual(getPackageManagerFamily('apt'), 'apt');
+    assert.strictEqual(getPackageManagerFamily('apk'), 'apk');
+  });
+});
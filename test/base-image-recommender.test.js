@@ -0,0 +1,87 @@
+/**
+ * Tests for BaseImageRecommender
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { BaseImageRecommender } = require('../src/base-image-recommender');
+const { BaseImageCatalog } = require('../src/base-image-catalog');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+
+describe('BaseImageRecommender', () => {
+  const recommender = new BaseImageRecommender();
+
+  it('should propose concrete tags of smaller variants and replacement images', () => {
+    const [recommendation] = recommender.recommend(new DockerfileParser('FROM node:20\nCOPY dist /app\nCMD ["node", "/app/index.js"]'));
+
+    assert.strictEqual(recommendation.reference, 'node:20');
+    assert.strictEqual(recommendation.lineNum, 1);
+    assert.strictEqual(recommendation.shipped, true);
+    assert.deepStrictEqual(recommendation.alternatives.map(a => a.reference),
+      ['gcr.io/distroless/nodejs20-debian12', 'node:20-alpine', 'node:20-slim']);
+    assert.strictEqual(recommendation.alternatives[2].formattedSavings, '904.70MB');
+    assert.ok(recommendation.alternatives[2].compressedSavings > 0);
+    assert.deepStrictEqual(recommendation.alternatives[2].caveats, []);
+  });
+
+  it('should keep the version and drop the variant and release of the current tag', () => {
+    const [slim] = recommender.recommend(new DockerfileParser('FROM python:3.12-slim-bookworm'));
+    const [temurin] = recommender.recommend(new DockerfileParser('FROM eclipse-temurin:21-jdk'));
+    const [latest] = recommender.recommend(new DockerfileParser('FROM ruby'));
+
+    assert.deepStrictEqual(slim.alternatives.map(a => a.reference), ['python:3.12-alpine']);
+    assert.deepStrictEqual(temurin.alternatives.map(a => a.reference),
+      ['eclipse-temurin:21-jre-alpine', 'eclipse-temurin:21-jre', 'eclipse-temurin:21-alpine']);
+    assert.deepStrictEqual(latest.alternatives.map(a => a.reference), ['ruby:alpine', 'ruby:slim']);
+  });
+
+  it('should explain what the instructions on the image need', () => {
+    const [recommendation] = recommender.recommend(new DockerfileParser(`FROM node:20-bookworm-slim
+RUN apt-get update && apt-get install -y curl
+RUN npm ci
+CMD node index.js`));
+    const caveats = Object.fromEntries(recommendation.alternatives.map(a => [a.reference, a.caveats]));
+
+    assert.deepStrictEqual(caveats['node:20-alpine'], [
+      'Uses apk instead of apt-get (line 2); package names may differ',
+      'musl instead of glibc: prebuilt glibc binaries do not run, and DNS resolution and locales behave differently',
+      'Native modules installed at line 3 are built against musl and need python3, make and g++ to compile'
+    ]);
+    assert.strictEqual(caveats['gcr.io/distroless/nodejs20-debian12'][0],
+      'No shell for RUN at lines 2, 3 and CMD at line 4: use the exec form, or move RUN steps to a builder stage');
+  });
+
+  it('should only offer images with a shell to stages that are not shipped', () => {
+    const recommendations = recommender.recommend(new DockerfileParser(`FROM node:20 AS build
+RUN npm ci
+FROM build AS test
+RUN npm install mocha && npm test
+FROM node:20
+COPY --from=build /app /app`));
+
+    assert.deepStrictEqual(recommendations.map(r => [r.stage, r.shipped]), [['build', false], ['stage_2', true]]);
+    assert.ok(recommendations[0].alternatives.every(a => a.shell));
+    assert.strictEqual(recommendations[0].alternatives.find(a => a.variant === 'slim').caveats[0],
+      'No compilers: native modules installed at lines 2, 4 need build tools installed first');
+    assert.ok(recommendations[1].alternatives.some(a => !a.shell));
+  });
+
+  it('should skip images the catalog does not know and use replacements from a user catalog', () => {
+    assert.deepStrictEqual(recommender.recommend(new DockerfileParser('FROM registry.example.com/app:1\nFROM scratch')).map(r => r.reference),
+      ['scratch']);
+
+    const catalog = new BaseImageCatalog({
+      version: 1,
+      images: {
+        'registry.example.com/node-runtime': [
+          { tags: ['*'], os: 'wolfi', packageManager: 'apk', replaces: ['node:*'], caveats: ['Internal image'],
+            sizes: { amd64: { compressed: 20, uncompressed: 60 } } }
+        ]
+      }
+    }, { fallback: BaseImageCatalog.getDefault() });
+    const [recommendation] = new BaseImageRecommender(catalog).recommend(new DockerfileParser('FROM node:22-alpine'));
+
+    assert.deepStrictEqual(recommendation.alternatives.map(a => [a.reference, a.caveats]),
+      [['registry.example.com/node-runtime', ['Internal image']]]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for baseline fingerprints and comparison
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeInstruction,
+  fingerprint,
+  createBaselineEntries,
+  applyBaseline,
+  readBaseline,
+  writeBaseline
+} = require('../src/baseline');
+
+function result(rule, ...instructions) {
+  return { rule, severity: 'high', issues: instructions.map((instruction, i) => ({ lineNum: i + 1, instruction })) };
+}
+
+describe('Baseline', () => {
+  it('should fingerprint by rule and normalized text, not formatting', () => {
+    assert.strictEqual(normalizeInstruction('RUN apt-get install -y \\\n    curl   git'), 'RUN apt-get install -y curl git');
+    assert.strictEqual(
+      fingerprint('run-cleaned', 'RUN apt-get install -y \\\n    curl'),
+      fingerprint('run-cleaned', 'RUN apt-get install -y curl')
+    );
+    assert.notStrictEqual(fingerprint('run-cleaned', 'COPY . .'), fingerprint('copy-order', 'COPY . .'));
+  });
+
+  it('should count identical findings', () => {
+    const entries = createBaselineEntries([result('npm-cache', 'RUN npm install', 'RUN npm install')]);
+
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].count, 2);
+  });
+
+  it('should report only new findings and list fixed ones', () => {
+    const entries = createBaselineEntries([
+      result('npm-cache', 'RUN npm install'),
+      result('copy-order', 'COPY . .')
+    ]);
+
+    const { fresh, known, fixed } = applyBaseline([
+      result('npm-cache', 'RUN npm install', 'RUN npm install'),
+      result('add-vs-copy', 'ADD a /a')
+    ], entries);
+
+    assert.deepStrictEqual(fresh.map(r => [r.rule, r.issues.length]), [['npm-cache', 1], ['add-vs-copy', 1]]);
+    assert.deepStrictEqual(known.map(r => [r.rule, r.issues.length]), [['npm-cache', 1]]);
+    assert.deepStrictEqual(fixed, [{ rule: 'copy-order', instruction: 'COPY . .', count: 1 }]);
+  });
+
+  it('should round-trip baseline files and treat a missing file as no baseline', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-baseline-'));
+    const file = path.join(dir, 'baseline.json');
+
+    try {
+      assert.strictEqual(await readBaseline(file), null);
+
+      const entries = createBaselineEntries([result('copy-order', 'COPY . .')]);
+      await writeBaseline(file, { Dockerfile: entries });
+      assert.deepStrictEqual((await readBaseline(file)).files.Dockerfile, entries);
+
+      fs.writeFileSync(file, '{"findings": []}');
+      await assert.rejects(readBaseline(file), /unsupported format/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for build context loading
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BuildContext } = require('../src/build-context');
+const { Analyzer } = require('../src/analyzer');
+
+describe('BuildContext', () => {
+  let root;
+
+  function write(relativePath, content = 'x') {
+    const file = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-context-'));
+    write('Dockerfile', 'FROM node:20\nCOPY package.json ./\nCOPY src/ ./src\nCOPY . .\n');
+    write('.dockerignore', '.git\n*.log\n!keep.log\n');
+    write('api.Dockerfile', 'FROM node:20\nCOPY . .\n');
+    write('api.Dockerfile.dockerignore', 'node_modules\n.git\n');
+    write('package.json', '{}');
+    write('src/index.js', 'console.log(1);');
+    write('.git/HEAD', 'ref: refs/heads/main\n');
+    write('node_modules/pkg/index.js', 'x'.repeat(1000));
+    write('test/fixtures/data.json', 'x'.repeat(200));
+    write('.env', 'SECRET=1');
+    write('.env.example', 'SECRET=');
+    write('debug.log', 'log');
+    write('keep.log', 'log');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should apply .dockerignore with negations', async () => {
+    const context = await BuildContext.load(root);
+    const paths = context.getFiles().map(f => f.path);
+
+    assert.strictEqual(context.dockerignorePath, path.join(root, '.dockerignore'));
+    assert.ok(!paths.includes('.git/HEAD'));
+    assert.ok(!paths.includes('debug.log'));
+    assert.ok(paths.includes('keep.log'));
+    assert.ok(paths.includes('node_modules/pkg/index.js'));
+    assert.deepStrictEqual(paths, [...paths].sort());
+  });
+
+  it('should prefer the Dockerfile-specific ignore file', async () => {
+    const context = await BuildContext.load(root, { dockerfilePath: path.join(root, 'api.Dockerfile') });
+    const paths = context.getFiles().map(f => f.path);
+
+    assert.strictEqual(context.dockerignorePath, path.join(root, 'api.Dockerfile.dockerignore'));
+    assert.ok(!paths.includes('node_modules/pkg/index.js'));
+    assert.ok(paths.includes('debug.log'));
+  });
+
+  it('should select the files of a COPY source', async () => {
+    const context = await BuildContext.load(root);
+
+    assert.deepStrictEqual(context.filesFor('src/').map(f => f.path), ['src/index.js']);
+    assert.deepStrictEqual(context.filesFor('./package.json').map(f => f.path), ['package.json']);
+    assert.strictEqual(context.filesFor('.').length, context.getFiles().length);
+    assert.deepStrictEqual(context.filesFor('*.log').map(f => f.path), ['keep.log']);
+  });
+
+  it('should group unneeded files largest first', async () => {
+    const context = await BuildContext.load(root);
+    const unneeded = context.findUnneeded();
+
+    assert.deepStrictEqual(unneeded.map(u => [u.path, u.category]), [
+      ['node_modules/', 'installed dependencies'],
+      ['test/fixtures/', 'test fixtures'],
+      ['.env', 'local env files'],
+      ['keep.log', 'logs']
+    ]);
+    assert.strictEqual(unneeded[0].size, 1000);
+    assert.strictEqual(context.describe().unneededSize, 1211);
+  });
+
+  it('should reject missing or non-directory contexts', async () => {
+    await assert.rejects(BuildContext.load(path.join(root, 'missing')), /Build context not found/);
+    await assert.rejects(BuildContext.load(path.join(root, 'package.json')), /Build context is not a directory/);
+  });
+
+  it('should only flag copies that send unneeded files', async () => {
+    const context = await BuildContext.load(root);
+    const analyzer = new Analyzer().parse(fs.readFileSync(path.join(root, 'Dockerfile'), 'utf-8'));
+    const results = analyzer.analyze({ context });
+    const finding = results.cacheIssues.find(r => r.rule === 'dockerignore');
+
+    assert.deepStrictEqual(finding.issues.map(i => i.lineNum), [4]);
+    assert.match(finding.issues[0].reason, /^Sends 4 unneeded file\(s\), 1\.18KB: node_modules\/ \(1000\.00B\), test\/fixtures\/ \(200\.00B\), \.env \(8\.00B\), and 1 more$/);
+    assert.strictEqual(results.context.files, context.getFiles().length);
+  });
+
+  it('should not flag copies when the context is clean', async () => {
+    const analyzer = new Analyzer().parse('FROM node:20\nCOPY . .\n');
+    const clean = new BuildContext(root, [{ path: 'src/index.js', size: 10 }]);
+
+    assert.ok(!analyzer.analyze({ context: clean }).cacheIssues.some(r => r.rule === 'dockerignore'));
+    assert.ok(analyzer.analyze().cacheIssues.some(r => r.rule === 'dockerignore'));
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for cache-hit forecasting
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CacheForecast, forecastCache } = require('../src/cache-forecast');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+const { DockerfileFixer } = require('../src/fixer');
+const { parseDockerignore } = require('../src/dockerignore');
+const { splitManifestCopy } = require('../src/rules/fixes');
+
+const dockerfile = `FROM node:20
+WORKDIR /app
+COPY . .
+RUN npm ci
+RUN npm run build
+CMD ["node", "dist"]
+`;
+
+const commits = [
+  { commit: 'a', subject: 'feature', files: ['src/a.js'] },
+  { commit: 'b', subject: 'feature', files: ['src/b.js'] },
+  { commit: 'c', subject: 'bump', files: ['package.json', 'package-lock.json'] },
+  { commit: 'd', subject: 'docs', files: [] }
+];
+
+describe('CacheForecast', () => {
+  it('should compute the share of commits that rerun each instruction', () => {
+    const forecast = new CacheForecast(commits, { weight: 'time' }).forecast(new DockerfileParser(dockerfile));
+    const byLine = new Map(forecast.instructions.map(i => [i.lineNum, i]));
+
+    assert.strictEqual(forecast.commits, 4);
+    assert.strictEqual(byLine.get(2).share, 0);
+    assert.strictEqual(byLine.get(3).share, 0.75);
+    assert.strictEqual(byLine.get(3).firstBust, 3);
+    assert.strictEqual(byLine.get(4).invalidated, 3);
+    assert.strictEqual(byLine.get(4).weight, 45);
+    assert.strictEqual(forecast.cacheHitRate, 0.25);
+    assert.strictEqual(forecast.expectedCost, 0.75 * (1 + 45 + 90));
+  });
+
+  it('should weight reruns by estimated layer size', () => {
+    const forecast = new CacheForecast(commits).forecast(new DockerfileParser(dockerfile));
+    const copy = forecast.instructions.find(i => i.lineNum === 3);
+
+    assert.strictEqual(forecast.weight, 'size');
+    assert.strictEqual(copy.weight, 5 * 1024 * 1024);
+    assert.match(forecast.formattedExpectedCost, /MB$/);
+    assert.throws(() => new CacheForecast(commits, { weight: 'money' }), /Invalid weight: money/);
+  });
+
+  it('should suggest splitting a broad copy before the dependency install', () => {
+    const forecast = new CacheForecast(commits, { weight: 'time', manifests: ['package.json', 'package-lock.json'] })
+      .forecast(new DockerfileParser(dockerfile));
+    const [split] = forecast.suggestions;
+
+    assert.strictEqual(split.rule, 'copy-deps-only');
+    assert.strictEqual(split.safety, 'unsafe');
+    assert.strictEqual(split.savings, 0.75 * 136 - (2 * 91 + 137) / 4);
+    assert.strictEqual(split.cacheHitRate, 0.5);
+    assert.match(split.dockerfile, /COPY package\.json package-lock\.json \.\/\nRUN npm ci\nCOPY \. \.\n/);
+  });
+
+  it('should rerun a commit that edits the Dockerfile from the first edited instruction', () => {
+    const edit = {
+      commit: 'e',
+      subject: 'build',
+      files: ['Dockerfile'],
+      dockerfile: { before: dockerfile.replace('RUN npm ci', 'RUN npm install'), after: dockerfile }
+    };
+    const forecast = new CacheForecast([edit], { weight: 'time', dockerignore: parseDockerignore('Dockerfile') })
+      .forecast(new DockerfileParser(dockerfile));
+    const byLine = new Map(forecast.instructions.map(i => [i.lineNum, i]));
+
+    assert.strictEqual(byLine.get(3).invalidated, 0);
+    assert.strictEqual(byLine.get(4).firstBust, 1);
+    assert.strictEqual(byLine.get(5).invalidated, 1);
+    assert.strictEqual(forecast.expectedCost, 45 + 90);
+  });
+
+  it('should not suggest anything without commits', () => {
+    const forecast = new CacheForecast([], { manifests: ['package.json'] }).forecast(new DockerfileParser(dockerfile));
+
+    assert.strictEqual(forecast.cacheHitRate, null);
+    assert.strictEqual(forecast.expectedCost, 0);
+    assert.deepStrictEqual(forecast.suggestions, []);
+  });
+});
+
+describe('splitManifestCopy', () => {
+  it('should keep COPY flags and comments and use a directory destination', () => {
+    const content = 'FROM node:20\nCOPY --chown=node . /app\n# install\nRUN npm ci';
+    const parser = new DockerfileParser(content);
+    const fix = splitManifestCopy(parser, parser.getCopyInstructions()[0], ['package.json']);
+
+    assert.strictEqual(DockerfileFixer.applyEdits(content, fix.edits),
+      'FROM node:20\nCOPY --chown=node package.json /app/\n# install\nRUN npm ci\nCOPY --chown=node . /app');
+  });
+
+  it('should only split copies followed by a dependency install', () => {
+    const parser = new DockerfileParser('FROM node:20\nCOPY . .\nRUN npm run build');
+
+    assert.strictEqual(splitManifestCopy(parser, parser.getCopyInstructions()[0], ['package.json']), null);
+  });
+});
+
+describe('forecastCache', () => {
+  let root;
+
+  function git(...args) {
+    execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+  }
+
+  function commit(files, message) {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    }
+    git('add', '-A');
+    git('commit', '-q', '-m', message);
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-forecast-'));
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    commit({ Dockerfile: dockerfile, 'package.json': '{}', '.dockerignore': '*.md\nDockerfile\n', 'README.md': '' }, 'first');
+    commit({ 'src/a.js': '1' }, 'second');
+    commit({ 'README.md': 'docs' }, 'third');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should replay the recent commits of the repository', async () => {
+    const forecast = await forecastCache(path.join(root, 'Dockerfile'), { context: root, commits: 2, weight: 'time' });
+    const copy = forecast.instructions.find(i => i.lineNum === 3);
+
+    assert.strictEqual(forecast.commits, 2);
+    assert.strictEqual(copy.share, 0.5);
+    assert.ok(forecast.suggestions.some(s => s.rule === 'copy-deps-only' && /COPY package\.json \.\//.test(s.dockerfile)));
+  });
+
+  it('should rerun the commits that edit the Dockerfile from the first edited instruction', async () => {
+    commit({ Dockerfile: dockerfile.replace('RUN npm run build', 'RUN npm run build -- --prod') }, 'fourth');
+
+    const forecast = await forecastCache(path.join(root, 'Dockerfile'), { context: root, commits: 2, weight: 'time' });
+    const byLine = new Map(forecast.instructions.map(i => [i.lineNum, i]));
+
+    assert.strictEqual(byLine.get(3).invalidated, 0);
+    assert.strictEqual(byLine.get(4).invalidated, 0);
+    assert.strictEqual(byLine.get(5).firstBust, 1);
+    assert.strictEqual(byLine.get(5).instruction, 'RUN npm run build -- --prod');
+  });
+});
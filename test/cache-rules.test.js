@@ -5,6 +5,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
 const { CacheRulesEngine } = require('../src/cache-rules');
+const { DockerfileFixer } = require('../src/fixer');
 
 describe('CacheRulesEngine', () => {
   const engine = new CacheRulesEngine();
@@ -69,6 +70,16 @@ CMD ["node", "dist/index.js"]`;
     assert.strictEqual(multiStageIssue.severity, 'medium');
   });
 
+  it('should not suggest multi-stage builds for a target that needs one stage', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(`FROM debian:bookworm AS build
+RUN apt-get install -y build-essential && make
+FROM debian:bookworm-slim
+COPY --from=build /out /app`);
+
+    assert.ok(!engine.analyze(parser.forTarget('build')).some(i => i.rule === 'multi-stage'));
+  });
+
   it('should detect wildcard COPY patterns', () => {
     const content = `FROM node:18
 COPY src/*.js /app/
@@ -106,6 +117,149 @@ CMD ["node", "dist/index.js"]`;
     assert.strictEqual(criticalIssues.length, 0);
   });
 
+  it('should accept apt-get cleanup in a multi-line RUN', () => {
+    const content = `FROM debian
+RUN apt-get update && \\
+    apt-get -y install --no-install-recommends curl && \\
+    rm -rf /var/lib/apt/lists/*`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    assert.strictEqual(issues.find(i => i.rule === 'run-cleaned'), undefined);
+    assert.strictEqual(issues.find(i => i.rule === 'layer-order'), undefined);
+  });
+
+  it('should detect apt install without cleanup', () => {
+    const content = `FROM debian
+RUN apt update && apt install -y curl`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    assert.ok(issues.find(i => i.rule === 'run-cleaned'));
+  });
+
+  it('should ignore package commands inside echo strings', () => {
+    const content = `FROM debian
+RUN echo "run apt-get install -y curl to debug" > /README`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    assert.strictEqual(issues.find(i => i.rule === 'run-cleaned'), undefined);
+  });
+
+  it('should detect apt-get update in a separate layer', () => {
+    const content = `FROM debian
+RUN apt-get update
+RUN apt-get install -y curl && rm -rf /var/lib/apt/lists/*`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const layerOrder = issues.find(i => i.rule === 'layer-order');
+    const together = issues.find(i => i.rule === 'apt-update-together');
+    assert.strictEqual(layerOrder.issues[0].lineNum, 2);
+    assert.strictEqual(together.issues[0].lineNum, 3);
+  });
+
+  it('should detect source copied before dependency installation', () => {
+    const content = `FROM node:18
+WORKDIR /app
+COPY . .
+RUN npm ci`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const depsIssue = issues.find(i => i.rule === 'copy-deps-only');
+    assert.ok(depsIssue);
+    assert.strictEqual(depsIssue.severity, 'high');
+    assert.strictEqual(depsIssue.issues[0].lineNum, 3);
+  });
+
+  it('should detect package.json copied after source files', () => {
+    const content = `FROM node:18
+WORKDIR /app
+COPY . .
+COPY package.json ./
+RUN npm ci`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const orderIssue = issues.find(i => i.rule === 'copy-order');
+    assert.ok(orderIssue);
+    assert.strictEqual(orderIssue.issues[0].lineNum, 3);
+  });
+
+  it('should detect devDependencies installed in the final stage', () => {
+    const content = `FROM node:18-alpine
+WORKDIR /app
+COPY package*.json ./
+RUN npm install
+COPY . .
+CMD ["node", "index.js"]`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const prodIssue = issues.find(i => i.rule === 'prod-deps-only');
+    assert.ok(prodIssue);
+    assert.strictEqual(prodIssue.severity, 'medium');
+    assert.strictEqual(prodIssue.issues[0].lineNum, 4);
+  });
+
+  it('should honor NODE_ENV from build args and the stage built on', () => {
+    const content = `FROM node:18-alpine AS base
+ARG NODE_ENV=development
+ENV NODE_ENV=\${NODE_ENV}
+FROM base
+COPY package*.json ./
+RUN npm ci`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const find = buildArgs => engine.analyze(new DockerfileParser(content, { buildArgs })).find(i => i.rule === 'prod-deps-only');
+
+    assert.ok(find({}));
+    assert.strictEqual(find({ NODE_ENV: 'production' }), undefined);
+  });
+
+  it('should detect too many packages in one layer', () => {
+    const content = `FROM debian
+RUN apt-get update && apt-get install -y curl git vim make gcc wget && rm -rf /var/lib/apt/lists/*`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const packagesIssue = issues.find(i => i.rule === 'too-many-packages');
+    assert.ok(packagesIssue);
+    assert.ok(packagesIssue.issues[0].reason.includes('6 packages'));
+  });
+
+  it('should detect WORKDIR set after relative COPY', () => {
+    const content = `FROM node:18
+COPY package.json ./
+WORKDIR /app`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const workdirIssue = issues.find(i => i.rule === 'workdir-position');
+    assert.ok(workdirIssue);
+    assert.strictEqual(workdirIssue.severity, 'low');
+  });
+
   it('should always suggest .dockerignore', () => {
     const content = `FROM node:18
 COPY . .`;
@@ -118,4 +272,172 @@ COPY . .`;
     assert.ok(dockerignoreIssue);
     assert.strictEqual(dockerignoreIssue.severity, 'low');
   });
+
+  it('should attach safe and unsafe fixes to findings', () => {
+    const content = `FROM node:18
+ADD src/ /app/
+ADD https://example.com/tool.tgz /tmp/
+RUN npm ci`;
+
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(content);
+    const issues = engine.analyze(parser);
+
+    const [local, remote] = issues.find(i => i.rule === 'add-vs-copy').issues;
+    assert.strictEqual(local.fix.safety, 'safe');
+    assert.deepStrictEqual(local.fix.edits, [{ range: parser.getAddInstructions()[0].keywordRange, text: 'COPY' }]);
+    assert.strictEqual(remote.fix, null);
+
+    const npmFix = issues.find(i => i.rule === 'npm-cache').issues[0].fix;
+    assert.strictEqual(npmFix.safety, 'unsafe');
+    assert.strictEqual(npmFix.edits[0].text, ' --mount=type=cache,target=/root/.npm');
+  });
+
+  it('should only attach cleanup fixes that keep the RUN valid shell', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(`FROM centos
+RUN yum install -y make;
+RUN yum install -y make &
+RUN yum install -y make |
+RUN microdnf install -y tar ||`);
+    const fixes = engine.analyze(parser).find(i => i.rule === 'run-cleaned').issues.map(i => i.fix);
+
+    assert.strictEqual(fixes.length, 4);
+    assert.strictEqual(fixes[0].safety, 'safe');
+    assert.strictEqual(DockerfileFixer.applyEdits(parser.content, fixes[0].edits).split('\n')[1],
+      'RUN yum install -y make && yum clean all');
+    assert.deepStrictEqual(fixes.slice(1), [null, null, null]);
+  });
+
+  it('should ignore a --mount flag without a value', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser('FROM debian\nRUN --mount apt-get update && apt-get install -y curl');
+
+    assert.ok(engine.analyze(parser).some(i => i.rule === 'run-cleaned'));
+  });
+
+  it('should expose rule metadata on findings', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const issues = engine.analyze(new DockerfileParser('FROM node:18\nADD src/ /app/'));
+
+    const addIssue = issues.find(i => i.rule === 'add-vs-copy');
+    assert.strictEqual(addIssue.category, 'best-practice');
+    assert.strictEqual(addIssue.fixable, true);
+    assert.ok(addIssue.docsUrl.endsWith('#add-vs-copy'));
+  });
+
+  it('should run registered rules and reject invalid ones', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const custom = new CacheRulesEngine().register({
+      id: 'no-latest-tag',
+      severity: 'medium',
+      check: parser => parser.getInstructionsByType('FROM')
+        .filter(from => from.operands.tag === 'latest')
+        .map(from => ({ lineNum: from.lineNum, instruction: from.raw }))
+    });
+
+    const result = custom.analyze(new DockerfileParser('FROM node:latest')).find(i => i.rule === 'no-latest-tag');
+    assert.strictEqual(result.category, 'custom');
+    assert.strictEqual(result.issues[0].lineNum, 1);
+
+    assert.throws(() => custom.register({ id: 'no-latest-tag', severity: 'low', check: () => [] }), /already registered/);
+    assert.throws(() => custom.register({ id: 'bad', severity: 'critical', check: () => [] }), /severity/);
+    assert.throws(() => custom.register({ id: 'bad', severity: 'low' }), /check/);
+  });
+
+  it('should load rule packs from local files', () => {
+    const path = require('path');
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const custom = new CacheRulesEngine().loadRulePack('./examples/rule-pack.js', path.join(__dirname, '..'));
+
+    const issues = custom.analyze(new DockerfileParser('FROM node:18 AS build\nFROM build'));
+    assert.deepStrictEqual(issues.find(i => i.rule === 'approved-registry').issues.map(i => i.lineNum), [1]);
+    assert.ok(issues.some(i => i.rule === 'required-labels'));
+
+    assert.throws(() => custom.loadRulePack('./missing-pack.js'), /Failed to load rule pack/);
+  });
+
+  it('should apply config settings for enabled state, severity and options', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(`FROM debian
+RUN apt-get update && apt-get install -y a b c && rm -rf /var/lib/apt/lists/*
+COPY . .`);
+
+    const configured = new CacheRulesEngine().configure({
+      rules: {
+        dockerignore: { enabled: false },
+        'too-many-packages': { severity: 'low', options: { threshold: 2 } }
+      }
+    });
+    const issues = configured.analyze(parser);
+
+    assert.strictEqual(issues.find(i => i.rule === 'dockerignore'), undefined);
+    assert.strictEqual(issues.find(i => i.rule === 'too-many-packages').severity, 'low');
+    assert.ok(!configured.getEnabledRules().some(r => r.id === 'dockerignore'));
+    assert.deepStrictEqual(configured.getEnabledRules().find(r => r.id === 'too-many-packages').options, { threshold: 2 });
+    assert.strictEqual(engine.analyze(parser).find(i => i.rule === 'too-many-packages'), undefined);
+
+    assert.throws(() => new CacheRulesEngine().configure({ rules: { 'no-such-rule': { enabled: false } } }), /Unknown rule/);
+  });
+
+  it('should only run rules that are off by default when enabled', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser('FROM scratch');
+    const optIn = { id: 'opt-in', severity: 'low', enabled: false, check: () => [{ lineNum: 1, instruction: 'FROM scratch' }] };
+
+    assert.ok(!new CacheRulesEngine().register(optIn).analyze(parser).some(i => i.rule === 'opt-in'));
+    assert.ok(new CacheRulesEngine().register(optIn).configure({ rules: { 'opt-in': { enabled: true } } })
+      .analyze(parser).some(i => i.rule === 'opt-in'));
+  });
+
+  it('should flag package managers the base image does not have', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(`FROM node:20-alpine AS build
+RUN apt-get update && apt-get install -y git
+RUN apk add --no-cache git
+FROM build AS test
+RUN yum install -y make
+FROM registry.access.redhat.com/ubi9/ubi-minimal
+RUN microdnf install -y tar && dnf clean all
+FROM busybox
+RUN apk add curl`);
+    const result = engine.analyze(parser).find(i => i.rule === 'package-manager-mismatch');
+
+    assert.deepStrictEqual(result.issues.map(i => i.lineNum), [2, 5, 9]);
+    assert.strictEqual(result.issues[0].reason, 'apt-get is not available in node:20-alpine (alpine, uses apk)');
+    assert.strictEqual(result.issues[2].reason, 'apk is not available in busybox (it has no package manager)');
+  });
+
+  it('should flag shell form commands on images without a shell', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const parser = new DockerfileParser(`FROM golang:1.22 AS build
+RUN go build -o /app
+FROM gcr.io/distroless/static-debian12
+COPY --from=build /app /app
+RUN ["/app", "--version"]
+HEALTHCHECK CMD /app --health
+ENTRYPOINT /app
+FROM gcr.io/distroless/base-debian12
+COPY --from=busybox:musl /bin /busybox
+SHELL ["/busybox/sh", "-c"]
+RUN echo ok`);
+    const result = engine.analyze(parser).find(i => i.rule === 'missing-shell');
+
+    assert.deepStrictEqual(result.issues.map(i => i.lineNum), [6, 7]);
+    assert.strictEqual(result.issues[1].reason, 'gcr.io/distroless/static-debian12 has no shell to run the shell form ENTRYPOINT');
+    assert.strictEqual(engine.analyze(parser).find(i => i.rule === 'package-manager-mismatch'), undefined);
+  });
+
+  it('should look up base images in the catalog it is given', () => {
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const { BaseImageCatalog } = require('../src/base-image-catalog');
+    const catalog = new BaseImageCatalog({
+      version: 1,
+      images: { 'registry.example.com/runtime': [{ tags: ['*'], packageManager: null, shell: false, sizes: { amd64: { compressed: 1, uncompressed: 2 } } }] }
+    });
+    const parser = new DockerfileParser('FROM registry.example.com/runtime:1\nCMD /app');
+
+    assert.strictEqual(engine.analyze(parser).find(i => i.rule === 'missing-shell'), undefined);
+    assert.ok(engine.analyze(parser, { catalog }).find(i => i.rule === 'missing-shell'));
+  });
 });
@@ -0,0 +1,148 @@
+/**
+ * Tests for the cache invalidation simulator
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CacheSimulator, simulateChange } = require('../src/cache-simulator');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+const { parseDockerignore } = require('../src/dockerignore');
+
+const dockerfile = `FROM node:20 AS build
+WORKDIR /app
+COPY package.json package-lock.json ./
+RUN npm ci
+COPY src/ ./src
+RUN npm run build
+
+FROM nginx:alpine
+COPY nginx.conf /etc/nginx/
+COPY --from=build /app/dist /usr/share/nginx/html
+CMD ["nginx"]`;
+
+function simulate(changedFiles, options = {}) {
+  return new CacheSimulator(new DockerfileParser(dockerfile), options).simulate(changedFiles);
+}
+
+describe('CacheSimulator', () => {
+  it('should bust the cache at the first COPY that reads a changed file', () => {
+    const result = simulate(['src/app.js']);
+    const [build] = result.stages;
+
+    assert.strictEqual(build.invalidatedBy.lineNum, 5);
+    assert.strictEqual(build.invalidatedBy.cause, 'files');
+    assert.deepStrictEqual(build.invalidatedBy.files, ['src/app.js']);
+    assert.deepStrictEqual(build.rebuilt.map(s => s.lineNum), [5, 6]);
+    assert.strictEqual(build.cached, 4);
+  });
+
+  it('should rerun stages that copy from a rebuilt stage', () => {
+    const [, runtime] = simulate(['package-lock.json']).stages;
+
+    assert.strictEqual(runtime.invalidatedBy.lineNum, 10);
+    assert.strictEqual(runtime.invalidatedBy.cause, 'stage');
+    assert.strictEqual(runtime.invalidatedBy.reason, 'Reads from stage build, which reruns');
+    assert.deepStrictEqual(runtime.rebuilt.map(s => [s.lineNum, s.layer]), [[10, true], [11, false]]);
+  });
+
+  it('should keep everything cached for unrelated or ignored changes', () => {
+    const result = simulate(['README.md', 'src/notes.md'], { dockerignore: parseDockerignore('**/*.md') });
+
+    assert.deepStrictEqual(result.ignoredFiles, ['README.md', 'src/notes.md']);
+    assert.ok(result.stages.every(stage => stage.invalidatedBy === null));
+    assert.deepStrictEqual(result.summary, { stages: 2, stagesRebuilt: 0, instructions: 10, rebuilt: 0, layersRebuilt: 0 });
+  });
+
+  it('should rerun a whole stage built on a rebuilt stage', () => {
+    const parser = new DockerfileParser(`FROM alpine AS base
+COPY . /src
+FROM base
+RUN ls /src`);
+    const [, child] = new CacheSimulator(parser).simulate(['a.txt']).stages;
+
+    assert.strictEqual(child.invalidatedBy.reason, 'Builds on stage base, which reruns');
+    assert.strictEqual(child.cached, 0);
+  });
+
+  it('should treat RUN bind mounts of the context as reads', () => {
+    const parser = new DockerfileParser(`FROM golang:1.22
+RUN --mount=type=cache,target=/root/.cache --mount=source=go.sum,target=go.sum go mod download
+RUN --mount=type=bind,target=. go build`);
+    const [stage] = new CacheSimulator(parser).simulate(['go.sum']).stages;
+
+    assert.strictEqual(stage.invalidatedBy.lineNum, 2);
+    assert.strictEqual(new CacheSimulator(parser).simulate(['main.go']).stages[0].invalidatedBy.lineNum, 3);
+  });
+
+  it('should detect edited and added instructions against the previous Dockerfile', () => {
+    const previous = new DockerfileParser(dockerfile.replace('RUN npm run build', 'RUN   npm run build').replace('\nCMD ["nginx"]', ''));
+    const edited = new DockerfileParser(dockerfile.replace('WORKDIR /app', 'WORKDIR /srv'));
+
+    assert.ok(simulate([], { previous }).stages[0].invalidatedBy === null);
+    assert.strictEqual(simulate([], { previous }).stages[1].invalidatedBy.reason, 'New instruction');
+    assert.strictEqual(new CacheSimulator(edited, { previous }).simulate([]).stages[0].invalidatedBy.lineNum, 2);
+  });
+});
+
+describe('simulateChange', () => {
+  let root;
+
+  function git(...args) {
+    execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+  }
+
+  function write(relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, relativePath), content);
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-simulate-'));
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    write('Dockerfile', dockerfile);
+    write('.dockerignore', '*.md\n');
+    write('package.json', '{}');
+    write('src/app.js', '1');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'first');
+    write('src/app.js', '2');
+    write('README.md', 'docs');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'second');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read changed files and the previous Dockerfile from git', async () => {
+    const result = await simulateChange(path.join(root, 'Dockerfile'), { context: root, base: 'HEAD~1', head: 'HEAD' });
+
+    assert.deepStrictEqual(result.changedFiles, ['src/app.js']);
+    assert.deepStrictEqual(result.ignoredFiles, ['README.md']);
+    assert.strictEqual(result.stages[0].invalidatedBy.lineNum, 5);
+  });
+
+  it('should compare the working tree and include untracked files', async () => {
+    write('nginx.conf', 'server {}');
+    write('Dockerfile', dockerfile.replace('CMD ["nginx"]', 'CMD ["nginx", "-g", "daemon off;"]'));
+
+    const result = await simulateChange(path.join(root, 'Dockerfile'), { context: root, base: 'HEAD' });
+
+    assert.deepStrictEqual(result.changedFiles, ['Dockerfile', 'nginx.conf']);
+    assert.strictEqual(result.stages[0].invalidatedBy, null);
+    assert.strictEqual(result.stages[1].invalidatedBy.lineNum, 9);
+  });
+
+  it('should accept a list of changed files', async () => {
+    const result = await simulateChange(path.join(root, 'Dockerfile'), { context: root, changedFiles: ['package.json'] });
+
+    assert.strictEqual(result.stages[0].invalidatedBy.lineNum, 3);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the command line interface
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js');
+
+const dockerfile = `FROM node:20 AS build
+WORKDIR /app
+COPY . .
+RUN npm install && npm run build
+
+FROM debian:bookworm AS tools
+RUN apt-get update
+RUN apt-get install -y make
+
+FROM node:20-slim AS unused
+RUN echo unused
+
+FROM node:20-slim
+COPY --from=build /app/dist /app
+CMD ["node", "/app/index.js"]
+`;
+
+describe('cli', () => {
+  let root;
+
+  function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: root, encoding: 'utf-8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  function analyzeJson(...args) {
+    const { status, stdout, stderr } = run('analyze', 'Dockerfile', '--format', 'json', '--no-config', ...args);
+    assert.ok(status === 0 || status === 2, stderr);
+    return JSON.parse(stdout);
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-cli-'));
+    fs.writeFileSync(path.join(root, 'Dockerfile'), dockerfile);
+    fs.writeFileSync(path.join(root, 'package.json'), '{}');
+    fs.mkdirSync(path.join(root, 'node_modules', 'left-pad'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'node_modules', 'left-pad', 'index.js'), 'module.exports = {};');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should report no new and no fixed findings on the run that creates the baseline', () => {
+    const baseline = path.join(root, 'clean.json');
+    const created = analyzeJson('--baseline', baseline);
+    const rerun = analyzeJson('--baseline', baseline);
+
+    assert.ok(fs.existsSync(baseline));
+    for (const results of [created, rerun]) {
+      assert.deepStrictEqual(results.cacheIssues, []);
+      assert.deepStrictEqual(results.baseline.fixed, []);
+      assert.ok(results.baseline.known.length > 0);
+    }
+  });
+
+  it('should create and compare the baseline with the --target and --context of the run', () => {
+    const baseline = path.join(root, 'target.json');
+    const options = ['--baseline', baseline, '--target', 'build', '--context', '.'];
+    const created = analyzeJson(...options);
+    const rerun = analyzeJson(...options);
+    const entries = JSON.parse(fs.readFileSync(baseline, 'utf-8')).files.Dockerfile;
+
+    for (const results of [created, rerun]) {
+      assert.deepStrictEqual(results.cacheIssues, []);
+      assert.deepStrictEqual(results.baseline.fixed, []);
+    }
+    assert.ok(entries.some(e => e.rule === 'dockerignore'));
+    assert.ok(!entries.some(e => e.instruction === 'RUN apt-get install -y make'));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for config loading and resolution
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, resolveConfig, findConfigFile } = require('../src/config');
+
+describe('Config', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-config-'));
+    fs.mkdirSync(path.join(root, 'services', 'api'), { recursive: true });
+    fs.writeFileSync(path.join(root, '.dockerlayeroptrc'), JSON.stringify({
+      rules: { dockerignore: 'off', 'too-many-packages': { options: { threshold: 10 } } },
+      overrides: [{ files: ['services/api/**'], rules: { 'add-vs-copy': 'high' } }]
+    }));
+    fs.writeFileSync(path.join(root, 'services', 'api', 'Dockerfile'), 'FROM node:18\n');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should discover the config file upward from the Dockerfile', async () => {
+    const config = await loadConfig(path.join(root, 'services', 'api', 'Dockerfile'));
+
+    assert.strictEqual(config.filepath, path.join(root, '.dockerlayeroptrc'));
+    assert.strictEqual(config.dir, root);
+    assert.deepStrictEqual(config.rules, {
+      dockerignore: { enabled: false },
+      'too-many-packages': { options: { threshold: 10 } },
+      'add-vs-copy': { enabled: true, severity: 'high' }
+    });
+  });
+
+  it('should return null when no config file exists', async () => {
+    assert.strictEqual(await findConfigFile(path.parse(root).root), null);
+  });
+
+  it('should apply overrides only to matching paths', () => {
+    const config = {
+      rules: { 'copy-order': 'medium' },
+      overrides: [{ files: 'legacy/*.Dockerfile', rules: { 'copy-order': 'off' } }]
+    };
+
+    assert.strictEqual(resolveConfig(config, '/repo', '/repo/legacy/app.Dockerfile').rules['copy-order'].enabled, false);
+    assert.strictEqual(resolveConfig(config, '/repo', '/repo/Dockerfile').rules['copy-order'].severity, 'medium');
+  });
+
+  it('should merge rule options across overrides', () => {
+    const config = {
+      rules: { 'too-many-packages': { options: { threshold: 8, extra: true } } },
+      overrides: [{ files: '**', rules: { 'too-many-packages': { severity: 'low', options: { threshold: 3 } } } }]
+    };
+
+    assert.deepStrictEqual(resolveConfig(config, '/repo', '/repo/Dockerfile').rules['too-many-packages'], {
+      severity: 'low',
+      options: { threshold: 3, extra: true }
+    });
+  });
+
+  it('should reject invalid rule settings', () => {
+    assert.throws(() => resolveConfig({ rules: { 'copy-order': 'critical' } }, '/repo', '/repo/Dockerfile'), /Invalid setting/);
+    assert.throws(() => resolveConfig({ rules: { 'copy-order': { severity: 'urgent' } } }, '/repo', '/repo/Dockerfile'), /Invalid severity/);
+  });
+});
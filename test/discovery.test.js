@@ -0,0 +1,89 @@
+/**
+ * Tests for Dockerfile discovery
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findDockerfiles, isDockerfileName } = require('../src/discovery');
+
+describe('Dockerfile discovery', () => {
+  let root;
+
+  function write(relativePath, content = 'FROM alpine\n') {
+    const file = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-discovery-'));
+    fs.mkdirSync(path.join(root, '.git'));
+    write('.gitignore', 'dist/\nvendor/*\n!vendor/kept/\n');
+    write('Dockerfile');
+    write('services/api/Dockerfile');
+    write('services/api/.gitignore', 'Dockerfile.local\n');
+    write('services/api/Dockerfile.local');
+    write('services/web/web.Dockerfile');
+    write('services/web/Dockerfile.prod');
+    write('services/web/Dockerfile.dockerignore', 'node_modules\n');
+    write('services/web/README.md', '# web\n');
+    write('dist/Dockerfile');
+    write('node_modules/pkg/Dockerfile');
+    write('vendor/dropped/Dockerfile');
+    write('vendor/kept/Dockerfile');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should recognize Dockerfile names', () => {
+    assert.ok(isDockerfileName('Dockerfile'));
+    assert.ok(isDockerfileName('api.Dockerfile'));
+    assert.ok(isDockerfileName('Dockerfile.prod'));
+    assert.ok(isDockerfileName('bad.dockerfile'));
+    assert.ok(!isDockerfileName('Dockerfile.dockerignore'));
+    assert.ok(!isDockerfileName('Dockerfiles.md'));
+  });
+
+  it('should search directories recursively while honoring .gitignore', async () => {
+    const found = await findDockerfiles(['.'], root);
+
+    assert.deepStrictEqual(found, [
+      'Dockerfile',
+      path.join('services', 'api', 'Dockerfile'),
+      path.join('services', 'web', 'Dockerfile.prod'),
+      path.join('services', 'web', 'web.Dockerfile'),
+      path.join('vendor', 'kept', 'Dockerfile')
+    ]);
+  });
+
+  it('should apply .gitignore files above a searched subdirectory', async () => {
+    const found = await findDockerfiles(['vendor'], root);
+
+    assert.deepStrictEqual(found, [path.join('vendor', 'kept', 'Dockerfile')]);
+  });
+
+  it('should expand globs relative to their base directory', async () => {
+    assert.deepStrictEqual(await findDockerfiles(['services/*/Dockerfile*'], root), [
+      path.join('services', 'api', 'Dockerfile'),
+      path.join('services', 'web', 'Dockerfile.prod')
+    ]);
+    assert.deepStrictEqual(await findDockerfiles(['*.Dockerfile'], root), []);
+    assert.deepStrictEqual(await findDockerfiles(['**/*.Dockerfile'], root), [path.join('services', 'web', 'web.Dockerfile')]);
+    assert.deepStrictEqual(await findDockerfiles(['missing/**/Dockerfile'], root), []);
+  });
+
+  it('should keep named files and drop duplicates in argument order', async () => {
+    const found = await findDockerfiles(['dist/Dockerfile', 'services/api', 'services/api/Dockerfile'], root);
+
+    assert.deepStrictEqual(found, [path.join('dist', 'Dockerfile'), path.join('services', 'api', 'Dockerfile')]);
+  });
+
+  it('should fail for paths that do not exist', async () => {
+    await assert.rejects(findDockerfiles(['nope'], root), /File not found/);
+  });
+});
@@ -17,7 +17,7 @@ CMD ["node", "index.js"]`;
 
     const parser = new DockerfileParser(content);
 
-    assert.strictEqual(parser.getInstructions().length, 5);
+    assert.strictEqual(parser.getInstructions().length, 6);
     assert.strictEqual(parser.getStages().length, 1);
     assert.strictEqual(parser.isMultiStage(), false);
   });
@@ -91,6 +91,22 @@ COPY package.json .`;
     assert.strictEqual(analysis.layers.copy, 2);
   });
 
+  it('should find the stages each stage depends on', () => {
+    const parser = new DockerfileParser(`FROM node:20 AS Deps
+RUN npm ci
+FROM deps AS build
+RUN --mount=type=cache,target=/root/.npm --mount=type=bind,from=deps,target=/deps npm run build
+FROM nginx:alpine
+COPY --from=1 /app/dist /usr/share/nginx/html
+COPY --from=busybox /bin/sh /bin/sh`);
+
+    assert.deepStrictEqual(parser.getStageDependencies(), [
+      [],
+      [{ stage: 0, lineNum: 3, via: 'FROM' }, { stage: 0, lineNum: 4, via: 'RUN --mount' }],
+      [{ stage: 1, lineNum: 6, via: 'COPY --from' }]
+    ]);
+  });
+
   it('should handle comments and empty lines', () => {
     const content = `# This is a comment
 FROM node:18
@@ -109,3 +125,174 @@ COPY . .`;
     assert.strictEqual(instructions[2].directive, 'COPY');
   });
 });
+
+describe('DockerfileParser grammar', () => {
+  it('should parse multi-line RUN instructions as one instruction', () => {
+    const content = `FROM debian
+RUN apt-get update && \\
+    apt-get install -y curl && \\
+    rm -rf /var/lib/apt/lists/*
+WORKDIR /app`;
+
+    const parser = new DockerfileParser(content);
+    const runs = parser.getRunInstructions();
+
+    assert.strictEqual(parser.getInstructions().length, 3);
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(runs[0].lineNum, 2);
+    assert.strictEqual(runs[0].endLineNum, 4);
+    assert.ok(runs[0].arguments.includes('rm -rf /var/lib/apt/lists/*'));
+  });
+
+  it('should parse instruction flags', () => {
+    const content = `FROM --platform=$BUILDPLATFORM golang:1.22 AS build
+RUN --mount=type=cache,target=/root/.cache --mount=type=bind,source=go.mod,target=go.mod go build
+FROM alpine
+COPY --from=build --chown=app:app --link /out/app /usr/bin/app`;
+
+    const parser = new DockerfileParser(content);
+    const [from, run, , copy] = parser.getInstructions();
+
+    assert.strictEqual(from.flags.platform, '$BUILDPLATFORM');
+    assert.strictEqual(from.body, 'golang:1.22 AS build');
+    assert.deepStrictEqual(run.flags.mount, ['type=cache,target=/root/.cache', 'type=bind,source=go.mod,target=go.mod']);
+    assert.strictEqual(run.body, 'go build');
+    assert.strictEqual(copy.flags.from, 'build');
+    assert.strictEqual(copy.flags.chown, 'app:app');
+    assert.strictEqual(copy.flags.link, true);
+    assert.strictEqual(parser.getStages()[0].from, 'golang:1.22');
+    assert.strictEqual(parser.getStages()[0].name, 'build');
+  });
+
+  it('should parse exec form arguments', () => {
+    const content = `FROM node:18
+ENTRYPOINT ["node", "server.js"]
+CMD node server.js`;
+
+    const parser = new DockerfileParser(content);
+    const [, entrypoint, cmd] = parser.getInstructions();
+
+    assert.deepStrictEqual(entrypoint.execForm, ['node', 'server.js']);
+    assert.strictEqual(cmd.execForm, null);
+  });
+
+  it('should attach heredocs to RUN instructions', () => {
+    const content = `# syntax=docker/dockerfile:1
+FROM alpine
+RUN <<EOF
+apk add --no-cache curl
+EOF
+CMD ["sh"]`;
+
+    const parser = new DockerfileParser(content);
+    const run = parser.getRunInstructions()[0];
+
+    assert.strictEqual(parser.getInstructions().length, 3);
+    assert.strictEqual(run.heredocs[0].content, 'apk add --no-cache curl\n');
+    assert.strictEqual(parser.getDirectives().syntax.value, 'docker/dockerfile:1');
+  });
+});
+
+describe('DockerfileParser AST', () => {
+  it('should record source ranges for instructions and keywords', () => {
+    const content = `FROM alpine
+  RUN apk add --no-cache \\
+      curl`;
+
+    const parser = new DockerfileParser(content);
+    const run = parser.getRunInstructions()[0];
+
+    assert.deepStrictEqual(run.range.start, { line: 2, column: 3, offset: 14 });
+    assert.deepStrictEqual(run.range.end, { line: 3, column: 11, offset: 49 });
+    assert.deepStrictEqual(run.keywordRange.end, { line: 2, column: 6, offset: 17 });
+    assert.strictEqual(run.command.form, 'shell');
+    assert.strictEqual(run.command.range.start.column, 7);
+    assert.strictEqual(run.command.range.end.line, 3);
+  });
+
+  it('should parse FROM operands', () => {
+    const parser = new DockerfileParser('FROM --platform=linux/arm64 ghcr.io/acme/node:20-slim@sha256:abc AS build');
+    const { operands } = parser.getInstructions()[0];
+
+    assert.strictEqual(operands.image, 'ghcr.io/acme/node');
+    assert.strictEqual(operands.tag, '20-slim');
+    assert.strictEqual(operands.digest, 'sha256:abc');
+    assert.strictEqual(operands.platform, 'linux/arm64');
+    assert.strictEqual(operands.alias, 'build');
+  });
+
+  it('should not mistake a registry port for a tag', () => {
+    const parser = new DockerfileParser('FROM localhost:5000/app');
+    const { operands } = parser.getInstructions()[0];
+
+    assert.strictEqual(operands.image, 'localhost:5000/app');
+    assert.strictEqual(operands.tag, null);
+  });
+
+  it('should parse COPY sources and destination', () => {
+    const content = `COPY --from=build package.json package-lock.json ./
+COPY ["my file.txt", "/app/"]`;
+
+    const parser = new DockerfileParser(content);
+    const [shellForm, execForm] = parser.getCopyInstructions();
+
+    assert.deepStrictEqual(shellForm.operands.sources, ['package.json', 'package-lock.json']);
+    assert.strictEqual(shellForm.operands.destination, './');
+    assert.strictEqual(shellForm.operands.from, 'build');
+    assert.deepStrictEqual(execForm.operands.sources, ['my file.txt']);
+    assert.strictEqual(execForm.operands.destination, '/app/');
+  });
+
+  it('should parse ENV, LABEL and ARG key/value pairs', () => {
+    const content = `ARG VERSION=1.0 TARGETOS
+ENV PATH=/usr/local/bin:$PATH NAME="my app"
+ENV LEGACY value with spaces
+LABEL org.opencontainers.image.title="demo"`;
+
+    const parser = new DockerfileParser(content);
+    const [arg, env, legacy, label] = parser.getInstructions();
+
+    assert.deepStrictEqual(arg.operands.pairs, [{ key: 'VERSION', value: '1.0' }, { key: 'TARGETOS', value: null }]);
+    assert.deepStrictEqual(env.operands.pairs[1], { key: 'NAME', value: 'my app' });
+    assert.deepStrictEqual(legacy.operands.pairs, [{ key: 'LEGACY', value: 'value with spaces' }]);
+    assert.deepStrictEqual(label.operands.pairs, [{ key: 'org.opencontainers.image.title', value: 'demo' }]);
+  });
+
+  it('should parse command nodes in exec and shell form', () => {
+    const content = `CMD ["node", "server.js"]
+HEALTHCHECK --interval=30s CMD curl -f http://localhost/
+EXPOSE 3000`;
+
+    const parser = new DockerfileParser(content);
+    const [cmd, healthcheck, expose] = parser.getInstructions();
+
+    assert.strictEqual(cmd.command.form, 'exec');
+    assert.deepStrictEqual(cmd.command.args, ['node', 'server.js']);
+    assert.strictEqual(healthcheck.command.value, 'curl -f http://localhost/');
+    assert.strictEqual(expose.command, null);
+    assert.deepStrictEqual(expose.operands.ports, ['3000']);
+  });
+
+  it('should restrict a view to the stages a build target needs', () => {
+    const content = `ARG VERSION=1
+FROM golang:1.22
+RUN go build -o /app
+FROM alpine AS docs
+RUN echo docs
+FROM scratch AS release
+COPY --from=0 /app /app
+FROM release AS debug`;
+
+    const parser = new DockerfileParser(content);
+    const view = parser.forTarget('release');
+
+    assert.deepStrictEqual(view.getStages().map(s => s.name), ['stage_0', 'release']);
+    assert.deepStrictEqual(view.getInstructions().map(i => i.lineNum), [1, 2, 3, 6, 7]);
+    assert.deepStrictEqual(view.getStageDependencies()[1], [{ stage: 0, lineNum: 7, via: 'COPY --from' }]);
+    assert.strictEqual(view.forTarget('release').getStageIndex(1), 2);
+    assert.strictEqual(view.content, content);
+    assert.strictEqual(view.forTarget('release').getFullParser(), parser);
+    assert.strictEqual(parser.getStages().length, 4);
+    assert.throws(() => parser.forTarget('docs2'), /Unknown target stage: docs2/);
+  });
+});
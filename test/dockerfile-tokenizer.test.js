@@ -0,0 +1,141 @@
+/**
+ * Tests for DockerfileTokenizer
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DockerfileTokenizer } = require('../src/dockerfile-tokenizer');
+
+describe('DockerfileTokenizer', () => {
+  it('should join backslash continuations into one instruction', () => {
+    const content = `FROM debian
+RUN apt-get update && \\
+    apt-get install -y curl && \\
+    rm -rf /var/lib/apt/lists/*
+CMD ["bash"]`;
+
+    const tokens = new DockerfileTokenizer(content).tokenize();
+
+    assert.strictEqual(tokens.length, 3);
+    assert.strictEqual(tokens[1].lineNum, 2);
+    assert.strictEqual(tokens[1].endLineNum, 4);
+    assert.ok(tokens[1].text.includes('apt-get install -y curl'));
+    assert.ok(tokens[1].text.includes('rm -rf /var/lib/apt/lists/*'));
+    assert.strictEqual(tokens[2].lineNum, 5);
+  });
+
+  it('should drop comments and empty lines inside continuations', () => {
+    const content = `RUN apt-get install -y \\
+    # the HTTP client
+    curl \\
+
+    git`;
+
+    const tokenizer = new DockerfileTokenizer(content);
+    const tokens = tokenizer.tokenize();
+
+    assert.strictEqual(tokens.length, 1);
+    assert.ok(!tokens[0].text.includes('HTTP client'));
+    assert.ok(tokens[0].text.endsWith('git'));
+    assert.strictEqual(tokenizer.comments.length, 1);
+    assert.strictEqual(tokenizer.comments[0].inContinuation, true);
+  });
+
+  it('should honor the escape parser directive', () => {
+    const content = `# escape=\`
+FROM mcr.microsoft.com/windows/servercore
+COPY testfile.txt C:\\
+RUN dir c:\\ \`
+    /b`;
+
+    const tokenizer = new DockerfileTokenizer(content);
+    const tokens = tokenizer.tokenize();
+
+    assert.strictEqual(tokenizer.escapeChar, '`');
+    assert.strictEqual(tokenizer.directives.escape.value, '`');
+    assert.strictEqual(tokens.length, 3);
+    assert.strictEqual(tokens[1].text, 'COPY testfile.txt C:\\');
+    assert.ok(tokens[2].text.includes('/b'));
+  });
+
+  it('should stop reading directives after the first comment', () => {
+    const content = `# syntax=docker/dockerfile:1
+# a regular comment
+# escape=\`
+FROM alpine`;
+
+    const tokenizer = new DockerfileTokenizer(content);
+    tokenizer.tokenize();
+
+    assert.strictEqual(tokenizer.directives.syntax.value, 'docker/dockerfile:1');
+    assert.strictEqual(tokenizer.directives.escape, undefined);
+    assert.strictEqual(tokenizer.escapeChar, '\\');
+  });
+
+  it('should read heredoc bodies', () => {
+    const content = `FROM alpine
+RUN <<EOF
+apk add --no-cache curl
+rm -rf /var/cache/apk/*
+EOF
+COPY <<-CONFIG /etc/app.conf
+\tkey=value
+\tCONFIG
+CMD ["sh"]`;
+
+    const tokens = new DockerfileTokenizer(content).tokenize();
+
+    assert.strictEqual(tokens.length, 4);
+    assert.strictEqual(tokens[1].heredocs.length, 1);
+    assert.strictEqual(tokens[1].heredocs[0].name, 'EOF');
+    assert.strictEqual(tokens[1].heredocs[0].content, 'apk add --no-cache curl\nrm -rf /var/cache/apk/*\n');
+    assert.strictEqual(tokens[1].endLineNum, 5);
+    assert.strictEqual(tokens[2].heredocs[0].content, 'key=value\n');
+    assert.strictEqual(tokens[3].lineNum, 9);
+  });
+
+  it('should not treat here-strings as heredocs', () => {
+    const content = `RUN cat <<< "hello"
+CMD ["sh"]`;
+
+    const tokens = new DockerfileTokenizer(content).tokenize();
+
+    assert.strictEqual(tokens.length, 2);
+    assert.strictEqual(tokens[0].heredocs.length, 0);
+  });
+
+  it('should not treat a quoted << as a heredoc', () => {
+    const content = `RUN echo "a<<b" && echo '<<EOF' && \\
+    echo "x <<EOF"
+COPY . .
+CMD ["sh"]`;
+
+    const tokens = new DockerfileTokenizer(content).tokenize();
+
+    assert.strictEqual(tokens.length, 3);
+    assert.strictEqual(tokens[0].heredocs.length, 0);
+    assert.strictEqual(tokens[1].lineNum, 3);
+  });
+
+  it('should not treat a << in the middle of a word as a heredoc', () => {
+    const content = `RUN cat<<EOF && echo a\\<<EOF
+COPY . .`;
+
+    const tokens = new DockerfileTokenizer(content).tokenize();
+
+    assert.strictEqual(tokens.length, 2);
+    assert.strictEqual(tokens[0].heredocs.length, 0);
+  });
+
+  it('should read a heredoc after other words of the command', () => {
+    const content = `RUN python3 <<"PY" > /out
+print(1)
+PY
+CMD ["sh"]`;
+
+    const [run, cmd] = new DockerfileTokenizer(content).tokenize();
+
+    assert.deepStrictEqual(run.heredocs.map(h => [h.name, h.quoted, h.content]), [['PY', true, 'print(1)\n']]);
+    assert.strictEqual(cmd.lineNum, 4);
+  });
+});
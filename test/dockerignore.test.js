@@ -0,0 +1,57 @@
+/**
+ * Tests for .dockerignore evaluation
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { cleanPattern, parseDockerignore, isExcluded, dockerignoreCandidates } = require('../src/dockerignore');
+
+function excluded(content, relativePath) {
+  return isExcluded(parseDockerignore(content), relativePath);
+}
+
+describe('Dockerignore', () => {
+  it('should clean patterns like filepath.Clean', () => {
+    assert.strictEqual(cleanPattern('/build/'), 'build');
+    assert.strictEqual(cleanPattern('./src//lib/../app'), 'src/app');
+    assert.strictEqual(cleanPattern('.'), '');
+  });
+
+  it('should anchor every pattern to the context root', () => {
+    assert.strictEqual(excluded('/dist', 'dist/app.js'), true);
+    assert.strictEqual(excluded('dist', 'dist/app.js'), true);
+    assert.strictEqual(excluded('dist', 'packages/a/dist/app.js'), false);
+    assert.strictEqual(excluded('*.md', 'README.md'), true);
+    assert.strictEqual(excluded('*.md', 'docs/guide.md'), false);
+  });
+
+  it('should let ** span any number of directories', () => {
+    assert.strictEqual(excluded('**/node_modules', 'node_modules/pkg/index.js'), true);
+    assert.strictEqual(excluded('**/node_modules', 'packages/a/node_modules/pkg/index.js'), true);
+    assert.strictEqual(excluded('**/*.log', 'logs/deep/app.log'), true);
+    assert.strictEqual(excluded('**/*.log', 'app.txt'), false);
+  });
+
+  it('should re-include paths with ! and let the last match win', () => {
+    assert.strictEqual(excluded('*.md\n!README.md', 'README.md'), false);
+    assert.strictEqual(excluded('*.md\n!README.md', 'CHANGELOG.md'), true);
+    assert.strictEqual(excluded('!README.md\n*.md', 'README.md'), true);
+    assert.strictEqual(excluded('docs\n!docs/public', 'docs/public/index.html'), false);
+  });
+
+  it('should skip comments and blank lines', () => {
+    const rules = parseDockerignore('# comment\n\n  .git  \r\n!  keep\n');
+
+    assert.deepStrictEqual(rules.map(r => [r.pattern, r.negated]), [['.git', false], ['keep', true]]);
+  });
+
+  it('should prefer <Dockerfile>.dockerignore over the context .dockerignore', () => {
+    const candidates = dockerignoreCandidates('/ctx', '/ctx/docker/api.Dockerfile');
+
+    assert.deepStrictEqual(candidates, [
+      path.resolve('/ctx/docker/api.Dockerfile.dockerignore'),
+      path.join(path.resolve('/ctx'), '.dockerignore')
+    ]);
+  });
+});
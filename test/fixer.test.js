@@ -0,0 +1,214 @@
+/**
+ * Tests for DockerfileFixer
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DockerfileFixer } = require('../src/fixer');
+
+describe('DockerfileFixer', () => {
+  it('should merge apt-get update into the following install and clean up', () => {
+    const content = `FROM ubuntu:22.04
+RUN apt-get update
+RUN apt-get install -y curl
+`;
+
+    const { output, applied } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, `FROM ubuntu:22.04
+RUN apt-get update && \\
+    apt-get install -y curl && rm -rf /var/lib/apt/lists/*
+`);
+    assert.deepStrictEqual(applied.map(a => a.rule), ['run-cleaned', 'layer-order']);
+  });
+
+  it('should keep multi-line indentation when appending cleanup', () => {
+    const content = `FROM debian
+RUN apt-get update && apt-get install -y \\
+      curl \\
+      git
+`;
+
+    const { output } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, `FROM debian
+RUN apt-get update && apt-get install -y \\
+      curl \\
+      git && \\
+      rm -rf /var/lib/apt/lists/*
+`);
+  });
+
+  it('should replace a trailing semicolon when appending cleanup', () => {
+    const content = `FROM debian
+RUN apt-get update && apt-get install -y curl;
+RUN apt-get update && apt-get install -y git \\
+      make ;
+RUN apt-get update && apt-get install -y findutils && find /tmp -exec rm {} \\;
+`;
+
+    const { output } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, `FROM debian
+RUN apt-get update && apt-get install -y curl && rm -rf /var/lib/apt/lists/*
+RUN apt-get update && apt-get install -y git \\
+      make && \\
+      rm -rf /var/lib/apt/lists/*
+RUN apt-get update && apt-get install -y findutils && find /tmp -exec rm {} \\; && rm -rf /var/lib/apt/lists/*
+`);
+  });
+
+  it('should not append cleanup after a trailing & or |', () => {
+    const content = `FROM debian
+RUN apt-get update && apt-get install -y curl &
+RUN apt-get update && apt-get install -y curl |
+RUN apt-get update && apt-get install -y curl &&
+`;
+
+    const { changed } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(changed, false);
+  });
+
+  it('should refresh the index in the install RUN when a comment prevents merging', () => {
+    const content = `FROM ubuntu
+RUN apt-get update
+# pinned versions
+RUN apt-get install -y curl && rm -rf /var/lib/apt/lists/*
+`;
+
+    const { output, applied } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, `FROM ubuntu
+RUN apt-get update
+# pinned versions
+RUN apt-get update && apt-get install -y curl && rm -rf /var/lib/apt/lists/*
+`);
+    assert.deepStrictEqual(applied.map(a => a.rule), ['apt-update-together']);
+  });
+
+  it('should replace ADD with COPY only for local files', () => {
+    const content = `FROM alpine
+ADD src/ /app/src/
+add config.json /app/
+ADD https://example.com/tool.tgz /tmp/
+ADD vendor.tar.gz /opt/
+ADD data.json.gz /opt/
+ADD rootfs.tar.zst /
+ADD notes.bz2 logs.xz /opt/
+ADD --checksum=sha256:abc file.txt /app/
+`;
+
+    const { output } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, `FROM alpine
+COPY src/ /app/src/
+copy config.json /app/
+ADD https://example.com/tool.tgz /tmp/
+ADD vendor.tar.gz /opt/
+ADD data.json.gz /opt/
+ADD rootfs.tar.zst /
+ADD notes.bz2 logs.xz /opt/
+ADD --checksum=sha256:abc file.txt /app/
+`);
+  });
+
+  it('should move manifest COPY and install before COPY . . only as an unsafe fix', () => {
+    const content = `FROM node:18
+WORKDIR /app
+# sources
+COPY . .
+# manifests
+COPY package.json package-lock.json ./
+RUN npm ci
+CMD ["node", "index.js"]
+`;
+
+    assert.strictEqual(new DockerfileFixer(content).fix().changed, false);
+
+    const { output, applied } = new DockerfileFixer(content, { unsafe: true }).fix();
+
+    assert.strictEqual(output, `FROM node:18
+WORKDIR /app
+# manifests
+COPY package.json package-lock.json ./
+RUN --mount=type=cache,target=/root/.npm npm ci
+# sources
+COPY . .
+CMD ["node", "index.js"]
+`);
+    assert.deepStrictEqual(applied.map(a => [a.rule, a.safety]), [['copy-order', 'unsafe'], ['npm-cache', 'unsafe']]);
+  });
+
+  it('should keep a missing final line break when moving the last line', () => {
+    const { output } = new DockerfileFixer('FROM node\nCOPY . .\nCOPY package.json .').fix();
+
+    assert.strictEqual(output, 'FROM node\nCOPY package.json .\nCOPY . .');
+  });
+
+  it('should not reorder COPY across RUN instructions', () => {
+    const content = `FROM node
+COPY . .
+RUN make generate
+COPY package.json .
+`;
+
+    assert.strictEqual(new DockerfileFixer(content).fix().changed, false);
+  });
+
+  it('should add --no-cache to apk add and clean up yum', () => {
+    const content = `FROM alpine
+RUN apk update && apk add curl && apk add --no-cache git
+FROM centos
+RUN yum install -y make
+`;
+
+    const { output } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, `FROM alpine
+RUN apk update && apk add --no-cache curl && apk add --no-cache git
+FROM centos
+RUN yum install -y make && yum clean all
+`);
+  });
+
+  it('should add npm cache mounts only as unsafe fixes', () => {
+    const content = 'FROM node\nRUN --network=host npm ci\n';
+
+    assert.strictEqual(new DockerfileFixer(content).fix().changed, false);
+    assert.strictEqual(
+      new DockerfileFixer(content, { unsafe: true }).fix().output,
+      'FROM node\nRUN --mount=type=cache,target=/root/.npm --network=host npm ci\n'
+    );
+  });
+
+  it('should apply edits from the last offset to the first', () => {
+    const at = offset => ({ line: 1, column: offset + 1, offset });
+    const output = DockerfileFixer.applyEdits('ADD a b', [
+      { range: { start: at(0), end: at(3) }, text: 'COPY' },
+      { range: { start: at(7), end: at(7) }, text: '/' }
+    ]);
+
+    assert.strictEqual(output, 'COPY a b/');
+  });
+
+  it('should not apply fixes for suppressed findings', () => {
+    const content = `FROM alpine
+# dlo-disable-next-line add-vs-copy -- keeps ownership semantics
+ADD src/ /app/src/
+ADD config.json /app/
+`;
+
+    const { output } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, content.replace('ADD config.json', 'COPY config.json'));
+  });
+
+  it('should preserve CRLF line endings', () => {
+    const content = 'FROM ubuntu\r\nRUN apt-get update\r\nRUN apt-get install -y curl\r\n';
+
+    const { output } = new DockerfileFixer(content).fix();
+
+    assert.strictEqual(output, 'FROM ubuntu\r\nRUN apt-get update && \\\r\n    apt-get install -y curl && rm -rf /var/lib/apt/lists/*\r\n');
+  });
+});
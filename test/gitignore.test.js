@@ -0,0 +1,45 @@
+/**
+ * Tests for .gitignore evaluation
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseGitignore, matchGitignore } = require('../src/gitignore');
+
+function ignored(content, relativePath, isDirectory = false) {
+  return matchGitignore(parseGitignore(content), relativePath, isDirectory);
+}
+
+describe('Gitignore', () => {
+  it('should match patterns without a slash at any depth', () => {
+    assert.strictEqual(ignored('*.log', 'debug.log'), true);
+    assert.strictEqual(ignored('*.log', 'logs/deep/debug.log'), true);
+    assert.strictEqual(ignored('*.log', 'debug.txt'), null);
+  });
+
+  it('should anchor patterns with a slash to the .gitignore directory', () => {
+    assert.strictEqual(ignored('/build', 'build', true), true);
+    assert.strictEqual(ignored('/build', 'src/build', true), null);
+    assert.strictEqual(ignored('docs/*.md', 'docs/a.md'), true);
+    assert.strictEqual(ignored('docs/*.md', 'docs/sub/a.md'), null);
+    assert.strictEqual(ignored('**/fixtures', 'test/unit/fixtures', true), true);
+  });
+
+  it('should match directory patterns only against directories', () => {
+    assert.strictEqual(ignored('cache/', 'cache', true), true);
+    assert.strictEqual(ignored('cache/', 'cache', false), null);
+  });
+
+  it('should let later negations re-include paths', () => {
+    assert.strictEqual(ignored('*.Dockerfile\n!keep.Dockerfile', 'keep.Dockerfile'), false);
+    assert.strictEqual(ignored('*.Dockerfile\n!keep.Dockerfile', 'drop.Dockerfile'), true);
+  });
+
+  it('should skip comments and blank lines and honor escapes', () => {
+    const rules = parseGitignore('# comment\n\n\\#hash\n\\!bang\n');
+
+    assert.deepStrictEqual(rules.map(r => r.negated), [false, false]);
+    assert.strictEqual(matchGitignore(rules, '#hash', false), true);
+    assert.strictEqual(matchGitignore(rules, '!bang', false), true);
+  });
+});
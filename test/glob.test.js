@@ -0,0 +1,27 @@
+/**
+ * Tests for glob matching
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { matchGlob } = require('../src/glob');
+
+describe('matchGlob', () => {
+  it('should keep * and ? within a path segment', () => {
+    assert.ok(matchGlob('services/*/Dockerfile', 'services/api/Dockerfile'));
+    assert.ok(!matchGlob('services/*/Dockerfile', 'services/api/v2/Dockerfile'));
+    assert.ok(matchGlob('app?.Dockerfile', 'app1.Dockerfile'));
+  });
+
+  it('should let ** span directories', () => {
+    assert.ok(matchGlob('services/**', 'services/api/v2/Dockerfile'));
+    assert.ok(matchGlob('**/Dockerfile', 'Dockerfile'));
+    assert.ok(matchGlob('services/**/Dockerfile', 'services/Dockerfile'));
+  });
+
+  it('should match patterns without a slash against the file name', () => {
+    assert.ok(matchGlob('*.Dockerfile', 'deep/nested/web.Dockerfile'));
+    assert.ok(matchGlob('Dockerfile.[a-z]*', 'ci/Dockerfile.prod'));
+    assert.ok(!matchGlob('Dockerfile.[!a-z]*', 'ci/Dockerfile.prod'));
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the image efficiency analysis
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { analyzeWaste, getEfficiency } = require('../src/image-efficiency');
+
+const file = (path, size, hash = path) => ({ path, type: 'file', size, hash });
+const dir = path => ({ path, type: 'directory', size: 0, hash: null });
+
+describe('analyzeWaste', () => {
+  it('should count files later layers delete or overwrite against the layer that added them', () => {
+    const { layers, files } = analyzeWaste([
+      { entries: [dir('app'), file('app/a.txt', 100), file('app/b.txt', 200), dir('tmp'), file('tmp/x/y.bin', 50)] },
+      { entries: [file('app/a.txt', 10, 'new'), { path: 'app/.wh.b.txt', type: 'file', size: 0, hash: null }] },
+      { entries: [{ path: 'tmp/.wh..wh..opq', type: 'file', size: 0, hash: null }, file('tmp/z', 1)] }
+    ]);
+
+    assert.deepStrictEqual(layers[0], { total: 350, deleted: 250, overwritten: 100, duplicates: 0, packageCaches: 0 });
+    assert.strictEqual(layers[1].total, 0);
+    assert.strictEqual(layers[2].total, 0);
+    assert.deepStrictEqual(files.map(f => [f.path, f.reason]),
+      [['/app/b.txt', 'deleted'], ['/app/a.txt', 'overwritten'], ['/tmp/x/y.bin', 'deleted']]);
+  });
+
+  it('should count copies of files from earlier layers as duplicates', () => {
+    const { layers } = analyzeWaste([
+      { entries: [file('a', 100, 'same'), file('b', 100, 'same')] },
+      { entries: [file('c', 100, 'same'), file('d', 100, 'other'), file('e', 0, null)] }
+    ]);
+
+    assert.strictEqual(layers[0].duplicates, 0);
+    assert.strictEqual(layers[1].duplicates, 100);
+  });
+
+  it('should count package manager caches left in the image', () => {
+    const { layers, files } = analyzeWaste([
+      { entries: [file('var/lib/apt/lists/deb.debian.org_dists', 4000), file('var/lib/apt/lists/other', 1000), file('usr/bin/curl', 300)] },
+      { entries: [file('root/.npm/_cacache/index', 700)] },
+      { entries: [{ path: 'var/lib/apt/lists/.wh.other', type: 'file', size: 0, hash: null }] }
+    ]);
+
+    assert.deepStrictEqual(layers[0], { total: 5000, deleted: 1000, overwritten: 0, duplicates: 0, packageCaches: 4000 });
+    assert.strictEqual(layers[1].packageCaches, 700);
+    assert.deepStrictEqual(files.map(f => [f.path, f.layer, f.size, f.reason]), [
+      ['/var/lib/apt/lists', 0, 4000, 'package-cache'],
+      ['/var/lib/apt/lists/other', 0, 1000, 'deleted'],
+      ['/root/.npm', 1, 700, 'package-cache']
+    ]);
+  });
+});
+
+describe('getEfficiency', () => {
+  it('should give the share of file bytes that are not wasted', () => {
+    assert.strictEqual(getEfficiency(1000, 250), 0.75);
+    assert.strictEqual(getEfficiency(3, 1), 0.6667);
+    assert.strictEqual(getEfficiency(0, 0), 1);
+  });
+});
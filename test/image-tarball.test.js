@@ -0,0 +1,187 @@
+/**
+ * Tests for ImageTarball
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { ImageTarball, inspectImage, describeHistoryCommand } = require('../src/image-tarball');
+const { LayerAnalyzer } = require('../src/layer-analyzer');
+
+const config = {
+  architecture: 'amd64',
+  os: 'linux',
+  created: '2026-01-02T03:04:05Z',
+  config: { User: 'node', WorkingDir: '/app', Cmd: ['node', 'index.js'], Env: ['PATH=/usr/bin'], ExposedPorts: { '3000/tcp': {} } },
+  rootfs: { type: 'layers', diff_ids: ['sha256:aaa', 'sha256:bbb'] },
+  history: [
+    { created: '2026-01-01T00:00:00Z', created_by: '/bin/sh -c #(nop) ADD file:abc in / ' },
+    { created: '2026-01-01T00:00:01Z', created_by: '/bin/sh -c #(nop)  CMD ["bash"]', empty_layer: true },
+    { created: '2026-01-02T03:04:05Z', created_by: 'RUN /bin/sh -c rm app/old.txt && echo hi > app/new.txt # buildkit', comment: 'buildkit.dockerfile.v0' }
+  ]
+};
+
+describe('ImageTarball', () => {
+  let root;
+
+  function write(relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, relativePath), content);
+  }
+
+  function tar(dir, file) {
+    execFileSync('tar', ['-cf', path.join(root, file), '-C', path.join(root, dir), '.'], { stdio: 'ignore' });
+    return fs.readFileSync(path.join(root, file));
+  }
+
+  function blob(dir, content) {
+    const digest = `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+    write(`${dir}/blobs/sha256/${digest.slice(7)}`, content);
+    return { digest, size: Buffer.byteLength(content) };
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-image-'));
+
+    // Layer 1 is gzip-compressed, layer 2 is stored as a plain tar and deletes a file of layer 1
+    write('layer1/app/old.txt', 'old '.repeat(5000));
+    write('layer1/app/index.js', 'console.log(1);\n');
+    write('layer2/app/new.txt', 'hi\n');
+    write('layer2/app/.wh.old.txt', '');
+    const layers = [zlib.gzipSync(tar('layer1', 'layer1.tar')), tar('layer2', 'layer2.tar')];
+
+    // docker save
+    const configBlob = blob('docker', JSON.stringify(config));
+    const layerBlobs = layers.map(layer => blob('docker', layer));
+    write('docker/manifest.json', JSON.stringify([{
+      Config: `blobs/sha256/${configBlob.digest.slice(7)}`,
+      RepoTags: ['app:latest'],
+      Layers: layerBlobs.map(layer => `blobs/sha256/${layer.digest.slice(7)}`)
+    }]));
+    tar('docker', 'docker.tar');
+
+    // OCI layout with an index per platform and an attestation manifest
+    const manifests = ['amd64', 'arm64'].map(architecture => {
+      const imageConfig = blob('oci', JSON.stringify({ ...config, architecture }));
+      const imageLayers = (architecture === 'arm64' ? layers.slice(0, 1) : layers).map(layer => blob('oci', layer));
+      const manifest = blob('oci', JSON.stringify({
+        schemaVersion: 2,
+        mediaType: 'application/vnd.oci.image.manifest.v1+json',
+        config: { mediaType: 'application/vnd.oci.image.config.v1+json', ...imageConfig },
+        layers: imageLayers.map(layer => ({ mediaType: 'application/vnd.oci.image.layer.v1.tar', ...layer }))
+      }));
+      return { mediaType: 'application/vnd.oci.image.manifest.v1+json', ...manifest, platform: { os: 'linux', architecture } };
+    });
+    const attestation = blob('oci', JSON.stringify({ schemaVersion: 2, config: {}, layers: [] }));
+    const index = blob('oci', JSON.stringify({
+      schemaVersion: 2,
+      manifests: [
+        { mediaType: 'application/vnd.oci.image.manifest.v1+json', ...attestation,
+          platform: { os: 'unknown', architecture: 'unknown' },
+          annotations: { 'vnd.docker.reference.type': 'attestation-manifest' } },
+        ...manifests
+      ]
+    }));
+    write('oci/oci-layout', '{"imageLayoutVersion":"1.0.0"}');
+    write('oci/index.json', JSON.stringify({
+      schemaVersion: 2,
+      manifests: [{ mediaType: 'application/vnd.oci.image.index.v1+json', ...index,
+        annotations: { 'io.containerd.image.name': 'docker.io/library/app:1.0' } }]
+    }));
+    tar('oci', 'oci.tar');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read the layers of a docker save archive', async () => {
+    const image = await inspectImage(path.join(root, 'docker.tar'));
+    const [base, run] = image.layers;
+
+    assert.strictEqual(image.format, 'docker-archive');
+    assert.deepStrictEqual(image.tags, ['app:latest']);
+    assert.strictEqual(`${image.os}/${image.architecture}`, 'linux/amd64');
+    assert.deepStrictEqual(image.config.cmd, ['node', 'index.js']);
+    assert.deepStrictEqual(image.config.exposedPorts, ['3000/tcp']);
+
+    assert.strictEqual(base.compression, 'gzip');
+    assert.strictEqual(base.files, 2);
+    assert.strictEqual(base.diffId, 'sha256:aaa');
+    assert.strictEqual(base.instruction, 'ADD file:abc in /');
+    assert.ok(base.uncompressedSize > 20000);
+    assert.ok(base.compressedSize < base.uncompressedSize);
+
+    assert.strictEqual(run.compression, 'none');
+    assert.strictEqual(run.files, 1);
+    assert.strictEqual(run.whiteouts, 1);
+    assert.strictEqual(run.instruction, 'RUN rm app/old.txt && echo hi > app/new.txt');
+    assert.strictEqual(run.uncompressedSize, fs.statSync(path.join(root, 'layer2.tar')).size);
+    assert.ok(run.compressedSize > 0 && run.compressedSize < run.uncompressedSize);
+
+    assert.strictEqual(image.history.length, 3);
+    assert.strictEqual(image.totalFiles, 3);
+  });
+
+  it('should find the space layers waste', async () => {
+    const image = await inspectImage(path.join(root, 'docker.tar'));
+    const [base, run] = image.layers;
+
+    assert.strictEqual(base.contentSize, 20016);
+    assert.deepStrictEqual(base.wasted, { total: 20000, deleted: 20000, overwritten: 0, duplicates: 0, packageCaches: 0 });
+    assert.strictEqual(run.wasted.total, 0);
+    assert.strictEqual(image.wastedSize, 20000);
+    assert.strictEqual(image.efficiency, 0.0009);
+    assert.deepStrictEqual(image.wastedFiles, [{ path: '/app/old.txt', layer: 0, size: 20000, reason: 'deleted' }]);
+    assert.strictEqual(image.totalUncompressedSize, base.uncompressedSize + run.uncompressedSize);
+  });
+
+  it('should read an OCI layout and pick the image for a platform', async () => {
+    const image = await inspectImage(path.join(root, 'oci.tar'));
+    const arm = await inspectImage(path.join(root, 'oci.tar'), { platform: 'linux/arm64' });
+
+    assert.strictEqual(image.format, 'oci-layout');
+    assert.deepStrictEqual(image.tags, ['docker.io/library/app:1.0']);
+    assert.strictEqual(image.architecture, 'amd64');
+    assert.strictEqual(image.layers.length, 2);
+    assert.strictEqual(arm.architecture, 'arm64');
+    assert.strictEqual(arm.layers.length, 1);
+    await assert.rejects(inspectImage(path.join(root, 'oci.tar'), { platform: 'linux/s390x' }), /No image for platform linux\/s390x/);
+  });
+
+  it('should reject archives that are not images', async () => {
+    await assert.rejects(inspectImage(path.join(root, 'layer2.tar')), /Not an image archive/);
+    await assert.rejects(inspectImage(path.join(root, 'missing.tar')), /Cannot read image archive/);
+
+    const tarball = await ImageTarball.open(path.join(root, 'docker.tar'));
+    assert.throws(() => tarball.getEntry('config.json'), /config.json is missing from the image archive/);
+  });
+
+  it('should turn history commands into instructions', () => {
+    assert.strictEqual(describeHistoryCommand('/bin/sh -c #(nop)  CMD ["node"]'), 'CMD ["node"]');
+    assert.strictEqual(describeHistoryCommand('/bin/sh -c apt-get update'), 'RUN apt-get update');
+    assert.strictEqual(describeHistoryCommand('RUN |1 VERSION=2 /bin/sh -c make # buildkit'), 'RUN make');
+    assert.strictEqual(describeHistoryCommand('COPY dist /app # buildkit'), 'COPY dist /app');
+  });
+
+  it('should give LayerAnalyzer the real layer sizes', async () => {
+    const analyzer = new LayerAnalyzer();
+    analyzer.loadImage(await inspectImage(path.join(root, 'docker.tar')));
+    const analysis = analyzer.analyze();
+
+    assert.strictEqual(analysis.totalLayers, 2);
+    assert.strictEqual(analysis.layers[0].createdBy, 'ADD file:abc in /');
+    assert.strictEqual(analysis.layers[0].files, 2);
+    assert.ok(analysis.layers[0].compressedSize > 0);
+    assert.strictEqual(analysis.layers[0].formattedCompressedSize, analyzer.formatBytes(analysis.layers[0].compressedSize));
+    assert.strictEqual(analysis.layers[0].formattedWastedSize, '19.53KB');
+    assert.strictEqual(analysis.efficiency.formattedScore, '0.09%');
+    assert.deepStrictEqual(analysis.efficiency.layers.map(layer => [layer.index, layer.createdBy, layer.deleted]), [[0, 'ADD file:abc in /', 20000]]);
+    assert.strictEqual(analysis.efficiency.files[0].createdBy, 'ADD file:abc in /');
+  });
+});
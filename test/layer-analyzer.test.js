@@ -77,6 +77,8 @@ sha256:def456|50MB|COPY . .`;
     assert.strictEqual(analysis.totalLayers, 2);
     assert.strictEqual(analysis.totalSize, 150 * 1024 * 1024);
     assert.strictEqual(analysis.largestLayers.length, 2);
+    // docker history has no file contents to find wasted space in
+    assert.strictEqual(analysis.efficiency, null);
   });
 
   it('should estimate sizes from Dockerfile', () => {
@@ -96,6 +98,37 @@ COPY . .`;
     assert.ok(estimate.estimates[0].type === 'RUN');
   });
 
+  it('should measure COPY/ADD sources in the build context', () => {
+    const analyzer = new LayerAnalyzer();
+    const { DockerfileParser } = require('../src/dockerfile-parser');
+    const { BuildContext } = require('../src/build-context');
+
+    const context = new BuildContext('/ctx', [
+      { path: 'package.json', size: 300 },
+      { path: 'src/a.js', size: 1000 },
+      { path: 'src/lib/b.js', size: 2000 },
+      { path: 'README.md', size: 50 }
+    ]);
+    const parser = new DockerfileParser(`FROM node:20
+COPY package.json ./
+COPY src/ *.json ./
+ADD https://example.com/tool.tar.gz /opt/
+COPY --from=node:20 /usr/local/bin/node /usr/local/bin/
+COPY missing/ ./`);
+    const estimates = analyzer.estimateFromDockerfile(parser, { context }).estimates;
+
+    assert.deepStrictEqual(estimates.map(e => [e.lineNum, e.estimatedSize, e.files]), [
+      [2, 300, 1],
+      [3, 3300, 3],
+      [5, 5 * 1024 * 1024, undefined],
+      [6, 0, 0],
+      [4, 5 * 1024 * 1024, undefined]
+    ]);
+    assert.strictEqual(estimates[1].reason, '3 file(s) from the build context');
+    assert.strictEqual(estimates[3].reason, 'No matching files in the build context');
+    assert.ok(estimates[1].measured && !estimates[2].measured);
+  });
+
   it('should handle empty history output', () => {
     const analyzer = new LayerAnalyzer();
     analyzer.parseHistoryOutput('');
@@ -103,4 +136,15 @@ COPY . .`;
     assert.strictEqual(analyzer.layers.length, 0);
     assert.strictEqual(analyzer.getTotalSize(), 0);
   });
+
+  it('should list every layer in build order without dividing by zero', () => {
+    const analyzer = new LayerAnalyzer();
+    analyzer.parseHistoryOutput(`sha256:abc123|0B|CMD ["node"]
+sha256:def456|0B|WORKDIR /app`);
+    const analysis = analyzer.analyze();
+
+    assert.deepStrictEqual(analysis.layers.map(l => l.createdBy), ['WORKDIR /app', 'CMD ["node"]']);
+    assert.strictEqual(analysis.layers[0].percent, '0.00');
+    assert.strictEqual(new LayerAnalyzer().analyze().averageLayerSize, 0);
+  });
 });
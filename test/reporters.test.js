@@ -0,0 +1,191 @@
+/**
+ * Tests for the reporter registry and the built-in reporters
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Analyzer } = require('../src/analyzer');
+const { ReporterRegistry } = require('../src/reporters');
+const { toJUnit } = require('../src/reporters/junit');
+const { toCheckstyle } = require('../src/reporters/checkstyle');
+const { toCodeQuality } = require('../src/reporters/gitlab');
+const { toHtml } = require('../src/reporters/html');
+
+const content = `FROM ubuntu:22.04
+RUN apt-get update
+RUN apt-get install -y curl
+COPY . .
+CMD ["bash"]`;
+
+function reportsFor(source, filePath = 'Dockerfile') {
+  return [{ path: filePath, results: new Analyzer().parse(source).analyze() }];
+}
+
+describe('ReporterRegistry', () => {
+  it('should register the built-in formats', () => {
+    const registry = new ReporterRegistry();
+
+    assert.deepStrictEqual(registry.getNames(), ['text', 'json', 'sarif', 'junit', 'checkstyle', 'gitlab', 'html']);
+  });
+
+  it('should register and validate third-party reporters', () => {
+    const registry = new ReporterRegistry();
+    registry.register({ name: 'count', format: reports => String(reports.length) });
+
+    assert.strictEqual(registry.format('count', reportsFor(content)), '1');
+    assert.throws(() => registry.register({ name: 'count', format: () => '' }), /already registered: count/);
+    assert.throws(() => registry.register({ name: 'Bad Name', format: () => '' }), /Invalid reporter/);
+    assert.throws(() => registry.register({ name: 'no-format' }), /format must be a function/);
+    assert.throws(() => registry.format('missing', []), /Unknown format: missing/);
+  });
+
+  it('should load reporters from a module', () => {
+    const registry = new ReporterRegistry();
+    registry.loadReporters('./examples/reporter.js', path.join(__dirname, '..'));
+    registry.loadReporters('./examples/reporter.js', path.join(__dirname, '..'));
+
+    const output = registry.format('compact', reportsFor(content));
+    assert.match(output, /^Dockerfile:2:1: medium layer-order /m);
+    assert.throws(() => registry.loadReporters('./missing-reporter.js'), /Failed to load reporter \.\/missing-reporter\.js/);
+  });
+
+  it('should keep the JSON output of a single Dockerfile unchanged', () => {
+    const reports = reportsFor(content);
+    const parsed = JSON.parse(new ReporterRegistry().format('json', reports));
+
+    assert.strictEqual(parsed.summary.totalInstructions, 5);
+    assert.ok(Array.isArray(parsed.rules));
+  });
+
+  it('should aggregate several Dockerfiles with an overall summary', () => {
+    const reports = [...reportsFor(content, 'api/Dockerfile'), ...reportsFor('FROM scratch', 'web/Dockerfile')];
+    const parsed = JSON.parse(new ReporterRegistry().format('json', reports));
+    const text = new ReporterRegistry().format('text', reports);
+
+    assert.deepStrictEqual(parsed.files.map(f => f.path), ['api/Dockerfile', 'web/Dockerfile']);
+    assert.strictEqual(parsed.summary.files, 2);
+    assert.strictEqual(parsed.summary.issues.medium, reports[0].results.summary.issues.medium);
+    assert.match(text, /Overall: 2 Dockerfiles/);
+    assert.match(text, /web\/Dockerfile: .*no issues/);
+  });
+});
+
+describe('JUnit Reporter', () => {
+  it('should write one test case per rule and fail rules with findings', () => {
+    const reports = reportsFor(content);
+    const xml = toJUnit(reports);
+    const ruleCount = reports[0].results.rules.length;
+    const failures = reports[0].results.cacheIssues.length;
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    assert.ok(xml.includes(`<testsuite name="Dockerfile" tests="${ruleCount}" failures="${failures}"`));
+    assert.strictEqual(xml.match(/<testcase /g).length, ruleCount);
+    assert.match(xml, /<testcase classname="Dockerfile" name="multi-stage: Consider multi-stage builds"\/>/);
+    assert.match(xml, /<failure type="layer-order" message="1 medium severity issue\(s\): Combine update and install">Line 2:/);
+  });
+
+  it('should escape XML special characters', () => {
+    const xml = toJUnit(reportsFor(`FROM ubuntu:22.04
+RUN apt-get update && echo "<done>"
+RUN apt-get install -y curl`));
+
+    assert.ok(xml.includes('apt-get update &amp;&amp; echo &quot;&lt;done&gt;&quot;'));
+    assert.ok(!xml.includes('"<done>"'));
+  });
+
+  it('should drop control characters XML does not allow', () => {
+    const { escapeXml } = require('../src/reporters/helpers');
+
+    assert.strictEqual(escapeXml('a\u0000b\u0007\tc\r\n\u000bd\u001fe'), 'ab\tc\r\nde');
+  });
+});
+
+describe('Checkstyle Reporter', () => {
+  it('should write an error per finding with line, column and source', () => {
+    const xml = toCheckstyle(reportsFor(content));
+
+    assert.match(xml, /<checkstyle version="4.3">/);
+    assert.match(xml, /<file name="Dockerfile">/);
+    assert.match(xml, /<error line="2" column="1" severity="warning" message="[^"]+" source="docker-layer-optimizer.layer-order"\/>/);
+  });
+});
+
+describe('GitLab Code Quality Reporter', () => {
+  it('should write Code Climate issues with unique fingerprints', () => {
+    const issues = toCodeQuality(reportsFor(`FROM node:20
+COPY . .
+RUN npm install
+RUN npm install`));
+    const npmIssue = issues.find(i => i.check_name === 'npm-cache');
+
+    assert.strictEqual(npmIssue.location.path, 'Dockerfile');
+    assert.strictEqual(npmIssue.location.lines.begin, 3);
+    assert.strictEqual(npmIssue.severity, 'info');
+    assert.strictEqual(new Set(issues.map(i => i.fingerprint)).size, issues.length);
+  });
+
+  it('should keep fingerprints when lines shift', () => {
+    const before = toCodeQuality(reportsFor(content));
+    const after = toCodeQuality(reportsFor(content.replace('FROM ubuntu:22.04', 'FROM ubuntu:22.04\n\n# comment')));
+
+    assert.deepStrictEqual(after.map(i => i.fingerprint), before.map(i => i.fingerprint));
+    assert.notDeepStrictEqual(after.map(i => i.location.lines.begin), before.map(i => i.location.lines.begin));
+  });
+});
+
+describe('HTML Reporter', () => {
+  const multiStage = `FROM node:20 AS build
+RUN npm ci && echo "<built>"
+FROM nginx:alpine
+COPY --from=build /app/dist /usr/share/nginx/html`;
+
+  function htmlFor(source, options = {}) {
+    const results = new Analyzer().parse(source).analyze({ estimateSizes: true, ...options });
+    return toHtml([{ path: 'Dockerfile', source, results }]);
+  }
+
+  it('should be a single page without external assets or scripts', () => {
+    const html = htmlFor(multiStage);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(!/<script|<link|src="/.test(html));
+    assert.ok(!/https?:\/\/(?!www\.w3\.org\/2000\/svg)/.test(html));
+  });
+
+  it('should annotate the Dockerfile with findings after their instruction', () => {
+    const html = htmlFor(content);
+    const line = html.indexOf('<td class="ln">2</td>');
+    const finding = html.indexOf('<code>layer-order</code>');
+
+    assert.ok(html.includes('<tr class="sev-medium"><td class="ln">2</td>'));
+    assert.ok(finding > line && finding < html.indexOf('<td class="ln">3</td>'));
+  });
+
+  it('should escape Dockerfile source', () => {
+    const html = htmlFor(multiStage);
+
+    assert.ok(html.includes('echo &quot;&lt;built&gt;&quot;'));
+    assert.ok(!html.includes('"<built>"'));
+  });
+
+  it('should include stage tables, size charts and the stage graph', () => {
+    const html = htmlFor(multiStage, { history: 'sha256:bbb|2MB|COPY dir:abc in /usr/share/nginx/html\nsha256:aaa|40MB|/bin/sh -c npm ci' });
+
+    assert.match(html, /<h4>Stage 0: build <span class="muted">FROM node:20<\/span><\/h4>/);
+    assert.match(html, /<h4>Estimated \(total [^)]+\)<\/h4>/);
+    assert.match(html, /<h4>Image layers \(total 42.00MB\)<\/h4>/);
+    assert.match(html, /<svg [^>]*aria-label="Stage dependency graph"/);
+    assert.match(html, /<line [^>]*marker-end="url\(#arrow-0\)"\/><text [^>]*>COPY --from<\/text>/);
+  });
+
+  it('should link an overview of several Dockerfiles to their sections', () => {
+    const reports = [...reportsFor(content, 'api/Dockerfile'), ...reportsFor(multiStage, 'web/Dockerfile')];
+    const html = toHtml(reports);
+
+    assert.match(html, /<h2>Overview<\/h2>/);
+    assert.match(html, /<a href="#report-1">web\/Dockerfile<\/a>/);
+    assert.match(html, /<section class="report" id="report-1">/);
+    assert.match(html, /<th>2 Dockerfiles<\/th>/);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the SARIF reporter
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Analyzer } = require('../src/analyzer');
+const { fingerprint } = require('../src/baseline');
+const { toSarif, formatSarif } = require('../src/reporters/sarif');
+
+function sarifFor(content, options = {}) {
+  const results = new Analyzer().parse(content).analyze(options);
+  return toSarif([{ path: 'Dockerfile', results }]);
+}
+
+describe('SARIF Reporter', () => {
+  const content = `FROM ubuntu:22.04
+RUN apt-get update
+RUN apt-get install -y curl
+COPY . .
+CMD ["bash"]`;
+
+  it('should map rules to reporting descriptors', () => {
+    const log = sarifFor(content);
+    const { driver } = log.runs[0].tool;
+    const rule = driver.rules.find(r => r.id === 'layer-order');
+
+    assert.strictEqual(log.version, '2.1.0');
+    assert.strictEqual(driver.name, 'docker-layer-optimizer');
+    assert.strictEqual(rule.name, 'LayerOrder');
+    assert.strictEqual(rule.defaultConfiguration.level, 'warning');
+    assert.match(rule.help.text, /apt-get update && apt-get install/);
+    assert.match(rule.help.markdown, /\*\*Recommendation:\*\*/);
+    assert.match(rule.helpUri, /docs\/rules\.md#layer-order$/);
+    assert.deepStrictEqual(rule.properties.tags, ['cache']);
+  });
+
+  it('should give each issue a physical location with a column range', () => {
+    const log = sarifFor(content);
+    const result = log.runs[0].results.find(r => r.ruleId === 'layer-order');
+    const { physicalLocation } = result.locations[0];
+
+    assert.strictEqual(log.runs[0].tool.driver.rules[result.ruleIndex].id, 'layer-order');
+    assert.strictEqual(physicalLocation.artifactLocation.uri, 'Dockerfile');
+    assert.deepStrictEqual(physicalLocation.region, { startLine: 2, startColumn: 1, endLine: 2, endColumn: 19 });
+    assert.ok(result.partialFingerprints['dloFingerprint/v1']);
+  });
+
+  it('should include fixes as artifact changes', () => {
+    const log = sarifFor(content);
+    const result = log.runs[0].results.find(r => r.ruleId === 'layer-order');
+    const [fix] = result.fixes;
+    const [replacement] = fix.artifactChanges[0].replacements;
+
+    assert.match(fix.description.text, /\((safe|unsafe)\)$/);
+    assert.strictEqual(fix.artifactChanges[0].artifactLocation.uri, 'Dockerfile');
+    assert.strictEqual(typeof replacement.insertedContent.text, 'string');
+    assert.ok(replacement.deletedRegion.startLine >= 2);
+  });
+
+  it('should report suppressed findings with in-source suppressions', () => {
+    const log = sarifFor(`FROM ubuntu:22.04
+# dlo-disable-next-line layer-order -- updated elsewhere
+RUN apt-get update
+RUN apt-get install -y curl`);
+    const result = log.runs[0].results.find(r => r.ruleId === 'layer-order');
+
+    assert.deepStrictEqual(result.suppressions, [{ kind: 'inSource', justification: 'updated elsewhere' }]);
+  });
+
+  it('should mark baseline state when a baseline is used', () => {
+    const analyzer = new Analyzer().parse(content);
+    const baseline = analyzer.analyze().cacheIssues
+      .filter(r => r.rule === 'layer-order')
+      .map(r => ({ fingerprint: fingerprint(r.rule, r.issues[0].instruction), count: 1 }));
+    const log = toSarif([{ path: 'Dockerfile', results: analyzer.analyze({ baseline }) }]);
+    const states = new Map(log.runs[0].results.map(r => [r.ruleId, r.baselineState]));
+
+    assert.strictEqual(states.get('layer-order'), 'unchanged');
+    assert.ok([...states.values()].every(state => state === 'new' || state === 'unchanged'));
+    assert.ok([...states.values()].includes('new'));
+  });
+
+  it('should use file URIs for paths outside the working directory', () => {
+    const results = new Analyzer().parse(content).analyze();
+    const outside = path.resolve(process.cwd(), '..', 'elsewhere', 'Dockerfile');
+    const log = JSON.parse(formatSarif([{ path: outside, results }]));
+
+    assert.match(log.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, /^file:\/\/.*\/elsewhere\/Dockerfile$/);
+  });
+});
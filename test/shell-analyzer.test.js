@@ -0,0 +1,84 @@
+/**
+ * Tests for ShellAnalyzer
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ShellAnalyzer } = require('../src/shell-analyzer');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+
+describe('ShellAnalyzer', () => {
+  it('should split commands on control operators', () => {
+    const shell = new ShellAnalyzer('apt-get update && apt-get install -y curl; echo done || true | tee log');
+    const names = shell.getCommands().map(c => c.name);
+    const operators = shell.getCommands().map(c => c.operator);
+
+    assert.deepStrictEqual(names, ['apt-get', 'apt-get', 'echo', 'true', 'tee']);
+    assert.deepStrictEqual(operators, [null, '&&', ';', '||', '|']);
+  });
+
+  it('should recognize subcommands behind flags', () => {
+    const shell = new ShellAnalyzer('apt-get -y -o Dpkg::Options::=--force-confold install --no-install-recommends curl git');
+    const [command] = shell.getCommands();
+
+    assert.strictEqual(command.manager, 'apt');
+    assert.strictEqual(command.subcommand, 'install');
+    assert.strictEqual(command.action, 'install');
+    assert.deepStrictEqual(command.packages, ['curl', 'git']);
+    assert.ok(command.flags.includes('--no-install-recommends'));
+  });
+
+  it('should recognize apt, sudo and python -m pip invocations', () => {
+    const shell = new ShellAnalyzer('sudo apt install -y vim && python3 -m pip install -r requirements.txt flask');
+    const installs = shell.getPackageInstalls();
+
+    assert.strictEqual(installs.length, 2);
+    assert.strictEqual(installs[0].manager, 'apt');
+    assert.strictEqual(installs[1].manager, 'pip');
+    assert.deepStrictEqual(installs[1].packages, ['flask']);
+  });
+
+  it('should not match commands inside strings or comments', () => {
+    const shell = new ShellAnalyzer(`echo "apt-get install curl" # apt-get install git
+printf 'yum install vim'`);
+
+    assert.strictEqual(shell.getPackageInstalls().length, 0);
+    assert.deepStrictEqual(shell.getCommands().map(c => c.name), ['echo', 'printf']);
+  });
+
+  it('should skip heredoc bodies and record redirects', () => {
+    const shell = new ShellAnalyzer(`cat <<EOF > /etc/apt/sources.list
+apt-get install nope
+EOF
+apt-get update 2>&1`);
+    const [cat, update] = shell.getCommands();
+
+    assert.strictEqual(shell.getCommands().length, 2);
+    assert.deepStrictEqual(cat.redirects, [{ operator: '>', target: '/etc/apt/sources.list' }]);
+    assert.strictEqual(update.action, 'update');
+  });
+
+  it('should detect command sequences', () => {
+    const shell = new ShellAnalyzer('apt-get update && apt-get install -y curl && rm -rf /var/lib/apt/lists/*');
+    const cleanup = c => c.name === 'rm' && c.operands.some(o => o.startsWith('/var/lib/apt/lists'));
+
+    assert.ok(shell.hasSequence({ manager: 'apt', action: 'install' }, cleanup));
+    assert.ok(!shell.hasSequence(cleanup, { manager: 'apt', action: 'install' }));
+  });
+
+  it('should analyze RUN instructions in exec form and heredocs', () => {
+    const parser = new DockerfileParser(`FROM debian
+RUN ["apt-get", "install", "-y", "curl"]
+RUN ["/bin/sh", "-c", "apk add git && rm -rf /var/cache/apk/*"]
+RUN <<EOF
+yum install -y make
+yum clean all
+EOF`);
+    const [execForm, shellC, heredoc] = parser.getRunInstructions().map(r => r.command.shell);
+
+    assert.deepStrictEqual(execForm.getInstalledPackages(), ['curl']);
+    assert.deepStrictEqual(shellC.getInstalledPackages(), ['git']);
+    assert.deepStrictEqual(heredoc.getInstalledPackages(), ['make']);
+    assert.ok(heredoc.hasCommand({ manager: 'yum', action: 'clean' }));
+  });
+});
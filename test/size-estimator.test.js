@@ -0,0 +1,149 @@
+/**
+ * Tests for SizeEstimator
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SizeEstimator } = require('../src/size-estimator');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+const { BuildContext } = require('../src/build-context');
+
+describe('SizeEstimator', () => {
+  const estimator = new SizeEstimator();
+
+  it('should estimate size for alpine-based image', () => {
+    const content = `FROM alpine
+RUN apk add --no-cache nodejs
+COPY . .
+CMD ["node", "index.js"]`;
+
+    const estimate = estimator.estimate(new DockerfileParser(content));
+
+    assert.ok(estimate.totalSize > 0);
+    assert.ok(estimate.formattedSize);
+    assert.ok(estimate.breakdown.length > 0);
+  });
+
+  it('should estimate larger size for non-alpine base', () => {
+    const alpineEstimate = estimator.estimate(new DockerfileParser('FROM alpine\nRUN echo "hello"'));
+    const ubuntuEstimate = estimator.estimate(new DockerfileParser('FROM ubuntu\nRUN echo "hello"'));
+
+    assert.ok(alpineEstimate.totalSize < ubuntuEstimate.totalSize);
+  });
+
+  it('should take base image sizes from the catalog', () => {
+    assert.strictEqual(estimator.getBaseImageSize('node:18-alpine'), 134.7);
+    assert.strictEqual(estimator.getBaseImageSize('node:18-alpine', { platform: 'linux/arm64' }), 136.3);
+    assert.strictEqual(estimator.getBaseImageSize('python:3.12-slim'), 129.6);
+    assert.strictEqual(estimator.getBaseImageSize('scratch'), 0);
+    assert.strictEqual(estimator.getBaseImageSize('unknown/image:1.0'), 100);
+  });
+
+  it('should include breakdown by layer type', () => {
+    const content = `FROM node:18-alpine
+RUN npm install
+COPY . .
+ENV NODE_ENV=production`;
+
+    const estimate = estimator.estimate(new DockerfileParser(content));
+
+    assert.ok(estimate.breakdown.some(item => item.category === 'Base Image'));
+    assert.ok(estimate.breakdown.some(item => item.category === 'RUN Layers'));
+    assert.ok(estimate.breakdown.some(item => item.category === 'COPY Layers'));
+  });
+
+  it('should provide size recommendations', () => {
+    const content = `FROM node:20
+RUN apt-get install -y curl
+COPY . .`;
+
+    const estimate = estimator.estimate(new DockerfileParser(content));
+
+    assert.ok(estimate.recommendations.includes(
+      'Consider gcr.io/distroless/nodejs20-debian12 (saves 970.60MB), node:20-alpine (saves 968.50MB) or node:20-slim (saves 904.70MB) instead of node:20 to reduce base image size'
+    ));
+    assert.ok(estimate.recommendations.some(rec => rec.includes('.dockerignore')));
+  });
+
+  it('should detect large COPY operations', () => {
+    const content = `FROM node:18-alpine
+COPY node_modules .
+COPY . .`;
+
+    const estimate = estimator.estimate(new DockerfileParser(content));
+
+    assert.ok(estimate.recommendations.some(rec => rec.includes('node_modules')));
+  });
+
+  it('should use measured COPY sizes from the build context', () => {
+    const parser = new DockerfileParser('FROM scratch\nCOPY . .');
+    const clean = new BuildContext('/ctx', [{ path: 'app', size: 2048 }]);
+    const estimate = estimator.estimate(parser, { context: clean });
+    const copies = estimate.breakdown.find(item => item.category === 'COPY Layers');
+
+    assert.strictEqual(estimate.totalSize, 2048);
+    assert.strictEqual(copies.measured, 1);
+    assert.ok(!estimate.recommendations.some(rec => rec.includes('.dockerignore')));
+
+    const dirty = new BuildContext('/ctx', [{ path: 'app', size: 2048 }, { path: '.git/HEAD', size: 20 }]);
+    assert.ok(estimator.estimate(parser, { context: dirty }).recommendations.some(rec => rec.includes('.dockerignore')));
+  });
+
+  it('should suggest cleanup for apt-get installs', () => {
+    const content = `FROM ubuntu:22.04
+RUN apt-get update && apt-get install -y nodejs`;
+
+    const estimate = estimator.estimate(new DockerfileParser(content));
+
+    assert.ok(estimate.recommendations.some(rec => rec.includes('cleanup')));
+  });
+
+  it('should use the base image of the final stage', () => {
+    const content = `FROM node:18 AS builder
+WORKDIR /app
+COPY package.json .
+RUN npm ci
+COPY . .
+RUN npm run build
+
+FROM alpine AS runtime
+COPY --from=builder /app/dist /app
+
+FROM runtime`;
+
+    const parser = new DockerfileParser(content);
+    const estimate = estimator.estimate(parser);
+
+    assert.strictEqual(estimate.baseImage, 'alpine');
+    assert.deepStrictEqual(estimator.getBaseImages(parser), ['node:18', 'alpine']);
+  });
+
+  it('should describe the base image from the catalog', () => {
+    const estimate = estimator.estimate(new DockerfileParser('FROM --platform=linux/arm64 python:3.12-alpine\nRUN echo hi'));
+
+    assert.strictEqual(estimate.baseImageInfo.variant, 'alpine');
+    assert.strictEqual(estimate.baseImageInfo.arch, 'arm64');
+    assert.strictEqual(estimate.breakdown[0].estimatedSize, estimate.baseImageInfo.uncompressedSize);
+    assert.ok(!estimate.recommendations.some(rec => rec.includes('instead of python')));
+
+    const unknown = estimator.estimate(new DockerfileParser('FROM registry.example.com/base:1\nRUN echo hi'));
+    assert.strictEqual(unknown.baseImageInfo, null);
+    assert.strictEqual(unknown.breakdown[0].estimatedSize, 100 * 1024 * 1024);
+  });
+
+  it('should count only the layers shipped in the final image', () => {
+    const parser = new DockerfileParser(`FROM node:18 AS builder
+RUN apt-get update && apt-get install -y build-essential
+RUN npm ci
+FROM alpine AS runtime
+COPY --from=builder /app/dist /app
+FROM runtime`);
+    const estimate = estimator.estimate(parser);
+
+    assert.deepStrictEqual(estimate.stages, ['runtime', 'stage_2']);
+    assert.strictEqual(estimate.totalSize, Math.round(7.8 * 1024 * 1024) + 5 * 1024 * 1024);
+    assert.deepStrictEqual(estimate.breakdown.map(b => b.category), ['Base Image', 'COPY Layers']);
+    assert.ok(!estimate.recommendations.some(rec => rec.includes('instead of node')));
+    assert.strictEqual(estimator.estimate(parser.forTarget('builder')).totalSize, Math.round(1103.2 * 1024 * 1024) + (50 + 20) * 1024 * 1024);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for the stage graph and the stage rules
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+const { CacheRulesEngine } = require('../src/cache-rules');
+
+const content = `FROM node:20 AS deps
+RUN npm ci
+FROM deps AS test
+RUN npm test
+FROM deps AS build
+RUN --mount=type=cache,from=deps,target=/cache npm run build
+FROM alpine AS docs
+RUN echo docs
+FROM nginx:alpine
+COPY --from=build /app/dist /usr/share/nginx/html`;
+
+function graphOf(source) {
+  return new DockerfileParser(source).getStageGraph();
+}
+
+function findings(source, rule, config = {}) {
+  const result = new CacheRulesEngine().configure(config).analyze(new DockerfileParser(source)).find(r => r.rule === rule);
+  return result ? result.issues : [];
+}
+
+describe('StageGraph', () => {
+  it('should list stages and the references between them', () => {
+    const graph = graphOf(content);
+
+    assert.deepStrictEqual(graph.getNodes().map(n => [n.label, n.base, n.lineNum]),
+      [['deps', 'node:20', 1], ['test', 'deps', 3], ['build', 'deps', 5], ['docs', 'alpine', 7], ['4', 'nginx:alpine', 9]]);
+    assert.deepStrictEqual(graph.getEdges(), [
+      { from: 0, to: 1, via: 'FROM', lineNum: 3 },
+      { from: 0, to: 2, via: 'FROM', lineNum: 5 },
+      { from: 0, to: 2, via: 'RUN --mount', lineNum: 6 },
+      { from: 2, to: 4, via: 'COPY --from', lineNum: 10 }
+    ]);
+    assert.deepStrictEqual(graph.getDepths(), [0, 1, 1, 0, 2]);
+  });
+
+  it('should find the stages reachable from the final or a target stage', () => {
+    const graph = graphOf(content);
+
+    assert.deepStrictEqual(graph.getReachable(), [0, 2, 4]);
+    assert.deepStrictEqual(graph.getUnreachable().map(n => n.label), ['test', 'docs']);
+    assert.deepStrictEqual(graph.getReachable('TEST'), [0, 1]);
+    assert.throws(() => graph.getReachable('release'), /Unknown target stage: release/);
+  });
+
+  it('should find the stages that make up the image of a target', () => {
+    const graph = graphOf(content);
+
+    assert.deepStrictEqual(graph.getImageStages(), [4]);
+    assert.deepStrictEqual(graph.getImageStages('build'), [0, 2]);
+    assert.deepStrictEqual(graphOf('FROM alpine AS base\nFROM base AS app\nFROM app').getImageStages(), [0, 1, 2]);
+  });
+
+  it('should keep unresolved references and explain undefined stages', () => {
+    const parser = new DockerfileParser(`FROM golang:1.22 AS builder
+FROM builer AS broken
+FROM scratch
+COPY --from=builder /bin/app /app
+COPY --from=3 /a /a
+COPY --from=later /b /b
+COPY --from=busybox:1.36 /bin/busybox /bin/
+COPY --from=\${IMAGE} /c /c
+FROM alpine AS later`);
+    const undefinedReferences = parser.getStageGraph().getUndefinedReferences();
+
+    assert.strictEqual(parser.getStageReferences()[2].find(r => r.reference === 'busybox:1.36').stage, null);
+    assert.deepStrictEqual(undefinedReferences.map(r => [r.lineNum, r.reason]), [
+      [2, 'No stage named builer; did you mean builder?'],
+      [5, 'Stage index 3 is not defined before stage 2'],
+      [6, 'Stage later is defined at line 9, after it is referenced; only earlier stages can be used, so this refers to an image instead']
+    ]);
+  });
+
+  it('should export DOT and Mermaid', () => {
+    const graph = graphOf(content);
+    const dot = graph.toDot();
+    const mermaid = graph.toMermaid('test');
+
+    assert.match(dot, /^digraph stages \{/);
+    assert.ok(dot.includes('s4 [label="4\\nnginx:alpine", style="rounded,bold"];'));
+    assert.ok(dot.includes('s3 [label="3: docs\\nalpine", style="rounded,dashed"];'));
+    assert.ok(dot.includes('s2 -> s4 [label="COPY --from"];'));
+    assert.match(mermaid, /^flowchart LR\n {2}s0\["0: deps<br\/>node:20"\]/);
+    assert.ok(mermaid.includes('s0 -->|"RUN --mount"| s2'));
+    assert.ok(mermaid.includes('class s1 target;'));
+    assert.ok(mermaid.includes('class s2,s3,s4 unused;'));
+  });
+});
+
+describe('Stage rules', () => {
+  it('should flag stages the final stage does not need', () => {
+    const issues = findings(content, 'unreachable-stage');
+
+    assert.deepStrictEqual(issues.map(i => [i.lineNum, i.reason]), [
+      [3, 'Stage test is not used by the final stage 4'],
+      [7, 'Stage docs is not used by the final stage 4']
+    ]);
+    assert.deepStrictEqual(findings(content, 'unreachable-stage', { rules: { 'unreachable-stage': { options: { target: 'build' } } } })
+      .map(i => i.reason), ['Stage test is not used by the target stage build', 'Stage docs is not used by the target stage build',
+      'Stage 4 is not used by the target stage build']);
+  });
+
+  it('should flag references to undefined stages', () => {
+    const issues = findings('FROM node:20 AS build\nFROM nginx\nCOPY --from=1 /a /b', 'undefined-stage');
+
+    assert.deepStrictEqual(issues.map(i => [i.lineNum, i.instruction]), [[3, 'COPY --from=1 /a /b']]);
+  });
+
+  it('should flag stages serialized behind a test stage', () => {
+    const issues = findings(`FROM node:20 AS build
+RUN npm run build
+FROM build AS test
+RUN npm test
+FROM test AS release
+CMD ["node", "dist"]`, 'serialized-stages');
+
+    assert.deepStrictEqual(issues.map(i => [i.lineNum, i.reason]), [[5, 'Stage release waits for stage test (FROM), so they cannot run in parallel']]);
+    assert.deepStrictEqual(findings(content, 'serialized-stages'), []);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for inline suppression comments
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseSuppressions, applySuppressions } = require('../src/suppressions');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+const { CacheRulesEngine } = require('../src/cache-rules');
+
+function analyze(content) {
+  const parser = new DockerfileParser(content);
+  return applySuppressions(new CacheRulesEngine().analyze(parser), parseSuppressions(parser));
+}
+
+describe('Suppressions', () => {
+  it('should parse directives with rules and reasons', () => {
+    const parser = new DockerfileParser(`FROM debian
+# dlo-disable-next-line package-install-combined, run-cleaned -- split for caching
+
+RUN apt-get install -y curl`);
+
+    const entries = parseSuppressions(parser);
+
+    assert.deepStrictEqual(entries.map(e => [e.rule, e.from, e.to, e.reason]), [
+      ['package-install-combined', 4, 4, 'split for caching'],
+      ['run-cleaned', 4, 4, 'split for caching']
+    ]);
+  });
+
+  it('should suppress the next instruction only', () => {
+    const { active, suppressed } = analyze(`FROM debian
+# dlo-disable-next-line package-install-combined
+RUN apt-get update && apt-get install -y curl && rm -rf /var/lib/apt/lists/*
+RUN apt-get update && apt-get install -y git && rm -rf /var/lib/apt/lists/*`);
+
+    const combined = active.find(r => r.rule === 'package-install-combined');
+    assert.deepStrictEqual(combined.issues.map(i => i.lineNum), [4]);
+    assert.deepStrictEqual(suppressed[0].issues[0].suppression, {
+      directive: 'dlo-disable-next-line',
+      lineNum: 2,
+      reason: null
+    });
+  });
+
+  it('should suppress findings inside disable/enable blocks', () => {
+    const { active, suppressed } = analyze(`FROM node:18
+# dlo-disable add-vs-copy
+ADD a.txt /a.txt
+ADD b.txt /b.txt
+# dlo-enable add-vs-copy
+ADD c.txt /c.txt`);
+
+    assert.deepStrictEqual(active.find(r => r.rule === 'add-vs-copy').issues.map(i => i.lineNum), [6]);
+    assert.deepStrictEqual(suppressed.find(r => r.rule === 'add-vs-copy').issues.map(i => i.lineNum), [3, 4]);
+  });
+
+  it('should disable rules for the whole file', () => {
+    const { active } = analyze(`FROM node:18
+COPY . .
+# dlo-disable-file dockerignore
+COPY src/ ./src/`);
+
+    assert.strictEqual(active.find(r => r.rule === 'dockerignore'), undefined);
+  });
+
+  it('should report suppressions that matched nothing as unused', () => {
+    const { unused } = analyze(`FROM node:18
+# dlo-disable-next-line add-vs-copy
+COPY . .
+# dlo-disable
+RUN echo hello`);
+
+    assert.deepStrictEqual(unused, [
+      { directive: 'dlo-disable-next-line', rule: 'add-vs-copy', lineNum: 2 },
+      { directive: 'dlo-disable', rule: null, lineNum: 4 }
+    ]);
+  });
+});
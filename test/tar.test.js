@@ -0,0 +1,86 @@
+/**
+ * Tests for the tar reader
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { TarParser, listTarFile, readTarEntry } = require('../src/tar');
+
+describe('tar', () => {
+  const longName = `${'deep/'.repeat(30)}file.txt`;
+  let root;
+  let archive;
+
+  function write(relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(root, 'files', relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, 'files', relativePath), content);
+  }
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dlo-tar-'));
+    write('app/index.js', 'console.log("hello");\n');
+    write('app/empty', '');
+    write(longName, 'x'.repeat(1500));
+    fs.symlinkSync('index.js', path.join(root, 'files', 'app/main.js'));
+
+    archive = path.join(root, 'files.tar');
+    execFileSync('tar', ['-cf', archive, '-C', path.join(root, 'files'), '.'], { stdio: 'ignore' });
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should list entries with their type, size and long names', async () => {
+    const entries = await listTarFile(archive);
+    const byPath = Object.fromEntries(entries.map(entry => [entry.path, entry]));
+
+    assert.strictEqual(byPath['app/index.js'].type, 'file');
+    assert.strictEqual(byPath['app/index.js'].size, 22);
+    assert.strictEqual(byPath['app/empty'].size, 0);
+    assert.strictEqual(byPath.app.type, 'directory');
+    assert.strictEqual(byPath['app/main.js'].type, 'symlink');
+    assert.strictEqual(byPath['app/main.js'].linkname, 'index.js');
+    assert.strictEqual(byPath[longName].size, 1500);
+    assert.ok(!entries.some(entry => entry.path.startsWith('./') || entry.path.endsWith('/')));
+  });
+
+  it('should read the content of a listed entry', async () => {
+    const entries = await listTarFile(archive);
+
+    assert.strictEqual((await readTarEntry(archive, entries.find(e => e.path === 'app/index.js'))).toString(), 'console.log("hello");\n');
+    assert.strictEqual((await readTarEntry(archive, entries.find(e => e.path === longName))).toString(), 'x'.repeat(1500));
+  });
+
+  it('should parse an archive fed in chunks of any size', () => {
+    const data = fs.readFileSync(archive);
+    const contents = {};
+    const parser = new TarParser(entry => {
+      contents[entry.path] = '';
+      return { data: chunk => { contents[entry.path] += chunk.toString(); } };
+    });
+
+    for (let offset = 0; offset < data.length; offset += 100) {
+      parser.write(data.subarray(offset, offset + 100));
+    }
+
+    assert.strictEqual(contents['app/index.js'], 'console.log("hello");\n');
+    assert.strictEqual(contents[longName], 'x'.repeat(1500));
+    assert.strictEqual(contents['app/empty'], '');
+  });
+
+  it('should reject compressed archives and other files', async () => {
+    const compressed = path.join(root, 'files.tar.gz');
+    const text = path.join(root, 'notes.txt');
+    fs.writeFileSync(compressed, zlib.gzipSync(fs.readFileSync(archive)));
+    fs.writeFileSync(text, 'notes\n'.repeat(200));
+
+    await assert.rejects(listTarFile(compressed), /gzip-compressed/);
+    await assert.rejects(listTarFile(text), /Not a tar archive/);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for ARG/ENV variable resolution
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { VariableScope, expandVariables } = require('../src/variable-resolver');
+const { DockerfileParser } = require('../src/dockerfile-parser');
+
+describe('expandVariables', () => {
+  const variables = { NAME: 'app', EMPTY: '', SPACED: 'a b' };
+  const expand = (text, options) => expandVariables(text, variables, options);
+
+  it('should expand plain and braced references', () => {
+    assert.deepStrictEqual(expand('/srv/$NAME/${NAME}_x'), { text: '/srv/app/app_x', unresolved: [] });
+  });
+
+  it('should apply default and alternative values', () => {
+    assert.strictEqual(expand('${MISSING:-def} ${EMPTY:-def} ${EMPTY-def} ${NAME:-def}').text, 'def def  app');
+    assert.strictEqual(expand('${NAME:+alt} ${EMPTY:+alt} ${EMPTY+alt} ${MISSING+alt}').text, 'alt  alt ');
+    assert.strictEqual(expand('${MISSING:-${NAME}-${OTHER:-x}}').text, 'app-x');
+  });
+
+  it('should leave variables without a value, quoted and escaped text as written', () => {
+    assert.deepStrictEqual(expand('$MISSING ${MISSING} ${OTHER:-$UNSET}'), {
+      text: '$MISSING ${MISSING} $UNSET',
+      unresolved: ['MISSING', 'UNSET']
+    });
+    assert.strictEqual(expand(`'$NAME' "$NAME" \\$NAME $ 5$`).text, `'$NAME' "app" \\$NAME $ 5$`);
+    assert.strictEqual(expand('`$NAME \\$NAME', { escapeChar: '`' }).text, '`$NAME \\app');
+  });
+
+  it('should escape values to keep them in one word', () => {
+    assert.strictEqual(expand('x=$SPACED "$SPACED"', { escapeValues: true }).text, 'x=a\\ b "a\\ b"');
+  });
+});
+
+describe('VariableScope', () => {
+  it('should let build args override ARG defaults and redeclared globals', () => {
+    const scope = new VariableScope({ VERSION: '20' });
+
+    assert.strictEqual(scope.declareArg('VERSION', '18'), '20');
+    assert.strictEqual(scope.declareArg('DISTRO', 'alpine'), 'alpine');
+    assert.deepStrictEqual(scope.getVariables(), { VERSION: '20', DISTRO: 'alpine' });
+
+    scope.enterStage();
+    assert.deepStrictEqual(scope.getVariables(), {});
+    assert.strictEqual(scope.declareArg('DISTRO', null), 'alpine');
+    assert.strictEqual(scope.declareArg('UNSET', null), null);
+    scope.setEnv('DISTRO', 'debian');
+    assert.deepStrictEqual(scope.getVariables(), { DISTRO: 'debian' });
+    assert.deepStrictEqual(scope.getGlobalVariables(), { VERSION: '20', DISTRO: 'alpine' });
+
+    scope.enterStage(0);
+    assert.deepStrictEqual(scope.getVariables(), { DISTRO: 'debian' });
+  });
+});
+
+describe('DockerfileParser variable resolution', () => {
+  const content = `ARG NODE_VERSION=18
+ARG APP=web
+FROM node:\${NODE_VERSION}-alpine AS build
+ARG APP
+ARG SRC_DIR=apps/\${APP}
+ENV OUT=/srv/\${APP:-app}
+COPY --chown=node \${SRC_DIR} \${OUT}
+RUN echo $APP
+FROM nginx
+COPY --from=build \${OUT} /usr/share/nginx/html
+WORKDIR $APP`;
+
+  it('should expose resolved values on each instruction', () => {
+    const parser = new DockerfileParser(content, { buildArgs: { NODE_VERSION: '20' } });
+    const [, , from, arg, srcDir, , copy, run, , copyFrom, workdir] = parser.getInstructions();
+
+    assert.strictEqual(from.operands.reference, 'node:${NODE_VERSION}-alpine');
+    assert.strictEqual(from.resolved.operands.tag, '20-alpine');
+    assert.deepStrictEqual(arg.resolved.operands.pairs, [{ key: 'APP', value: 'web' }]);
+    assert.deepStrictEqual(srcDir.resolved.operands.pairs, [{ key: 'SRC_DIR', value: 'apps/web' }]);
+    assert.deepStrictEqual(copy.resolved.operands.sources, ['apps/web']);
+    assert.strictEqual(copy.resolved.operands.destination, '/srv/web');
+    assert.strictEqual(copy.resolved.flags.chown, 'node');
+    assert.strictEqual(run.resolved.body, 'echo $APP');
+    assert.deepStrictEqual(run.resolved.variables, { APP: 'web', SRC_DIR: 'apps/web', OUT: '/srv/web' });
+    assert.strictEqual(parser.getStages()[0].from, 'node:20-alpine');
+
+    // A stage on an external image starts without ARG or ENV
+    assert.deepStrictEqual(copyFrom.resolved.unresolved, ['OUT']);
+    assert.strictEqual(copyFrom.resolved.operands.from, 'build');
+    assert.deepStrictEqual(workdir.resolved, {
+      body: '$APP', flags: {}, operands: { path: '$APP' }, variables: {}, unresolved: ['APP']
+    });
+  });
+
+  it('should resolve stage references built from variables', () => {
+    const parser = new DockerfileParser(`ARG BASE=deps
+FROM alpine AS deps
+FROM \${BASE}
+ARG FROM_STAGE=deps
+COPY --from=\${FROM_STAGE} /a /a`);
+
+    assert.deepStrictEqual(parser.getStageDependencies()[1].map(d => [d.stage, d.via]), [[0, 'FROM'], [0, 'COPY --from']]);
+  });
+
+  it('should keep values with spaces within one operand', () => {
+    const parser = new DockerfileParser(`FROM alpine
+ARG TITLE
+LABEL title=$TITLE version=1`, { buildArgs: { TITLE: 'my "app"' } });
+
+    assert.deepStrictEqual(parser.getInstructions()[2].resolved.operands.pairs,
+      [{ key: 'title', value: 'my "app"' }, { key: 'version', value: '1' }]);
+  });
+});